@@ -7,6 +7,13 @@ import { config } from './config.js';
 import { initDatabase } from './lib/database.js';
 import { processPendingReminders } from './lib/reminders.js';
 import { runBillingCron } from './jobs/billing-cron.js';
+import { expireDepositHolds } from './lib/deposits.js';
+import { expireWaitlistOffers } from './lib/waitlist.js';
+import { runScheduledWorkflows, processPendingWorkflowSteps } from './lib/workflows.js';
+import { retryWebhookDeliveries } from './lib/webhooks.js';
+import { processCampaignQueue } from './lib/campaign-delivery.js';
+import { syncDynamicAudiences } from './lib/segments.js';
+import { runAutomations } from './lib/automations.js';
 
 // Import middleware
 import { tenantMiddleware } from './middleware/tenant.js';
@@ -31,6 +38,7 @@ import quotesRoutes from './routes/quotes.js';
 import branchesRoutes from './routes/branches.js';
 import customFieldsRoutes from './routes/custom-fields.js';
 import workflowsRoutes from './routes/workflows.js';
+import webhooksRoutes from './routes/webhooks.js';
 import campaignsRoutes from './routes/campaigns.js';
 import documentsRoutes from './routes/documents.js';
 import auditLogsRoutes from './routes/audit-logs.js';
@@ -61,9 +69,15 @@ import clientProfilesRoutes from './routes/client-profiles.js';
 import inventoryRoutes from './routes/inventory.js';
 import notificationsRoutes from './routes/notifications.js';
 import publicBookingRoutes from './routes/public-booking.js';
+import campaignTrackingRoutes from './routes/campaign-tracking.js';
+import unsubscribeRoutes from './routes/unsubscribe.js';
 import rolesRoutes from './routes/roles.js';
 import appConnectRoutes from './routes/app-connect.js';
 import barcodeRoutes from './routes/barcode.js';
+import paymentsRoutes from './routes/payments.js';
+import creditNotesRoutes from './routes/credit-notes.js';
+import commissionsRoutes from './routes/commissions.js';
+import tipsRoutes from './routes/tips.js';
 
 const app = express();
 
@@ -86,7 +100,8 @@ app.use(cors({
   },
   credentials: true,
 }));
-app.use(express.json());
+// Keep the raw body for routes that verify webhook signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cookieParser());
 
 // Health check (no auth required)
@@ -104,6 +119,8 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/tenants', tenantsRoutes);
 app.use('/api/public/booking', publicBookingRoutes);
+app.use('/api/public/campaigns', campaignTrackingRoutes);
+app.use('/api/public/unsubscribe', unsubscribeRoutes);
 // Public staff routes (set password - no tenant required)
 app.use('/api/staff/set-password', staffPublicRoutes);
 
@@ -130,6 +147,7 @@ app.use('/api/quotes', quotesRoutes);
 app.use('/api/branches', branchesRoutes);
 app.use('/api/custom-fields', customFieldsRoutes);
 app.use('/api/workflows', workflowsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
 app.use('/api/campaigns', campaignsRoutes);
 app.use('/api/documents', documentsRoutes);
 app.use('/api/audit-logs', auditLogsRoutes);
@@ -145,6 +163,10 @@ app.use('/api/service-categories', serviceCategoriesRoutes);
 app.use('/api/resources', resourcesRoutes);
 app.use('/api/uploads', uploadsRoutes);
 app.use('/api/invoices', invoicesRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/credit-notes', creditNotesRoutes);
+app.use('/api/commissions', commissionsRoutes);
+app.use('/api/tips', tipsRoutes);
 app.use('/api/gift-cards', giftCardsRoutes);
 app.use('/api/waitlists', waitlistsRoutes);
 app.use('/api/packages', packagesRoutes);
@@ -192,6 +214,113 @@ async function start() {
     });
     console.log('✅ Reminder cron job started (runs every minute)');
     
+    // Booking deposit holds — release unpaid holds every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        const result = await expireDepositHolds();
+        if (result.expired > 0 || result.confirmed > 0) {
+          console.log(`💳 Deposit holds: ${result.expired} expired, ${result.confirmed} confirmed`);
+        }
+      } catch (error) {
+        console.error('❌ Deposit hold cron job error:', error);
+      }
+    });
+    console.log('✅ Deposit hold cron job started (runs every minute)');
+    
+    // Waitlist offers — pass unclaimed slot offers on to the next person
+    cron.schedule('* * * * *', async () => {
+      try {
+        const result = await expireWaitlistOffers();
+        if (result.expired > 0) {
+          console.log(`⏳ Waitlist: ${result.expired} offers expired and moved on`);
+        }
+      } catch (error) {
+        console.error('❌ Waitlist offer cron job error:', error);
+      }
+    });
+    console.log('✅ Waitlist offer cron job started (runs every minute)');
+    
+    // Workflow steps waiting behind a wait step
+    cron.schedule('* * * * *', async () => {
+      try {
+        const result = await processPendingWorkflowSteps();
+        if (result.processed > 0 || result.cancelled > 0) {
+          console.log(`⚙️ Workflow steps: ${result.processed} run, ${result.cancelled} cancelled`);
+        }
+      } catch (error) {
+        console.error('❌ Workflow step cron job error:', error);
+      }
+    });
+    console.log('✅ Workflow step cron job started (runs every minute)');
+    
+    // Outgoing webhooks — retry failed deliveries with backoff
+    cron.schedule('* * * * *', async () => {
+      try {
+        const result = await retryWebhookDeliveries();
+        if (result.attempted > 0) {
+          console.log(`🔗 Webhooks: ${result.delivered} delivered, ${result.failed} failed on retry`);
+        }
+      } catch (error) {
+        console.error('❌ Webhook retry cron job error:', error);
+      }
+    });
+    console.log('✅ Webhook retry cron job started (runs every minute)');
+    
+    // Campaign delivery — send the next batch of every running campaign
+    cron.schedule('* * * * *', async () => {
+      try {
+        const result = await processCampaignQueue();
+        if (result.started > 0) {
+          console.log(`📣 Campaigns: started ${result.started} scheduled campaign(s)`);
+        }
+        if (result.campaigns > 0) {
+          console.log(`📣 Campaigns: ${result.sent} sent, ${result.failed} failed, ${result.bounced} bounced`);
+        }
+      } catch (error) {
+        console.error('❌ Campaign delivery cron job error:', error);
+      }
+    }, { noOverlap: true });
+    console.log('✅ Campaign delivery cron job started (runs every minute)');
+    
+    // Time-based workflow triggers — expiring memberships, lapsed clients
+    cron.schedule('15 * * * *', async () => {
+      try {
+        const result = await runScheduledWorkflows();
+        if (result.fired > 0) {
+          console.log(`⚙️ Workflows: ${result.fired} scheduled runs from ${result.checked} workflows`);
+        }
+      } catch (error) {
+        console.error('❌ Workflow cron job error:', error);
+      }
+    });
+    console.log('✅ Workflow cron job started (runs hourly at :15)');
+    
+    // Dynamic audiences — re-evaluate segment criteria once their refresh interval has passed
+    cron.schedule('45 * * * *', async () => {
+      try {
+        const result = await syncDynamicAudiences();
+        if (result.synced > 0 || result.failed > 0) {
+          console.log(`👥 Audiences: ${result.synced} synced, ${result.failed} failed`);
+        }
+      } catch (error) {
+        console.error('❌ Audience sync cron job error:', error);
+      }
+    });
+    console.log('✅ Audience sync cron job started (runs hourly at :45)');
+    
+    // Marketing automations — birthday, win-back, post-visit and membership renewal messages
+    cron.schedule('30 * * * *', async () => {
+      try {
+        const result = await runAutomations();
+        if (result.sent > 0 || result.failed > 0) {
+          console.log(`🤖 Automations: ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped`);
+        }
+      } catch (error) {
+        console.error('❌ Automations cron job error:', error);
+      }
+    });
+    console.log('✅ Automations cron job started (runs hourly at :30)');
+    
     // Billing cron job — runs daily at 00:05 AM
     cron.schedule('5 0 * * *', async () => {
       try {
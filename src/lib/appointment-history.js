@@ -0,0 +1,79 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+
+/**
+ * Appointment History
+ * Audit trail of time / status changes on an appointment — who moved it,
+ * from when to when, and through which channel (staff app or manage link).
+ */
+
+let _tableReady = false;
+
+/**
+ * Ensure appointment_history table exists
+ */
+export async function ensureAppointmentHistoryTable() {
+  if (_tableReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS appointment_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      appointment_id INT NOT NULL,
+      action VARCHAR(30) NOT NULL,
+      old_start_time DATETIME,
+      old_end_time DATETIME,
+      new_start_time DATETIME,
+      new_end_time DATETIME,
+      old_status VARCHAR(30),
+      new_status VARCHAR(30),
+      changed_by_type ENUM('staff', 'customer', 'system') DEFAULT 'staff',
+      changed_by INT,
+      source VARCHAR(50),
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_appointment (appointment_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  _tableReady = true;
+}
+
+/**
+ * Record one change. Pass a transaction handle as db to write inside it.
+ *
+ * @param {Object} change - { tenantId, appointmentId, action, oldStart, oldEnd, newStart, newEnd,
+ *                            oldStatus, newStatus, changedByType, changedBy, source, note }
+ */
+export async function recordAppointmentChange(change, db = { execute }) {
+  await ensureAppointmentHistoryTable();
+  await db.execute(
+    `INSERT INTO appointment_history (tenant_id, appointment_id, action, old_start_time, old_end_time,
+      new_start_time, new_end_time, old_status, new_status, changed_by_type, changed_by, source, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [change.tenantId, change.appointmentId, change.action,
+      toMySQLDateTime(change.oldStart), toMySQLDateTime(change.oldEnd),
+      toMySQLDateTime(change.newStart), toMySQLDateTime(change.newEnd),
+      change.oldStatus || null, change.newStatus || null,
+      change.changedByType || 'staff', change.changedBy || null, change.source || null, change.note || null]
+  );
+}
+
+/**
+ * Change history of an appointment, newest first
+ */
+export async function getAppointmentHistory(tenantId, appointmentId) {
+  await ensureAppointmentHistoryTable();
+  return query(
+    `SELECT h.*, s.full_name as changed_by_name
+     FROM appointment_history h
+     LEFT JOIN staff s ON h.changed_by_type = 'staff' AND h.changed_by = s.id
+     WHERE h.tenant_id = ? AND h.appointment_id = ?
+     ORDER BY h.created_at DESC, h.id DESC`,
+    [tenantId, appointmentId]
+  );
+}
+
+export default {
+  ensureAppointmentHistoryTable,
+  recordAppointmentChange,
+  getAppointmentHistory,
+};
@@ -0,0 +1,328 @@
+import { query, execute, withTransaction, toMySQLDateTime } from './database.js';
+import { notifyPayment } from './notify.js';
+import { ensureDepositTables } from './deposits.js';
+import { ensurePaymentTables, recordPayment } from './payments.js';
+
+/**
+ * No-show & Late-cancellation Policy
+ * The tenant's policy lives on online_booking_settings next to the deposit
+ * settings: a fee (fixed or a percentage of the booking) for a no-show and
+ * for a cancellation inside the late-cancel window. The fee is raised as an
+ * invoice against the client, settled first from any paid booking deposit.
+ * Each no-show counts against the client; past the tenant's limit online
+ * booking either demands a deposit or is blocked for them.
+ */
+
+export const FEE_TYPES = ['fixed', 'percentage'];
+export const NO_SHOW_LIMIT_ACTIONS = ['require_deposit', 'block'];
+
+const DEFAULT_POLICY = {
+  no_show_fee_type: 'fixed',
+  no_show_fee_amount: 0,
+  late_cancel_fee_type: 'fixed',
+  late_cancel_fee_amount: 0,
+  late_cancel_hours: 24,
+  no_show_limit: 0,
+  no_show_limit_action: 'require_deposit',
+};
+
+const FEE_LABELS = { no_show: 'No-show fee', late_cancel: 'Late cancellation fee' };
+
+let _columnsReady = false;
+
+/**
+ * Ensure the client counters and the invoice fee marker exist
+ */
+export async function ensureAttendanceColumns() {
+  if (_columnsReady) return;
+  await ensureDepositTables();
+  await ensurePaymentTables();
+  const columns = [
+    ['contacts', 'no_show_count', 'INT DEFAULT 0'],
+    ['contacts', 'last_no_show_at', 'DATETIME DEFAULT NULL'],
+    ['contacts', 'late_cancel_count', 'INT DEFAULT 0'],
+    ['invoices', 'fee_type', 'VARCHAR(20) DEFAULT NULL'],
+  ];
+  let ready = true;
+  for (const [table, col, def] of columns) {
+    try {
+      await execute(`ALTER TABLE ${table} ADD COLUMN ${col} ${def}`);
+    } catch (e) {
+      // Column already exists – that's fine; a missing table means retry next time
+      if (e.code !== 'ER_DUP_FIELDNAME') ready = false;
+    }
+  }
+  // Fee invoices are numbered outside invoices.js; the key makes a number taken twice fail and retry
+  try {
+    await execute('ALTER TABLE invoices ADD UNIQUE KEY uniq_tenant_number (tenant_id, invoice_number)');
+  } catch (e) {
+    if (e.code !== 'ER_DUP_KEYNAME') ready = false;
+  }
+  _columnsReady = ready;
+}
+
+/**
+ * The tenant's attendance policy, falling back to "no fees, no limit"
+ */
+export async function getAttendancePolicy(tenantId) {
+  try {
+    const [settings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [tenantId]);
+    const policy = { ...DEFAULT_POLICY };
+    for (const key of Object.keys(DEFAULT_POLICY)) {
+      if (settings?.[key] !== undefined && settings[key] !== null) policy[key] = settings[key];
+    }
+    return policy;
+  } catch (error) {
+    // Booking settings not created yet for this install
+    return { ...DEFAULT_POLICY };
+  }
+}
+
+/**
+ * Fee owed under the policy for a no-show or late cancel of a booking worth `price`
+ * @param {'no_show'|'late_cancel'} kind
+ */
+export function calculateAttendanceFee(policy, kind, price) {
+  const value = parseFloat(policy?.[`${kind}_fee_amount`] || 0);
+  if (value <= 0) return 0;
+  const amount = policy[`${kind}_fee_type`] === 'percentage'
+    ? parseFloat(price || 0) * Math.min(value, 100) / 100
+    : value;
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Whether cancelling a booking starting at `startTime` falls inside the late-cancel window
+ */
+export function isLateCancellation(policy, startTime, now = new Date()) {
+  const hours = parseInt(policy?.late_cancel_hours, 10) || 0;
+  if (hours <= 0) return false;
+  return new Date(startTime).getTime() - now.getTime() < hours * 60 * 60 * 1000;
+}
+
+async function getTenantCurrency(tenantId) {
+  const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [tenantId]);
+  try {
+    const settings = typeof tenant?.settings === 'string' ? JSON.parse(tenant.settings) : (tenant?.settings || {});
+    return settings.currency || 'AED';
+  } catch {
+    return 'AED';
+  }
+}
+
+/**
+ * Apply the policy to a no-show or late cancellation: count it against the
+ * client and raise the fee invoice, settled from a paid deposit where there is one.
+ * Call once per status change; a fee already raised for the appointment is not raised again.
+ *
+ * @param {number} tenantId
+ * @param {Object[]} appointments - the appointment rows affected (one, or the lines of a visit)
+ * @param {'no_show'|'late_cancel'} kind
+ * @param {Object} [options] - { staffId, waiveFee }
+ * @returns {Promise<{fee, invoice_id, invoice_number, deposit_applied, deposit_refund_due, no_show_count}|null>}
+ */
+export async function applyAttendancePolicy(tenantId, appointments, kind, { staffId = null, waiveFee = false } = {}) {
+  const lines = appointments.filter(Boolean);
+  if (lines.length === 0) return null;
+  await ensureAttendanceColumns();
+  const policy = await getAttendancePolicy(tenantId);
+  const first = lines[0];
+  const ids = lines.map(a => a.id);
+
+  const priced = await query(
+    `SELECT a.id, COALESCE(NULLIF(a.final_price, 0), NULLIF(a.original_price, 0), p.unit_price, 0) AS price,
+            p.name AS service_name
+     FROM appointments a
+     LEFT JOIN products p ON a.service_id = p.id
+     WHERE a.tenant_id = ? AND a.id IN (${ids.map(() => '?').join(',')})`,
+    [tenantId, ...ids]
+  );
+  const price = priced.reduce((sum, a) => sum + parseFloat(a.price || 0), 0);
+  const fee = waiveFee ? 0 : calculateAttendanceFee(policy, kind, price);
+  const currency = await getTenantCurrency(tenantId);
+
+  const outcome = await withTransaction(async (tx) => {
+    const [already] = await tx.query(
+      "SELECT id FROM invoices WHERE tenant_id = ? AND appointment_id = ? AND fee_type = ? AND status != 'void'",
+      [tenantId, first.id, kind]
+    );
+
+    let noShowCount = null;
+    if (first.customer_id) {
+      const counter = kind === 'no_show' ? 'no_show_count' : 'late_cancel_count';
+      await tx.execute(
+        `UPDATE contacts SET ${counter} = COALESCE(${counter}, 0) + 1${kind === 'no_show' ? ', last_no_show_at = NOW()' : ''}
+         WHERE id = ? AND tenant_id = ?`,
+        [first.customer_id, tenantId]
+      );
+      const [contact] = await tx.query('SELECT no_show_count FROM contacts WHERE id = ? AND tenant_id = ?', [first.customer_id, tenantId]);
+      noShowCount = contact?.no_show_count ?? null;
+    }
+    if (fee <= 0 || already) {
+      return { fee: 0, invoice_id: already?.id || null, invoice_number: null, deposit_applied: 0, deposit_refund_due: 0, no_show_count: noShowCount };
+    }
+
+    // A paid deposit not yet credited anywhere is kept towards the fee
+    let depositSql = `SELECT id, amount FROM booking_deposits
+       WHERE tenant_id = ? AND status = 'paid' AND invoice_id IS NULL
+       AND (appointment_id IN (${ids.map(() => '?').join(',')})`;
+    const depositParams = [tenantId, ...ids];
+    if (first.visit_id) {
+      depositSql += ' OR visit_id = ?';
+      depositParams.push(first.visit_id);
+    }
+    const deposits = await tx.query(`${depositSql}) FOR UPDATE`, depositParams);
+    const depositTotal = deposits.reduce((sum, d) => sum + parseFloat(d.amount || 0), 0);
+    const depositApplied = Math.round(Math.min(depositTotal, fee) * 100) / 100;
+
+    const [lastInv] = await tx.query(
+      'SELECT invoice_number FROM invoices WHERE tenant_id = ? ORDER BY id DESC LIMIT 1',
+      [tenantId]
+    );
+    const lastNum = lastInv?.invoice_number ? parseInt(lastInv.invoice_number.replace('INV-', '')) || 0 : 0;
+    const status = depositApplied >= fee ? 'paid' : depositApplied > 0 ? 'partially_paid' : 'sent';
+    const label = FEE_LABELS[kind];
+
+    // Invoices raised at the same time can take the same number; the unique key turns that into
+    // a retry on the next one (the transaction's snapshot would only read back the same last number)
+    let invResult;
+    let invoiceNumber;
+    for (let attempt = 1; !invResult; attempt++) {
+      invoiceNumber = `INV-${String(lastNum + attempt).padStart(4, '0')}`;
+      try {
+        invResult = await tx.execute(
+          `INSERT INTO invoices
+            (tenant_id, appointment_id, customer_id, staff_id, invoice_number, subtotal, tax_rate, tax_amount,
+             total, amount_paid, deposit_amount, currency, status, payment_method, paid_at, notes, created_by, fee_type)
+           VALUES (?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [tenantId, first.id, first.customer_id || null, first.staff_id || null, invoiceNumber, fee,
+            fee, depositApplied, depositApplied, currency, status,
+            depositApplied > 0 ? 'deposit' : null, status === 'paid' ? toMySQLDateTime(new Date().toISOString()) : null,
+            `${label} for appointment #${first.id}`, staffId, kind]
+        );
+      } catch (e) {
+        if (e.code !== 'ER_DUP_ENTRY' || !String(e.message).includes('uniq_tenant_number') || attempt >= 5) throw e;
+      }
+    }
+    // Not linked to the visit, so the visit's own checkout invoice stays separate
+    const invoiceId = invResult.insertId;
+
+    const serviceNames = priced.map(a => a.service_name).filter(Boolean).join(', ');
+    await tx.execute(
+      `INSERT INTO invoice_items (invoice_id, item_type, item_id, name, quantity, unit_price, total)
+       VALUES (?, 'custom', NULL, ?, 1, ?, ?)`,
+      [invoiceId, serviceNames ? `${label} — ${serviceNames}` : label, fee, fee]
+    );
+
+    if (deposits.length > 0) {
+      await tx.execute(
+        `UPDATE booking_deposits SET invoice_id = ?, applied_at = NOW() WHERE id IN (${deposits.map(() => '?').join(',')})`,
+        [invoiceId, ...deposits.map(d => d.id)]
+      );
+    }
+    if (depositApplied > 0) {
+      await recordPayment({
+        tenantId, invoiceId, customerId: first.customer_id || null, method: 'deposit', amount: depositApplied, currency,
+        reference: `Booking deposit #${deposits.map(d => d.id).join(', #')}`,
+        details: { deposit_ids: deposits.map(d => d.id) }, db: tx,
+      });
+    }
+
+    return {
+      fee,
+      invoice_id: invoiceId,
+      invoice_number: invoiceNumber,
+      deposit_applied: depositApplied,
+      // Deposit held beyond the fee still belongs to the client
+      deposit_refund_due: Math.round(Math.max(depositTotal - fee, 0) * 100) / 100,
+      no_show_count: noShowCount,
+    };
+  });
+
+  if (outcome.invoice_number) {
+    notifyPayment(
+      tenantId,
+      FEE_LABELS[kind],
+      `${FEE_LABELS[kind]} of ${outcome.fee} ${currency} raised on ${outcome.invoice_number}` +
+        (outcome.deposit_applied > 0 ? ` (${outcome.deposit_applied} ${currency} taken from the deposit)` : ''),
+      { appointment_id: first.id, invoice_id: outcome.invoice_id }
+    ).catch(() => {});
+  }
+  return outcome;
+}
+
+/**
+ * Undo a no-show marked by mistake: take it off the client's count and void
+ * the fee invoice, handing its deposit back to the booking. A fee the client
+ * has already paid beyond the deposit is left for staff to refund.
+ *
+ * @returns {Promise<{voided_invoice_id: number|null}>}
+ */
+export async function revertNoShow(tenantId, appointment) {
+  await ensureAttendanceColumns();
+  return withTransaction(async (tx) => {
+    if (appointment.customer_id) {
+      await tx.execute(
+        'UPDATE contacts SET no_show_count = GREATEST(COALESCE(no_show_count, 0) - 1, 0) WHERE id = ? AND tenant_id = ?',
+        [appointment.customer_id, tenantId]
+      );
+    }
+    const [invoice] = await tx.query(
+      "SELECT id, amount_paid, deposit_amount FROM invoices WHERE tenant_id = ? AND appointment_id = ? AND fee_type = 'no_show' AND status != 'void' FOR UPDATE",
+      [tenantId, appointment.id]
+    );
+    if (!invoice || parseFloat(invoice.amount_paid || 0) > parseFloat(invoice.deposit_amount || 0)) {
+      return { voided_invoice_id: null };
+    }
+    await tx.execute("UPDATE invoices SET status = 'void' WHERE id = ?", [invoice.id]);
+    await tx.execute('UPDATE booking_deposits SET invoice_id = NULL, applied_at = NULL WHERE invoice_id = ?', [invoice.id]);
+    // The deposit goes back to the booking, so its ledger row is reversed
+    const depositPayments = await tx.query(
+      "SELECT * FROM payments WHERE invoice_id = ? AND type = 'payment' AND method = 'deposit' AND reversed_at IS NULL",
+      [invoice.id]
+    );
+    for (const p of depositPayments) {
+      await tx.execute(
+        "UPDATE payments SET reversed_at = NOW(), reversal_reason = 'No-show reverted' WHERE id = ?", [p.id]
+      );
+      await recordPayment({
+        tenantId, invoiceId: invoice.id, customerId: p.customer_id, type: 'reversal', method: 'deposit',
+        amount: -Math.abs(p.amount), currency: p.currency, reference: p.reference, reversesPaymentId: p.id,
+        notes: 'No-show reverted', db: tx,
+      });
+    }
+    return { voided_invoice_id: invoice.id };
+  });
+}
+
+/**
+ * What the client's no-show record means for booking online:
+ * null, or { action: 'require_deposit' | 'block', no_show_count, limit }
+ */
+export async function getBookingRestriction(tenantId, customerId, policy = null) {
+  if (!customerId) return null;
+  policy = policy || await getAttendancePolicy(tenantId);
+  const limit = parseInt(policy.no_show_limit, 10) || 0;
+  if (limit <= 0) return null;
+  await ensureAttendanceColumns();
+  const [contact] = await query('SELECT no_show_count FROM contacts WHERE id = ? AND tenant_id = ?', [customerId, tenantId]);
+  const count = parseInt(contact?.no_show_count, 10) || 0;
+  if (count < limit) return null;
+  return {
+    action: NO_SHOW_LIMIT_ACTIONS.includes(policy.no_show_limit_action) ? policy.no_show_limit_action : 'require_deposit',
+    no_show_count: count,
+    limit,
+  };
+}
+
+export default {
+  FEE_TYPES,
+  NO_SHOW_LIMIT_ACTIONS,
+  ensureAttendanceColumns,
+  getAttendancePolicy,
+  calculateAttendanceFee,
+  isLateCancellation,
+  applyAttendancePolicy,
+  revertNoShow,
+  getBookingRestriction,
+};
@@ -0,0 +1,536 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { sendEmail, getTenantBranding } from './email.js';
+import { sendSMS, formatPhoneNumber } from './sms.js';
+import { renderPlaceholders } from './workflows.js';
+import { getTenantTimezone, utcToZoned, formatInTimezone } from './timezone.js';
+import {
+  ensureConsentTables, canSendMarketing, unsubscribeUrl, listUnsubscribeHeaders, appendUnsubscribeFooter,
+} from './consent.js';
+import { createDiscountCode } from '../routes/promotions.js';
+
+/**
+ * Marketing Automations
+ * An hourly run finds the clients each active automation is due for:
+ * - birthday: clients whose birthday is today (or `days_before` days away),
+ *   from `send_hour` in the business's timezone
+ * - win_back: clients whose last completed visit was `days` ago and who have
+ *   nothing booked
+ * - post_visit: appointments completed `hours_after` hours ago (thank-you and
+ *   review request)
+ * - membership_renewal: active memberships ending within `days_before` days
+ * Every send is written to automation_sends under a key for the occurrence
+ * (the birthday year, the appointment, the membership end date...), so each
+ * occurrence is handled once. Clients without marketing consent, or who have
+ * reached the automation's frequency cap, are logged as skipped. An automation
+ * with a `promotion_id` in its action_config gives each client a single-use
+ * discount code as {{discount_code}}.
+ */
+
+export const AUTOMATION_TRIGGERS = ['birthday', 'win_back', 'post_visit', 'membership_renewal'];
+export const AUTOMATION_ACTIONS = { send_email: 'email', send_sms: 'sms' };
+export const SEND_STATUSES = ['processing', 'sent', 'failed', 'skipped'];
+
+// Default trigger_config, and the per-client cap: at most `frequency_cap` sends in `frequency_days`
+export const TRIGGER_DEFAULTS = {
+  birthday: { days_before: 0, send_hour: 9, frequency_cap: 1, frequency_days: 300 },
+  win_back: { days: 60, window_days: 30, frequency_cap: 1, frequency_days: 90 },
+  post_visit: { hours_after: 2, frequency_cap: 1, frequency_days: 7 },
+  membership_renewal: { days_before: 7, frequency_cap: 1, frequency_days: 14 },
+};
+
+// Used when the automation has no template or content of its own
+const DEFAULT_CONTENT = {
+  birthday: {
+    subject: 'Happy birthday, {{first_name}}!',
+    body: '<p>Happy birthday, {{first_name}}!</p><p>Everyone at {{business_name}} wishes you a wonderful day.{{discount_line}}</p>',
+    sms: 'Happy birthday {{first_name}}! Best wishes from {{business_name}}.{{discount_line}}',
+  },
+  win_back: {
+    subject: 'We miss you, {{first_name}}',
+    body: "<p>Hi {{first_name}},</p><p>It's been a while since your last visit to {{business_name}}. We'd love to see you again.{{discount_line}}</p>",
+    sms: "Hi {{first_name}}, it's been a while! We'd love to see you again at {{business_name}}.{{discount_line}}",
+  },
+  post_visit: {
+    subject: 'Thank you for visiting {{business_name}}',
+    body: '<p>Hi {{first_name}},</p><p>Thank you for your {{service_name}} with {{staff_name}}. We hope you loved it!</p>{{review_line}}',
+    sms: 'Thanks for visiting {{business_name}}, {{first_name}}!{{review_line}}',
+  },
+  membership_renewal: {
+    subject: 'Your {{membership_name}} membership ends on {{membership_end_date}}',
+    body: '<p>Hi {{first_name}},</p><p>Your {{membership_name}} membership at {{business_name}} ends on {{membership_end_date}}. Renew it to keep your benefits.</p>',
+    sms: 'Hi {{first_name}}, your {{membership_name}} membership at {{business_name}} ends on {{membership_end_date}}.',
+  },
+};
+
+// Prefix of generated discount codes
+const CODE_PREFIX = { birthday: 'BDAY', win_back: 'BACK', post_visit: 'THANKS', membership_renewal: 'RENEW' };
+
+const MAX_PER_RUN = 500;
+
+let _tablesReady = false;
+
+/**
+ * Ensure marketing_automations and automation_sends exist
+ */
+export async function ensureAutomationTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS marketing_automations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      trigger_type VARCHAR(50) NOT NULL,
+      trigger_config JSON,
+      action_type VARCHAR(50) NOT NULL DEFAULT 'send_email',
+      action_config JSON,
+      template_id INT,
+      delay_minutes INT DEFAULT 0,
+      is_active TINYINT(1) DEFAULT 1,
+      total_triggered INT DEFAULT 0,
+      total_successful INT DEFAULT 0,
+      last_triggered_at DATETIME,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_trigger (trigger_type),
+      INDEX idx_active (is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  await execute(`
+    CREATE TABLE IF NOT EXISTS automation_sends (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      automation_id INT NOT NULL,
+      contact_id INT NOT NULL,
+      trigger_key VARCHAR(100) NOT NULL,
+      channel VARCHAR(10) NOT NULL,
+      address VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'processing',
+      skip_reason VARCHAR(50),
+      discount_code VARCHAR(50),
+      message_id VARCHAR(255),
+      error_message TEXT,
+      sent_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_occurrence (automation_id, contact_id, trigger_key),
+      INDEX idx_automation_status (automation_id, status),
+      INDEX idx_contact (automation_id, contact_id, sent_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  const columns = [
+    ['total_failed', 'INT DEFAULT 0'],
+    ['total_skipped', 'INT DEFAULT 0'],
+    ['frequency_cap', 'INT'],
+    ['frequency_days', 'INT'],
+  ];
+  for (const [column, definition] of columns) {
+    try {
+      await execute(`ALTER TABLE marketing_automations ADD COLUMN ${column} ${definition}`);
+    } catch (e) {
+      if (e.code !== 'ER_DUP_FIELDNAME') throw e;
+    }
+  }
+  await ensureConsentTables();
+  _tablesReady = true;
+}
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch (e) { return fallback; }
+};
+
+/**
+ * trigger_config with defaults, plus the frequency cap (columns win over config)
+ */
+export function getAutomationConfig(automation) {
+  const own = parseJSON(automation.trigger_config, {}) || {};
+  const config = { ...TRIGGER_DEFAULTS[automation.trigger_type], ...own };
+  // A post-visit automation without hours_after waits its delay_minutes instead
+  if (automation.trigger_type === 'post_visit' && own.hours_after === undefined && automation.delay_minutes > 0) {
+    config.hours_after = automation.delay_minutes / 60;
+  }
+  if (automation.frequency_cap) config.frequency_cap = automation.frequency_cap;
+  if (automation.frequency_days) config.frequency_days = automation.frequency_days;
+  return config;
+}
+
+/**
+ * Check an automation before it is saved
+ * @returns {string|null} error message
+ */
+export function validateAutomation({ trigger_type, action_type, trigger_config, frequency_cap, frequency_days }) {
+  if (trigger_type !== undefined && !AUTOMATION_TRIGGERS.includes(trigger_type)) {
+    return `trigger_type must be one of ${AUTOMATION_TRIGGERS.join(', ')}`;
+  }
+  if (action_type !== undefined && !AUTOMATION_ACTIONS[action_type]) {
+    return `action_type must be one of ${Object.keys(AUTOMATION_ACTIONS).join(', ')}`;
+  }
+  const config = parseJSON(trigger_config, {}) || {};
+  for (const key of ['days', 'days_before', 'window_days', 'hours_after']) {
+    if (config[key] !== undefined && !(Number(config[key]) >= 0)) return `trigger_config.${key} must be a number of 0 or more`;
+  }
+  if (config.send_hour !== undefined && !(Number(config.send_hour) >= 0 && Number(config.send_hour) <= 23)) {
+    return 'trigger_config.send_hour must be between 0 and 23';
+  }
+  if (frequency_cap !== undefined && frequency_cap !== null && !(parseInt(frequency_cap, 10) >= 1)) return 'frequency_cap must be at least 1';
+  if (frequency_days !== undefined && frequency_days !== null && !(parseInt(frequency_days, 10) >= 1)) return 'frequency_days must be at least 1';
+  return null;
+}
+
+// ─── Finding who is due ─────────────────────────────────────
+
+const dateOnly = (date) => toMySQLDateTime(date).slice(0, 10);
+
+// Binds the automation id; `keyExpr` is the occurrence's trigger_key
+const notYetHandled = (keyExpr) =>
+  `NOT EXISTS (SELECT 1 FROM automation_sends s WHERE s.automation_id = ? AND s.contact_id = c.id AND s.trigger_key = ${keyExpr})`;
+
+/**
+ * Clients due for an automation, each with a `trigger_key` naming the
+ * occurrence and any extra placeholder values
+ */
+const CANDIDATE_QUERIES = {
+  async birthday(automation, config, timeZone) {
+    const local = utcToZoned(new Date(), timeZone);
+    if (local.minutes < Number(config.send_hour) * 60) return [];
+    const target = new Date(`${local.date}T00:00:00Z`);
+    target.setUTCDate(target.getUTCDate() + Number(config.days_before));
+    const key = `birthday:${target.getUTCFullYear()}`;
+    return query(
+      `SELECT c.*, ? AS trigger_key FROM contacts c
+       WHERE c.tenant_id = ? AND c.date_of_birth IS NOT NULL
+         AND MONTH(c.date_of_birth) = ? AND DAY(c.date_of_birth) = ?
+         AND ${notYetHandled('?')}
+       LIMIT ${MAX_PER_RUN}`,
+      [key, automation.tenant_id, target.getUTCMonth() + 1, target.getUTCDate(), automation.id, key]
+    );
+  },
+
+  // Lapsed between `days` and `days + window_days` ago, so switching it on doesn't reach years-old clients
+  async win_back(automation, config) {
+    const now = Date.now();
+    const days = Number(config.days);
+    return query(
+      `SELECT c.*, CONCAT('lapsed:', DATE(v.last_visit_at)) AS trigger_key, v.last_visit_at FROM (
+         SELECT a.customer_id AS id, MAX(a.start_time) AS last_visit_at
+         FROM appointments a
+         WHERE a.tenant_id = ? AND a.status = 'completed' AND a.customer_id IS NOT NULL
+         GROUP BY a.customer_id
+       ) v
+       JOIN contacts c ON c.id = v.id AND c.tenant_id = ?
+       WHERE v.last_visit_at <= ? AND v.last_visit_at > ?
+         AND NOT EXISTS (
+           SELECT 1 FROM appointments u
+           WHERE u.tenant_id = ? AND u.customer_id = v.id AND u.start_time > ?
+             AND u.status IN ('scheduled', 'confirmed', 'pending_payment')
+         )
+         AND ${notYetHandled("CONCAT('lapsed:', DATE(v.last_visit_at))")}
+       LIMIT ${MAX_PER_RUN}`,
+      [automation.tenant_id, automation.tenant_id,
+       toMySQLDateTime(new Date(now - days * 86400000)),
+       toMySQLDateTime(new Date(now - (days + Number(config.window_days)) * 86400000)),
+       automation.tenant_id, toMySQLDateTime(new Date(now)), automation.id]
+    );
+  },
+
+  // Looks back two days past the delay so a missed run catches up
+  async post_visit(automation, config, timeZone) {
+    const dueBy = Date.now() - Number(config.hours_after) * 3600000;
+    const rows = await query(
+      `SELECT c.*, CONCAT('appointment:', a.id) AS trigger_key, a.start_time AS appointment_start,
+         p.name AS service_name, st.full_name AS staff_name
+       FROM appointments a
+       JOIN contacts c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+       LEFT JOIN products p ON p.id = a.service_id
+       LEFT JOIN staff st ON st.id = a.staff_id
+       WHERE a.tenant_id = ? AND a.status = 'completed'
+         AND a.end_time <= ? AND a.end_time > ?
+         AND ${notYetHandled("CONCAT('appointment:', a.id)")}
+       ORDER BY a.end_time
+       LIMIT ${MAX_PER_RUN}`,
+      [automation.tenant_id, toMySQLDateTime(new Date(dueBy)), toMySQLDateTime(new Date(dueBy - 2 * 86400000)), automation.id]
+    );
+    return rows.map(row => ({
+      ...row,
+      appointment_date: row.appointment_start ? formatInTimezone(row.appointment_start, timeZone).dateStr : '',
+    }));
+  },
+
+  async membership_renewal(automation, config, timeZone) {
+    const today = new Date(`${utcToZoned(new Date(), timeZone).date}T00:00:00Z`);
+    const until = new Date(today.getTime() + Number(config.days_before) * 86400000);
+    const rows = await query(
+      `SELECT c.*, CONCAT('membership:', cm.id, ':', cm.end_date) AS trigger_key,
+         DATE_FORMAT(cm.end_date, '%Y-%m-%d') AS membership_end, mp.name AS membership_name
+       FROM customer_memberships cm
+       JOIN contacts c ON c.id = cm.customer_id AND c.tenant_id = cm.tenant_id
+       LEFT JOIN membership_plans mp ON mp.id = cm.plan_id
+       WHERE cm.tenant_id = ? AND cm.status = 'active' AND cm.end_date IS NOT NULL
+         AND cm.end_date BETWEEN ? AND ?
+         AND ${notYetHandled("CONCAT('membership:', cm.id, ':', cm.end_date)")}
+       LIMIT ${MAX_PER_RUN}`,
+      [automation.tenant_id, dateOnly(today), dateOnly(until), automation.id]
+    );
+    return rows.map(row => ({
+      ...row,
+      membership_end_date: formatInTimezone(`${row.membership_end}T12:00:00Z`, 'UTC').dateStr,
+    }));
+  },
+};
+
+// ─── Sending ────────────────────────────────────────────────
+
+/**
+ * Subject and body: the template, the automation's own content, or the trigger's default
+ */
+async function resolveAutomationContent(automation, channel) {
+  const action = parseJSON(automation.action_config, {}) || {};
+  const defaults = DEFAULT_CONTENT[automation.trigger_type];
+  if (channel === 'sms') return { body: action.message || action.content || defaults.sms };
+
+  let subject = action.subject || '';
+  let body = action.content || action.body || '';
+  if (automation.template_id) {
+    const [template] = await query(
+      'SELECT subject, body FROM email_templates WHERE id = ? AND (tenant_id = ? OR tenant_id IS NULL)',
+      [automation.template_id, automation.tenant_id]
+    );
+    if (template) {
+      subject = subject || template.subject || '';
+      body = template.body || body;
+    }
+  }
+  return { subject: subject || defaults.subject, body: body || defaults.body };
+}
+
+async function updateSend(sendId, fields) {
+  const columns = Object.keys(fields);
+  await execute(
+    `UPDATE automation_sends SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(c => fields[c]), sendId]
+  );
+}
+
+/**
+ * Handle one client for one occurrence
+ * @returns {Promise<'sent'|'failed'|'skipped'|null>} null when another run already has it
+ */
+async function processCandidate(automation, config, contact, ctx) {
+  const { channel } = ctx;
+  const address = channel === 'sms' ? contact.phone : contact.email;
+
+  // Claiming the occurrence first keeps overlapping runs from sending twice
+  const claim = await execute(
+    `INSERT IGNORE INTO automation_sends (tenant_id, automation_id, contact_id, trigger_key, channel, address)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [automation.tenant_id, automation.id, contact.id, contact.trigger_key, channel, address || null]
+  );
+  if (!claim.affectedRows) return null;
+  try {
+    return await deliver(automation, config, contact, ctx, claim.insertId, address);
+  } catch (error) {
+    await updateSend(claim.insertId, { status: 'failed', error_message: error.message }).catch(() => {});
+    return 'failed';
+  }
+}
+
+async function deliver(automation, config, contact, ctx, sendId, address) {
+  const { channel, branding, content, action } = ctx;
+  const skip = async (reason) => {
+    await updateSend(sendId, { status: 'skipped', skip_reason: reason });
+    return 'skipped';
+  };
+
+  if (!address) return skip('no_address');
+  const [{ recent }] = await query(
+    `SELECT COUNT(*) AS recent FROM automation_sends
+     WHERE automation_id = ? AND contact_id = ? AND status = 'sent' AND sent_at > ?`,
+    [automation.id, contact.id, toMySQLDateTime(new Date(Date.now() - Number(config.frequency_days) * 86400000))]
+  );
+  if (Number(recent) >= Number(config.frequency_cap)) return skip('frequency_cap');
+  if (!(await canSendMarketing(automation.tenant_id, channel, { contactId: contact.id, address }))) return skip('no_consent');
+
+  let discount = null;
+  if (action.promotion_id) {
+    discount = await createDiscountCode(automation.tenant_id, action.promotion_id, {
+      maxUses: 1,
+      prefix: CODE_PREFIX[automation.trigger_type],
+    });
+  }
+
+  const fullName = `${contact.first_name || ''} ${contact.last_name || ''}`.trim();
+  const reviewUrl = action.review_url || ctx.reviewUrl || '';
+  const values = {
+    ...contact,
+    first_name: contact.first_name || 'there',
+    full_name: fullName,
+    client_name: fullName,
+    customer_name: fullName,
+    business_name: branding.name,
+    company_name: branding.name,
+    discount_code: discount?.code || '',
+    review_url: reviewUrl,
+    unsubscribe_url: unsubscribeUrl({ t: automation.tenant_id, ch: channel, c: contact.id, a: address }),
+  };
+  values.discount_line = discount ? ` Use code ${discount.code} on your next visit.` : '';
+  values.review_line = reviewUrl
+    ? (channel === 'sms' ? ` Tell us how we did: ${reviewUrl}` : `<p>Tell us how we did: <a href="${reviewUrl}">leave a review</a>.</p>`)
+    : '';
+
+  let result;
+  try {
+    if (channel === 'sms') {
+      result = await sendSMS({ to: formatPhoneNumber(address), message: renderPlaceholders(content.body, values) });
+    } else {
+      result = await sendEmail({
+        to: address,
+        subject: renderPlaceholders(content.subject, values),
+        html: appendUnsubscribeFooter(renderPlaceholders(content.body, values), values.unsubscribe_url, branding.name),
+        tenantId: automation.tenant_id,
+        headers: listUnsubscribeHeaders(values.unsubscribe_url),
+      });
+    }
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (result.success) {
+    await updateSend(sendId, {
+      status: 'sent', sent_at: toMySQLDateTime(new Date()), message_id: result.messageId || null, discount_code: discount?.code || null,
+    });
+    return 'sent';
+  }
+  // An unsent code must not be usable
+  if (discount) await execute('UPDATE discount_codes SET is_active = 0 WHERE id = ?', [discount.id]);
+  await updateSend(sendId, { status: 'failed', error_message: result.error || 'Unknown error' });
+  return 'failed';
+}
+
+/**
+ * Send one automation to everyone it is due for
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+export async function runAutomation(automation) {
+  await ensureAutomationTables();
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+  const finder = CANDIDATE_QUERIES[automation.trigger_type];
+  const channel = AUTOMATION_ACTIONS[automation.action_type || 'send_email'];
+  if (!finder || !channel) return counts;
+
+  const config = getAutomationConfig(automation);
+  const timeZone = await getTenantTimezone(automation.tenant_id);
+  const candidates = await finder(automation, config, timeZone);
+  if (!candidates.length) return counts;
+
+  const branding = await getTenantBranding(automation.tenant_id);
+  const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [automation.tenant_id]);
+  const ctx = {
+    channel,
+    branding,
+    content: await resolveAutomationContent(automation, channel),
+    action: parseJSON(automation.action_config, {}) || {},
+    reviewUrl: parseJSON(tenant?.settings, {})?.review_url || '',
+  };
+  for (const contact of candidates) {
+    try {
+      const outcome = await processCandidate(automation, config, contact, ctx);
+      if (outcome) counts[outcome]++;
+    } catch (error) {
+      console.error(`[Automations] Automation ${automation.id}, contact ${contact.id} failed:`, error.message);
+    }
+  }
+
+  const total = counts.sent + counts.failed + counts.skipped;
+  if (total > 0) {
+    await execute(
+      `UPDATE marketing_automations SET
+         total_triggered = total_triggered + ?, total_successful = total_successful + ?,
+         total_failed = total_failed + ?, total_skipped = total_skipped + ?, last_triggered_at = ?
+       WHERE id = ?`,
+      [total, counts.sent, counts.failed, counts.skipped, toMySQLDateTime(new Date()), automation.id]
+    );
+  }
+  return counts;
+}
+
+/**
+ * Run every active automation. Called by a cron job every hour.
+ * @returns {Promise<{automations: number, sent: number, failed: number, skipped: number}>}
+ */
+export async function runAutomations() {
+  await ensureAutomationTables();
+  const automations = await query(
+    `SELECT * FROM marketing_automations
+     WHERE is_active = 1 AND tenant_id IS NOT NULL AND trigger_type IN (${AUTOMATION_TRIGGERS.map(() => '?').join(',')})
+     ORDER BY id`,
+    AUTOMATION_TRIGGERS
+  );
+  const totals = { automations: automations.length, sent: 0, failed: 0, skipped: 0 };
+  for (const automation of automations) {
+    try {
+      const counts = await runAutomation(automation);
+      totals.sent += counts.sent;
+      totals.failed += counts.failed;
+      totals.skipped += counts.skipped;
+    } catch (error) {
+      console.error(`[Automations] Automation ${automation.id} failed:`, error.message);
+    }
+  }
+  return totals;
+}
+
+// ─── Reporting ──────────────────────────────────────────────
+
+/**
+ * Sends by status and skip reason, daily sends for the last 30 days and
+ * how many of the generated discount codes were redeemed
+ */
+export async function getAutomationStats(automationId) {
+  await ensureAutomationTables();
+  const byStatus = await query(
+    'SELECT status, COUNT(*) AS count FROM automation_sends WHERE automation_id = ? GROUP BY status',
+    [automationId]
+  );
+  const skipReasons = await query(
+    `SELECT skip_reason, COUNT(*) AS count FROM automation_sends
+     WHERE automation_id = ? AND status = 'skipped' GROUP BY skip_reason ORDER BY count DESC`,
+    [automationId]
+  );
+  const daily = await query(
+    `SELECT DATE(sent_at) AS date, COUNT(*) AS sent FROM automation_sends
+     WHERE automation_id = ? AND status = 'sent' AND sent_at >= ?
+     GROUP BY DATE(sent_at) ORDER BY date`,
+    [automationId, toMySQLDateTime(new Date(Date.now() - 30 * 86400000))]
+  );
+  const [codes] = await query(
+    `SELECT COUNT(*) AS issued, COALESCE(SUM(dc.used_count > 0), 0) AS redeemed
+     FROM automation_sends s
+     JOIN discount_codes dc ON dc.code = s.discount_code AND dc.tenant_id = s.tenant_id
+     WHERE s.automation_id = ? AND s.discount_code IS NOT NULL`,
+    [automationId]
+  ).catch(() => [{ issued: 0, redeemed: 0 }]);
+  const counts = Object.fromEntries(SEND_STATUSES.map(s => [s, 0]));
+  for (const row of byStatus) counts[row.status] = Number(row.count);
+  return {
+    ...counts,
+    skip_reasons: skipReasons,
+    daily,
+    discount_codes: { issued: Number(codes?.issued || 0), redeemed: Number(codes?.redeemed || 0) },
+  };
+}
+
+export default {
+  AUTOMATION_TRIGGERS,
+  AUTOMATION_ACTIONS,
+  SEND_STATUSES,
+  TRIGGER_DEFAULTS,
+  ensureAutomationTables,
+  getAutomationConfig,
+  validateAutomation,
+  runAutomation,
+  runAutomations,
+  getAutomationStats,
+};
@@ -0,0 +1,656 @@
+import crypto from 'crypto';
+import { query, execute, toMySQLDateTime } from './database.js';
+import { sendEmail, getTenantBranding } from './email.js';
+import { sendSMS, formatPhoneNumber } from './sms.js';
+import { renderPlaceholders } from './workflows.js';
+import { notifySystem } from './notify.js';
+import { getTenantTimezone, formatInTimezone } from './timezone.js';
+import { ensureCampaignTrackingTables, isTrackingEnabled, addTracking } from './campaign-tracking.js';
+import {
+  ensureConsentTables, isOptInRequired, consentFilterSql, canSendMarketing, unsubscribeUrl,
+  listUnsubscribeHeaders, appendUnsubscribeFooter,
+} from './consent.js';
+
+/**
+ * Campaign Delivery
+ * Sending a campaign queues one campaign_recipients row per address in its
+ * audience (or every client), then a cron job sends the queue in batches of
+ * `settings.batch_size` a minute. Each recipient ends up sent, failed or
+ * bounced; pausing stops a batch between two messages and resuming picks the
+ * queue up again. Campaign totals are recounted from the recipient rows.
+ *
+ * A scheduled campaign is started by the same cron job once its scheduled_at
+ * has passed. An A/B test (`settings.ab_test`) sends each subject variant to
+ * an equal share of a random sample and holds the other recipients; once the
+ * sample is out and the wait window has passed, the variant with the best
+ * open or click rate is sent to everyone held back.
+ */
+
+export const DELIVERABLE_TYPES = ['email', 'sms'];
+export const RECIPIENT_STATUSES = ['queued', 'held', 'sending', 'sent', 'failed', 'bounced', 'skipped', 'cancelled'];
+
+const AB_VARIANTS = ['A', 'B', 'C', 'D'];
+export const AB_METRICS = ['open', 'click'];
+
+// Messages per campaign per minute unless settings.batch_size says otherwise
+const DEFAULT_BATCH_SIZE = { email: 100, sms: 30 };
+const MAX_BATCH_SIZE = 1000;
+
+// A batch claimed this long ago was cut off by a restart
+const STALE_CLAIM_MINUTES = 15;
+
+// Errors that mean the address itself is bad, not that sending failed this time
+const BOUNCE_PATTERNS = {
+  email: /^5\d\d\b|\b5\.[1-7]\.\d{1,3}\b|user unknown|no such user|mailbox (is )?(unavailable|not found)|does not exist|recipient (address )?rejected|invalid recipient/i,
+  sms: /not a valid (phone|mobile) number|invalid (phone|mobile|to) number|unreachable|not a mobile number|landline/i,
+};
+
+let _tablesReady = false;
+
+/**
+ * Ensure campaign_recipients exists with the delivery columns
+ */
+export async function ensureCampaignDeliveryTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS campaign_recipients (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      campaign_id INT NOT NULL,
+      tenant_id INT,
+      contact_id INT,
+      email VARCHAR(255),
+      phone VARCHAR(50),
+      full_name VARCHAR(255),
+      status VARCHAR(30) DEFAULT 'pending',
+      sent_at DATETIME,
+      opened_at DATETIME,
+      clicked_at DATETIME,
+      converted_at DATETIME,
+      error_message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_campaign (campaign_id),
+      INDEX idx_tenant (tenant_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const columns = [
+    ['campaign_recipients', 'message_id', 'VARCHAR(255)'],
+    ['campaign_recipients', 'bounced_at', 'DATETIME'],
+    ['campaign_recipients', 'batch_token', 'VARCHAR(32)'],
+    ['campaign_recipients', 'claimed_at', 'DATETIME'],
+    ['campaign_recipients', 'variant', 'VARCHAR(5)'],
+    ['campaign_recipients', 'ab_sample', 'TINYINT(1) DEFAULT 0'],
+    ['campaigns', 'total_failed', 'INT DEFAULT 0'],
+    ['campaigns', 'send_completed_at', 'DATETIME'],
+    ['campaigns', 'ab_status', 'VARCHAR(20)'],
+    ['campaigns', 'ab_winner', 'VARCHAR(5)'],
+    ['campaigns', 'ab_test_ends_at', 'DATETIME'],
+  ];
+  for (const [table, column, definition] of columns) {
+    try {
+      await execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    } catch (e) {
+      if (e.code !== 'ER_DUP_FIELDNAME') throw e;
+    }
+  }
+  try {
+    await execute('CREATE INDEX idx_campaign_status ON campaign_recipients (campaign_id, status)');
+  } catch (e) {
+    if (e.code !== 'ER_DUP_KEYNAME') throw e;
+  }
+  // Older installs created the status as an ENUM without 'running' / 'paused'
+  await execute("ALTER TABLE campaigns MODIFY COLUMN status VARCHAR(30) DEFAULT 'draft'");
+  await ensureCampaignTrackingTables();
+  await ensureConsentTables();
+  _tablesReady = true;
+}
+
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+function getBatchSize(campaign) {
+  const size = parseInt(parseJSON(campaign.settings, {})?.batch_size, 10);
+  if (Number.isFinite(size) && size > 0) return Math.min(size, MAX_BATCH_SIZE);
+  return DEFAULT_BATCH_SIZE[campaign.type] || DEFAULT_BATCH_SIZE.email;
+}
+
+/**
+ * Subject and body to send: the campaign's email template when it has one,
+ * else its own subject and content. Null when there is nothing to send.
+ */
+export async function resolveCampaignContent(campaign) {
+  let subject = campaign.subject || '';
+  let body = campaign.content || '';
+  if (campaign.template_id) {
+    const [template] = await query(
+      'SELECT subject, body FROM email_templates WHERE id = ? AND (tenant_id = ? OR tenant_id IS NULL)',
+      [campaign.template_id, campaign.tenant_id]
+    );
+    if (template) {
+      subject = campaign.subject || template.subject || '';
+      body = template.body || body;
+    }
+  }
+  if (!body.trim()) return null;
+  if (campaign.type === 'email' && !subject.trim()) return null;
+  return { subject, body };
+}
+
+// ─── A/B subject tests ─────────────────────────────────────
+
+/**
+ * The campaign's A/B test settings with defaults filled in, or null when it has none
+ */
+export function getAbTest(campaign) {
+  const abTest = parseJSON(campaign.settings, {})?.ab_test;
+  if (!abTest || abTest.enabled === false) return null;
+  return {
+    variants: (Array.isArray(abTest.variants) ? abTest.variants : []).slice(0, AB_VARIANTS.length)
+      .map((v, i) => ({ variant: AB_VARIANTS[i], subject: typeof v === 'string' ? v : v?.subject })),
+    sample_percent: Number(abTest.sample_percent ?? 20),
+    metric: abTest.metric || 'open',
+    wait_hours: Number(abTest.wait_hours ?? 4),
+  };
+}
+
+/**
+ * Check a campaign's A/B test settings
+ * @returns {string|null} error message
+ */
+export function validateAbTest(campaign, { trackingEnabled = true } = {}) {
+  const abTest = getAbTest(campaign);
+  if (!abTest) return null;
+  if (campaign.type !== 'email') return 'A/B subject tests are only available for email campaigns';
+  if (!trackingEnabled) return 'A/B tests pick a winner from opens or clicks, so email tracking must be on';
+  if (abTest.variants.length < 2) return `ab_test.variants needs 2 to ${AB_VARIANTS.length} subject lines`;
+  if (abTest.variants.some(v => !String(v.subject || '').trim())) return 'Each A/B variant needs a subject';
+  if (!(abTest.sample_percent >= 1 && abTest.sample_percent <= 90)) return 'ab_test.sample_percent must be between 1 and 90';
+  if (!AB_METRICS.includes(abTest.metric)) return `ab_test.metric must be one of ${AB_METRICS.join(', ')}`;
+  if (!(abTest.wait_hours >= 1 && abTest.wait_hours <= 168)) return 'ab_test.wait_hours must be between 1 and 168';
+  return null;
+}
+
+/**
+ * Give each variant an equal share of a random sample and hold everyone else
+ * @returns {Promise<{sample: number, held: number}>}
+ */
+async function splitAbSample(campaign, abTest, total) {
+  const count = abTest.variants.length;
+  const sample = Math.min(total, Math.max(count, Math.ceil((total * abTest.sample_percent) / 100)));
+  for (const [i, { variant }] of abTest.variants.entries()) {
+    const size = Math.floor(sample / count) + (i < sample % count ? 1 : 0);
+    if (size === 0) continue;
+    await execute(
+      `UPDATE campaign_recipients SET variant = ?, ab_sample = 1
+       WHERE campaign_id = ? AND status = 'queued' AND variant IS NULL ORDER BY RAND() LIMIT ${size}`,
+      [variant, campaign.id]
+    );
+  }
+  const held = await execute(
+    "UPDATE campaign_recipients SET status = 'held' WHERE campaign_id = ? AND status = 'queued' AND ab_sample = 0",
+    [campaign.id]
+  );
+  return { sample, held: held.affectedRows };
+}
+
+/**
+ * Sent, opened and clicked per variant within the test sample
+ */
+export async function getAbTestResults(campaign) {
+  const abTest = getAbTest(campaign);
+  if (!abTest) return null;
+  const rows = await query(
+    `SELECT variant, SUM(status = 'sent') AS sent, SUM(opened_at IS NOT NULL) AS opened, SUM(clicked_at IS NOT NULL) AS clicked
+     FROM campaign_recipients WHERE campaign_id = ? AND ab_sample = 1 GROUP BY variant`,
+    [campaign.id]
+  );
+  const byVariant = new Map(rows.map(r => [r.variant, r]));
+  const rate = (n, sent) => (sent > 0 ? Math.round((n / sent) * 10000) / 100 : 0);
+  return {
+    status: campaign.ab_status || null,
+    metric: abTest.metric,
+    sample_percent: abTest.sample_percent,
+    wait_hours: abTest.wait_hours,
+    ends_at: campaign.ab_test_ends_at || null,
+    winner: campaign.ab_winner || null,
+    variants: abTest.variants.map(({ variant, subject }) => {
+      const row = byVariant.get(variant) || {};
+      const sent = Number(row.sent || 0);
+      return {
+        variant,
+        subject,
+        sent,
+        opened: Number(row.opened || 0),
+        clicked: Number(row.clicked || 0),
+        open_rate: rate(Number(row.opened || 0), sent),
+        click_rate: rate(Number(row.clicked || 0), sent),
+      };
+    }),
+  };
+}
+
+/**
+ * Release the held recipients with the best variant's subject for every test
+ * whose wait window has passed. A tie goes to the earlier variant.
+ * @returns {Promise<number>} tests decided
+ */
+async function pickAbWinners() {
+  const due = await query(
+    "SELECT * FROM campaigns WHERE ab_status = 'testing' AND status = 'running' AND ab_test_ends_at <= ?",
+    [toMySQLDateTime(new Date())]
+  );
+  for (const campaign of due) {
+    const results = await getAbTestResults(campaign);
+    if (!results) continue;
+    const key = results.metric === 'click' ? 'click_rate' : 'open_rate';
+    const winner = results.variants.reduce((best, v) => (v[key] > best[key] ? v : best), results.variants[0]);
+
+    const claimed = await execute(
+      "UPDATE campaigns SET ab_status = 'decided', ab_winner = ? WHERE id = ? AND ab_status = 'testing'",
+      [winner.variant, campaign.id]
+    );
+    if (!claimed.affectedRows) continue;
+    const released = await execute(
+      "UPDATE campaign_recipients SET status = 'queued', variant = ? WHERE campaign_id = ? AND status = 'held'",
+      [winner.variant, campaign.id]
+    );
+    notifySystem(
+      campaign.tenant_id,
+      `A/B test decided: ${campaign.name}`,
+      `Variant ${winner.variant} ("${winner.subject}") won with a ${winner[key]}% ${results.metric} rate and is going to ${released.affectedRows} remaining recipients.`,
+      { campaign_id: campaign.id, winner: winner.variant }
+    ).catch(() => {});
+  }
+  return due.length;
+}
+
+// ─── Queueing ───────────────────────────────────────────────
+
+/**
+ * Queue a recipient row for every distinct address in the campaign's audience,
+ * or for every client of the tenant when it has none. Members without an
+ * address for the campaign's channel, or without marketing consent on it,
+ * are left out.
+ * @returns {Promise<number>} recipients queued
+ */
+export async function queueCampaignRecipients(campaign) {
+  await ensureCampaignDeliveryTables();
+  const address = campaign.type === 'sms' ? 'phone' : 'email';
+  const source = campaign.audience_id
+    ? {
+      sql: `SELECT am.contact_id,
+               COALESCE(NULLIF(am.email, ''), c.email) AS email,
+               COALESCE(NULLIF(am.phone, ''), c.phone) AS phone,
+               COALESCE(NULLIF(am.full_name, ''), TRIM(CONCAT(COALESCE(c.first_name, ''), ' ', COALESCE(c.last_name, '')))) AS full_name
+             FROM audience_members am
+             LEFT JOIN contacts c ON c.id = am.contact_id AND c.tenant_id = ?
+             WHERE am.audience_id = ? AND am.status = 'active'`,
+      params: [campaign.tenant_id, campaign.audience_id],
+    }
+    : {
+      sql: `SELECT c.id AS contact_id, c.email, c.phone,
+               TRIM(CONCAT(COALESCE(c.first_name, ''), ' ', COALESCE(c.last_name, ''))) AS full_name
+             FROM contacts c
+             WHERE c.tenant_id = ?`,
+      params: [campaign.tenant_id],
+    };
+  const consent = consentFilterSql(campaign.type, {
+    contactIdExpr: 'src.contact_id',
+    addressExpr: `src.${address}`,
+    requireOptIn: await isOptInRequired(campaign.tenant_id),
+  }, campaign.tenant_id);
+
+  const result = await execute(
+    `INSERT INTO campaign_recipients (campaign_id, tenant_id, contact_id, email, phone, full_name, status)
+     SELECT ?, ?, MIN(src.contact_id), MIN(src.email), MIN(src.phone), MIN(NULLIF(src.full_name, '')), 'queued'
+     FROM (${source.sql}) src
+     WHERE src.${address} IS NOT NULL AND src.${address} <> '' AND ${consent.sql}
+     GROUP BY src.${address}`,
+    [campaign.id, campaign.tenant_id, ...source.params, ...consent.params]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Why a campaign can't be sent as it is, or null when it can
+ */
+export async function validateCampaignForSend(campaign) {
+  await ensureCampaignDeliveryTables();
+  if (!DELIVERABLE_TYPES.includes(campaign.type)) return `Only ${DELIVERABLE_TYPES.join(' and ')} campaigns can be sent`;
+  if (!(await resolveCampaignContent(campaign))) {
+    return campaign.type === 'email' ? 'Campaign needs a subject and content or an email template' : 'Campaign needs an SMS body';
+  }
+  return validateAbTest(campaign, { trackingEnabled: await isTrackingEnabled(campaign.tenant_id) });
+}
+
+/**
+ * Queue the campaign's recipients, split off an A/B sample if it has a test,
+ * mark it running and send the first batch in the background
+ * @returns {Promise<{recipients: number, ab_test: ?{sample: number, held: number}}>}
+ */
+export async function startCampaignSend(campaign) {
+  const recipients = await queueCampaignRecipients(campaign);
+  if (!recipients) return { recipients: 0, ab_test: null };
+
+  const abTest = getAbTest(campaign);
+  const split = abTest ? await splitAbSample(campaign, abTest, recipients) : null;
+  await execute(
+    `UPDATE campaigns SET status = 'running', total_recipients = ?, sent_at = ?,
+       ab_status = ?, ab_winner = NULL, ab_test_ends_at = NULL
+     WHERE id = ?`,
+    [recipients, toMySQLDateTime(new Date()), split?.held ? 'testing' : null, campaign.id]
+  );
+  sendCampaignBatch(campaign.id).catch(err => console.error('[Campaigns] First batch failed:', err.message));
+  return { recipients, ab_test: split };
+}
+
+/**
+ * Start every scheduled campaign whose time has come. A campaign that can't
+ * be sent goes back to draft and the business is told why.
+ * @returns {Promise<number>} campaigns started
+ */
+async function startScheduledCampaigns() {
+  const due = await query(
+    "SELECT * FROM campaigns WHERE status = 'scheduled' AND scheduled_at IS NOT NULL AND scheduled_at <= ?",
+    [toMySQLDateTime(new Date())]
+  );
+  let started = 0;
+  for (const campaign of due) {
+    // Claim it so a slow run and the next one never both start it
+    const claimed = await execute("UPDATE campaigns SET status = 'starting' WHERE id = ? AND status = 'scheduled'", [campaign.id]);
+    if (!claimed.affectedRows) continue;
+    try {
+      const problem = await validateCampaignForSend(campaign);
+      const result = problem ? { recipients: 0 } : await startCampaignSend(campaign);
+      if (result.recipients) {
+        started++;
+        continue;
+      }
+      await execute("UPDATE campaigns SET status = 'draft' WHERE id = ? AND status = 'starting'", [campaign.id]);
+      notifySystem(
+        campaign.tenant_id,
+        `Scheduled campaign not sent: ${campaign.name}`,
+        problem || `No recipients with ${campaign.type === 'sms' ? 'a phone number' : 'an email address'} and marketing consent.`,
+        { campaign_id: campaign.id }
+      ).catch(() => {});
+    } catch (error) {
+      console.error(`[Campaigns] Scheduled start of campaign ${campaign.id} failed:`, error.message);
+      await execute("UPDATE campaigns SET status = 'scheduled' WHERE id = ? AND status = 'starting'", [campaign.id]).catch(() => {});
+    }
+  }
+  return started;
+}
+
+/**
+ * A scheduled time as UTC for storage, plus how the business reads it
+ */
+export async function describeSchedule(tenantId, utcDate) {
+  const timeZone = await getTenantTimezone(tenantId);
+  const { dateStr, timeStr } = formatInTimezone(utcDate, timeZone);
+  return { scheduled_at: toMySQLDateTime(utcDate), timezone: timeZone, local: `${dateStr} at ${timeStr}` };
+}
+
+// ─── Sending ────────────────────────────────────────────────
+
+async function mergeValues(campaign, recipient, branding) {
+  const [contact] = recipient.contact_id
+    ? await query('SELECT * FROM contacts WHERE id = ? AND tenant_id = ?', [recipient.contact_id, campaign.tenant_id])
+    : [];
+  const firstName = contact?.first_name || (recipient.full_name || '').split(' ')[0] || '';
+  const fullName = recipient.full_name || `${contact?.first_name || ''} ${contact?.last_name || ''}`.trim();
+  return {
+    ...(contact || {}),
+    first_name: firstName,
+    last_name: contact?.last_name || '',
+    full_name: fullName,
+    client_name: fullName,
+    customer_name: fullName,
+    email: recipient.email || '',
+    phone: recipient.phone || '',
+    business_name: branding.name,
+    campaign_name: campaign.name,
+    unsubscribe_url: unsubscribeUrl({
+      t: campaign.tenant_id,
+      ch: campaign.type,
+      c: recipient.contact_id || undefined,
+      a: (campaign.type === 'sms' ? recipient.phone : recipient.email) || undefined,
+      r: recipient.id,
+    }),
+  };
+}
+
+/**
+ * Send one recipient's message and record the outcome on its row. Consent is
+ * checked again since the client may have opted out after the send was queued.
+ * The row must still be claimed by this batch: one that was re-queued as
+ * stale (and perhaps claimed by a later batch) is left alone.
+ * @returns {Promise<'sent'|'failed'|'bounced'|'skipped'|null>} null when the claim was lost
+ */
+async function deliverToRecipient(campaign, content, recipient, { token, branding, tracking, linkCache, requireOptIn, subjects }) {
+  // Confirm the claim and renew it, so the row isn't taken as stale while it is sent
+  const owned = await execute(
+    "UPDATE campaign_recipients SET claimed_at = ? WHERE id = ? AND batch_token = ? AND status = 'sending'",
+    [toMySQLDateTime(new Date()), recipient.id, token]
+  );
+  if (!owned.affectedRows) return null;
+
+  const allowed = await canSendMarketing(campaign.tenant_id, campaign.type, {
+    contactId: recipient.contact_id,
+    address: campaign.type === 'sms' ? recipient.phone : recipient.email,
+    requireOptIn,
+  });
+  if (!allowed) {
+    await execute(
+      "UPDATE campaign_recipients SET status = 'skipped', error_message = 'No marketing consent', batch_token = NULL WHERE id = ?",
+      [recipient.id]
+    );
+    return 'skipped';
+  }
+
+  const values = await mergeValues(campaign, recipient, branding);
+  let result;
+  try {
+    if (campaign.type === 'sms') {
+      result = await sendSMS({ to: formatPhoneNumber(recipient.phone), message: renderPlaceholders(content.body, values) });
+    } else {
+      let html = appendUnsubscribeFooter(renderPlaceholders(content.body, values), values.unsubscribe_url, branding.name);
+      if (tracking) html = await addTracking(html, { campaignId: campaign.id, recipientId: recipient.id, linkCache });
+      result = await sendEmail({
+        to: recipient.email,
+        subject: renderPlaceholders(subjects[recipient.variant] || content.subject, values),
+        html,
+        tenantId: campaign.tenant_id,
+        headers: listUnsubscribeHeaders(values.unsubscribe_url),
+      });
+    }
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const now = toMySQLDateTime(new Date());
+  if (result.success) {
+    await execute(
+      "UPDATE campaign_recipients SET status = 'sent', sent_at = ?, message_id = ?, error_message = NULL, batch_token = NULL WHERE id = ?",
+      [now, result.messageId || null, recipient.id]
+    );
+    return 'sent';
+  }
+
+  const error = result.error || 'Unknown error';
+  if (BOUNCE_PATTERNS[campaign.type]?.test(error)) {
+    await execute(
+      "UPDATE campaign_recipients SET status = 'bounced', bounced_at = ?, error_message = ?, batch_token = NULL WHERE id = ?",
+      [now, error, recipient.id]
+    );
+    // A bad address stays out of the audience's next campaigns
+    if (campaign.audience_id) {
+      await execute(
+        `UPDATE audience_members SET status = 'bounced' WHERE audience_id = ? AND ${campaign.type === 'sms' ? 'phone' : 'email'} = ?`,
+        [campaign.audience_id, campaign.type === 'sms' ? recipient.phone : recipient.email]
+      );
+    }
+    return 'bounced';
+  }
+  await execute(
+    "UPDATE campaign_recipients SET status = 'failed', error_message = ?, batch_token = NULL WHERE id = ?",
+    [error, recipient.id]
+  );
+  return 'failed';
+}
+
+/**
+ * Recount a campaign's totals and rates from its recipient rows
+ */
+export async function refreshCampaignStats(campaignId) {
+  const [row] = await query(
+    `SELECT COUNT(*) AS total,
+       SUM(status = 'sent') AS sent,
+       SUM(status = 'failed') AS failed,
+       SUM(status = 'bounced') AS bounced,
+       SUM(opened_at IS NOT NULL) AS opened,
+       SUM(clicked_at IS NOT NULL) AS clicked
+     FROM campaign_recipients WHERE campaign_id = ? AND status NOT IN ('cancelled', 'skipped')`,
+    [campaignId]
+  );
+  const sent = Number(row?.sent || 0);
+  const rate = (n) => (sent > 0 ? Math.round((Number(n || 0) / sent) * 10000) / 100 : 0);
+  await execute(
+    `UPDATE campaigns SET total_recipients = ?, total_sent = ?, total_delivered = ?, total_failed = ?, total_bounced = ?,
+       total_opened = ?, total_clicked = ?, open_rate = ?, click_rate = ?
+     WHERE id = ?`,
+    [Number(row?.total || 0), sent, sent, Number(row?.failed || 0), Number(row?.bounced || 0),
+     Number(row?.opened || 0), Number(row?.clicked || 0), rate(row?.opened), rate(row?.clicked), campaignId]
+  );
+}
+
+/**
+ * Send the next batch of a running campaign. Recipients are claimed with a
+ * batch token first so two batches never send to the same row. The campaign
+ * status is checked before every message: once it is paused the rest of the
+ * batch goes back in the queue.
+ * @returns {Promise<{sent: number, failed: number, bounced: number, skipped: number}>}
+ */
+export async function sendCampaignBatch(campaignId) {
+  const counts = { sent: 0, failed: 0, bounced: 0, skipped: 0 };
+  await ensureCampaignDeliveryTables();
+  const [campaign] = await query('SELECT * FROM campaigns WHERE id = ?', [campaignId]);
+  if (!campaign || campaign.status !== 'running') return counts;
+
+  const content = await resolveCampaignContent(campaign);
+  if (!content) {
+    console.error(`[Campaigns] Campaign ${campaignId} has nothing to send — pausing it`);
+    await execute("UPDATE campaigns SET status = 'paused' WHERE id = ?", [campaignId]);
+    return counts;
+  }
+
+  const token = crypto.randomBytes(16).toString('hex');
+  await execute(
+    `UPDATE campaign_recipients SET status = 'sending', batch_token = ?, claimed_at = ?
+     WHERE campaign_id = ? AND status = 'queued' ORDER BY id LIMIT ${getBatchSize(campaign)}`,
+    [token, toMySQLDateTime(new Date()), campaignId]
+  );
+  const recipients = await query(
+    "SELECT * FROM campaign_recipients WHERE batch_token = ? AND status = 'sending' ORDER BY id",
+    [token]
+  );
+
+  const context = {
+    token,
+    branding: await getTenantBranding(campaign.tenant_id),
+    tracking: campaign.type === 'email' && await isTrackingEnabled(campaign.tenant_id),
+    linkCache: new Map(),
+    requireOptIn: await isOptInRequired(campaign.tenant_id),
+    subjects: Object.fromEntries((getAbTest(campaign)?.variants || []).map(v => [v.variant, v.subject])),
+  };
+  for (const recipient of recipients) {
+    const [current] = await query('SELECT status FROM campaigns WHERE id = ?', [campaignId]);
+    if (current?.status !== 'running') break;
+    const outcome = await deliverToRecipient(campaign, content, recipient, context);
+    if (outcome) counts[outcome]++;
+  }
+  // Rows not reached because the campaign was paused
+  await execute(
+    "UPDATE campaign_recipients SET status = 'queued', batch_token = NULL WHERE batch_token = ? AND status = 'sending'",
+    [token]
+  );
+
+  await refreshCampaignStats(campaignId);
+  const [{ remaining, held }] = await query(
+    `SELECT SUM(status IN ('queued', 'sending')) AS remaining, SUM(status = 'held') AS held
+     FROM campaign_recipients WHERE campaign_id = ?`,
+    [campaignId]
+  );
+  if (Number(remaining || 0) === 0 && Number(held || 0) > 0) {
+    // The A/B sample is out: the wait window starts now
+    await execute(
+      `UPDATE campaigns SET ab_test_ends_at = DATE_ADD(?, INTERVAL ${getAbTest(campaign)?.wait_hours || 4} HOUR)
+       WHERE id = ? AND ab_status = 'testing' AND ab_test_ends_at IS NULL`,
+      [toMySQLDateTime(new Date()), campaignId]
+    );
+  } else if (Number(remaining || 0) === 0) {
+    await execute(
+      "UPDATE campaigns SET status = 'completed', send_completed_at = ? WHERE id = ? AND status = 'running'",
+      [toMySQLDateTime(new Date()), campaignId]
+    );
+  }
+  return counts;
+}
+
+/**
+ * Start scheduled campaigns, decide finished A/B tests and send the next batch
+ * of every running campaign. Called by a cron job every minute.
+ * @returns {Promise<{started: number, campaigns: number, sent: number, failed: number, bounced: number}>}
+ */
+export async function processCampaignQueue() {
+  await ensureCampaignDeliveryTables();
+  const started = await startScheduledCampaigns();
+  await pickAbWinners();
+  await execute(
+    "UPDATE campaign_recipients SET status = 'queued', batch_token = NULL WHERE status = 'sending' AND claimed_at < ?",
+    [toMySQLDateTime(new Date(Date.now() - STALE_CLAIM_MINUTES * 60000))]
+  );
+  const campaigns = await query(
+    `SELECT c.id FROM campaigns c
+     WHERE c.status = 'running'
+       AND EXISTS (SELECT 1 FROM campaign_recipients r WHERE r.campaign_id = c.id AND r.status = 'queued')
+     ORDER BY c.sent_at, c.id`
+  );
+
+  const totals = { started, campaigns: campaigns.length, sent: 0, failed: 0, bounced: 0 };
+  for (const { id } of campaigns) {
+    try {
+      const counts = await sendCampaignBatch(id);
+      totals.sent += counts.sent;
+      totals.failed += counts.failed;
+      totals.bounced += counts.bounced;
+    } catch (error) {
+      console.error(`[Campaigns] Batch for campaign ${id} failed:`, error.message);
+    }
+  }
+  return totals;
+}
+
+export default {
+  DELIVERABLE_TYPES,
+  RECIPIENT_STATUSES,
+  AB_METRICS,
+  ensureCampaignDeliveryTables,
+  resolveCampaignContent,
+  getAbTest,
+  validateAbTest,
+  getAbTestResults,
+  validateCampaignForSend,
+  startCampaignSend,
+  describeSchedule,
+  queueCampaignRecipients,
+  refreshCampaignStats,
+  sendCampaignBatch,
+  processCampaignQueue,
+};
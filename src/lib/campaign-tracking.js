@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import { query, execute, toMySQLDateTime } from './database.js';
+import { config } from '../config.js';
+import { isUnsubscribeUrl } from './consent.js';
+
+/**
+ * Campaign Tracking
+ * Outgoing campaign emails get a 1×1 open pixel and their links are rewritten
+ * through a redirect, both keyed by a signed campaign_recipients id. Every hit
+ * is logged with its user agent and device type; the first open and click are
+ * stamped on the recipient row and counted on the campaign. A business can
+ * turn tracking off with `email_tracking: false` in its tenant settings.
+ */
+
+const TRACKING_BASE = `${process.env.API_URL || `http://localhost:${config.port}`}/api/public/campaigns`;
+
+// Transparent 1×1 GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+let _tablesReady = false;
+
+/**
+ * Ensure the link and event tables and the recipient engagement columns exist
+ */
+export async function ensureCampaignTrackingTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS campaign_links (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      campaign_id INT NOT NULL,
+      url TEXT NOT NULL,
+      url_hash CHAR(64) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_campaign_url (campaign_id, url_hash)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  await execute(`
+    CREATE TABLE IF NOT EXISTS campaign_tracking_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      campaign_id INT NOT NULL,
+      recipient_id INT NOT NULL,
+      link_id INT,
+      event_type ENUM('open', 'click') NOT NULL,
+      device_type VARCHAR(20),
+      user_agent VARCHAR(500),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_campaign (campaign_id, event_type),
+      INDEX idx_recipient (recipient_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  const columns = [
+    ['open_count', 'INT DEFAULT 0'],
+    ['click_count', 'INT DEFAULT 0'],
+    ['device_type', 'VARCHAR(20)'],
+    ['user_agent', 'VARCHAR(500)'],
+  ];
+  for (const [column, definition] of columns) {
+    try {
+      await execute(`ALTER TABLE campaign_recipients ADD COLUMN ${column} ${definition}`);
+    } catch (e) {
+      if (e.code !== 'ER_DUP_FIELDNAME') throw e;
+    }
+  }
+  _tablesReady = true;
+}
+
+/**
+ * Whether the tenant allows open and click tracking (on unless turned off)
+ */
+export async function isTrackingEnabled(tenantId) {
+  const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [tenantId]);
+  let settings = {};
+  try {
+    settings = typeof tenant?.settings === 'string' ? JSON.parse(tenant.settings) : (tenant?.settings || {});
+  } catch (e) { settings = {}; }
+  return settings?.email_tracking !== false;
+}
+
+// ─── Tokens ─────────────────────────────────────────────────
+
+const sign = (recipientId) =>
+  crypto.createHmac('sha256', config.jwt.secret).update(`campaign-recipient:${recipientId}`).digest('hex').slice(0, 20);
+
+export function recipientToken(recipientId) {
+  return `${recipientId}.${sign(recipientId)}`;
+}
+
+/**
+ * Recipient id from a tracking token, or null when it was not signed by us
+ */
+export function parseRecipientToken(token) {
+  const match = /^(\d+)\.([a-f0-9]{20})$/.exec(String(token || ''));
+  if (!match) return null;
+  const expected = sign(match[1]);
+  if (!crypto.timingSafeEqual(Buffer.from(match[2]), Buffer.from(expected))) return null;
+  return parseInt(match[1], 10);
+}
+
+// ─── Rewriting outgoing HTML ───────────────────────────────
+
+const decodeEntities = (url) => url.replace(/&amp;/g, '&');
+
+async function getLinkId(campaignId, url, cache) {
+  if (cache.has(url)) return cache.get(url);
+  const hash = crypto.createHash('sha256').update(url).digest('hex');
+  await execute('INSERT IGNORE INTO campaign_links (campaign_id, url, url_hash) VALUES (?, ?, ?)', [campaignId, url, hash]);
+  const [link] = await query('SELECT id FROM campaign_links WHERE campaign_id = ? AND url_hash = ?', [campaignId, hash]);
+  cache.set(url, link.id);
+  return link.id;
+}
+
+/**
+ * Route every http(s) link through the click redirect and add the open pixel.
+ * `linkCache` maps URLs to campaign_links ids across one batch.
+ */
+export async function addTracking(html, { campaignId, recipientId, linkCache = new Map() }) {
+  const token = recipientToken(recipientId);
+  const pattern = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi;
+  const links = [...html.matchAll(pattern)];
+  let tracked = '';
+  let last = 0;
+  for (const match of links) {
+    const url = decodeEntities(match[3]);
+    tracked += html.slice(last, match.index);
+    // Unsubscribe links stay direct so opting out never depends on tracking
+    if (url.startsWith(TRACKING_BASE) || isUnsubscribeUrl(url)) {
+      tracked += match[0];
+    } else {
+      const linkId = await getLinkId(campaignId, url, linkCache);
+      tracked += `${match[1]}${match[2]}${TRACKING_BASE}/c/${token}/${linkId}${match[2]}`;
+    }
+    last = match.index + match[0].length;
+  }
+  tracked += html.slice(last);
+
+  const pixel = `<img src="${TRACKING_BASE}/o/${token}.gif" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px" />`;
+  return /<\/body>/i.test(tracked) ? tracked.replace(/<\/body>/i, `${pixel}</body>`) : tracked + pixel;
+}
+
+// ─── Recording hits ─────────────────────────────────────────
+
+/**
+ * Rough device class from a user agent
+ */
+export function detectDevice(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'unknown';
+  if (/bot|crawler|spider|preview|scanner|GoogleImageProxy|YahooMailProxy/i.test(ua)) return 'proxy';
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(ua)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android|BlackBerry|IEMobile|Opera Mini/i.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+/**
+ * Log an open or click for a recipient. The first of each is stamped on the
+ * recipient and counted on the campaign; a click also counts as an open,
+ * since many clients block images.
+ * @returns {Promise<boolean>} whether the hit was recorded
+ */
+export async function recordTrackingEvent(recipientId, eventType, { linkId = null, userAgent = null, ip = null } = {}) {
+  await ensureCampaignTrackingTables();
+  const [recipient] = await query('SELECT * FROM campaign_recipients WHERE id = ?', [recipientId]);
+  if (!recipient || !(await isTrackingEnabled(recipient.tenant_id))) return false;
+
+  const deviceType = detectDevice(userAgent);
+  const agent = userAgent ? String(userAgent).slice(0, 500) : null;
+  const now = toMySQLDateTime(new Date());
+  await execute(
+    `INSERT INTO campaign_tracking_events (tenant_id, campaign_id, recipient_id, link_id, event_type, device_type, user_agent, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [recipient.tenant_id, recipient.campaign_id, recipient.id, linkId, eventType, deviceType, agent, ip]
+  );
+
+  const firstOpen = !recipient.opened_at;
+  const firstClick = eventType === 'click' && !recipient.clicked_at;
+  await execute(
+    `UPDATE campaign_recipients SET
+       opened_at = COALESCE(opened_at, ?),
+       clicked_at = ${eventType === 'click' ? 'COALESCE(clicked_at, ?)' : 'clicked_at'},
+       open_count = open_count + ?,
+       click_count = click_count + ?,
+       device_type = ?, user_agent = ?
+     WHERE id = ?`,
+    [now, ...(eventType === 'click' ? [now] : []), eventType === 'open' ? 1 : 0, eventType === 'click' ? 1 : 0,
+     deviceType, agent, recipient.id]
+  );
+
+  // Assignments run left to right, so the rates see the new totals
+  if (firstOpen || firstClick) {
+    await execute(
+      `UPDATE campaigns SET
+         total_opened = total_opened + ?,
+         total_clicked = total_clicked + ?,
+         open_rate = IF(total_sent > 0, ROUND(total_opened * 100 / total_sent, 2), 0),
+         click_rate = IF(total_sent > 0, ROUND(total_clicked * 100 / total_sent, 2), 0)
+       WHERE id = ?`,
+      [firstOpen ? 1 : 0, firstClick ? 1 : 0, recipient.campaign_id]
+    );
+  }
+  return true;
+}
+
+/**
+ * Destination of a tracked link, or null if it does not belong to the recipient's campaign
+ */
+export async function getLinkUrl(recipientId, linkId) {
+  await ensureCampaignTrackingTables();
+  const [link] = await query(
+    `SELECT l.url FROM campaign_links l
+     JOIN campaign_recipients r ON r.campaign_id = l.campaign_id
+     WHERE l.id = ? AND r.id = ?`,
+    [linkId, recipientId]
+  );
+  return link?.url || null;
+}
+
+// ─── Reporting ──────────────────────────────────────────────
+
+/**
+ * Opens, clicks, devices and top links for one campaign
+ */
+export async function getCampaignEngagement(campaignId) {
+  await ensureCampaignTrackingTables();
+  const [totals] = await query(
+    `SELECT SUM(event_type = 'open') AS opens, SUM(event_type = 'click') AS clicks,
+       COUNT(DISTINCT CASE WHEN event_type = 'open' THEN recipient_id END) AS unique_opens,
+       COUNT(DISTINCT CASE WHEN event_type = 'click' THEN recipient_id END) AS unique_clicks
+     FROM campaign_tracking_events WHERE campaign_id = ?`,
+    [campaignId]
+  );
+  const byDevice = await query(
+    `SELECT device_type, SUM(event_type = 'open') AS opens, SUM(event_type = 'click') AS clicks
+     FROM campaign_tracking_events WHERE campaign_id = ?
+     GROUP BY device_type ORDER BY COUNT(*) DESC`,
+    [campaignId]
+  );
+  const topLinks = await query(
+    `SELECT l.id, l.url, COUNT(e.id) AS clicks, COUNT(DISTINCT e.recipient_id) AS unique_clicks
+     FROM campaign_links l
+     LEFT JOIN campaign_tracking_events e ON e.link_id = l.id AND e.event_type = 'click'
+     WHERE l.campaign_id = ?
+     GROUP BY l.id, l.url ORDER BY clicks DESC LIMIT 20`,
+    [campaignId]
+  );
+  return {
+    opens: Number(totals?.opens || 0),
+    unique_opens: Number(totals?.unique_opens || 0),
+    clicks: Number(totals?.clicks || 0),
+    unique_clicks: Number(totals?.unique_clicks || 0),
+    by_device: byDevice,
+    top_links: topLinks,
+  };
+}
+
+export default {
+  TRACKING_PIXEL,
+  ensureCampaignTrackingTables,
+  isTrackingEnabled,
+  recipientToken,
+  parseRecipientToken,
+  addTracking,
+  detectDevice,
+  recordTrackingEvent,
+  getLinkUrl,
+  getCampaignEngagement,
+};
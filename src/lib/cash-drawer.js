@@ -0,0 +1,402 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { ensurePaymentTables } from './payments.js';
+import { notify } from './notify.js';
+
+/**
+ * Cash Drawer
+ * A drawer is opened by a staff member with a float and closed with a count.
+ * Every tender taken at the till while it is open (including each part of a
+ * split sale, refunds and reversals) is stamped with the drawer in the
+ * payments ledger; cash put in or taken out for other reasons is a pay-in or
+ * pay-out movement. Closing counts the cash (by denomination or as a total),
+ * compares it with what the drawer should hold, and freezes the Z-report in
+ * z_reports. A Z-report is never changed after it is written; a variance over
+ * the tenant's cash_variance_threshold is flagged and notified.
+ */
+
+export const MOVEMENT_TYPES = ['pay_in', 'pay_out'];
+
+// Tenders recorded by the system rather than taken at a till
+const NON_TILL_METHODS = ['deposit', 'online'];
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+let _tablesReady = false;
+
+/**
+ * Ensure the cash_drawer, cash_drawer_movements and z_reports tables exist
+ */
+export async function ensureCashDrawerTables() {
+  if (_tablesReady) return;
+  await ensurePaymentTables();
+  await execute(`
+    CREATE TABLE IF NOT EXISTS cash_drawer (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      branch_id INT,
+      staff_id INT NOT NULL,
+      opening_amount DECIMAL(10,2) DEFAULT 0,
+      closing_amount DECIMAL(10,2),
+      expected_amount DECIMAL(10,2),
+      difference DECIMAL(10,2),
+      cash_in DECIMAL(10,2) DEFAULT 0,
+      cash_out DECIMAL(10,2) DEFAULT 0,
+      status ENUM('open','closed') DEFAULT 'open',
+      opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_at DATETIME,
+      notes TEXT,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_branch (branch_id)
+    )
+  `);
+
+  await execute(`
+    CREATE TABLE IF NOT EXISTS cash_drawer_movements (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      drawer_id INT NOT NULL,
+      type VARCHAR(10) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      reason VARCHAR(255) NOT NULL,
+      staff_id INT,
+      created_at DATETIME NOT NULL,
+      INDEX idx_drawer (drawer_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await execute(`
+    CREATE TABLE IF NOT EXISTS z_reports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      drawer_id INT NOT NULL,
+      report_number VARCHAR(20) NOT NULL,
+      branch_id INT,
+      staff_id INT,
+      closed_by INT,
+      opened_at DATETIME NOT NULL,
+      closed_at DATETIME NOT NULL,
+      currency VARCHAR(10) DEFAULT 'AED',
+      opening_float DECIMAL(12,2) NOT NULL DEFAULT 0,
+      cash_sales DECIMAL(12,2) NOT NULL DEFAULT 0,
+      cash_refunds DECIMAL(12,2) NOT NULL DEFAULT 0,
+      pay_ins DECIMAL(12,2) NOT NULL DEFAULT 0,
+      pay_outs DECIMAL(12,2) NOT NULL DEFAULT 0,
+      expected_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+      counted_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+      variance DECIMAL(12,2) NOT NULL DEFAULT 0,
+      variance_flagged TINYINT(1) NOT NULL DEFAULT 0,
+      card_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      gift_card_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      report JSON NOT NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_drawer (drawer_id),
+      INDEX idx_tenant_closed (tenant_id, closed_at),
+      INDEX idx_branch (tenant_id, branch_id, closed_at),
+      INDEX idx_number (report_number),
+      UNIQUE KEY uniq_tenant_number (tenant_id, report_number)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  let ready = true;
+  const alters = [
+    'ALTER TABLE cash_drawer ADD COLUMN counted_denominations JSON AFTER closing_amount',
+    'ALTER TABLE cash_drawer ADD COLUMN closed_by INT AFTER closed_at',
+    'ALTER TABLE z_reports ADD UNIQUE KEY uniq_tenant_number (tenant_id, report_number)',
+  ];
+  for (const sql of alters) {
+    try {
+      await execute(sql);
+    } catch (e) {
+      // Column or key already exists – that's fine
+      if (e.code !== 'ER_DUP_FIELDNAME' && e.code !== 'ER_DUP_KEYNAME') ready = false;
+    }
+  }
+  _tablesReady = ready;
+}
+
+/**
+ * The open drawer a tender taken by this staff member goes into: their own,
+ * otherwise the one open at the branch. Null when there is none.
+ */
+export async function findOpenDrawer(tenantId, { staffId = null, branchId = null, method = null } = {}) {
+  if (NON_TILL_METHODS.includes(method)) return null;
+  if (!staffId && !branchId) return null;
+  try {
+    const [drawer] = await query(
+      `SELECT id FROM cash_drawer
+       WHERE tenant_id = ? AND status = 'open' AND (staff_id = ? OR (branch_id IS NOT NULL AND branch_id = ?))
+       ORDER BY staff_id = ? DESC, opened_at DESC LIMIT 1`,
+      [tenantId, staffId, branchId, staffId]
+    );
+    return drawer?.id || null;
+  } catch (e) {
+    // No drawer has ever been opened here
+    return null;
+  }
+}
+
+/**
+ * The tenant's cash variance threshold (tenants.settings.cash_variance_threshold), 0 by default
+ */
+export async function getVarianceThreshold(tenantId) {
+  const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [tenantId]);
+  let settings = {};
+  try {
+    settings = typeof tenant?.settings === 'string' ? JSON.parse(tenant.settings) : (tenant?.settings || {});
+  } catch (e) { settings = {}; }
+  const threshold = parseFloat(settings?.cash_variance_threshold);
+  return threshold >= 0 ? round2(threshold) : 0;
+}
+
+/**
+ * Check and total a cash count: [{ value, count }] per note or coin
+ * @returns {{ denominations?: object[], total?: number, error?: string }}
+ */
+export function countDenominations(input) {
+  if (!Array.isArray(input) || input.length === 0) return { error: 'denominations must be a non-empty list of { value, count }' };
+  const seen = new Set();
+  const denominations = [];
+  for (const [i, d] of input.entries()) {
+    const value = round2(d?.value);
+    const count = Number(d?.count);
+    if (!(value > 0)) return { error: `denominations[${i}].value must be greater than 0` };
+    if (!Number.isInteger(count) || count < 0) return { error: `denominations[${i}].count must be a whole number` };
+    if (seen.has(value)) return { error: `denominations[${i}]: ${value} is listed twice` };
+    seen.add(value);
+    denominations.push({ value, count, total: round2(value * count) });
+  }
+  denominations.sort((a, b) => b.value - a.value);
+  return { denominations, total: round2(denominations.reduce((sum, d) => sum + d.total, 0)) };
+}
+
+/**
+ * Record a pay-in or pay-out on an open drawer
+ */
+export async function addDrawerMovement(drawer, { type, amount, reason, userId = null }) {
+  await ensureCashDrawerTables();
+  if (!MOVEMENT_TYPES.includes(type)) return { error: `type must be one of: ${MOVEMENT_TYPES.join(', ')}`, status: 400 };
+  const value = round2(amount);
+  if (!(value > 0)) return { error: 'amount must be greater than 0', status: 400 };
+  if (!reason || !String(reason).trim()) return { error: 'A reason is required', status: 400 };
+
+  // Only into a drawer that is still open
+  const result = await execute(
+    `INSERT INTO cash_drawer_movements (tenant_id, drawer_id, type, amount, reason, staff_id, created_at)
+     SELECT tenant_id, id, ?, ?, ?, ?, ? FROM cash_drawer WHERE id = ? AND status = 'open'`,
+    [type, value, String(reason).trim().slice(0, 255), userId, toMySQLDateTime(new Date()), drawer.id]
+  );
+  if (!result.affectedRows) return { error: 'Cash drawer is closed', status: 409 };
+  return { movement: { id: result.insertId, drawer_id: drawer.id, type, amount: value, reason: String(reason).trim().slice(0, 255) } };
+}
+
+/**
+ * What a drawer has taken so far: the cash it should hold and the totals per
+ * tender from the ledger rows stamped with it, plus its pay-ins and pay-outs.
+ * Pass a count to compare it with the expected cash.
+ */
+export async function buildDrawerReport(drawer, { counted = null, denominations = null, threshold = 0 } = {}) {
+  await ensureCashDrawerTables();
+  const rows = await query(
+    `SELECT method, type, COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total, MAX(currency) AS currency
+     FROM payments WHERE drawer_id = ? GROUP BY method, type`,
+    [drawer.id]
+  );
+  const [counts] = await query(
+    `SELECT COUNT(DISTINCT pos_transaction_id) AS pos_sales, COUNT(DISTINCT invoice_id) AS invoices
+     FROM payments WHERE drawer_id = ? AND type = 'payment'`,
+    [drawer.id]
+  );
+  const movements = await query(
+    `SELECT m.id, m.type, m.amount, m.reason, m.staff_id, s.full_name AS staff_name, m.created_at
+     FROM cash_drawer_movements m LEFT JOIN staff s ON m.staff_id = s.id
+     WHERE m.drawer_id = ? ORDER BY m.created_at, m.id`,
+    [drawer.id]
+  );
+  const [people] = await query(
+    `SELECT s.full_name AS staff_name, b.name AS branch_name
+     FROM cash_drawer d LEFT JOIN staff s ON d.staff_id = s.id LEFT JOIN branches b ON d.branch_id = b.id
+     WHERE d.id = ?`,
+    [drawer.id]
+  );
+
+  const tenders = {};
+  let refundCount = 0;
+  for (const row of rows) {
+    const t = tenders[row.method] || (tenders[row.method] = { taken: 0, refunded: 0, reversed: 0, net: 0, count: 0 });
+    const total = round2(row.total);
+    if (row.type === 'payment') { t.taken = round2(t.taken + total); t.count += Number(row.count); }
+    if (row.type === 'refund') { t.refunded = round2(t.refunded - total); refundCount += Number(row.count); }
+    if (row.type === 'reversal') t.reversed = round2(t.reversed - total);
+    t.net = round2(t.taken - t.refunded - t.reversed);
+  }
+  const cashTender = tenders.cash || { taken: 0, refunded: 0, reversed: 0, net: 0, count: 0 };
+  const payIns = round2(movements.filter(m => m.type === 'pay_in').reduce((sum, m) => sum + parseFloat(m.amount), 0));
+  const payOuts = round2(movements.filter(m => m.type === 'pay_out').reduce((sum, m) => sum + parseFloat(m.amount), 0));
+  const openingFloat = round2(drawer.opening_amount);
+  const expected = round2(openingFloat + cashTender.net + payIns - payOuts);
+
+  const cash = {
+    opening_float: openingFloat,
+    sales: cashTender.taken,
+    refunds: cashTender.refunded,
+    reversals: cashTender.reversed,
+    pay_ins: payIns,
+    pay_outs: payOuts,
+    expected,
+    counted: counted === null ? null : round2(counted),
+    variance: counted === null ? null : round2(counted - expected),
+    denominations,
+  };
+  const nonCash = Object.entries(tenders).filter(([method]) => method !== 'cash');
+
+  return {
+    drawer_id: drawer.id,
+    branch_id: drawer.branch_id || null,
+    branch_name: people?.branch_name || null,
+    staff_id: drawer.staff_id,
+    staff_name: people?.staff_name || null,
+    opened_at: drawer.opened_at,
+    closed_at: drawer.closed_at || null,
+    currency: rows.find(r => r.currency)?.currency || 'AED',
+    cash,
+    variance_threshold: threshold,
+    variance_flagged: cash.variance !== null && Math.abs(cash.variance) > threshold,
+    tenders,
+    card_total: tenders.card?.net || 0,
+    gift_card_total: tenders.gift_card?.net || 0,
+    totals: {
+      taken: round2(Object.values(tenders).reduce((sum, t) => sum + t.taken, 0)),
+      refunded: round2(Object.values(tenders).reduce((sum, t) => sum + t.refunded + t.reversed, 0)),
+      net: round2(Object.values(tenders).reduce((sum, t) => sum + t.net, 0)),
+      non_cash: round2(nonCash.reduce((sum, [, t]) => sum + t.net, 0)),
+    },
+    counts: {
+      pos_sales: Number(counts?.pos_sales || 0),
+      invoices: Number(counts?.invoices || 0),
+      refunds: refundCount,
+      movements: movements.length,
+    },
+    movements: movements.map(m => ({ ...m, amount: round2(m.amount) })),
+  };
+}
+
+async function nextReportNumber(tenantId) {
+  const [last] = await query(
+    'SELECT report_number FROM z_reports WHERE tenant_id = ? ORDER BY id DESC LIMIT 1',
+    [tenantId]
+  );
+  if (!last || !last.report_number) return 'Z-0001';
+  const num = parseInt(last.report_number.replace('Z-', '')) || 0;
+  return `Z-${String(num + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Close a drawer with its count and write its Z-report. The count is given by
+ * denomination ([{ value, count }]) or as a closing amount; when both are
+ * given they must agree.
+ */
+export async function closeDrawer(drawer, { denominations = null, closingAmount = null, notes = null, userId = null } = {}) {
+  await ensureCashDrawerTables();
+  let counted = closingAmount === null || closingAmount === undefined || closingAmount === '' ? null : round2(closingAmount);
+  let counts = null;
+  if (denominations !== null && denominations !== undefined) {
+    const result = countDenominations(denominations);
+    if (result.error) return { error: result.error, status: 400 };
+    if (counted !== null && counted !== result.total) {
+      return { error: `closing_amount ${counted.toFixed(2)} does not match the denominations counted (${result.total.toFixed(2)})`, status: 400 };
+    }
+    counts = result.denominations;
+    counted = result.total;
+  }
+  if (counted === null) return { error: 'Count the drawer: denominations or closing_amount is required', status: 400 };
+  if (counted < 0) return { error: 'closing_amount cannot be negative', status: 400 };
+
+  // Claim the drawer so nothing else closes it or records into it
+  const closedAt = toMySQLDateTime(new Date());
+  const claimed = await execute(
+    "UPDATE cash_drawer SET status = 'closed', closed_at = ?, closed_by = ? WHERE id = ? AND status = 'open'",
+    [closedAt, userId, drawer.id]
+  );
+  if (!claimed.affectedRows) return { error: 'Cash drawer is already closed', status: 409 };
+
+  let report;
+  try {
+    const threshold = await getVarianceThreshold(drawer.tenant_id);
+    report = await buildDrawerReport({ ...drawer, closed_at: closedAt }, { counted, denominations: counts, threshold });
+    report.closed_by = userId;
+    report.notes = notes || null;
+
+    await execute(`
+      UPDATE cash_drawer SET closing_amount = ?, counted_denominations = ?, expected_amount = ?, difference = ?,
+      cash_in = ?, cash_out = ?, notes = ?
+      WHERE id = ?
+    `, [counted, counts ? JSON.stringify(counts) : null, report.cash.expected, report.cash.variance,
+        report.cash.sales, round2(report.cash.refunds + report.cash.reversals), notes || null, drawer.id]);
+
+    // Drawers closing together can take the same number; the unique key turns that into a retry
+    let result;
+    for (let attempt = 1; !result; attempt++) {
+      report.report_number = await nextReportNumber(drawer.tenant_id);
+      try {
+        result = await execute(`
+          INSERT INTO z_reports (tenant_id, drawer_id, report_number, branch_id, staff_id, closed_by, opened_at, closed_at,
+            currency, opening_float, cash_sales, cash_refunds, pay_ins, pay_outs, expected_cash, counted_cash, variance,
+            variance_flagged, card_total, gift_card_total, report, notes)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [drawer.tenant_id, drawer.id, report.report_number, drawer.branch_id || null, drawer.staff_id, userId,
+            drawer.opened_at, closedAt, report.currency, report.cash.opening_float, report.cash.sales,
+            round2(report.cash.refunds + report.cash.reversals), report.cash.pay_ins, report.cash.pay_outs,
+            report.cash.expected, report.cash.counted, report.cash.variance, report.variance_flagged ? 1 : 0,
+            report.card_total, report.gift_card_total, JSON.stringify(report), notes || null]);
+      } catch (e) {
+        if (e.code !== 'ER_DUP_ENTRY' || !String(e.message).includes('uniq_tenant_number') || attempt >= 5) throw e;
+      }
+    }
+    report.id = result.insertId;
+  } catch (e) {
+    // Nothing was written for it — leave the drawer open to close again
+    await execute("UPDATE cash_drawer SET status = 'open', closed_at = NULL, closed_by = NULL WHERE id = ?", [drawer.id]);
+    throw e;
+  }
+
+  if (report.variance_flagged) {
+    const who = report.staff_name || `staff #${drawer.staff_id}`;
+    const where = report.branch_name ? ` at ${report.branch_name}` : '';
+    notify({
+      tenantId: drawer.tenant_id,
+      type: 'pos',
+      category: 'warning',
+      title: 'Cash drawer variance',
+      message: `${report.report_number}: ${who}'s drawer${where} is ${report.cash.variance > 0 ? 'over' : 'short'} by ${report.currency} ${Math.abs(report.cash.variance).toFixed(2)} (expected ${report.cash.expected.toFixed(2)}, counted ${report.cash.counted.toFixed(2)})`,
+      data: { z_report_id: report.id, drawer_id: drawer.id, variance: report.cash.variance },
+      link: '/pos',
+      icon: 'alert-triangle',
+    }).catch(() => {});
+  }
+
+  return { report };
+}
+
+/**
+ * A closed drawer's Z-report as it was written
+ */
+export async function getZReport(tenantId, id) {
+  await ensureCashDrawerTables();
+  const [row] = await query('SELECT * FROM z_reports WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  if (!row) return null;
+  const report = typeof row.report === 'string' ? JSON.parse(row.report) : row.report;
+  return { ...report, id: row.id, report_number: row.report_number, created_at: row.created_at };
+}
+
+export default {
+  MOVEMENT_TYPES,
+  ensureCashDrawerTables,
+  findOpenDrawer,
+  getVarianceThreshold,
+  countDenominations,
+  addDrawerMovement,
+  buildDrawerReport,
+  closeDrawer,
+  getZReport,
+};
@@ -0,0 +1,619 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { ensureCreditNoteTables } from './credit-notes.js';
+import { getTipShares } from './tips.js';
+import { zonedDayRange, getSchedulingTimezone } from './timezone.js';
+
+/**
+ * Staff Commissions
+ * Commission rules are set per staff member, role or service category, for
+ * services, retail, packages or tips: a percentage or a fixed amount per unit,
+ * on the gross line price or net of discounts, optionally with tiers on what
+ * the staff member sold in the period. The most specific active rule wins;
+ * without one a staff member earns their staff.commission_rate on services,
+ * products and packages and keeps their tips in full.
+ *
+ * When an invoice is paid every line earns a commission_entries row for the
+ * staff member who performed it (invoice_items.staff_id, else the invoice's
+ * staff); a tip earns one per staff member it was shared with. Credit notes claw back the credited share of a line, and reversing
+ * the payment or voiding the invoice claws back the rest. A payout closes
+ * every open entry up to the end of its period into a statement.
+ */
+
+export const COMMISSION_ITEM_TYPES = ['service', 'product', 'package', 'tip', 'all'];
+export const COMMISSION_RATE_TYPES = ['percentage', 'fixed'];
+export const COMMISSION_BASES = ['gross', 'net'];
+export const TIER_MODES = ['progressive', 'flat'];
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+const parseJson = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+
+let _tablesReady = false;
+
+/**
+ * Ensure commission_rules, commission_entries, commission_payouts and
+ * invoice_items.staff_id exist
+ */
+export async function ensureCommissionTables() {
+  if (_tablesReady) return;
+  await ensureCreditNoteTables();
+  await execute(`
+    CREATE TABLE IF NOT EXISTS commission_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      staff_id INT,
+      role VARCHAR(50),
+      service_category_id INT,
+      item_type VARCHAR(20) NOT NULL DEFAULT 'all',
+      rate_type VARCHAR(20) NOT NULL DEFAULT 'percentage',
+      rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+      basis VARCHAR(10) NOT NULL DEFAULT 'net',
+      tiers JSON,
+      tier_mode VARCHAR(20) NOT NULL DEFAULT 'progressive',
+      is_active TINYINT(1) DEFAULT 1,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id, is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  await execute(`
+    CREATE TABLE IF NOT EXISTS commission_entries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      staff_id INT NOT NULL,
+      invoice_id INT NOT NULL,
+      invoice_item_id INT NOT NULL,
+      credit_note_id INT,
+      earned_entry_id INT,
+      type VARCHAR(20) NOT NULL DEFAULT 'earned',
+      item_type VARCHAR(20),
+      service_category_id INT,
+      quantity INT DEFAULT 1,
+      sale_amount DECIMAL(12,2) DEFAULT 0,
+      rule_id INT,
+      rate_type VARCHAR(20),
+      rate DECIMAL(10,2) DEFAULT 0,
+      basis VARCHAR(10),
+      tiered TINYINT(1) DEFAULT 0,
+      commission DECIMAL(12,2) DEFAULT 0,
+      reversed_at DATETIME,
+      payout_id INT,
+      notes VARCHAR(255),
+      entry_date DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_staff_date (tenant_id, staff_id, entry_date),
+      INDEX idx_invoice_item (invoice_item_id),
+      INDEX idx_payout (payout_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  await execute(`
+    CREATE TABLE IF NOT EXISTS commission_payouts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      staff_id INT NOT NULL,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'finalized',
+      sales_total DECIMAL(12,2) DEFAULT 0,
+      earned_total DECIMAL(12,2) DEFAULT 0,
+      clawback_total DECIMAL(12,2) DEFAULT 0,
+      tier_adjustment DECIMAL(12,2) DEFAULT 0,
+      tips_total DECIMAL(12,2) DEFAULT 0,
+      commission_total DECIMAL(12,2) DEFAULT 0,
+      summary JSON,
+      payment_reference VARCHAR(100),
+      notes TEXT,
+      paid_at DATETIME,
+      paid_by INT,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_staff (tenant_id, staff_id, period_end)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  let ready = true;
+  try {
+    await execute('ALTER TABLE invoice_items ADD COLUMN staff_id INT');
+  } catch (e) {
+    // Column already exists – that's fine; a missing table means retry next time
+    if (e.code !== 'ER_DUP_FIELDNAME') ready = false;
+  }
+  _tablesReady = ready;
+}
+
+// ─── Rules ─────────────────────────────────────────────────
+
+/**
+ * Validate a commission rule
+ * @returns {string|null} error message or null
+ */
+export function validateCommissionRule(body) {
+  if (!body.name || !String(body.name).trim()) return 'name is required';
+  if (body.item_type !== undefined && !COMMISSION_ITEM_TYPES.includes(body.item_type)) {
+    return `item_type must be one of: ${COMMISSION_ITEM_TYPES.join(', ')}`;
+  }
+  if (body.rate_type !== undefined && !COMMISSION_RATE_TYPES.includes(body.rate_type)) {
+    return `rate_type must be one of: ${COMMISSION_RATE_TYPES.join(', ')}`;
+  }
+  if (body.basis !== undefined && !COMMISSION_BASES.includes(body.basis)) {
+    return `basis must be one of: ${COMMISSION_BASES.join(', ')}`;
+  }
+  if (body.tier_mode !== undefined && !TIER_MODES.includes(body.tier_mode)) {
+    return `tier_mode must be one of: ${TIER_MODES.join(', ')}`;
+  }
+  const rate = parseFloat(body.rate);
+  if (!(rate >= 0)) return 'rate must be zero or more';
+  if ((body.rate_type || 'percentage') === 'percentage' && rate > 100) return 'A percentage rate cannot exceed 100';
+  if (body.service_category_id && body.item_type && !['service', 'all'].includes(body.item_type)) {
+    return 'A service category rule applies to services only';
+  }
+  if (body.tiers !== undefined && body.tiers !== null) {
+    if (!Array.isArray(body.tiers) || body.tiers.length === 0) return 'tiers must be a non-empty list';
+    if (body.rate_type === 'fixed') return 'Tiers apply to percentage rules only';
+    let last = 0;
+    for (const [i, tier] of body.tiers.entries()) {
+      const from = parseFloat(tier.from);
+      const rate = parseFloat(tier.rate);
+      if (!(from > last)) return `tiers[${i}]: from must be above ${last}`;
+      if (!(rate >= 0) || rate > 100) return `tiers[${i}]: rate must be between 0 and 100`;
+      last = from;
+    }
+  }
+  return null;
+}
+
+/**
+ * Commission on a period's sales under a tiered rule. The rule's own rate
+ * applies below the first tier. Progressive pays each band at its rate;
+ * flat pays the whole amount at the rate of the highest tier reached.
+ */
+export function applyTiers(rule, sales) {
+  const bands = [{ from: 0, rate: parseFloat(rule.rate) || 0 }, ...(parseJson(rule.tiers) || [])
+    .map(t => ({ from: parseFloat(t.from), rate: parseFloat(t.rate) }))];
+  if (sales <= 0) return 0;
+
+  if (rule.tier_mode === 'flat') {
+    const reached = bands.filter(b => sales >= b.from).pop();
+    return round2(sales * reached.rate / 100);
+  }
+  let commission = 0;
+  for (const [i, band] of bands.entries()) {
+    const upper = bands[i + 1] ? Math.min(sales, bands[i + 1].from) : sales;
+    if (upper <= band.from) break;
+    commission += (upper - band.from) * band.rate / 100;
+  }
+  return round2(commission);
+}
+
+// The kind of sale an invoice line is, as rules see it
+function lineKind(item) {
+  if (item.item_type === 'custom' && String(item.name || '').trim().toLowerCase() === 'tip') return 'tip';
+  return item.item_type;
+}
+
+/**
+ * The most specific active rule for a staff member and line:
+ * staff beats role beats category beats item type; ties go to the newest rule.
+ * 'all' rules cover services, products and packages but not tips.
+ */
+export function matchCommissionRule(rules, staff, line) {
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if (!rule.is_active) continue;
+    if (rule.staff_id && rule.staff_id !== staff.id) continue;
+    if (rule.role && rule.role !== staff.role) continue;
+    if (rule.service_category_id && (line.kind !== 'service' || rule.service_category_id !== line.category_id)) continue;
+    if (rule.item_type === 'all' ? !['service', 'product', 'package'].includes(line.kind) : rule.item_type !== line.kind) continue;
+    const score = (rule.staff_id ? 8 : 0) + (rule.role ? 4 : 0) + (rule.service_category_id ? 2 : 0) + (rule.item_type !== 'all' ? 1 : 0);
+    if (score > bestScore || (score === bestScore && rule.id > best.id)) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  if (best) return best;
+
+  // No rule: tips pass through in full, sales earn the staff member's own rate
+  if (line.kind === 'tip') return { id: null, rate_type: 'percentage', rate: 100, basis: 'gross', tiers: null };
+  if (['service', 'product', 'package'].includes(line.kind) && parseFloat(staff.commission_rate) > 0) {
+    return { id: null, rate_type: 'percentage', rate: parseFloat(staff.commission_rate), basis: 'net', tiers: null };
+  }
+  return null;
+}
+
+// ─── Invoice lines ─────────────────────────────────────────
+
+// Lines of an invoice with their gross and net (after all discounts, before tax) value
+// and their value as credit notes see it (share of the invoice total)
+async function invoiceLines(invoice) {
+  const items = await query(`
+    SELECT ii.*, p.category_id,
+      COALESCE((SELECT SUM(cni.total) FROM credit_note_items cni WHERE cni.invoice_item_id = ii.id), 0) AS credited_total
+    FROM invoice_items ii
+    LEFT JOIN products p ON ii.item_type = 'service' AND p.id = ii.item_id
+    WHERE ii.invoice_id = ?
+    ORDER BY ii.id
+  `, [invoice.id]);
+  const itemsTotal = items.reduce((sum, i) => sum + parseFloat(i.total || 0), 0);
+  const total = parseFloat(invoice.total || 0);
+  const taxRate = parseFloat(invoice.tax_rate || 0);
+  const valueFactor = itemsTotal > 0 ? total / itemsTotal : 0;
+  const netFactor = valueFactor / (1 + taxRate / 100);
+
+  return items.map(item => {
+    const quantity = parseInt(item.quantity) || 1;
+    return {
+      ...item,
+      kind: lineKind(item),
+      quantity,
+      category_id: item.category_id || null,
+      gross: round2(parseFloat(item.unit_price || 0) * quantity),
+      net: round2(parseFloat(item.total || 0) * netFactor),
+      value: round2(parseFloat(item.total || 0) * valueFactor),
+      credited_total: parseFloat(item.credited_total || 0),
+    };
+  });
+}
+
+// Commission on part of a line under a rule (tiered rules at their base rate;
+// the statement tops them up once the period's sales are known)
+function commissionFor(rule, line, share) {
+  if (rule.rate_type === 'fixed') return round2(parseFloat(rule.rate) * line.quantity * share);
+  const sale = rule.basis === 'gross' ? line.gross : line.net;
+  return round2(sale * share * parseFloat(rule.rate) / 100);
+}
+
+/**
+ * Record what each line of a paid invoice earns. Lines that already have an
+ * earned entry are skipped, and anything already credited is left out. A tip
+ * line is earned by the staff it was shared with, each on their share. Pass
+ * db to read the invoice inside the transaction that just marked it paid.
+ * @returns {Promise<number>} entries created
+ */
+export async function recordInvoiceCommission(invoiceId, { entryDate = null, db = null } = {}) {
+  try {
+    await ensureCommissionTables();
+    const [invoice] = await (db || { query }).query('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+    if (!invoice || invoice.status !== 'paid') return 0;
+
+    const lines = await invoiceLines(invoice);
+    const earned = await query(
+      "SELECT invoice_item_id, staff_id FROM commission_entries WHERE invoice_id = ? AND type = 'earned' AND reversed_at IS NULL",
+      [invoice.id]
+    );
+    const done = new Set(earned.map(e => `${e.invoice_item_id}:${e.staff_id}`));
+    const todo = [];
+    for (const line of lines) {
+      const shares = line.kind === 'tip' ? await getTipShares({ invoiceItemId: line.id }) : [];
+      const shared = shares.reduce((sum, s) => sum + s.amount, 0);
+      const earners = shared > 0
+        ? shares.map(s => ({ staffId: s.staff_id, portion: s.amount / shared }))
+        : [{ staffId: line.staff_id || invoice.staff_id, portion: 1 }];
+      for (const earner of earners) {
+        if (earner.staffId && !done.has(`${line.id}:${earner.staffId}`)) todo.push({ line, ...earner });
+      }
+    }
+    if (todo.length === 0) return 0;
+
+    const rules = await query('SELECT * FROM commission_rules WHERE tenant_id = ? AND is_active = 1', [invoice.tenant_id]);
+    const staffIds = [...new Set(todo.map(t => t.staffId))];
+    const staffRows = await query(
+      `SELECT id, role, commission_rate FROM staff WHERE tenant_id = ? AND id IN (${staffIds.map(() => '?').join(',')})`,
+      [invoice.tenant_id, ...staffIds]
+    );
+    const date = toMySQLDateTime(entryDate || new Date());
+
+    let created = 0;
+    for (const { line, staffId, portion } of todo) {
+      const staff = staffRows.find(s => s.id === staffId);
+      if (!staff) continue;
+      const rule = matchCommissionRule(rules, staff, line);
+      if (!rule) continue;
+
+      const share = (line.value > 0 ? Math.max(0, 1 - line.credited_total / line.value) : 1) * portion;
+      const sale = round2((rule.basis === 'gross' ? line.gross : line.net) * share);
+      const commission = commissionFor(rule, line, share);
+      if (sale <= 0 && commission <= 0) continue;
+
+      await execute(`
+        INSERT INTO commission_entries (tenant_id, staff_id, invoice_id, invoice_item_id, type, item_type,
+          service_category_id, quantity, sale_amount, rule_id, rate_type, rate, basis, tiered, commission, entry_date)
+        VALUES (?, ?, ?, ?, 'earned', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [invoice.tenant_id, staff.id, invoice.id, line.id, line.kind, line.category_id, line.quantity, sale,
+          rule.id, rule.rate_type, rule.rate, rule.basis, parseJson(rule.tiers) ? 1 : 0, commission, date]);
+      created++;
+    }
+    return created;
+  } catch (error) {
+    console.error('[Commissions] Record failed:', error.message);
+    return 0;
+  }
+}
+
+// Claw back part of an earned entry, never more than is left of it
+async function clawBack(entry, share, { creditNoteId = null, notes = null } = {}) {
+  const [{ sale_left, commission_left }] = await query(`
+    SELECT ? + COALESCE(SUM(sale_amount), 0) AS sale_left, ? + COALESCE(SUM(commission), 0) AS commission_left
+    FROM commission_entries WHERE earned_entry_id = ?
+  `, [entry.sale_amount, entry.commission, entry.id]);
+  const sale = Math.min(round2(sale_left), round2(parseFloat(entry.sale_amount) * share));
+  const ratio = parseFloat(entry.sale_amount) > 0 ? sale / parseFloat(entry.sale_amount) : share;
+  const commission = Math.min(round2(commission_left), round2(parseFloat(entry.commission) * ratio));
+  if (sale <= 0 && commission <= 0) return false;
+
+  await execute(`
+    INSERT INTO commission_entries (tenant_id, staff_id, invoice_id, invoice_item_id, credit_note_id, earned_entry_id,
+      type, item_type, service_category_id, quantity, sale_amount, rule_id, rate_type, rate, basis, tiered, commission,
+      notes, entry_date)
+    VALUES (?, ?, ?, ?, ?, ?, 'clawback', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [entry.tenant_id, entry.staff_id, entry.invoice_id, entry.invoice_item_id, creditNoteId, entry.id,
+      entry.item_type, entry.service_category_id, entry.quantity, -sale, entry.rule_id, entry.rate_type, entry.rate,
+      entry.basis, entry.tiered, -commission, notes ? String(notes).slice(0, 255) : null, toMySQLDateTime(new Date())]);
+  return true;
+}
+
+/**
+ * Claw back commission on the lines a credit note credits, in proportion to
+ * the share of each line's value it takes back
+ * @returns {Promise<number>} entries clawed back
+ */
+export async function clawbackCreditNote(creditNoteId) {
+  try {
+    await ensureCommissionTables();
+    const [creditNote] = await query('SELECT * FROM credit_notes WHERE id = ?', [creditNoteId]);
+    if (!creditNote) return 0;
+    const [invoice] = await query('SELECT * FROM invoices WHERE id = ?', [creditNote.invoice_id]);
+    if (!invoice) return 0;
+
+    const lines = await invoiceLines(invoice);
+    const credited = await query('SELECT * FROM credit_note_items WHERE credit_note_id = ?', [creditNoteId]);
+    let count = 0;
+    for (const item of credited) {
+      const line = lines.find(l => l.id === item.invoice_item_id);
+      if (!line || !(line.value > 0)) continue;
+      const entries = await query(
+        "SELECT * FROM commission_entries WHERE invoice_item_id = ? AND type = 'earned' AND reversed_at IS NULL",
+        [line.id]
+      );
+      if (entries.length === 0) continue;
+
+      // The entries were earned on what was left of the line at the time; scale the credit to that
+      const creditedBefore = Math.max(0, line.credited_total - parseFloat(item.total || 0));
+      const earnedOn = line.value - creditedBefore;
+      if (!(earnedOn > 0)) continue;
+      const share = Math.min(1, parseFloat(item.total || 0) / earnedOn);
+      for (const entry of entries) {
+        if (await clawBack(entry, share, { creditNoteId, notes: `Credit note ${creditNote.credit_note_number}` })) count++;
+      }
+    }
+    return count;
+  } catch (error) {
+    console.error('[Commissions] Credit note clawback failed:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Claw back everything still standing on an invoice (payment reversed or
+ * invoice voided), or on one of its lines. The earned entries are closed so
+ * a later payment earns afresh.
+ * @returns {Promise<number>} entries clawed back
+ */
+export async function reverseInvoiceCommission(invoiceId, reason = 'Payment reversed', { invoiceItemId = null } = {}) {
+  try {
+    await ensureCommissionTables();
+    const entries = await query(
+      `SELECT * FROM commission_entries WHERE invoice_id = ? AND type = 'earned' AND reversed_at IS NULL
+       ${invoiceItemId ? 'AND invoice_item_id = ?' : ''}`,
+      invoiceItemId ? [invoiceId, invoiceItemId] : [invoiceId]
+    );
+    let count = 0;
+    for (const entry of entries) {
+      const claimed = await execute(
+        'UPDATE commission_entries SET reversed_at = ? WHERE id = ? AND reversed_at IS NULL',
+        [toMySQLDateTime(new Date()), entry.id]
+      );
+      if (!claimed.affectedRows) continue;
+      if (await clawBack(entry, 1, { notes: reason })) count++;
+    }
+    return count;
+  } catch (error) {
+    console.error('[Commissions] Reversal failed:', error.message);
+    return 0;
+  }
+}
+
+// ─── Statements ────────────────────────────────────────────
+
+/**
+ * A staff member's commission statement, either for the entries dated in a
+ * period or for the entries closed into a payout
+ * @param {object} scope - { from, to } or { payoutId }
+ */
+export async function buildStatement(tenantId, staffId, scope) {
+  await ensureCommissionTables();
+  const [staff] = await query(
+    'SELECT id, full_name, role, commission_rate FROM staff WHERE id = ? AND tenant_id = ?',
+    [staffId, tenantId]
+  );
+  if (!staff) return null;
+
+  let where = 'e.tenant_id = ? AND e.staff_id = ?';
+  const params = [tenantId, staffId];
+  if (scope.payoutId) {
+    where += ' AND e.payout_id = ?';
+    params.push(scope.payoutId);
+  } else {
+    // Period days are the staff member's local days, entry_date is UTC
+    const timeZone = await getSchedulingTimezone(tenantId, { staffId });
+    where += ' AND e.entry_date >= ? AND e.entry_date < ?';
+    params.push(
+      toMySQLDateTime(zonedDayRange(scope.from, timeZone).start),
+      toMySQLDateTime(zonedDayRange(scope.to, timeZone).end)
+    );
+  }
+  const entries = await query(`
+    SELECT e.*, i.invoice_number, ii.name AS item_name, cn.credit_note_number, r.name AS rule_name
+    FROM commission_entries e
+    LEFT JOIN invoices i ON e.invoice_id = i.id
+    LEFT JOIN invoice_items ii ON e.invoice_item_id = ii.id
+    LEFT JOIN credit_notes cn ON e.credit_note_id = cn.id
+    LEFT JOIN commission_rules r ON e.rule_id = r.id
+    WHERE ${where}
+    ORDER BY e.entry_date, e.id
+  `, params);
+
+  const byType = {};
+  let earned = 0;
+  let clawback = 0;
+  let sales = 0;
+  let tips = 0;
+  const lines = entries.map(e => {
+    const sale = parseFloat(e.sale_amount);
+    const commission = parseFloat(e.commission);
+    if (e.type === 'earned') earned += commission; else clawback += commission;
+    if (e.item_type === 'tip') tips += commission; else sales += sale;
+    const bucket = byType[e.item_type] || (byType[e.item_type] = { sales: 0, commission: 0 });
+    bucket.sales = round2(bucket.sales + sale);
+    bucket.commission = round2(bucket.commission + commission);
+    return {
+      id: e.id,
+      date: e.entry_date,
+      type: e.type,
+      invoice_id: e.invoice_id,
+      invoice_number: e.invoice_number,
+      credit_note_number: e.credit_note_number,
+      item_name: e.item_name,
+      item_type: e.item_type,
+      quantity: e.quantity,
+      basis: e.basis,
+      sale_amount: sale,
+      rate_type: e.rate_type,
+      rate: parseFloat(e.rate),
+      rule_id: e.rule_id,
+      rule_name: e.rule_name || null,
+      commission,
+      notes: e.notes,
+    };
+  });
+
+  // Top up tiered rules now that the period's sales under each are known
+  let tierAdjustments;
+  if (scope.payoutId && scope.summary?.tiers) {
+    tierAdjustments = scope.summary.tiers;
+  } else {
+    tierAdjustments = [];
+    const tieredRuleIds = [...new Set(entries.filter(e => e.tiered && e.rule_id).map(e => e.rule_id))];
+    for (const ruleId of tieredRuleIds) {
+      const [rule] = await query('SELECT * FROM commission_rules WHERE id = ?', [ruleId]);
+      if (!rule || !parseJson(rule.tiers)) continue;
+      const ruleEntries = entries.filter(e => e.rule_id === ruleId);
+      const ruleSales = round2(ruleEntries.reduce((sum, e) => sum + parseFloat(e.sale_amount), 0));
+      const base = round2(ruleEntries.reduce((sum, e) => sum + parseFloat(e.commission), 0));
+      const tiered = applyTiers(rule, ruleSales);
+      tierAdjustments.push({ rule_id: rule.id, rule_name: rule.name, sales: ruleSales, base_commission: base, tiered_commission: tiered, adjustment: round2(tiered - base) });
+    }
+  }
+  const tierAdjustment = round2(tierAdjustments.reduce((sum, t) => sum + t.adjustment, 0));
+
+  return {
+    staff: { id: staff.id, name: staff.full_name, role: staff.role, commission_rate: parseFloat(staff.commission_rate || 0) },
+    period: scope.payoutId ? { start: scope.periodStart, end: scope.periodEnd } : { start: scope.from, end: scope.to },
+    lines,
+    by_type: byType,
+    tiers: tierAdjustments,
+    totals: {
+      sales: round2(sales),
+      earned: round2(earned),
+      clawback: round2(clawback),
+      tier_adjustment: tierAdjustment,
+      tips: round2(tips),
+      commission: round2(earned + clawback + tierAdjustment),
+    },
+  };
+}
+
+// ─── Payouts ───────────────────────────────────────────────
+
+/**
+ * Close a staff member's open entries up to the end of a period into a payout
+ * @returns {Promise<{ payout?: object, statement?: object, error?: string, status?: number }>}
+ */
+export async function createPayout(tenantId, staffId, periodStart, periodEnd, { userId = null, notes = null } = {}) {
+  await ensureCommissionTables();
+  const [staff] = await query('SELECT id FROM staff WHERE id = ? AND tenant_id = ?', [staffId, tenantId]);
+  if (!staff) return { error: 'Staff member not found', status: 404 };
+  if (periodStart > periodEnd) return { error: 'period_start must not be after period_end', status: 400 };
+
+  const [overlap] = await query(
+    'SELECT id FROM commission_payouts WHERE tenant_id = ? AND staff_id = ? AND period_start <= ? AND period_end >= ? LIMIT 1',
+    [tenantId, staffId, periodEnd, periodStart]
+  );
+  if (overlap) return { error: 'A payout already covers part of this period', status: 409 };
+
+  const result = await execute(`
+    INSERT INTO commission_payouts (tenant_id, staff_id, period_start, period_end, notes, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [tenantId, staffId, periodStart, periodEnd, notes, userId]);
+  const payoutId = result.insertId;
+
+  // Entries from before the period that no earlier payout took are settled here too
+  const timeZone = await getSchedulingTimezone(tenantId, { staffId });
+  await execute(
+    'UPDATE commission_entries SET payout_id = ? WHERE tenant_id = ? AND staff_id = ? AND payout_id IS NULL AND entry_date < ?',
+    [payoutId, tenantId, staffId, toMySQLDateTime(zonedDayRange(periodEnd, timeZone).end)]
+  );
+  const statement = await buildStatement(tenantId, staffId, { payoutId, periodStart, periodEnd });
+  const summary = { by_type: statement.by_type, tiers: statement.tiers, totals: statement.totals };
+  await execute(`
+    UPDATE commission_payouts SET sales_total = ?, earned_total = ?, clawback_total = ?, tier_adjustment = ?,
+      tips_total = ?, commission_total = ?, summary = ?
+    WHERE id = ?
+  `, [statement.totals.sales, statement.totals.earned, statement.totals.clawback, statement.totals.tier_adjustment,
+      statement.totals.tips, statement.totals.commission, JSON.stringify(summary), payoutId]);
+
+  return { payout: await getPayout(tenantId, payoutId), statement };
+}
+
+/**
+ * A payout with its statement, as closed
+ */
+export async function getPayout(tenantId, id) {
+  await ensureCommissionTables();
+  const [payout] = await query(`
+    SELECT cp.*, s.full_name AS staff_name, pb.full_name AS paid_by_name
+    FROM commission_payouts cp
+    LEFT JOIN staff s ON cp.staff_id = s.id
+    LEFT JOIN staff pb ON cp.paid_by = pb.id
+    WHERE cp.id = ? AND cp.tenant_id = ?
+  `, [id, tenantId]);
+  if (!payout) return null;
+  payout.summary = parseJson(payout.summary);
+  const toDate = (d) => (d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10));
+  payout.statement = await buildStatement(tenantId, payout.staff_id, {
+    payoutId: payout.id,
+    periodStart: toDate(payout.period_start),
+    periodEnd: toDate(payout.period_end),
+    summary: payout.summary,
+  });
+  return payout;
+}
+
+export default {
+  COMMISSION_ITEM_TYPES,
+  COMMISSION_RATE_TYPES,
+  COMMISSION_BASES,
+  TIER_MODES,
+  ensureCommissionTables,
+  validateCommissionRule,
+  applyTiers,
+  matchCommissionRule,
+  recordInvoiceCommission,
+  clawbackCreditNote,
+  reverseInvoiceCommission,
+  buildStatement,
+  createPayout,
+  getPayout,
+};
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import { query, execute, toMySQLDateTime } from './database.js';
+import { config } from '../config.js';
+
+/**
+ * Marketing Consent
+ * Each contact has a consent status per channel (email, SMS, WhatsApp): null
+ * when never recorded, `opted_in` or `opted_out`, with the source and time of
+ * the last change. Every change is appended to contact_consent_history.
+ * Marketing sends skip opted-out contacts; a tenant with
+ * `marketing_opt_in_required: true` in its settings (EU-style consent) only
+ * reaches contacts who opted in. Unsubscribe links carry a signed token and
+ * work without logging in.
+ */
+
+export const CONSENT_CHANNELS = ['email', 'sms', 'whatsapp'];
+export const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+export const CONSENT_SOURCES = ['staff', 'client', 'unsubscribe_link', 'one_click', 'import', 'booking', 'api'];
+
+// Address column on contacts / audience_members for each channel
+const ADDRESS_COLUMN = { email: 'email', sms: 'phone', whatsapp: 'phone' };
+
+const UNSUBSCRIBE_BASE = `${process.env.API_URL || `http://localhost:${config.port}`}/api/public/unsubscribe`;
+
+let _tablesReady = false;
+
+/**
+ * Ensure consent columns on contacts, the history table and
+ * campaign_recipients.unsubscribed_at exist
+ */
+export async function ensureConsentTables() {
+  if (_tablesReady) return;
+  const columns = [];
+  for (const channel of CONSENT_CHANNELS) {
+    columns.push(
+      ['contacts', `${channel}_consent`, 'VARCHAR(20) DEFAULT NULL'],
+      ['contacts', `${channel}_consent_source`, 'VARCHAR(50) DEFAULT NULL'],
+      ['contacts', `${channel}_consent_at`, 'DATETIME DEFAULT NULL'],
+    );
+  }
+  columns.push(['campaign_recipients', 'unsubscribed_at', 'DATETIME']);
+  for (const [table, column, definition] of columns) {
+    try {
+      await execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    } catch (e) {
+      if (e.code !== 'ER_DUP_FIELDNAME') throw e;
+    }
+  }
+  await execute(`
+    CREATE TABLE IF NOT EXISTS contact_consent_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      contact_id INT NOT NULL,
+      channel VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      previous_status VARCHAR(20),
+      source VARCHAR(50) NOT NULL,
+      note VARCHAR(500),
+      campaign_id INT,
+      changed_by INT,
+      ip_address VARCHAR(45),
+      user_agent VARCHAR(500),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_contact (contact_id, channel),
+      INDEX idx_tenant (tenant_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  _tablesReady = true;
+}
+
+/**
+ * Whether the tenant only contacts clients who opted in
+ */
+export async function isOptInRequired(tenantId) {
+  const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [tenantId]);
+  let settings = {};
+  try {
+    settings = typeof tenant?.settings === 'string' ? JSON.parse(tenant.settings) : (tenant?.settings || {});
+  } catch (e) { settings = {}; }
+  return settings?.marketing_opt_in_required === true;
+}
+
+/**
+ * SQL condition keeping only rows whose contact (matched by id or by address)
+ * may receive marketing on the channel. Placeholders take the tenant id.
+ * @param {string} channel
+ * @param {{contactIdExpr: string, addressExpr: string, requireOptIn?: boolean}} refs
+ * @returns {{sql: string, params: Array}}
+ */
+export function consentFilterSql(channel, { contactIdExpr, addressExpr, requireOptIn = false }, tenantId) {
+  const column = `${channel}_consent`;
+  const address = ADDRESS_COLUMN[channel];
+  const match = `oc.tenant_id = ? AND (oc.id = ${contactIdExpr} OR (${addressExpr} <> '' AND oc.${address} = ${addressExpr}))`;
+  let sql = `NOT EXISTS (SELECT 1 FROM contacts oc WHERE ${match} AND oc.${column} = 'opted_out')`;
+  const params = [tenantId];
+  if (requireOptIn) {
+    sql += ` AND EXISTS (SELECT 1 FROM contacts oc WHERE ${match} AND oc.${column} = 'opted_in')`;
+    params.push(tenantId);
+  }
+  return { sql, params };
+}
+
+/**
+ * Whether a contact (or an address with no contact) may receive marketing on a channel
+ */
+export async function canSendMarketing(tenantId, channel, { contactId = null, address = null, requireOptIn } = {}) {
+  await ensureConsentTables();
+  const optInOnly = requireOptIn ?? await isOptInRequired(tenantId);
+  const { sql, params } = consentFilterSql(channel, { contactIdExpr: '?', addressExpr: '?', requireOptIn: optInOnly }, tenantId);
+  const bind = [];
+  // Each condition binds tenant, contact id, address, address
+  for (const tenant of params) bind.push(tenant, contactId || 0, address || '', address || '');
+  const [row] = await query(`SELECT ${sql} AS allowed`, bind);
+  return Boolean(Number(row?.allowed));
+}
+
+/**
+ * Ids of the tenant's contacts who opted out of every channel
+ * @returns {Promise<Set<number>>}
+ */
+export async function getFullyOptedOutContactIds(tenantId) {
+  await ensureConsentTables();
+  const rows = await query(
+    `SELECT id FROM contacts WHERE tenant_id = ? AND ${CONSENT_CHANNELS.map(ch => `${ch}_consent = 'opted_out'`).join(' AND ')}`,
+    [tenantId]
+  );
+  return new Set(rows.map(r => r.id));
+}
+
+/**
+ * Consent status per channel for a contact row
+ */
+export function formatConsent(contact) {
+  const consent = {};
+  for (const channel of CONSENT_CHANNELS) {
+    consent[channel] = {
+      status: contact?.[`${channel}_consent`] || null,
+      source: contact?.[`${channel}_consent_source`] || null,
+      updated_at: contact?.[`${channel}_consent_at`] || null,
+    };
+  }
+  return consent;
+}
+
+/**
+ * Record a consent change and its history entry. Does nothing when the status is unchanged.
+ * @returns {Promise<{changed: boolean, previous: string|null}>}
+ */
+export async function setConsent(tenantId, contactId, channel, status, {
+  source = 'staff', note = null, campaignId = null, changedBy = null, ip = null, userAgent = null,
+} = {}) {
+  if (!CONSENT_CHANNELS.includes(channel)) throw new Error(`Unknown consent channel "${channel}"`);
+  if (!CONSENT_STATUSES.includes(status)) throw new Error(`Consent status must be one of ${CONSENT_STATUSES.join(', ')}`);
+  await ensureConsentTables();
+
+  const [contact] = await query(`SELECT id, ${channel}_consent AS status FROM contacts WHERE id = ? AND tenant_id = ?`, [contactId, tenantId]);
+  if (!contact) return { changed: false, previous: null };
+  if (contact.status === status) return { changed: false, previous: contact.status };
+
+  await execute(
+    `UPDATE contacts SET ${channel}_consent = ?, ${channel}_consent_source = ?, ${channel}_consent_at = ? WHERE id = ?`,
+    [status, source, toMySQLDateTime(new Date()), contactId]
+  );
+  await execute(
+    `INSERT INTO contact_consent_history
+       (tenant_id, contact_id, channel, status, previous_status, source, note, campaign_id, changed_by, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, contactId, channel, status, contact.status || null, source, note ? String(note).slice(0, 500) : null,
+     campaignId, changedBy, ip, userAgent ? String(userAgent).slice(0, 500) : null]
+  );
+  return { changed: true, previous: contact.status || null };
+}
+
+/**
+ * Apply a `{ email: 'opted_in', sms: 'opted_out' }` map of consent changes
+ * @returns {Promise<string[]>} channels that changed
+ */
+export async function applyConsentChanges(tenantId, contactId, changes, options = {}) {
+  const changed = [];
+  for (const channel of CONSENT_CHANNELS) {
+    if (changes?.[channel] === undefined) continue;
+    const result = await setConsent(tenantId, contactId, channel, changes[channel], options);
+    if (result.changed) changed.push(channel);
+  }
+  return changed;
+}
+
+/**
+ * Check a consent change map before applying it
+ * @returns {string|null} error message
+ */
+export function validateConsentChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return 'consent must be an object of channel: status';
+  const channels = Object.keys(changes).filter(k => CONSENT_CHANNELS.includes(k));
+  if (channels.length === 0) return `consent needs at least one of ${CONSENT_CHANNELS.join(', ')}`;
+  for (const channel of channels) {
+    if (!CONSENT_STATUSES.includes(changes[channel])) return `${channel} consent must be one of ${CONSENT_STATUSES.join(', ')}`;
+  }
+  return null;
+}
+
+// ─── Unsubscribe links ──────────────────────────────────────
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', config.jwt.secret).update(`unsubscribe:${payload}`).digest('hex').slice(0, 24);
+
+/**
+ * Signed token for `{ t: tenantId, ch: channel, c: contactId, a: address, r: campaignRecipientId }`
+ */
+export function unsubscribeToken(data) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Token contents, or null when it was not signed by us
+ */
+export function parseUnsubscribeToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !/^[a-f0-9]{24}$/.test(signature || '')) return null;
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(sign(payload)))) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data?.t && CONSENT_CHANNELS.includes(data.ch) ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function unsubscribeUrl(data) {
+  return `${UNSUBSCRIBE_BASE}/${unsubscribeToken(data)}`;
+}
+
+export function isUnsubscribeUrl(url) {
+  return String(url || '').startsWith(UNSUBSCRIBE_BASE);
+}
+
+/**
+ * RFC 2369 / RFC 8058 headers so mail clients show a one-click unsubscribe button
+ */
+export function listUnsubscribeHeaders(url) {
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+}
+
+/**
+ * Add an unsubscribe footer unless the body already links to `url`
+ */
+export function appendUnsubscribeFooter(html, url, businessName = '') {
+  if (html.includes(url)) return html;
+  const footer = `<p style="font-size:12px;color:#888;text-align:center;margin-top:24px">`
+    + `${businessName ? `You are receiving this email from ${businessName}. ` : ''}`
+    + `<a href="${url}" style="color:#888">Unsubscribe</a></p>`;
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : html + footer;
+}
+
+/**
+ * Opt the token's contact out of its channel. Contacts are matched by id and
+ * by address; audience members without a contact are marked unsubscribed.
+ * @returns {Promise<{contacts: number}>}
+ */
+export async function processUnsubscribe(data, { source = 'unsubscribe_link', ip = null, userAgent = null } = {}) {
+  await ensureConsentTables();
+  const tenantId = data.t;
+  const channel = data.ch;
+  const address = ADDRESS_COLUMN[channel];
+
+  let campaignId = null;
+  if (data.r) {
+    const [recipient] = await query('SELECT id, campaign_id FROM campaign_recipients WHERE id = ? AND tenant_id = ?', [data.r, tenantId]);
+    if (recipient) {
+      campaignId = recipient.campaign_id;
+      await execute('UPDATE campaign_recipients SET unsubscribed_at = COALESCE(unsubscribed_at, ?) WHERE id = ?', [toMySQLDateTime(new Date()), recipient.id]);
+      await execute(
+        `UPDATE campaigns SET total_unsubscribed =
+           (SELECT COUNT(*) FROM campaign_recipients WHERE campaign_id = ? AND unsubscribed_at IS NOT NULL)
+         WHERE id = ?`,
+        [campaignId, campaignId]
+      );
+    }
+  }
+
+  const contacts = await query(
+    `SELECT id FROM contacts WHERE tenant_id = ? AND (id = ? OR (? <> '' AND ${address} = ?))`,
+    [tenantId, data.c || 0, data.a || '', data.a || '']
+  );
+  for (const contact of contacts) {
+    await setConsent(tenantId, contact.id, channel, 'opted_out', {
+      source, campaignId, ip, userAgent, note: campaignId ? `Unsubscribed from campaign ${campaignId}` : null,
+    });
+  }
+  if (data.a) {
+    await execute(
+      `UPDATE audience_members SET status = 'unsubscribed' WHERE tenant_id = ? AND contact_id IS NULL AND ${address} = ?`,
+      [tenantId, data.a]
+    );
+  }
+  return { contacts: contacts.length };
+}
+
+/**
+ * Consent history of a contact, newest first
+ */
+export async function getConsentHistory(tenantId, contactId) {
+  await ensureConsentTables();
+  return query(
+    `SELECT h.*, s.full_name AS changed_by_name
+     FROM contact_consent_history h
+     LEFT JOIN staff s ON s.id = h.changed_by
+     WHERE h.tenant_id = ? AND h.contact_id = ?
+     ORDER BY h.id DESC`,
+    [tenantId, contactId]
+  );
+}
+
+export default {
+  CONSENT_CHANNELS,
+  CONSENT_STATUSES,
+  CONSENT_SOURCES,
+  ensureConsentTables,
+  isOptInRequired,
+  consentFilterSql,
+  canSendMarketing,
+  getFullyOptedOutContactIds,
+  formatConsent,
+  setConsent,
+  applyConsentChanges,
+  validateConsentChanges,
+  unsubscribeToken,
+  parseUnsubscribeToken,
+  unsubscribeUrl,
+  isUnsubscribeUrl,
+  listUnsubscribeHeaders,
+  appendUnsubscribeFooter,
+  processUnsubscribe,
+  getConsentHistory,
+};
@@ -0,0 +1,344 @@
+import { query, execute } from './database.js';
+import { openInvoiceLedger, syncInvoicePayments, refundPayments, invoiceAmountOwed, withInvoiceLock } from './payments.js';
+import { reverseEarnedPoints } from '../routes/loyalty.js';
+import { clawbackCreditNote } from './commissions.js';
+import { reverseCreditNoteTips } from './tips.js';
+
+/**
+ * Credit Notes
+ * A credit note takes back all of an invoice or part of some of its lines,
+ * numbered CN-0001, CN-0002, ... per tenant. Each line is valued at its
+ * share of the invoice total, so invoice discounts and tax are credited
+ * pro rata. What the customer has paid beyond the reduced amount owed is
+ * refunded to the tenders it was paid with (see refundPayments), loyalty
+ * points, staff commission and tip shares on the invoice are taken back in
+ * proportion, and product lines can be put back into stock.
+ */
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+let _tablesReady = false;
+
+/**
+ * Ensure credit_notes, credit_note_items and invoices.credited_amount exist
+ */
+export async function ensureCreditNoteTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS credit_notes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      invoice_id INT NOT NULL,
+      credit_note_number VARCHAR(20),
+      customer_id INT,
+      branch_id INT,
+      type VARCHAR(10) NOT NULL DEFAULT 'partial',
+      subtotal DECIMAL(12,2) DEFAULT 0,
+      tax_amount DECIMAL(12,2) DEFAULT 0,
+      total DECIMAL(12,2) DEFAULT 0,
+      refund_amount DECIMAL(12,2) DEFAULT 0,
+      currency VARCHAR(10) DEFAULT 'AED',
+      reason TEXT,
+      loyalty_points_reversed INT DEFAULT 0,
+      restocked TINYINT(1) DEFAULT 0,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id, created_at),
+      INDEX idx_invoice (invoice_id),
+      INDEX idx_number (credit_note_number),
+      UNIQUE KEY uniq_tenant_number (tenant_id, credit_note_number)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  await execute(`
+    CREATE TABLE IF NOT EXISTS credit_note_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      credit_note_id INT NOT NULL,
+      invoice_item_id INT,
+      item_type VARCHAR(20),
+      item_id INT,
+      name VARCHAR(255) NOT NULL,
+      quantity INT DEFAULT 0,
+      total DECIMAL(12,2) DEFAULT 0,
+      restocked TINYINT(1) DEFAULT 0,
+      INDEX idx_credit_note (credit_note_id),
+      INDEX idx_invoice_item (invoice_item_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  let ready = true;
+  const alters = [
+    'ALTER TABLE invoices ADD COLUMN credited_amount DECIMAL(12,2) DEFAULT 0',
+    'ALTER TABLE credit_notes ADD UNIQUE KEY uniq_tenant_number (tenant_id, credit_note_number)',
+  ];
+  for (const sql of alters) {
+    try {
+      await execute(sql);
+    } catch (e) {
+      // Column or key already exists – that's fine; a missing table means retry next time
+      if (e.code !== 'ER_DUP_FIELDNAME' && e.code !== 'ER_DUP_KEYNAME') ready = false;
+    }
+  }
+  _tablesReady = ready;
+}
+
+// Generate next credit note number for tenant
+async function nextCreditNoteNumber(tenantId) {
+  const [last] = await query(
+    'SELECT credit_note_number FROM credit_notes WHERE tenant_id = ? ORDER BY id DESC LIMIT 1',
+    [tenantId]
+  );
+  if (!last || !last.credit_note_number) return 'CN-0001';
+  const num = parseInt(last.credit_note_number.replace('CN-', '')) || 0;
+  return `CN-${String(num + 1).padStart(4, '0')}`;
+}
+
+/**
+ * An invoice's lines with what is left to credit on each. A line's value is
+ * its share of the invoice total (after invoice discounts and tax).
+ */
+export async function getCreditableLines(invoice) {
+  await ensureCreditNoteTables();
+  const items = await query(`
+    SELECT ii.*,
+      COALESCE((SELECT SUM(cni.quantity) FROM credit_note_items cni WHERE cni.invoice_item_id = ii.id), 0) AS credited_quantity,
+      COALESCE((SELECT SUM(cni.total) FROM credit_note_items cni WHERE cni.invoice_item_id = ii.id), 0) AS credited_total
+    FROM invoice_items ii
+    WHERE ii.invoice_id = ?
+    ORDER BY ii.id
+  `, [invoice.id]);
+  const itemsTotal = items.reduce((sum, i) => sum + parseFloat(i.total || 0), 0);
+  const factor = itemsTotal > 0 ? parseFloat(invoice.total || 0) / itemsTotal : 0;
+
+  return items.map(item => {
+    const quantity = parseInt(item.quantity) || 1;
+    const value = round2(parseFloat(item.total || 0) * factor);
+    return {
+      invoice_item_id: item.id,
+      item_type: item.item_type,
+      item_id: item.item_id,
+      name: item.name,
+      quantity,
+      value,
+      unit_value: value / quantity,
+      remaining_quantity: Math.max(0, quantity - Number(item.credited_quantity)),
+      remaining_value: Math.max(0, round2(value - parseFloat(item.credited_total))),
+    };
+  });
+}
+
+/**
+ * Work out the lines of a credit note. No lines means everything left on the
+ * invoice. A line is { invoice_item_id, quantity, amount, restock }: quantity
+ * defaults to what is left of the line, amount to the value of that quantity.
+ * @returns {{ lines?: object[], total?: number, error?: string }}
+ */
+export function selectCreditLines(invoice, creditable, requested) {
+  const owedLeft = invoiceAmountOwed(invoice);
+  if (!requested || requested.length === 0) {
+    const lines = creditable
+      .filter(l => l.remaining_value > 0 || l.remaining_quantity > 0)
+      .map(l => ({ ...l, credit_quantity: l.remaining_quantity, credit_amount: l.remaining_value }));
+    return { lines, total: owedLeft };
+  }
+  if (!Array.isArray(requested)) return { error: 'lines must be a list' };
+
+  const lines = [];
+  for (const [i, r] of requested.entries()) {
+    const line = creditable.find(l => l.invoice_item_id === parseInt(r.invoice_item_id));
+    if (!line) return { error: `lines[${i}]: invoice line not found` };
+    if (lines.some(l => l.invoice_item_id === line.invoice_item_id)) return { error: `lines[${i}]: line listed twice` };
+
+    const quantity = r.quantity !== undefined ? parseInt(r.quantity) : line.remaining_quantity;
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > line.remaining_quantity) {
+      return { error: `lines[${i}]: quantity must be between 0 and ${line.remaining_quantity}` };
+    }
+    const amount = r.amount !== undefined
+      ? round2(r.amount)
+      : Math.min(line.remaining_value, round2(line.unit_value * quantity));
+    if (!(amount >= 0) || amount > line.remaining_value) {
+      return { error: `lines[${i}]: amount must be between 0 and ${line.remaining_value.toFixed(2)}` };
+    }
+    if (amount <= 0 && quantity <= 0) return { error: `lines[${i}]: nothing to credit` };
+    lines.push({ ...line, credit_quantity: quantity, credit_amount: amount, restock: r.restock });
+  }
+  const total = Math.min(owedLeft, round2(lines.reduce((sum, l) => sum + l.credit_amount, 0)));
+  return { lines, total };
+}
+
+/**
+ * Put sold units back into stock with a 'return' stock movement
+ * @returns {Promise<boolean>} false when the item isn't tracked in inventory
+ */
+export async function restockInventory(tenantId, inventoryId, quantity, { referenceType, referenceId, notes = null, userId = null } = {}) {
+  if (!inventoryId || !(quantity > 0)) return false;
+  try {
+    const [item] = await query('SELECT * FROM inventory WHERE id = ? AND tenant_id = ?', [inventoryId, tenantId]);
+    if (!item) return false;
+    const newQty = item.stock_quantity + quantity;
+    await execute('UPDATE inventory SET stock_quantity = ? WHERE id = ? AND tenant_id = ?', [newQty, item.id, tenantId]);
+    await execute(`
+      INSERT INTO stock_movements (tenant_id, inventory_id, type, quantity, previous_quantity, new_quantity,
+        reference_type, reference_id, notes, created_by)
+      VALUES (?, ?, 'return', ?, ?, ?, ?, ?, ?, ?)
+    `, [tenantId, item.id, quantity, item.stock_quantity, newQty, referenceType, referenceId, notes, userId]);
+    return true;
+  } catch (error) {
+    console.error('[CreditNotes] Restock failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Take back loyalty points earned on the invoice: all that are left once it is
+ * fully credited, otherwise the credit's share of them
+ */
+async function reverseInvoicePoints(invoice, creditTotal, fullyCredited) {
+  if (!invoice.customer_id) return null;
+  try {
+    const [earned] = await query(
+      `SELECT COALESCE(SUM(points), 0) AS points FROM loyalty_transactions
+       WHERE tenant_id = ? AND customer_id = ? AND reference_type = 'invoice' AND reference_id = ? AND transaction_type = 'earn'`,
+      [invoice.tenant_id, invoice.customer_id, invoice.id]
+    );
+    const [previous] = await query(
+      'SELECT COALESCE(SUM(loyalty_points_reversed), 0) AS points FROM credit_notes WHERE invoice_id = ?',
+      [invoice.id]
+    );
+    const earnedPoints = Number(earned.points);
+    const left = earnedPoints - Number(previous.points);
+    const points = fullyCredited
+      ? left
+      : Math.min(left, Math.floor(earnedPoints * creditTotal / parseFloat(invoice.total)));
+    if (points <= 0) return null;
+    return reverseEarnedPoints(invoice.tenant_id, invoice.customer_id, points, invoice.id,
+      `Reversed ${points} pts for credit on invoice ${invoice.invoice_number}`);
+  } catch (error) {
+    console.error('[CreditNotes] Loyalty reversal failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Issue a credit note against an invoice and refund what it frees up. The
+ * invoice stays locked throughout, so two credit notes can't both take the
+ * same lines or refund the same payments.
+ * @param {object} opts - { lines, reason, restock, userId }
+ * @returns {Promise<{ credit_note?: object, refunds?: object[], unrefunded?: number, loyalty?: object,
+ *   invoice?: object, error?: string, status?: number }>}
+ */
+export async function issueCreditNote(tenantId, invoiceId, { lines = null, reason = null, restock = false, userId = null } = {}) {
+  await ensureCreditNoteTables();
+  return withInvoiceLock(tenantId, invoiceId, async (invoice, tx) => {
+    if (!invoice) return { error: 'Invoice not found', status: 404 };
+    if (invoice.status === 'void') return { error: 'Cannot credit a voided invoice', status: 400 };
+    if (invoice.status === 'draft') return { error: 'A draft invoice can be edited or deleted instead', status: 400 };
+    if (!reason || !String(reason).trim()) return { error: 'A reason is required', status: 400 };
+
+    await openInvoiceLedger(invoice, { locked: true });
+    const creditable = await getCreditableLines(invoice);
+    const selection = selectCreditLines(invoice, creditable, lines);
+    if (selection.error) return { error: selection.error, status: 400 };
+    const total = round2(selection.total);
+    if (total <= 0) return { error: 'Nothing left to credit on this invoice', status: 400 };
+
+    const taxRate = parseFloat(invoice.tax_rate || 0);
+    const taxAmount = round2(total - total / (1 + taxRate / 100));
+    const owedAfter = round2(invoiceAmountOwed(invoice) - total);
+
+    // Credit notes on other invoices can take the same number; the unique key turns that into a retry
+    let creditNoteNumber;
+    let result;
+    for (let attempt = 1; !result; attempt++) {
+      creditNoteNumber = await nextCreditNoteNumber(tenantId);
+      try {
+        result = await execute(`
+          INSERT INTO credit_notes (tenant_id, invoice_id, credit_note_number, customer_id, branch_id, type,
+            subtotal, tax_amount, total, currency, reason, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [tenantId, invoice.id, creditNoteNumber, invoice.customer_id || null, invoice.branch_id || null,
+            owedAfter <= 0 ? 'full' : 'partial', round2(total - taxAmount), taxAmount, total, invoice.currency || 'AED',
+            String(reason).trim(), userId]);
+      } catch (e) {
+        if (e.code !== 'ER_DUP_ENTRY' || attempt >= 5) throw e;
+      }
+    }
+    const creditNoteId = result.insertId;
+
+    let restocked = false;
+    for (const line of selection.lines) {
+      const putBack = line.item_type === 'product' && line.credit_quantity > 0 && (line.restock ?? restock)
+        ? await restockInventory(tenantId, line.item_id, line.credit_quantity, {
+          referenceType: 'credit_note', referenceId: creditNoteId, notes: `Returned on ${creditNoteNumber}`, userId,
+        })
+        : false;
+      restocked = restocked || putBack;
+      await execute(`
+        INSERT INTO credit_note_items (credit_note_id, invoice_item_id, item_type, item_id, name, quantity, total, restocked)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [creditNoteId, line.invoice_item_id, line.item_type, line.item_id, line.name, line.credit_quantity,
+          line.credit_amount, putBack ? 1 : 0]);
+    }
+
+    await tx.execute('UPDATE invoices SET credited_amount = COALESCE(credited_amount, 0) + ? WHERE id = ?', [total, invoice.id]);
+    await reverseCreditNoteTips(creditNoteId, { userId });
+    await clawbackCreditNote(creditNoteId);
+
+    // Refund what has been paid beyond the new amount owed
+    const overpaid = round2(parseFloat(invoice.amount_paid || 0) - Math.max(0, owedAfter));
+    const refund = overpaid > 0
+      ? await refundPayments({ tenantId, invoiceId: invoice.id }, Math.min(overpaid, total), {
+        userId, reason: `${creditNoteNumber}: ${String(reason).trim()}`, creditNoteId,
+      })
+      : { refunds: [], unallocated: 0 };
+    const refundAmount = round2(refund.refunds.reduce((sum, r) => sum + r.amount, 0));
+
+    const loyalty = await reverseInvoicePoints(invoice, total, owedAfter <= 0);
+    await execute(
+      'UPDATE credit_notes SET refund_amount = ?, loyalty_points_reversed = ?, restocked = ? WHERE id = ?',
+      [refundAmount, loyalty?.points_reversed || 0, restocked ? 1 : 0, creditNoteId]
+    );
+
+    const ledger = await syncInvoicePayments(invoice.id, { db: tx });
+    return {
+      credit_note: await getCreditNote(tenantId, creditNoteId),
+      refunds: refund.refunds,
+      unrefunded: refund.unallocated,
+      loyalty,
+      invoice: ledger,
+    };
+  });
+}
+
+/**
+ * A credit note with its lines, the refunds paid against it and the invoice it credits
+ */
+export async function getCreditNote(tenantId, id) {
+  await ensureCreditNoteTables();
+  const [creditNote] = await query(`
+    SELECT cn.*, i.invoice_number, i.total AS invoice_total, i.created_at AS invoice_date,
+      c.first_name as customer_first_name, c.last_name as customer_last_name,
+      c.email as customer_email, c.phone as customer_phone,
+      s.full_name as created_by_name
+    FROM credit_notes cn
+    LEFT JOIN invoices i ON cn.invoice_id = i.id
+    LEFT JOIN contacts c ON cn.customer_id = c.id
+    LEFT JOIN staff s ON cn.created_by = s.id
+    WHERE cn.id = ? AND cn.tenant_id = ?
+  `, [id, tenantId]);
+  if (!creditNote) return null;
+  creditNote.items = await query('SELECT * FROM credit_note_items WHERE credit_note_id = ? ORDER BY id', [creditNote.id]);
+  creditNote.refunds = await query(
+    "SELECT id, method, -amount AS amount, reference, paid_at FROM payments WHERE credit_note_id = ? AND type = 'refund' ORDER BY id",
+    [creditNote.id]
+  );
+  return creditNote;
+}
+
+export default {
+  ensureCreditNoteTables,
+  getCreditableLines,
+  selectCreditLines,
+  restockInventory,
+  issueCreditNote,
+  getCreditNote,
+};
@@ -32,6 +32,14 @@ const pool = mysql.createPool({
   enableKeepAlive: true,
   keepAliveInitialDelay: 0,
   typeCast: typeCast, // Use custom type casting for dates
+  timezone: 'Z', // Date parameters are written as UTC, matching typeCast
+});
+
+// Sessions run in UTC so NOW() / CURRENT_TIMESTAMP line up with stored UTC DATETIMEs.
+// CURDATE() is then the UTC date: a tenant's "today" comes from tenantToday() or
+// zonedDayRange() in timezone.js, not from SQL.
+pool.on('connection', (connection) => {
+  connection.query("SET time_zone = '+00:00'");
 });
 
 // Query helper
@@ -46,6 +54,53 @@ export async function execute(sql, params = []) {
   return result;
 }
 
+// Transaction helper — fn gets query/execute bound to one connection;
+// commits when fn resolves, rolls back when it throws
+export async function withTransaction(fn) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const tx = {
+      query: async (sql, params = []) => (await connection.execute(sql, params))[0],
+      execute: async (sql, params = []) => (await connection.execute(sql, params))[0],
+    };
+    const result = await fn(tx);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Appointment statuses, for the table definition and for installs created before a status existed
+export const APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'pending_payment'];
+export const APPOINTMENT_PAYMENT_STATUSES = ['pending', 'partial', 'paid', 'refunded'];
+
+// Add values missing from an ENUM column, keeping the ones it already has; no-op when it is not an ENUM
+export async function ensureEnumValues(table, column, values, defaultValue) {
+  const [row] = await query(`SHOW COLUMNS FROM ${table} LIKE '${column}'`);
+  const type = String(row?.Type || '');
+  if (!/^enum\(/i.test(type)) return;
+  const current = type.match(/'[^']*'/g).map(v => v.slice(1, -1));
+  const missing = values.filter(v => !current.includes(v));
+  if (missing.length === 0) return;
+  await execute(
+    `ALTER TABLE ${table} MODIFY COLUMN ${column} ENUM(${[...current, ...missing].map(v => `'${v}'`).join(', ')}) DEFAULT '${defaultValue}'`
+  );
+}
+
+// Date/ISO string → 'YYYY-MM-DD HH:mm:ss' in UTC for DATETIME columns;
+// null for empty or unparseable input
+export const toMySQLDateTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
 // Initialize database and tables
 export async function initDatabase() {
   try {
@@ -772,11 +827,11 @@ async function createTables() {
       staff_id INT,
       start_time DATETIME NOT NULL,
       end_time DATETIME NOT NULL,
-      status ENUM('scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show') DEFAULT 'scheduled',
+      status ENUM(${APPOINTMENT_STATUSES.map(s => `'${s}'`).join(', ')}) DEFAULT 'scheduled',
       notes TEXT,
       reminder_sent BOOLEAN DEFAULT FALSE,
       customer_showed BOOLEAN DEFAULT FALSE,
-      payment_status ENUM('pending', 'paid', 'refunded') DEFAULT 'pending',
+      payment_status ENUM(${APPOINTMENT_PAYMENT_STATUSES.map(s => `'${s}'`).join(', ')}) DEFAULT 'pending',
       created_by INT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -0,0 +1,385 @@
+import { query, execute, withTransaction, toMySQLDateTime, APPOINTMENT_STATUSES, ensureEnumValues } from './database.js';
+import { getStripeClient, toStripeAmount } from './stripe.js';
+import { recordAppointmentChange } from './appointment-history.js';
+import { notifyPayment } from './notify.js';
+import { offerOpenedSlots } from './waitlist.js';
+import { runWorkflows } from './workflows.js';
+import { emitUpdateEvents } from './webhooks.js';
+
+/**
+ * Booking Deposits
+ * An online booking that needs a deposit is held as `pending_payment` while the
+ * customer pays through a Stripe Checkout session on the tenant's own account.
+ * The Stripe webhook confirms the hold; a hold still unpaid when it expires is
+ * cancelled and its slot freed. A paid deposit is credited on the invoice
+ * raised when the appointment is checked out.
+ */
+
+export const DEFAULT_HOLD_MINUTES = 30;
+// Stripe Checkout sessions must expire between 30 minutes and 24 hours after creation
+const MIN_HOLD_MINUTES = 30;
+const MAX_HOLD_MINUTES = 23 * 60;
+
+let _tablesReady = false;
+
+/**
+ * Ensure booking_deposits table, the pending_payment appointment status
+ * and the invoice deposit column exist
+ */
+export async function ensureDepositTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS booking_deposits (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      appointment_id INT NOT NULL,
+      visit_id INT DEFAULT NULL,
+      customer_id INT,
+      amount DECIMAL(10,2) NOT NULL,
+      currency VARCHAR(10) DEFAULT 'AED',
+      status ENUM('pending', 'paid', 'expired', 'cancelled', 'failed') DEFAULT 'pending',
+      stripe_session_id VARCHAR(255),
+      stripe_payment_intent_id VARCHAR(255),
+      checkout_url TEXT,
+      expires_at DATETIME,
+      paid_at DATETIME,
+      invoice_id INT DEFAULT NULL,
+      applied_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_appointment (appointment_id),
+      INDEX idx_visit (visit_id),
+      INDEX idx_session (stripe_session_id),
+      INDEX idx_status_expires (status, expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Older installs lack pending_payment
+  await ensureEnumValues('appointments', 'status', APPOINTMENT_STATUSES, 'scheduled');
+
+  let invoiceColumnReady = true;
+  try {
+    await execute('ALTER TABLE invoices ADD COLUMN deposit_amount DECIMAL(12,2) DEFAULT 0');
+  } catch (e) {
+    // Column already exists – that's fine; a missing table means retry next time
+    if (e.code !== 'ER_DUP_FIELDNAME') invoiceColumnReady = false;
+  }
+  _tablesReady = invoiceColumnReady;
+}
+
+/**
+ * Deposit owed for a booking, from the online booking settings (0 = none)
+ */
+export function calculateDepositAmount(settings, price) {
+  if (!settings?.require_deposit) return 0;
+  const value = parseFloat(settings.deposit_amount || 0);
+  const total = parseFloat(price || 0);
+  if (value <= 0 || total <= 0) return 0;
+  const amount = settings.deposit_type === 'percentage'
+    ? total * Math.min(value, 100) / 100
+    : Math.min(value, total);
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Minutes a booking is held while its deposit is unpaid
+ */
+export function getHoldMinutes(settings) {
+  const minutes = parseInt(settings?.deposit_hold_minutes, 10) || DEFAULT_HOLD_MINUTES;
+  return Math.min(Math.max(minutes, MIN_HOLD_MINUTES), MAX_HOLD_MINUTES);
+}
+
+/**
+ * Appointment ids a deposit covers — the whole visit, or the single appointment
+ */
+async function getDepositAppointments(deposit, db = { query }) {
+  return deposit.visit_id
+    ? db.query('SELECT id, status, start_time, end_time, staff_id FROM appointments WHERE tenant_id = ? AND visit_id = ?', [deposit.tenant_id, deposit.visit_id])
+    : db.query('SELECT id, status, start_time, end_time, staff_id FROM appointments WHERE tenant_id = ? AND id = ?', [deposit.tenant_id, deposit.appointment_id]);
+}
+
+/**
+ * Open a deposit hold: a pending deposit row and its Stripe Checkout session.
+ * The appointments must already be saved as pending_payment.
+ *
+ * @param {number} tenantId
+ * @param {Object} hold - { appointmentId, visitId, customerId, amount, currency, description,
+ *                          customerEmail, successUrl, cancelUrl, secretKey, holdMinutes }
+ * @returns {Promise<{id, amount, currency, checkout_url, expires_at}>}
+ */
+export async function createDepositHold(tenantId, hold) {
+  await ensureDepositTables();
+  const currency = String(hold.currency || 'AED').toLowerCase();
+  const expiresAt = new Date(Date.now() + (hold.holdMinutes || DEFAULT_HOLD_MINUTES) * 60 * 1000);
+
+  const result = await execute(
+    `INSERT INTO booking_deposits (tenant_id, appointment_id, visit_id, customer_id, amount, currency, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, hold.appointmentId, hold.visitId || null, hold.customerId || null,
+      hold.amount, currency.toUpperCase(), toMySQLDateTime(expiresAt.toISOString())]
+  );
+  const depositId = result.insertId;
+
+  try {
+    const stripe = getStripeClient(hold.secretKey);
+    const metadata = {
+      tenant_id: String(tenantId),
+      deposit_id: String(depositId),
+      appointment_id: String(hold.appointmentId),
+    };
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency,
+          unit_amount: toStripeAmount(hold.amount, currency),
+          product_data: { name: hold.description || 'Booking deposit' },
+        },
+      }],
+      customer_email: hold.customerEmail || undefined,
+      client_reference_id: String(depositId),
+      metadata,
+      payment_intent_data: { metadata },
+      success_url: hold.successUrl,
+      cancel_url: hold.cancelUrl,
+      // A minute past the hold, so the session is never shorter than Stripe's minimum
+      expires_at: Math.floor(expiresAt.getTime() / 1000) + 60,
+    }, { idempotencyKey: `booking-deposit-${tenantId}-${depositId}` });
+
+    await execute(
+      'UPDATE booking_deposits SET stripe_session_id = ?, checkout_url = ? WHERE id = ?',
+      [session.id, session.url, depositId]
+    );
+    return {
+      id: depositId,
+      amount: hold.amount,
+      currency: currency.toUpperCase(),
+      checkout_url: session.url,
+      expires_at: expiresAt.toISOString(),
+    };
+  } catch (error) {
+    await execute("UPDATE booking_deposits SET status = 'failed' WHERE id = ?", [depositId]);
+    throw error;
+  }
+}
+
+/**
+ * Latest deposit taken for an appointment (or the visit it belongs to)
+ */
+export async function getAppointmentDeposit(tenantId, appointmentId, visitId = null) {
+  await ensureDepositTables();
+  const [deposit] = visitId
+    ? await query(
+      'SELECT * FROM booking_deposits WHERE tenant_id = ? AND (appointment_id = ? OR visit_id = ?) ORDER BY id DESC LIMIT 1',
+      [tenantId, appointmentId, visitId]
+    )
+    : await query(
+      'SELECT * FROM booking_deposits WHERE tenant_id = ? AND appointment_id = ? ORDER BY id DESC LIMIT 1',
+      [tenantId, appointmentId]
+    );
+  return deposit || null;
+}
+
+/**
+ * Mark a deposit paid from its completed Checkout session and confirm the held
+ * appointments. Safe to call more than once for the same session.
+ *
+ * @returns {Promise<{deposit, appointmentIds: number[], confirmed: boolean, late: boolean, status}|null>}
+ *          late = payment arrived after the hold had already been released
+ */
+export async function confirmDepositPayment(tenantId, session) {
+  await ensureDepositTables();
+  const [settings] = await query('SELECT auto_confirm FROM online_booking_settings WHERE tenant_id = ?', [tenantId]);
+  const confirmedStatus = settings?.auto_confirm ? 'confirmed' : 'scheduled';
+  const paymentIntentId = typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id || null;
+
+  let held = [];
+  const result = await withTransaction(async (tx) => {
+    const [deposit] = await tx.query(
+      'SELECT * FROM booking_deposits WHERE tenant_id = ? AND stripe_session_id = ? FOR UPDATE',
+      [tenantId, session.id]
+    );
+    if (!deposit) return null;
+    if (deposit.status === 'paid') {
+      return { deposit, appointmentIds: [], confirmed: false, late: false, status: null };
+    }
+
+    await tx.execute(
+      "UPDATE booking_deposits SET status = 'paid', paid_at = NOW(), stripe_payment_intent_id = ? WHERE id = ?",
+      [paymentIntentId, deposit.id]
+    );
+
+    held = (await getDepositAppointments(deposit, tx)).filter(a => a.status === 'pending_payment');
+    for (const appt of held) {
+      await tx.execute('UPDATE appointments SET status = ? WHERE id = ? AND tenant_id = ?', [confirmedStatus, appt.id, tenantId]);
+      await recordAppointmentChange({
+        tenantId, appointmentId: appt.id, action: 'status_changed',
+        oldStatus: 'pending_payment', newStatus: confirmedStatus,
+        changedByType: 'system', source: 'stripe', note: `Deposit paid (${deposit.amount} ${deposit.currency})`,
+      }, tx);
+    }
+
+    return {
+      deposit: { ...deposit, status: 'paid', stripe_payment_intent_id: paymentIntentId },
+      appointmentIds: held.map(a => a.id),
+      confirmed: held.length > 0,
+      late: deposit.status !== 'pending',
+      status: confirmedStatus,
+    };
+  });
+
+  // Held bookings count as booked once paid
+  for (const appt of held) {
+    runWorkflows(tenantId, 'appointment', appt.id, { before: appt });
+    emitUpdateEvents(tenantId, 'appointment', appt.id, appt.status);
+  }
+  return result;
+}
+
+/**
+ * Release an unpaid hold: cancel the appointments still waiting on payment
+ * and close the deposit as expired (timed out) or cancelled (customer gave up).
+ *
+ * @returns {Promise<number[]>} ids of the appointments cancelled
+ */
+export async function releaseDepositHold(deposit, { status = 'expired', source = 'deposit_expired', changedByType = 'system', note = null } = {}) {
+  await ensureDepositTables();
+  return withTransaction(async (tx) => {
+    const [current] = await tx.query('SELECT status FROM booking_deposits WHERE id = ? FOR UPDATE', [deposit.id]);
+    if (!current || current.status !== 'pending') return [];
+
+    await tx.execute('UPDATE booking_deposits SET status = ? WHERE id = ?', [status, deposit.id]);
+    const held = (await getDepositAppointments(deposit, tx)).filter(a => a.status === 'pending_payment');
+    for (const appt of held) {
+      await tx.execute("UPDATE appointments SET status = 'cancelled' WHERE id = ? AND tenant_id = ?", [appt.id, deposit.tenant_id]);
+      await recordAppointmentChange({
+        tenantId: deposit.tenant_id, appointmentId: appt.id, action: 'status_changed',
+        oldStatus: 'pending_payment', newStatus: 'cancelled',
+        changedByType, source, note: note || (status === 'expired' ? 'Deposit not paid in time' : 'Deposit payment abandoned'),
+      }, tx);
+    }
+    if (deposit.visit_id && held.length > 0) {
+      await tx.execute("UPDATE visits SET status = 'cancelled' WHERE id = ? AND tenant_id = ?", [deposit.visit_id, deposit.tenant_id]);
+    }
+    return held.map(a => a.id);
+  });
+}
+
+/**
+ * Close the Stripe session of a hold so it can no longer be paid.
+ * Returns the session when it turns out to be paid already, else null.
+ */
+export async function expireCheckoutSession(deposit, secretKey) {
+  if (!deposit.stripe_session_id || !secretKey) return null;
+  const stripe = getStripeClient(secretKey);
+  try {
+    await stripe.checkout.sessions.expire(deposit.stripe_session_id);
+    return null;
+  } catch (error) {
+    // Only open sessions can be expired — a completed one may have been paid
+    const session = await stripe.checkout.sessions.retrieve(deposit.stripe_session_id);
+    if (session.status === 'complete' && session.payment_status === 'paid') return session;
+    if (session.status === 'open') throw error;
+    return null;
+  }
+}
+
+/**
+ * Cron: release every hold whose payment window has passed.
+ * A session found paid at this point (webhook lost or late) is confirmed instead.
+ */
+export async function expireDepositHolds() {
+  await ensureDepositTables();
+  const due = await query(
+    `SELECT d.*, s.stripe_secret_key
+     FROM booking_deposits d
+     LEFT JOIN online_booking_settings s ON s.tenant_id = d.tenant_id
+     WHERE d.status = 'pending' AND d.expires_at <= NOW()
+     ORDER BY d.expires_at
+     LIMIT 100`
+  );
+
+  let expired = 0;
+  let confirmed = 0;
+  for (const deposit of due) {
+    try {
+      const paidSession = await expireCheckoutSession(deposit, deposit.stripe_secret_key);
+      if (paidSession) {
+        const result = await confirmDepositPayment(deposit.tenant_id, paidSession);
+        if (result?.confirmed) {
+          confirmed++;
+          notifyPayment(
+            deposit.tenant_id,
+            'Booking Deposit Received',
+            `Deposit of ${deposit.amount} ${deposit.currency} paid — online booking confirmed`,
+            { appointment_id: deposit.appointment_id, deposit_id: deposit.id }
+          ).catch(() => {});
+        }
+        continue;
+      }
+      const cancelledIds = await releaseDepositHold(deposit);
+      if (cancelledIds.length > 0) {
+        const { cancelRemindersForAppointments } = await import('./reminders.js');
+        await cancelRemindersForAppointments(cancelledIds);
+        await offerOpenedSlots(deposit.tenant_id, cancelledIds);
+      }
+      expired++;
+    } catch (error) {
+      console.error(`[Deposits] Could not expire hold ${deposit.id}:`, error.message);
+    }
+  }
+  return { processed: due.length, expired, confirmed };
+}
+
+/**
+ * Paid deposits not yet credited on an invoice, for a set of appointments
+ * (or a visit)
+ *
+ * @returns {Promise<{ amount: number, depositIds: number[] }>}
+ */
+export async function getDepositCredit(tenantId, appointmentIds, visitId = null) {
+  await ensureDepositTables();
+  const ids = appointmentIds.length > 0 ? appointmentIds : [0];
+  let sql = `SELECT id, amount FROM booking_deposits
+     WHERE tenant_id = ? AND status = 'paid' AND invoice_id IS NULL
+     AND (appointment_id IN (${ids.map(() => '?').join(',')})`;
+  const params = [tenantId, ...ids];
+  if (visitId) {
+    sql += ' OR visit_id = ?';
+    params.push(visitId);
+  }
+  sql += ')';
+  const rows = await query(sql, params);
+  return {
+    amount: Math.round(rows.reduce((sum, d) => sum + parseFloat(d.amount || 0), 0) * 100) / 100,
+    depositIds: rows.map(d => d.id),
+  };
+}
+
+/**
+ * Record that deposits were credited on an invoice
+ */
+export async function markDepositsApplied(depositIds, invoiceId) {
+  if (depositIds.length === 0) return;
+  await execute(
+    `UPDATE booking_deposits SET invoice_id = ?, applied_at = NOW() WHERE id IN (${depositIds.map(() => '?').join(',')})`,
+    [invoiceId, ...depositIds]
+  );
+}
+
+export default {
+  DEFAULT_HOLD_MINUTES,
+  ensureDepositTables,
+  calculateDepositAmount,
+  getHoldMinutes,
+  createDepositHold,
+  getAppointmentDeposit,
+  confirmDepositPayment,
+  releaseDepositHold,
+  expireCheckoutSession,
+  expireDepositHolds,
+  getDepositCredit,
+  markDepositsApplied,
+};
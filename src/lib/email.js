@@ -257,9 +257,10 @@ function buildEmailTemplate({
  * @param {string} [opts.text]      – Plain-text body (auto-generated from html if omitted)
  * @param {number} [opts.tenantId]  – Tenant ID for dynamic "From" name
  * @param {string} [opts.fromName]  – Override "From" display name
+ * @param {Object} [opts.headers]   – Extra message headers (e.g. List-Unsubscribe)
  * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
  */
-export async function sendEmail({ to, subject, html, text, tenantId, fromName, attachments }) {
+export async function sendEmail({ to, subject, html, text, tenantId, fromName, attachments, headers }) {
   const transport = getTransporter();
   if (!transport) {
     console.log(`📧 EMAIL (not configured — dev mode):\n   To: ${to}\n   Subject: ${subject}\n`);
@@ -277,6 +278,7 @@ export async function sendEmail({ to, subject, html, text, tenantId, fromName, a
       html,
       text: text || html.replace(/<[^>]*>/g, ''),   // strip HTML for plain text fallback
       attachments: Array.isArray(attachments) ? attachments : undefined,
+      headers: headers || undefined,
     });
 
     console.log(`✅ Email sent to ${to} (messageId: ${info.messageId})`);
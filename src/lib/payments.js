@@ -0,0 +1,526 @@
+import { query, execute, withTransaction, toMySQLDateTime, APPOINTMENT_PAYMENT_STATUSES, ensureEnumValues } from './database.js';
+import { redeemGiftCard, refundGiftCard } from '../routes/gift-cards.js';
+import { redeemLoyaltyForPayment, restoreRedeemedPoints } from '../routes/loyalty.js';
+import { recordInvoiceCommission, reverseInvoiceCommission } from './commissions.js';
+import { findOpenDrawer } from './cash-drawer.js';
+
+/**
+ * Payment Ledger
+ * Every tender taken against an invoice or a POS sale is one row in payments:
+ * 200 cash + 150 card + 50 gift card is three rows, each with its method,
+ * reference, staff member, branch and time. A reversal (a payment taken in
+ * error) or a refund (money handed back against a credit note) is a negative
+ * row pointing at the payment it comes out of; the gift card value or loyalty
+ * points the payment used are given back. An invoice's amount_paid, status,
+ * payment_method and paid_at are derived from its rows. Invoices paid before
+ * the ledger existed get opening rows for what they had recorded the first
+ * time their ledger is touched. A tender taken at the till goes into the cash
+ * drawer open for the staff member (or their branch) — see cash-drawer.js.
+ */
+
+export const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'gift_card', 'loyalty_points', 'deposit', 'online', 'other'];
+export const PAYMENT_TYPES = ['payment', 'reversal', 'refund'];
+
+// Methods that can be taken at the till (deposits and online payments are recorded by the system)
+export const TENDER_METHODS = ['cash', 'card', 'bank_transfer', 'gift_card', 'loyalty_points', 'other'];
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+let _tablesReady = false;
+
+/**
+ * Ensure the payments table exists
+ */
+export async function ensurePaymentTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      invoice_id INT,
+      pos_transaction_id INT,
+      branch_id INT,
+      customer_id INT,
+      staff_id INT,
+      type VARCHAR(20) NOT NULL DEFAULT 'payment',
+      method VARCHAR(30) NOT NULL,
+      amount DECIMAL(12,2) NOT NULL,
+      currency VARCHAR(10) DEFAULT 'AED',
+      reference VARCHAR(255),
+      details JSON,
+      reverses_payment_id INT,
+      credit_note_id INT,
+      drawer_id INT,
+      reversed_at DATETIME,
+      reversed_by INT,
+      reversal_reason VARCHAR(500),
+      notes TEXT,
+      paid_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_tenant_paid (tenant_id, paid_at),
+      INDEX idx_invoice (invoice_id),
+      INDEX idx_pos (pos_transaction_id),
+      INDEX idx_method (tenant_id, method),
+      INDEX idx_branch (tenant_id, branch_id, paid_at),
+      INDEX idx_reverses (reverses_payment_id),
+      INDEX idx_drawer (drawer_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  let ready = true;
+  const alters = [
+    'ALTER TABLE payments ADD COLUMN credit_note_id INT AFTER reverses_payment_id',
+    'ALTER TABLE payments ADD COLUMN drawer_id INT AFTER credit_note_id',
+    'ALTER TABLE payments ADD INDEX idx_drawer (drawer_id)',
+  ];
+  for (const sql of alters) {
+    try {
+      await execute(sql);
+    } catch (e) {
+      // Column or index already exists – that's fine
+      if (e.code !== 'ER_DUP_FIELDNAME' && e.code !== 'ER_DUP_KEYNAME') ready = false;
+    }
+  }
+  // Appointments follow their invoice, which can now be partly paid
+  try {
+    await ensureEnumValues('appointments', 'payment_status', APPOINTMENT_PAYMENT_STATUSES, 'pending');
+  } catch (e) {
+    ready = false;
+  }
+  _tablesReady = ready;
+}
+
+/**
+ * Check and clean a list of tenders: [{ method, amount, reference, gift_card_code }]
+ * @returns {{ tenders?: object[], error?: string }}
+ */
+export function normalizeTenders(input) {
+  if (!Array.isArray(input) || input.length === 0) return { error: 'At least one payment is required' };
+  const tenders = [];
+  for (const [i, t] of input.entries()) {
+    const method = t?.method || t?.payment_method;
+    const amount = round2(t?.amount);
+    if (!TENDER_METHODS.includes(method)) return { error: `payments[${i}].method must be one of ${TENDER_METHODS.join(', ')}` };
+    if (!(amount > 0)) return { error: `payments[${i}].amount must be greater than 0` };
+    if (method === 'gift_card' && !t.gift_card_code) return { error: 'Gift card code is required for gift card payments' };
+    tenders.push({
+      method,
+      amount,
+      reference: t.reference ? String(t.reference).slice(0, 255) : (method === 'gift_card' ? t.gift_card_code : null),
+      gift_card_code: t.gift_card_code || null,
+    });
+  }
+  return { tenders };
+}
+
+/**
+ * Fit tenders to the amount due. Paying too much is only allowed in cash,
+ * where the difference is change given back.
+ * @returns {{ tenders?: object[], change?: number, error?: string }}
+ */
+export function settleTenders(tenders, amountDue) {
+  const due = round2(amountDue);
+  const offered = round2(tenders.reduce((sum, t) => sum + t.amount, 0));
+  const excess = round2(offered - due);
+  if (excess <= 0) return { tenders, change: 0 };
+
+  const cash = tenders.find(t => t.method === 'cash' && t.amount >= excess);
+  if (!cash) return { error: `Payments of ${offered.toFixed(2)} exceed the ${due.toFixed(2)} due` };
+  const settled = tenders
+    .map(t => (t === cash ? { ...t, amount: round2(t.amount - excess) } : t))
+    .filter(t => t.amount > 0);
+  return { tenders: settled, change: excess };
+}
+
+/**
+ * Insert one ledger row. Pass db (a withTransaction handle) to write inside
+ * a transaction; ensurePaymentTables must have run before it opened. The
+ * row goes into the open cash drawer unless drawerId is given (null for none).
+ * @returns {Promise<number>} payment id
+ */
+export async function recordPayment({
+  tenantId, invoiceId = null, posTransactionId = null, branchId = null, customerId = null, staffId = null,
+  type = 'payment', method, amount, currency = 'AED', reference = null, details = null, notes = null,
+  reversesPaymentId = null, creditNoteId = null, drawerId = undefined, paidAt = new Date(), db = null,
+}) {
+  if (!db) await ensurePaymentTables();
+  if (drawerId === undefined) drawerId = await findOpenDrawer(tenantId, { staffId, branchId, method });
+  const result = await (db || { execute }).execute(
+    `INSERT INTO payments (tenant_id, invoice_id, pos_transaction_id, branch_id, customer_id, staff_id, type, method,
+       amount, currency, reference, details, notes, reverses_payment_id, credit_note_id, drawer_id, paid_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, invoiceId, posTransactionId, branchId, customerId, staffId, type, method, round2(amount), currency || 'AED',
+     reference, details ? JSON.stringify(details) : null, notes, reversesPaymentId, creditNoteId, drawerId, toMySQLDateTime(paidAt)]
+  );
+  return result.insertId;
+}
+
+// ─── Taking payments ───────────────────────────────────────
+
+/**
+ * Give back what a payment took from a gift card or loyalty balance
+ */
+async function undoTenderEffects(tenantId, payment, { userId = null, invoiceId = null, reason = null, amount = null } = {}) {
+  const details = typeof payment.details === 'string' ? JSON.parse(payment.details || '{}') : (payment.details || {});
+  const full = Math.abs(round2(payment.amount));
+  const portion = amount === null ? full : Math.min(round2(amount), full);
+  if (payment.method === 'gift_card' && details.gift_card_id) {
+    return refundGiftCard(tenantId, details.gift_card_id, portion, { invoice_id: invoiceId, created_by: userId, notes: reason });
+  }
+  if (payment.method === 'loyalty_points' && details.points_redeemed && payment.customer_id) {
+    const points = portion >= full ? details.points_redeemed : Math.round(details.points_redeemed * portion / full);
+    if (points <= 0) return { success: true };
+    return restoreRedeemedPoints(tenantId, payment.customer_id, points, invoiceId, reason);
+  }
+  return { success: true };
+}
+
+/**
+ * Take tenders for an invoice or a POS sale. Gift cards and loyalty points are
+ * redeemed first; if one of them fails, the ones already redeemed are given
+ * back and nothing is recorded.
+ * @param {object} target - { tenantId, invoiceId, posTransactionId, branchId, customerId, currency }
+ * @returns {Promise<{ payments?: object[], error?: string, gift_cards: object[], loyalty: ?object }>}
+ */
+export async function takeTenders(target, tenders, { userId = null, notes = null } = {}) {
+  const { tenantId, invoiceId = null, customerId = null } = target;
+  const applied = [];
+  const giftCards = [];
+  let loyalty = null;
+
+  const rollback = async () => {
+    for (const t of applied) {
+      await undoTenderEffects(tenantId, { ...t, customer_id: customerId }, { userId, invoiceId, reason: 'Payment not completed' })
+        .catch(err => console.error('[Payments] Could not give back a tender:', err.message));
+    }
+  };
+
+  for (const tender of tenders) {
+    const row = { ...tender, details: null };
+    if (tender.method === 'gift_card') {
+      const result = await redeemGiftCard(tenantId, tender.gift_card_code, tender.amount, { invoice_id: invoiceId, created_by: userId });
+      if (!result.success) {
+        await rollback();
+        return { error: result.message, gift_cards: [], loyalty: null };
+      }
+      row.details = { gift_card_id: result.gift_card_id, remaining_value: result.remaining_value };
+      giftCards.push({ code: tender.gift_card_code, ...result });
+    } else if (tender.method === 'loyalty_points') {
+      if (!customerId) {
+        await rollback();
+        return { error: 'A customer is required to pay with loyalty points', gift_cards: [], loyalty: null };
+      }
+      const result = await redeemLoyaltyForPayment(tenantId, customerId, tender.amount, invoiceId);
+      if (!result.success) {
+        await rollback();
+        return { error: result.message, gift_cards: [], loyalty: null };
+      }
+      row.details = { points_redeemed: result.points_redeemed };
+      loyalty = result;
+    }
+    applied.push(row);
+  }
+
+  const payments = [];
+  for (const row of applied) {
+    const id = await recordPayment({
+      ...target,
+      staffId: userId,
+      method: row.method,
+      amount: row.amount,
+      reference: row.reference,
+      details: row.details,
+      notes,
+    });
+    payments.push({ id, method: row.method, amount: row.amount, reference: row.reference });
+  }
+  return { payments, gift_cards: giftCards, loyalty };
+}
+
+// ─── Invoice status ────────────────────────────────────────
+
+/**
+ * Give an invoice that was paid before the ledger existed opening rows for
+ * what it had recorded (its deposit, then the rest under its payment method).
+ * The rows are written with the invoice locked so two first touches can't
+ * both open it; pass locked when the caller holds it (withInvoiceLock).
+ */
+export async function openInvoiceLedger(invoice, { locked = false } = {}) {
+  await ensurePaymentTables();
+  const hasRows = async () => {
+    const [{ count }] = await query('SELECT COUNT(*) AS count FROM payments WHERE invoice_id = ?', [invoice.id]);
+    return Number(count) > 0;
+  };
+  if (round2(invoice.amount_paid) <= 0 || await hasRows()) return;
+  if (!locked) {
+    await withInvoiceLock(invoice.tenant_id, invoice.id, async (held) => {
+      if (held) await openInvoiceLedger(held, { locked: true });
+    });
+    return;
+  }
+
+  const recorded = round2(invoice.amount_paid);
+  const deposit = Math.min(round2(invoice.deposit_amount), recorded);
+  const base = {
+    tenantId: invoice.tenant_id, invoiceId: invoice.id, branchId: invoice.branch_id || null,
+    customerId: invoice.customer_id || null, currency: invoice.currency,
+    paidAt: invoice.paid_at || invoice.updated_at || invoice.created_at || new Date(),
+    notes: 'Recorded on the invoice before the payment ledger',
+    drawerId: null,
+  };
+  if (deposit > 0) await recordPayment({ ...base, method: 'deposit', amount: deposit });
+  if (recorded - deposit > 0) {
+    const method = PAYMENT_METHODS.includes(invoice.payment_method) ? invoice.payment_method : 'other';
+    await recordPayment({ ...base, method, amount: recorded - deposit, reference: invoice.payment_method || null });
+  }
+}
+
+/**
+ * What the customer owes on an invoice: its total less credit notes
+ */
+export function invoiceAmountOwed(invoice) {
+  return round2(parseFloat(invoice.total || 0) - parseFloat(invoice.credited_amount || 0));
+}
+
+/**
+ * Balance still to pay on an invoice
+ */
+export function invoiceBalance(invoice) {
+  return Math.max(0, round2(invoiceAmountOwed(invoice) - parseFloat(invoice.amount_paid || 0)));
+}
+
+/**
+ * Status for an amount paid: paid once what is owed is covered, partially paid
+ * when something is, otherwise back to unpaid (a draft or overdue invoice stays
+ * so). An invoice credited in full with nothing left paid on it is void.
+ */
+export function deriveInvoiceStatus(invoice, paid) {
+  if (invoice.status === 'void') return 'void';
+  const owed = invoiceAmountOwed(invoice);
+  if (parseFloat(invoice.credited_amount || 0) > 0 && owed <= 0 && paid <= 0) return 'void';
+  if (paid > 0 && paid >= owed) return 'paid';
+  if (paid > 0) return 'partially_paid';
+  return ['draft', 'sent', 'overdue'].includes(invoice.status) ? invoice.status : 'sent';
+}
+
+/**
+ * Give a POS sale made before the ledger existed its payment rows: the
+ * split components saved on the sale, or one row for its total
+ */
+export async function openPosLedger(txn) {
+  await ensurePaymentTables();
+  if (txn.type !== 'sale' || !(parseFloat(txn.total) > 0)) return;
+  const [{ count }] = await query('SELECT COUNT(*) AS count FROM payments WHERE pos_transaction_id = ?', [txn.id]);
+  if (Number(count) > 0) return;
+
+  const details = typeof txn.payment_details === 'string' ? JSON.parse(txn.payment_details || '{}') : (txn.payment_details || {});
+  const saved = Array.isArray(details?.payments) ? details.payments.filter(p => parseFloat(p.amount) > 0) : [];
+  const rows = saved.length > 0
+    ? saved.map(p => ({ method: p.method, amount: p.amount, reference: p.reference || null }))
+    : [{ method: txn.payment_method, amount: txn.total, reference: null }];
+  for (const row of rows) {
+    await recordPayment({
+      tenantId: txn.tenant_id, posTransactionId: txn.id, branchId: txn.branch_id || null,
+      customerId: txn.customer_id || null, staffId: txn.staff_id || null,
+      method: PAYMENT_METHODS.includes(row.method) ? row.method : 'other',
+      amount: row.amount, reference: row.reference, paidAt: txn.created_at || new Date(),
+      notes: 'Recorded on the sale before the payment ledger', drawerId: null,
+    });
+  }
+}
+
+/**
+ * Run fn(invoice, tx) with the invoice row locked FOR UPDATE, so payments,
+ * refunds and credit notes on one invoice take turns. invoice is null when it
+ * isn't the tenant's. Writes to the invoice row itself must go through tx
+ * (e.g. syncInvoicePayments(id, { db: tx })) — the lock would block the pool.
+ */
+export async function withInvoiceLock(tenantId, invoiceId, fn) {
+  await ensurePaymentTables();
+  return withTransaction(async (tx) => {
+    const [invoice] = await tx.query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ? FOR UPDATE', [invoiceId, tenantId]);
+    return fn(invoice || null, tx);
+  });
+}
+
+/**
+ * Appointment payment_status for an invoice status
+ */
+export function appointmentPaymentStatus(invoiceStatus) {
+  if (invoiceStatus === 'paid') return 'paid';
+  return invoiceStatus === 'partially_paid' ? 'partial' : 'pending';
+}
+
+/**
+ * Recount an invoice from its ledger and update amount_paid, status,
+ * payment_method (the one method used, or 'split') and paid_at. The linked
+ * appointment's payment_status follows. Pass db when the invoice is held by
+ * withInvoiceLock.
+ * @returns {Promise<?{ amount_paid: number, balance: number, status: string, payment_method: ?string }>}
+ */
+export async function syncInvoicePayments(invoiceId, { db = null } = {}) {
+  await ensurePaymentTables();
+  const [invoice] = await (db || { query }).query('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+  if (!invoice) return null;
+  await openInvoiceLedger(invoice, { locked: !!db });
+
+  const [totals] = await query(
+    'SELECT COALESCE(SUM(amount), 0) AS paid, MAX(paid_at) AS last_paid_at FROM payments WHERE invoice_id = ?',
+    [invoiceId]
+  );
+  const methods = await query(
+    `SELECT method FROM payments WHERE invoice_id = ? AND type = 'payment' AND reversed_at IS NULL AND method != 'deposit'
+     GROUP BY method`,
+    [invoiceId]
+  );
+  const paid = round2(totals.paid);
+  const status = deriveInvoiceStatus(invoice, paid);
+  const paymentMethod = methods.length > 1 ? 'split' : methods[0]?.method || (paid > 0 ? invoice.payment_method : null);
+  const paidAt = status === 'paid' ? (invoice.status === 'paid' && invoice.paid_at ? invoice.paid_at : totals.last_paid_at) : null;
+
+  await (db || { execute }).execute(
+    'UPDATE invoices SET amount_paid = ?, status = ?, payment_method = ?, paid_at = ? WHERE id = ?',
+    [paid, status, paymentMethod, paidAt ? toMySQLDateTime(paidAt) : null, invoiceId]
+  );
+  if (invoice.appointment_id && status !== 'void') {
+    await execute('UPDATE appointments SET payment_status = ? WHERE id = ? AND tenant_id = ?',
+      [appointmentPaymentStatus(status), invoice.appointment_id, invoice.tenant_id]);
+  }
+
+  // Staff earn commission once the invoice is paid and lose it if the payment is taken back
+  if (status === 'paid') await recordInvoiceCommission(invoiceId, { db });
+  else if (invoice.status === 'paid' && status !== 'void') await reverseInvoiceCommission(invoiceId, 'Payment reversed');
+  return { amount_paid: paid, balance: Math.max(0, round2(invoiceAmountOwed(invoice) - paid)), status, payment_method: paymentMethod };
+}
+
+// ─── Reversal ──────────────────────────────────────────────
+
+/**
+ * Reverse a payment: a negative row cancels it, gift card value or loyalty
+ * points it used are given back, and its invoice is recounted
+ * @returns {Promise<{ reversal_id?: number, invoice?: object, error?: string, status?: number }>}
+ */
+export async function reversePayment(tenantId, paymentId, { userId = null, reason = null } = {}) {
+  await ensurePaymentTables();
+  const [payment] = await query('SELECT * FROM payments WHERE id = ? AND tenant_id = ?', [paymentId, tenantId]);
+  if (!payment) return { error: 'Payment not found', status: 404 };
+  if (payment.type !== 'payment') return { error: 'Only a payment can be reversed', status: 400 };
+  if (payment.reversed_at) return { error: 'Payment is already reversed', status: 409 };
+  if (payment.method === 'deposit') return { error: 'A booking deposit is returned through the booking, not reversed', status: 400 };
+  const [{ refunded }] = await query(
+    "SELECT COUNT(*) AS refunded FROM payments WHERE reverses_payment_id = ? AND type = 'refund'", [payment.id]
+  );
+  if (Number(refunded) > 0) return { error: 'Payment has been partly refunded and cannot be reversed', status: 409 };
+
+  // Claim it first so two requests can't both reverse it
+  const claimed = await execute(
+    'UPDATE payments SET reversed_at = ?, reversed_by = ?, reversal_reason = ? WHERE id = ? AND reversed_at IS NULL',
+    [toMySQLDateTime(new Date()), userId, reason ? String(reason).slice(0, 500) : null, payment.id]
+  );
+  if (!claimed.affectedRows) return { error: 'Payment is already reversed', status: 409 };
+
+  const undone = await undoTenderEffects(tenantId, payment, { userId, invoiceId: payment.invoice_id, reason: reason || 'Payment reversed' });
+  if (!undone.success) {
+    await execute('UPDATE payments SET reversed_at = NULL, reversed_by = NULL, reversal_reason = NULL WHERE id = ?', [payment.id]);
+    return { error: undone.message, status: 400 };
+  }
+
+  const reversalId = await recordPayment({
+    tenantId,
+    invoiceId: payment.invoice_id,
+    posTransactionId: payment.pos_transaction_id,
+    branchId: payment.branch_id,
+    customerId: payment.customer_id,
+    staffId: userId,
+    type: 'reversal',
+    method: payment.method,
+    amount: -Math.abs(payment.amount),
+    currency: payment.currency,
+    reference: payment.reference,
+    notes: reason || null,
+    reversesPaymentId: payment.id,
+  });
+  const invoice = payment.invoice_id ? await syncInvoicePayments(payment.invoice_id) : null;
+  return { reversal_id: reversalId, payment, invoice };
+}
+
+// ─── Refunds ───────────────────────────────────────────────
+
+/**
+ * Pay money back to the tenders it came in on: the latest payments first,
+ * booking deposits last. Gift card value and loyalty points go back on the
+ * card or account; cash, card and transfers are recorded for staff to hand
+ * back. Each refund is a negative row against the payment it comes out of.
+ * @param {object} source - { tenantId, invoiceId } or { tenantId, posTransactionId }
+ * @returns {Promise<{ refunds: object[], unallocated: number }>}
+ */
+export async function refundPayments(source, amount, { userId = null, reason = null, creditNoteId = null } = {}) {
+  await ensurePaymentTables();
+  const { tenantId, invoiceId = null, posTransactionId = null } = source;
+  const [column, id] = invoiceId ? ['invoice_id', invoiceId] : ['pos_transaction_id', posTransactionId];
+  const payments = await query(`
+    SELECT p.*,
+      COALESCE((SELECT -SUM(r.amount) FROM payments r WHERE r.reverses_payment_id = p.id AND r.type = 'refund'), 0) AS refunded
+    FROM payments p
+    WHERE p.${column} = ? AND p.tenant_id = ? AND p.type = 'payment' AND p.reversed_at IS NULL
+    ORDER BY (p.method = 'deposit') ASC, p.paid_at DESC, p.id DESC
+  `, [id, tenantId]);
+
+  let remaining = round2(amount);
+  const refunds = [];
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+    const available = round2(payment.amount - payment.refunded);
+    if (available <= 0) continue;
+    const portion = Math.min(available, remaining);
+
+    const undone = await undoTenderEffects(tenantId, payment, {
+      userId, invoiceId, reason: reason || 'Refund', amount: portion,
+    });
+    if (!undone.success) {
+      // e.g. the gift card has since been voided — take the refund from the next tender
+      console.error(`[Payments] Could not refund payment ${payment.id} to ${payment.method}:`, undone.message);
+      continue;
+    }
+    const refundId = await recordPayment({
+      tenantId,
+      invoiceId: payment.invoice_id,
+      posTransactionId: payment.pos_transaction_id,
+      branchId: payment.branch_id,
+      customerId: payment.customer_id,
+      staffId: userId,
+      type: 'refund',
+      method: payment.method,
+      amount: -portion,
+      currency: payment.currency,
+      reference: payment.reference,
+      notes: reason || null,
+      reversesPaymentId: payment.id,
+      creditNoteId,
+    });
+    refunds.push({ id: refundId, payment_id: payment.id, method: payment.method, amount: portion, reference: payment.reference });
+    remaining = round2(remaining - portion);
+  }
+  return { refunds, unallocated: Math.max(0, remaining) };
+}
+
+export default {
+  PAYMENT_METHODS,
+  PAYMENT_TYPES,
+  TENDER_METHODS,
+  ensurePaymentTables,
+  normalizeTenders,
+  settleTenders,
+  recordPayment,
+  takeTenders,
+  openInvoiceLedger,
+  openPosLedger,
+  withInvoiceLock,
+  invoiceAmountOwed,
+  invoiceBalance,
+  deriveInvoiceStatus,
+  appointmentPaymentStatus,
+  syncInvoicePayments,
+  reversePayment,
+  refundPayments,
+};
@@ -235,8 +235,26 @@ export async function generateInvoicePDF(invoice, tenantInfo) {
       doc.text('Grand Total:', totalsX, nextY, { width: 100, align: 'right' });
       doc.text(`${currencySymbol} ${parseFloat(invoice.total || 0).toFixed(2)}`, 500, nextY, { width: 50, align: 'right' });
       
+      // Deposit paid online at booking
+      if (parseFloat(invoice.deposit_amount || 0) > 0) {
+        nextY += 30;
+        doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+        doc.text('Deposit Paid:', totalsX, nextY, { width: 100, align: 'right' });
+        doc.font('Helvetica-Bold').fillColor('#10b981');
+        doc.text(`-${currencySymbol} ${parseFloat(invoice.deposit_amount).toFixed(2)}`, 500, nextY, { width: 50, align: 'right' });
+      }
+
+      // Credit notes issued against the invoice
+      if (parseFloat(invoice.credited_amount || 0) > 0) {
+        nextY += 30;
+        doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+        doc.text('Credited:', totalsX, nextY, { width: 100, align: 'right' });
+        doc.font('Helvetica-Bold').fillColor('#f59e0b');
+        doc.text(`-${currencySymbol} ${parseFloat(invoice.credited_amount).toFixed(2)}`, 500, nextY, { width: 50, align: 'right' });
+      }
+
       // Balance Due
-      const balanceDue = parseFloat(invoice.total || 0) - parseFloat(invoice.amount_paid || 0);
+      const balanceDue = parseFloat(invoice.total || 0) - parseFloat(invoice.credited_amount || 0) - parseFloat(invoice.amount_paid || 0);
       if (balanceDue > 0) {
         nextY += 30;
         doc.fontSize(11).font('Helvetica-Bold').fillColor('#ef4444');
@@ -452,7 +470,7 @@ export async function generateReceiptPDF(invoice, tenantInfo) {
       doc.text('Total Paid', 70, 400);
       doc.text('Balance', 70, 434);
 
-      const balance = Math.max(0, parseFloat(invoice.total || 0) - amountPaid);
+      const balance = Math.max(0, parseFloat(invoice.total || 0) - parseFloat(invoice.credited_amount || 0) - amountPaid);
       const valueX = 380;
       const valueW = 145;
 
@@ -494,3 +512,475 @@ export async function generateReceiptPDF(invoice, tenantInfo) {
     }
   });
 }
+
+/**
+ * Generate credit note PDF
+ * @param {Object} creditNote - Credit note with items, refunds and invoice_number
+ * @param {Object} tenantInfo - Tenant/business information
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function generateCreditNotePDF(creditNote, tenantInfo) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `Credit Note ${creditNote.credit_note_number}`,
+          Author: tenantInfo.name || 'Beauty Center',
+          Subject: 'Credit Note',
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      const primaryColor = '#1e293b';
+      const secondaryColor = '#64748b';
+      const creditColor = '#f59e0b';
+      const currencySymbol = getCurrencySymbol(creditNote);
+      const formatDate = (d) => new Date(d).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+
+      if (tenantInfo.logo_url) {
+        const logoBuffer = await fetchImageBuffer(tenantInfo.logo_url);
+        if (logoBuffer) {
+          doc.image(logoBuffer, 50, 45, { fit: [118, 72], align: 'left', valign: 'top' });
+        }
+      }
+
+      doc.fontSize(26).font('Helvetica-Bold').fillColor(creditColor);
+      doc.text('CREDIT NOTE', 50, 55, { align: 'right' });
+      doc.fontSize(11).font('Helvetica').fillColor(secondaryColor);
+      doc.text(`Credit Note #${creditNote.credit_note_number}`, 50, 88, { align: 'right' });
+
+      doc.moveTo(50, 125).lineTo(545, 125).strokeColor('#e2e8f0').stroke();
+
+      doc.fontSize(14).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(tenantInfo.name || tenantInfo.company_name || 'Beauty Center', 50, 145);
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      let y = 167;
+      if (tenantInfo.address) { doc.text(tenantInfo.address, 50, y); y += 14; }
+      if (tenantInfo.city || tenantInfo.country) { doc.text([tenantInfo.city, tenantInfo.country].filter(Boolean).join(', '), 50, y); y += 14; }
+      if (tenantInfo.email) { doc.text(`Email: ${tenantInfo.email}`, 50, y); y += 14; }
+      if (tenantInfo.phone) { doc.text(`Phone: ${tenantInfo.phone}`, 50, y); y += 14; }
+
+      const customerName = `${creditNote.customer_first_name || ''} ${creditNote.customer_last_name || ''}`.trim() || 'Client';
+      doc.fontSize(12).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text('Credit To', 50, 250);
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      doc.text(customerName, 50, 270);
+      if (creditNote.customer_email) doc.text(creditNote.customer_email, 50, 285);
+      if (creditNote.customer_phone) doc.text(creditNote.customer_phone, 50, 300);
+
+      const metaX = 340;
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      doc.text('Issue Date:', metaX, 250);
+      doc.font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(formatDate(creditNote.created_at || new Date()), metaX + 90, 250);
+      doc.font('Helvetica').fillColor(secondaryColor);
+      doc.text('Against Invoice:', metaX, 268);
+      doc.font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(`#${creditNote.invoice_number || creditNote.invoice_id}`, metaX + 90, 268);
+      if (creditNote.invoice_date) {
+        doc.font('Helvetica').fillColor(secondaryColor);
+        doc.text('Invoice Date:', metaX, 286);
+        doc.font('Helvetica-Bold').fillColor(primaryColor);
+        doc.text(formatDate(creditNote.invoice_date), metaX + 90, 286);
+      }
+
+      // ── Lines ──
+      const tableTop = 340;
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.rect(50, tableTop - 10, 500, 25).fillAndStroke('#f8fafc', primaryColor);
+      doc.fillColor(primaryColor);
+      doc.text('Description', 60, tableTop);
+      doc.text('Qty', 350, tableTop, { width: 50, align: 'center' });
+      doc.text('Credit', 450, tableTop, { width: 90, align: 'right' });
+
+      let currentY = tableTop + 30;
+      doc.font('Helvetica').fillColor(secondaryColor);
+      for (const item of creditNote.items || []) {
+        if (currentY > 680) { doc.addPage(); currentY = 50; }
+        doc.text(item.name || 'Item', 60, currentY, { width: 280 });
+        doc.text(item.quantity > 0 ? String(item.quantity) : '—', 350, currentY, { width: 50, align: 'center' });
+        doc.text(`${currencySymbol} ${parseFloat(item.total || 0).toFixed(2)}`, 450, currentY, { width: 90, align: 'right' });
+        if (item.restocked) {
+          doc.fontSize(8).fillColor('#10b981');
+          doc.text('(returned to stock)', 60, currentY + 12);
+          doc.fontSize(10).fillColor(secondaryColor);
+        }
+        currentY += 25;
+      }
+
+      // ── Totals ──
+      let totalsY = currentY + 15;
+      const totalsX = 330;
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      doc.text('Subtotal:', totalsX, totalsY, { width: 110, align: 'right' });
+      doc.font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(`${currencySymbol} ${parseFloat(creditNote.subtotal || 0).toFixed(2)}`, 450, totalsY, { width: 90, align: 'right' });
+      if (parseFloat(creditNote.tax_amount || 0) > 0) {
+        totalsY += 20;
+        doc.font('Helvetica').fillColor(secondaryColor);
+        doc.text('Tax:', totalsX, totalsY, { width: 110, align: 'right' });
+        doc.font('Helvetica-Bold').fillColor(primaryColor);
+        doc.text(`${currencySymbol} ${parseFloat(creditNote.tax_amount).toFixed(2)}`, 450, totalsY, { width: 90, align: 'right' });
+      }
+      totalsY += 25;
+      doc.fontSize(13).font('Helvetica-Bold').fillColor(creditColor);
+      doc.text('Total Credit:', totalsX, totalsY, { width: 110, align: 'right' });
+      doc.text(`${currencySymbol} ${parseFloat(creditNote.total || 0).toFixed(2)}`, 450, totalsY, { width: 90, align: 'right' });
+
+      // ── Refunds ──
+      let infoY = totalsY + 40;
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text('Refund', 50, infoY);
+      infoY += 16;
+      doc.font('Helvetica').fillColor(secondaryColor);
+      if (creditNote.refunds && creditNote.refunds.length > 0) {
+        for (const refund of creditNote.refunds) {
+          doc.text(`${currencySymbol} ${parseFloat(refund.amount).toFixed(2)} to ${(refund.method || '').replace(/_/g, ' ')}${refund.reference ? ` (${refund.reference})` : ''}`, 50, infoY);
+          infoY += 14;
+        }
+      } else {
+        doc.text('Credited against the invoice balance — no refund due.', 50, infoY);
+        infoY += 14;
+      }
+      if (creditNote.loyalty_points_reversed > 0) {
+        doc.text(`${creditNote.loyalty_points_reversed} loyalty points earned on the invoice have been reversed.`, 50, infoY);
+        infoY += 14;
+      }
+
+      if (creditNote.reason) {
+        infoY += 10;
+        doc.fontSize(10).font('Helvetica-Bold').fillColor(primaryColor);
+        doc.text('Reason:', 50, infoY);
+        doc.font('Helvetica').fillColor(secondaryColor);
+        doc.text(creditNote.reason, 50, infoY + 15, { width: 450 });
+      }
+
+      doc.fontSize(8).font('Helvetica').fillColor('#94a3b8');
+      doc.text(`Generated on ${new Date().toLocaleString('en-GB')}`, 50, 780, { align: 'center', width: 500 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate a staff commission statement PDF
+ * @param {Object} statement - Statement from buildStatement (with the payout, if closed)
+ * @param {Object} tenantInfo - Tenant/business information
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function generateCommissionStatementPDF(statement, tenantInfo) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `Commission Statement ${statement.staff.name}`,
+          Author: tenantInfo.name || 'Beauty Center',
+          Subject: 'Commission Statement',
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      const primaryColor = '#1e293b';
+      const secondaryColor = '#64748b';
+      const accentColor = '#6366f1';
+      const clawbackColor = '#ef4444';
+      const currencySymbol = getCurrencySymbol(statement);
+      const money = (n) => `${currencySymbol} ${parseFloat(n || 0).toFixed(2)}`;
+      const formatDate = (d) => new Date(d).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+      const typeLabels = { service: 'Services', product: 'Retail', package: 'Packages', tip: 'Tips', gift_card: 'Gift cards', custom: 'Other' };
+
+      if (tenantInfo.logo_url) {
+        const logoBuffer = await fetchImageBuffer(tenantInfo.logo_url);
+        if (logoBuffer) {
+          doc.image(logoBuffer, 50, 45, { fit: [118, 72], align: 'left', valign: 'top' });
+        }
+      }
+
+      doc.fontSize(22).font('Helvetica-Bold').fillColor(accentColor);
+      doc.text('COMMISSION STATEMENT', 50, 55, { align: 'right' });
+      doc.fontSize(11).font('Helvetica').fillColor(secondaryColor);
+      doc.text(statement.payout ? `Payout #${statement.payout.id}${statement.payout.status === 'paid' ? ' — Paid' : ''}` : 'Provisional', 50, 85, { align: 'right' });
+
+      doc.moveTo(50, 125).lineTo(545, 125).strokeColor('#e2e8f0').stroke();
+
+      doc.fontSize(14).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(tenantInfo.name || tenantInfo.company_name || 'Beauty Center', 50, 145);
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      let y = 167;
+      if (tenantInfo.address) { doc.text(tenantInfo.address, 50, y); y += 14; }
+      if (tenantInfo.city || tenantInfo.country) { doc.text([tenantInfo.city, tenantInfo.country].filter(Boolean).join(', '), 50, y); y += 14; }
+
+      const metaX = 340;
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      doc.text('Staff:', metaX, 145);
+      doc.font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(statement.staff.name || `#${statement.staff.id}`, metaX + 70, 145);
+      doc.font('Helvetica').fillColor(secondaryColor);
+      doc.text('Period:', metaX, 163);
+      doc.font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(`${formatDate(statement.period.start)} – ${formatDate(statement.period.end)}`, metaX + 70, 163);
+
+      // ── Summary by type ──
+      let currentY = 220;
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.rect(50, currentY - 10, 500, 25).fillAndStroke('#f8fafc', primaryColor);
+      doc.fillColor(primaryColor);
+      doc.text('Type', 60, currentY);
+      doc.text('Sales', 300, currentY, { width: 110, align: 'right' });
+      doc.text('Commission', 430, currentY, { width: 110, align: 'right' });
+      currentY += 30;
+      doc.font('Helvetica').fillColor(secondaryColor);
+      for (const [type, row] of Object.entries(statement.by_type || {})) {
+        doc.text(typeLabels[type] || type, 60, currentY);
+        doc.text(type === 'tip' ? '—' : money(row.sales), 300, currentY, { width: 110, align: 'right' });
+        doc.text(money(row.commission), 430, currentY, { width: 110, align: 'right' });
+        currentY += 18;
+      }
+      for (const tier of statement.tiers || []) {
+        if (!tier.adjustment) continue;
+        doc.text(`Tier bonus — ${tier.rule_name} on ${money(tier.sales)}`, 60, currentY, { width: 340 });
+        doc.text(money(tier.adjustment), 430, currentY, { width: 110, align: 'right' });
+        currentY += 18;
+      }
+
+      // ── Lines ──
+      currentY += 20;
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.rect(50, currentY - 10, 500, 25).fillAndStroke('#f8fafc', primaryColor);
+      doc.fillColor(primaryColor);
+      doc.text('Date', 60, currentY);
+      doc.text('Item', 130, currentY);
+      doc.text('Sale', 330, currentY, { width: 80, align: 'right' });
+      doc.text('Rate', 410, currentY, { width: 50, align: 'right' });
+      doc.text('Commission', 460, currentY, { width: 80, align: 'right' });
+      currentY += 30;
+
+      doc.fontSize(9).font('Helvetica');
+      for (const line of statement.lines || []) {
+        if (currentY > 720) { doc.addPage(); currentY = 50; }
+        const clawback = line.type === 'clawback';
+        const label = `${line.invoice_number || ''} ${line.item_name || line.item_type}${clawback ? ` — clawback${line.credit_note_number ? ` (${line.credit_note_number})` : ''}` : ''}`.trim();
+        doc.fillColor(clawback ? clawbackColor : secondaryColor);
+        doc.text(formatDate(line.date), 60, currentY);
+        doc.text(label, 130, currentY, { width: 200, height: 12, ellipsis: true });
+        doc.text(money(line.sale_amount), 330, currentY, { width: 80, align: 'right' });
+        doc.text(line.rate_type === 'fixed' ? money(line.rate) : `${line.rate}%`, 410, currentY, { width: 50, align: 'right' });
+        doc.text(money(line.commission), 460, currentY, { width: 80, align: 'right' });
+        currentY += 16;
+      }
+      if (!statement.lines || statement.lines.length === 0) {
+        doc.fillColor(secondaryColor).text('No commission in this period.', 60, currentY);
+        currentY += 16;
+      }
+
+      // ── Totals ──
+      if (currentY > 650) { doc.addPage(); currentY = 50; }
+      let totalsY = currentY + 20;
+      const totalsX = 300;
+      const totals = statement.totals;
+      const rows = [
+        ['Earned:', totals.earned],
+        ['Clawbacks:', totals.clawback],
+        ...(totals.tier_adjustment ? [['Tier bonus:', totals.tier_adjustment]] : []),
+      ];
+      doc.fontSize(10);
+      for (const [label, value] of rows) {
+        doc.font('Helvetica').fillColor(secondaryColor);
+        doc.text(label, totalsX, totalsY, { width: 140, align: 'right' });
+        doc.font('Helvetica-Bold').fillColor(primaryColor);
+        doc.text(money(value), 450, totalsY, { width: 90, align: 'right' });
+        totalsY += 20;
+      }
+      totalsY += 5;
+      doc.fontSize(13).font('Helvetica-Bold').fillColor(accentColor);
+      doc.text('Total Payable:', totalsX, totalsY, { width: 140, align: 'right' });
+      doc.text(money(totals.commission), 450, totalsY, { width: 90, align: 'right' });
+
+      if (statement.payout?.paid_at) {
+        doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+        doc.text(`Paid on ${formatDate(statement.payout.paid_at)}${statement.payout.payment_reference ? ` — ref ${statement.payout.payment_reference}` : ''}`, 50, totalsY + 30);
+      }
+
+      doc.fontSize(8).font('Helvetica').fillColor('#94a3b8');
+      doc.text(`Generated on ${new Date().toLocaleString('en-GB')}`, 50, 780, { align: 'center', width: 500 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate a cash drawer Z-report PDF
+ * @param {Object} report - Z-report as written when the drawer was closed
+ * @param {Object} tenantInfo - Tenant/business information
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function generateZReportPDF(report, tenantInfo) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `Z-Report ${report.report_number}`,
+          Author: tenantInfo.name || 'Beauty Center',
+          Subject: 'Cash Drawer Z-Report',
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      const primaryColor = '#1e293b';
+      const secondaryColor = '#64748b';
+      const accentColor = '#6366f1';
+      const varianceColor = '#ef4444';
+      const currencySymbol = getCurrencySymbol(report);
+      const money = (n) => `${currencySymbol} ${parseFloat(n || 0).toFixed(2)}`;
+      const formatDateTime = (d) => new Date(d).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+      const methodLabels = { card: 'Card', gift_card: 'Gift card', bank_transfer: 'Bank transfer', loyalty_points: 'Loyalty points', other: 'Other' };
+
+      if (tenantInfo.logo_url) {
+        const logoBuffer = await fetchImageBuffer(tenantInfo.logo_url);
+        if (logoBuffer) {
+          doc.image(logoBuffer, 50, 45, { fit: [118, 72], align: 'left', valign: 'top' });
+        }
+      }
+
+      doc.fontSize(22).font('Helvetica-Bold').fillColor(accentColor);
+      doc.text('Z-REPORT', 50, 55, { align: 'right' });
+      doc.fontSize(11).font('Helvetica').fillColor(secondaryColor);
+      doc.text(report.report_number, 50, 85, { align: 'right' });
+
+      doc.moveTo(50, 125).lineTo(545, 125).strokeColor('#e2e8f0').stroke();
+
+      doc.fontSize(14).font('Helvetica-Bold').fillColor(primaryColor);
+      doc.text(tenantInfo.name || tenantInfo.company_name || 'Beauty Center', 50, 145);
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      let y = 167;
+      if (report.branch_name) { doc.text(report.branch_name, 50, y); y += 14; }
+      if (tenantInfo.address) { doc.text(tenantInfo.address, 50, y); y += 14; }
+
+      const metaX = 320;
+      const meta = [
+        ['Drawer:', `#${report.drawer_id}`],
+        ['Staff:', report.staff_name || `#${report.staff_id}`],
+        ['Opened:', formatDateTime(report.opened_at)],
+        ['Closed:', formatDateTime(report.closed_at)],
+      ];
+      let metaY = 145;
+      for (const [label, value] of meta) {
+        doc.font('Helvetica').fillColor(secondaryColor).text(label, metaX, metaY);
+        doc.font('Helvetica-Bold').fillColor(primaryColor).text(value, metaX + 60, metaY);
+        metaY += 18;
+      }
+
+      const section = (title, top) => {
+        doc.fontSize(10).font('Helvetica-Bold').fillColor(primaryColor);
+        doc.rect(50, top - 10, 500, 25).fillAndStroke('#f8fafc', primaryColor);
+        doc.fillColor(primaryColor).text(title, 60, top);
+        return top + 30;
+      };
+      const line = (label, value, top, color = secondaryColor, bold = false) => {
+        doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(color);
+        doc.text(label, 60, top, { width: 340 });
+        doc.text(value, 430, top, { width: 110, align: 'right' });
+        return top + 18;
+      };
+
+      // ── Cash ──
+      const cash = report.cash;
+      let currentY = section('Cash', Math.max(y, metaY) + 25);
+      currentY = line('Opening float', money(cash.opening_float), currentY);
+      currentY = line('Cash sales', money(cash.sales), currentY);
+      currentY = line('Cash refunds', `- ${money(cash.refunds)}`, currentY);
+      if (cash.reversals) currentY = line('Cash reversals', `- ${money(cash.reversals)}`, currentY);
+      currentY = line('Pay-ins', money(cash.pay_ins), currentY);
+      currentY = line('Pay-outs', `- ${money(cash.pay_outs)}`, currentY);
+      currentY = line('Expected in drawer', money(cash.expected), currentY + 4, primaryColor, true);
+      currentY = line('Counted', money(cash.counted), currentY, primaryColor, true);
+      currentY = line(
+        `Variance${report.variance_flagged ? ' — FLAGGED' : ''}`,
+        `${cash.variance > 0 ? '+' : ''}${parseFloat(cash.variance || 0).toFixed(2)}`,
+        currentY,
+        report.variance_flagged ? varianceColor : primaryColor,
+        true
+      );
+
+      // ── Count by denomination ──
+      if (Array.isArray(cash.denominations) && cash.denominations.length > 0) {
+        currentY = section('Count', currentY + 20);
+        for (const d of cash.denominations) {
+          currentY = line(`${money(d.value)} × ${d.count}`, money(d.total), currentY);
+        }
+      }
+
+      // ── Other tenders ──
+      const others = Object.entries(report.tenders || {}).filter(([method]) => method !== 'cash');
+      if (others.length > 0) {
+        if (currentY > 620) { doc.addPage(); currentY = 50; }
+        currentY = section('Other tenders', currentY + 20);
+        for (const [method, t] of others) {
+          const refunded = (t.refunded || 0) + (t.reversed || 0);
+          currentY = line(
+            `${methodLabels[method] || method} (${t.count})${refunded ? ` — refunded ${money(refunded)}` : ''}`,
+            money(t.net), currentY
+          );
+        }
+      }
+
+      // ── Pay-ins / pay-outs ──
+      if ((report.movements || []).length > 0) {
+        if (currentY > 620) { doc.addPage(); currentY = 50; }
+        currentY = section('Pay-ins and pay-outs', currentY + 20);
+        for (const m of report.movements) {
+          if (currentY > 740) { doc.addPage(); currentY = 50; }
+          currentY = line(
+            `${formatDateTime(m.created_at)}  ${m.type === 'pay_in' ? 'In' : 'Out'} — ${m.reason}`,
+            `${m.type === 'pay_out' ? '- ' : ''}${money(m.amount)}`, currentY
+          );
+        }
+      }
+
+      // ── Totals ──
+      if (currentY > 650) { doc.addPage(); currentY = 50; }
+      let totalsY = currentY + 20;
+      doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+      doc.text(`Sales: ${report.counts?.pos_sales || 0} POS, ${report.counts?.invoices || 0} invoices — refunds: ${report.counts?.refunds || 0}`, 50, totalsY);
+      doc.fontSize(13).font('Helvetica-Bold').fillColor(accentColor);
+      doc.text('Net takings:', 300, totalsY, { width: 140, align: 'right' });
+      doc.text(money(report.totals?.net), 450, totalsY, { width: 90, align: 'right' });
+
+      if (report.notes) {
+        doc.fontSize(10).font('Helvetica').fillColor(secondaryColor);
+        doc.text(`Notes: ${report.notes}`, 50, totalsY + 30, { width: 495 });
+      }
+
+      doc.fontSize(8).font('Helvetica').fillColor('#94a3b8');
+      doc.text(`Generated on ${new Date().toLocaleString('en-GB')}`, 50, 780, { align: 'center', width: 500 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
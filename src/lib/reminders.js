@@ -1,6 +1,7 @@
-import { query, execute } from './database.js';
+import { query, execute, toMySQLDateTime } from './database.js';
 import { sendEmail, sendNotificationEmail } from './email.js';
 import { notify } from './notify.js';
+import { getSchedulingTimezone, formatInTimezone } from './timezone.js';
 
 /**
  * Reminder Service
@@ -94,15 +95,6 @@ async function markReminderFailed(reminderId, retryCount, errorMessage) {
   );
 }
 
-/**
- * Convert Date to MySQL DATETIME format
- */
-function toMySQLDateTime(date) {
-  if (!date) return null;
-  const d = new Date(date);
-  return d.toISOString().slice(0, 19).replace('T', ' ');
-}
-
 async function insertReminderIfNotExists(tenantId, appointmentId, sendAt, method = 'email') {
   if (!sendAt) return false;
 
@@ -238,34 +230,86 @@ async function getAppointmentDetails(appointmentId) {
   return appointments[0] || null;
 }
 
+/**
+ * Placeholder values for template data, keyed by placeholder name.
+ * Shared with workflow actions so both fill templates the same way.
+ */
+export function getPlaceholderValues(data = {}) {
+  return {
+    client_name: data.clientName || data.customerName || 'Valued Client',
+    first_name: data.firstName || data.clientName?.split(' ')[0] || 'Valued Client',
+    customer_name: data.clientName || data.customerName || 'Valued Client',
+    service_name: data.serviceName || 'your service',
+    appointment_date: data.appointmentDate || '',
+    appointment_time: data.appointmentTime || '',
+    staff_name: data.staffName || 'our team',
+    business_name: data.businessName || 'our business',
+    company_name: data.businessName || 'our business',
+    hours: data.hours || '24',
+    days: data.days || '7',
+  };
+}
+
 /**
  * Replace placeholders in template with actual values
  */
-function replacePlaceholders(template, data) {
+export function replacePlaceholders(template, data) {
   if (!template) return '';
   
   let result = template;
-  const placeholders = {
-    '{client_name}': data.clientName || data.customerName || 'Valued Client',
-    '{first_name}': data.firstName || data.clientName?.split(' ')[0] || 'Valued Client',
-    '{customer_name}': data.clientName || data.customerName || 'Valued Client',
-    '{service_name}': data.serviceName || 'your service',
-    '{appointment_date}': data.appointmentDate || '',
-    '{appointment_time}': data.appointmentTime || '',
-    '{staff_name}': data.staffName || 'our team',
-    '{business_name}': data.businessName || 'our business',
-    '{company_name}': data.businessName || 'our business',
-    '{hours}': data.hours || '24',
-    '{days}': data.days || '7',
-  };
-  
-  for (const [placeholder, value] of Object.entries(placeholders)) {
-    result = result.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'gi'), value);
+  for (const [name, value] of Object.entries(getPlaceholderValues(data))) {
+    result = result.replace(new RegExp(`\\{${name}\\}`, 'gi'), value);
   }
   
   return result;
 }
 
+/**
+ * Template data for an appointment: client, service, staff and business names,
+ * with the date and time formatted in the business's timezone
+ */
+export async function getAppointmentTemplateData(appointmentId) {
+  const appointment = await getAppointmentDetails(appointmentId);
+  if (!appointment) return null;
+
+  // Format appointment date/time in the business's timezone, not the server's
+  const timeZone = await getSchedulingTimezone(appointment.tenant_id, { staffId: appointment.staff_id });
+  const { dateStr, timeStr } = formatInTimezone(appointment.start_time, timeZone);
+  
+  const clientName = `${appointment.first_name || ''} ${appointment.last_name || ''}`.trim() || 'Valued Client';
+  const staffName = appointment.staff_name || 'our team';
+  
+  // Get business name from tenant settings
+  let businessName = appointment.tenant_name || 'our business';
+  try {
+    if (appointment.tenant_settings) {
+      const settings = typeof appointment.tenant_settings === 'string' 
+        ? JSON.parse(appointment.tenant_settings) 
+        : appointment.tenant_settings;
+      if (settings.company_name) {
+        businessName = settings.company_name;
+      }
+    }
+  } catch (e) {
+    // Ignore
+  }
+  
+  return {
+    appointment,
+    clientName,
+    customerName: clientName,
+    firstName: appointment.first_name || clientName.split(' ')[0],
+    serviceName: appointment.service_name || 'your service',
+    appointmentDate: dateStr,
+    appointmentTime: timeStr,
+    staffName,
+    businessName,
+    companyName: businessName,
+    hours: '24',
+    days: '7',
+  };
+}
+
 /**
  * Send a single reminder (email or SMS)
  * 
@@ -274,11 +318,12 @@ function replacePlaceholders(template, data) {
  */
 async function sendReminder(reminder) {
   try {
-    const appointment = await getAppointmentDetails(reminder.appointment_id);
+    const templateData = await getAppointmentTemplateData(reminder.appointment_id);
     
-    if (!appointment) {
+    if (!templateData) {
       return { success: false, error: 'Appointment not found' };
     }
+    const { appointment } = templateData;
     
     // Check if appointment is still valid (not cancelled, not completed)
     if (appointment.status === 'cancelled' || appointment.status === 'completed' || appointment.status === 'no_show') {
@@ -302,52 +347,6 @@ async function sendReminder(reminder) {
     const subject = setting.template_subject || 'Appointment Reminder';
     const body = setting.template_body || 'Your appointment is coming up soon.';
     
-    // Format appointment date/time
-    const appointmentDate = new Date(appointment.start_time);
-    const dateStr = appointmentDate.toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
-    const timeStr = appointmentDate.toLocaleTimeString('en-US', { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
-    
-    const clientName = `${appointment.first_name || ''} ${appointment.last_name || ''}`.trim() || 'Valued Client';
-    const staffName = appointment.staff_name || 'our team';
-    
-    // Get business name from tenant settings
-    let businessName = appointment.tenant_name || 'our business';
-    try {
-      if (appointment.tenant_settings) {
-        const settings = typeof appointment.tenant_settings === 'string' 
-          ? JSON.parse(appointment.tenant_settings) 
-          : appointment.tenant_settings;
-        if (settings.company_name) {
-          businessName = settings.company_name;
-        }
-      }
-    } catch (e) {
-      // Ignore
-    }
-    
-    const templateData = {
-      clientName,
-      customerName: clientName,
-      firstName: appointment.first_name || clientName.split(' ')[0],
-      serviceName: appointment.service_name || 'your service',
-      appointmentDate: dateStr,
-      appointmentTime: timeStr,
-      staffName,
-      businessName,
-      companyName: businessName,
-      hours: '24',
-      days: '7',
-    };
-    
     const finalSubject = replacePlaceholders(subject, templateData);
     const finalBody = replacePlaceholders(body, templateData);
     
@@ -519,6 +518,9 @@ export async function rescheduleAppointmentReminders(tenantId, appointmentId, ne
 }
 
 export default {
+  getPlaceholderValues,
+  replacePlaceholders,
+  getAppointmentTemplateData,
   scheduleAppointmentReminders,
   processPendingReminders,
   cancelAppointmentReminders,
@@ -0,0 +1,202 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+
+/**
+ * Resource Booking Service
+ * Rooms and equipment linked to services via service_resources are reserved
+ * per appointment in appointment_resources. A service needs one free resource
+ * of every type it is linked to (linking two rooms means "either room"), and a
+ * resource can host up to `capacity` overlapping appointments.
+ */
+
+let _tablesReady = false;
+
+/**
+ * Ensure appointment_resources table exists
+ */
+export async function ensureResourceTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS appointment_resources (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      appointment_id INT NOT NULL,
+      resource_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_appointment_resource (appointment_id, resource_id),
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_resource (resource_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  _tablesReady = true;
+}
+
+/**
+ * Resources a service needs, grouped by type.
+ * Resources belonging to another branch are left out, so a type with no
+ * resource in the branch stays in the list with an empty `resources` array.
+ *
+ * @returns {Promise<Array<{type: string, resources: Array<{id, name, capacity}>}>>}
+ */
+export async function getServiceResourceRequirements(tenantId, serviceId, branchId = null) {
+  let linked;
+  try {
+    linked = await query(
+      `SELECT r.id, r.name, r.type, r.capacity, r.branch_id
+       FROM service_resources sr
+       INNER JOIN resources r ON r.id = sr.resource_id
+       WHERE sr.service_id = ? AND r.tenant_id = ? AND r.is_active = 1
+       ORDER BY r.type, r.name`,
+      [serviceId, tenantId]
+    );
+  } catch (e) {
+    // Resources module never used by this install
+    if (e.code === 'ER_NO_SUCH_TABLE') return [];
+    throw e;
+  }
+
+  const groups = new Map();
+  for (const r of linked) {
+    const type = r.type || 'room';
+    if (!groups.has(type)) groups.set(type, { type, resources: [] });
+    if (branchId && r.branch_id && String(r.branch_id) !== String(branchId)) continue;
+    groups.get(type).resources.push({ id: r.id, name: r.name, capacity: parseInt(r.capacity) || 1 });
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Reservations on the given resources overlapping a time range (epoch ms).
+ * Cancelled, no-show and completed appointments free their resources.
+ */
+export async function getResourceBookings(tenantId, resourceIds, from, to, excludeAppointmentIds = []) {
+  if (resourceIds.length === 0) return [];
+  await ensureResourceTables();
+  let sql = `SELECT ar.resource_id, ar.appointment_id, a.start_time, a.end_time
+     FROM appointment_resources ar
+     INNER JOIN appointments a ON a.id = ar.appointment_id
+     WHERE ar.tenant_id = ? AND ar.resource_id IN (${resourceIds.map(() => '?').join(',')})
+     AND a.status NOT IN ('cancelled', 'no_show', 'completed')
+     AND a.start_time < ? AND a.end_time > ?`;
+  const params = [tenantId, ...resourceIds, toMySQLDateTime(new Date(to).toISOString()), toMySQLDateTime(new Date(from).toISOString())];
+  if (excludeAppointmentIds.length > 0) {
+    sql += ` AND ar.appointment_id NOT IN (${excludeAppointmentIds.map(() => '?').join(',')})`;
+    params.push(...excludeAppointmentIds);
+  }
+  const rows = await query(sql, params);
+  return rows.map(r => ({
+    resource_id: r.resource_id,
+    appointment_id: r.appointment_id,
+    start: new Date(r.start_time).getTime(),
+    end: new Date(r.end_time).getTime(),
+  }));
+}
+
+/**
+ * Highest number of simultaneous reservations on a resource within [start, end)
+ */
+function peakUsage(bookings, resourceId, start, end) {
+  const events = [];
+  for (const b of bookings) {
+    if (b.resource_id !== resourceId || b.start >= end || b.end <= start) continue;
+    events.push([Math.max(b.start, start), 1], [Math.min(b.end, end), -1]);
+  }
+  // Ends sort before starts at the same instant so back-to-back bookings don't stack
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    peak = Math.max(peak, current);
+  }
+  return peak;
+}
+
+/**
+ * Pick one free resource per required type for a time range (epoch ms).
+ * Pure — works on bookings already loaded with getResourceBookings.
+ *
+ * @returns {{ resourceIds: number[], missing: string[] }} missing lists the types with nothing free
+ */
+export function pickResources(requirements, start, end, bookings) {
+  const resourceIds = [];
+  const missing = [];
+  for (const req of requirements) {
+    const free = req.resources.find(r => peakUsage(bookings, r.id, start, end) < r.capacity);
+    if (free) resourceIds.push(free.id);
+    else missing.push(req.type);
+  }
+  return { resourceIds, missing };
+}
+
+/**
+ * Allocate resources for a set of appointment lines booked together
+ * (a single booking, or the lines of a visit). Lines are allocated in order
+ * and see each other's picks, so two lines can't grab the last slot of a room.
+ *
+ * @param {number} tenantId
+ * @param {Array<{service_id, start: Date|string, end: Date|string}>} lines
+ * @param {Object} opts - { branchId, excludeAppointmentIds }
+ * @returns {Promise<{ allocations: number[][], unavailable: Array<{index, service_id, types}> }>}
+ */
+export async function allocateResources(tenantId, lines, { branchId = null, excludeAppointmentIds = [] } = {}) {
+  const requirementsByService = {};
+  for (const line of lines) {
+    if (!requirementsByService[line.service_id]) {
+      requirementsByService[line.service_id] = await getServiceResourceRequirements(tenantId, line.service_id, branchId);
+    }
+  }
+
+  const resourceIds = [...new Set(Object.values(requirementsByService)
+    .flatMap(reqs => reqs.flatMap(r => r.resources.map(res => res.id))))];
+  const starts = lines.map(l => new Date(l.start).getTime());
+  const ends = lines.map(l => new Date(l.end).getTime());
+  const bookings = await getResourceBookings(
+    tenantId, resourceIds, Math.min(...starts), Math.max(...ends), excludeAppointmentIds
+  );
+
+  const allocations = [];
+  const unavailable = [];
+  lines.forEach((line, index) => {
+    const { resourceIds: picked, missing } = pickResources(
+      requirementsByService[line.service_id], starts[index], ends[index], bookings
+    );
+    allocations.push(picked);
+    if (missing.length > 0) unavailable.push({ index, service_id: line.service_id, types: missing });
+    for (const id of picked) bookings.push({ resource_id: id, start: starts[index], end: ends[index] });
+  });
+
+  return { allocations, unavailable };
+}
+
+/**
+ * Record the resources held by an appointment (replaces any previous reservation)
+ */
+export async function reserveResources(tenantId, appointmentId, resourceIds) {
+  await ensureResourceTables();
+  await execute('DELETE FROM appointment_resources WHERE appointment_id = ? AND tenant_id = ?', [appointmentId, tenantId]);
+  for (const resourceId of resourceIds) {
+    await execute(
+      'INSERT INTO appointment_resources (tenant_id, appointment_id, resource_id) VALUES (?, ?, ?)',
+      [tenantId, appointmentId, resourceId]
+    );
+  }
+}
+
+/**
+ * Branch used for resource lookups — the staff member's branch, if any
+ */
+export async function getStaffBranchId(tenantId, staffId) {
+  if (!staffId) return null;
+  const [row] = await query('SELECT branch_id FROM staff WHERE id = ? AND tenant_id = ?', [staffId, tenantId]);
+  return row?.branch_id || null;
+}
+
+export default {
+  ensureResourceTables,
+  getServiceResourceRequirements,
+  getResourceBookings,
+  pickResources,
+  allocateResources,
+  reserveResources,
+  getStaffBranchId,
+};
@@ -0,0 +1,534 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { getServiceResourceRequirements, getResourceBookings, pickResources, getStaffBranchId } from './resources.js';
+import { DEFAULT_TIMEZONE, zonedTimeToUtc, utcToZoned, zonedDayRange, dayOfWeekOf, getSchedulingTimezone } from './timezone.js';
+
+/**
+ * Scheduling Service
+ * Staff working windows, booked ranges and slot search shared by the
+ * public booking widget and the staff-facing appointment routes.
+ * Schedules are wall-clock times in the branch / tenant timezone.
+ */
+
+const pad2 = n => String(n).padStart(2, '0');
+
+/**
+ * Minutes from midnight → 'HH:MM'
+ */
+export function minutesToTime(minutes) {
+  return `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+}
+
+/**
+ * 'HH:MM[:SS]' → minutes from midnight (null when empty)
+ */
+export function timeToMinutes(time) {
+  if (!time) return null;
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+/**
+ * Wall-clock time on a date in a timezone → Date (UTC instant)
+ */
+export function wallClockToDate(date, minutes, timeZone = DEFAULT_TIMEZONE) {
+  return zonedTimeToUtc(date, minutes, timeZone);
+}
+
+// ─── Service segments ──────────────────────────────────────────────
+
+/**
+ * A service runs as ordered segments. The staff member is busy during active
+ * and finishing segments; during a processing segment (colour developing,
+ * client under the dryer) they can take another client. The client's own
+ * rooms / equipment stay booked for the whole appointment.
+ */
+export const SEGMENT_TYPES = ['active', 'processing', 'finishing'];
+
+let _segmentColumnsReady = false;
+
+/**
+ * Ensure services and appointments can carry segments
+ */
+export async function ensureSegmentColumns() {
+  if (_segmentColumnsReady) return;
+  let ready = true;
+  for (const table of ['products', 'appointments']) {
+    try {
+      await execute(`ALTER TABLE ${table} ADD COLUMN segments JSON DEFAULT NULL`);
+    } catch (e) {
+      // Column already exists – that's fine; a missing table means retry next time
+      if (e.code !== 'ER_DUP_FIELDNAME') ready = false;
+    }
+  }
+  _segmentColumnsReady = ready;
+}
+
+function parseSegments(value) {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch { return null; }
+  }
+  return Array.isArray(value) && value.length > 0 ? value : null;
+}
+
+/**
+ * Validate segments sent to the API → { segments: [{type, minutes}] } or { error }
+ */
+export function normalizeSegments(input) {
+  const list = parseSegments(input);
+  if (!list) return { error: 'segments must be a non-empty array' };
+  const segments = [];
+  for (const seg of list) {
+    const minutes = parseInt(seg?.minutes, 10);
+    if (!SEGMENT_TYPES.includes(seg?.type)) return { error: `segment type must be one of: ${SEGMENT_TYPES.join(', ')}` };
+    if (!Number.isInteger(minutes) || minutes <= 0) return { error: 'segment minutes must be a positive whole number' };
+    segments.push({ type: seg.type, minutes });
+  }
+  if (segments[0].type === 'processing') return { error: 'A service cannot start with a processing segment' };
+  return { segments };
+}
+
+/**
+ * Ordered segments of a service. A service without its own segments is one
+ * busy block: processing_time (its booking length) then finishing_time.
+ */
+export function getServiceSegments(service) {
+  const own = parseSegments(service?.segments);
+  if (own) return own.map(seg => ({ type: seg.type, minutes: parseInt(seg.minutes, 10) || 0 }));
+  const finishing = parseInt(service?.finishing_time) || 0;
+  return [
+    { type: 'active', minutes: parseInt(service?.processing_time) || 30 },
+    ...(finishing > 0 ? [{ type: 'finishing', minutes: finishing }] : []),
+  ];
+}
+
+/**
+ * Segments worth storing on a booking (JSON) — only when they free the staff member
+ */
+export function getBookingSegments(service) {
+  const segments = getServiceSegments(service);
+  return segments.some(seg => seg.type === 'processing') ? JSON.stringify(segments) : null;
+}
+
+/**
+ * Booking length of a service in minutes
+ */
+export function getServiceDuration(service) {
+  return getServiceSegments(service).reduce((sum, seg) => sum + seg.minutes, 0);
+}
+
+/**
+ * Timed blocks of a booking: [{ type, start, end }] in epoch ms.
+ * Segments run from the start and are cut at the end; time past the last
+ * segment (a booking stretched beyond the service length) counts as active.
+ */
+export function getAppointmentBlocks(start, end, segments = null) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  const list = parseSegments(segments);
+  if (!list) return [{ type: 'active', start: startMs, end: endMs }];
+
+  const blocks = [];
+  let cursor = startMs;
+  for (const seg of list) {
+    if (cursor >= endMs) break;
+    const segEnd = Math.min(cursor + (parseInt(seg.minutes, 10) || 0) * 60000, endMs);
+    if (segEnd > cursor) blocks.push({ type: seg.type, start: cursor, end: segEnd });
+    cursor = segEnd;
+  }
+  if (cursor < endMs) blocks.push({ type: 'active', start: cursor, end: endMs });
+  return blocks;
+}
+
+/**
+ * Ranges (epoch ms) in which a booking keeps its staff member busy
+ */
+export function getStaffBusyRanges(start, end, segments = null) {
+  const ranges = [];
+  for (const block of getAppointmentBlocks(start, end, segments)) {
+    if (block.type === 'processing') continue;
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === block.start) last.end = block.end;
+    else ranges.push({ start: block.start, end: block.end });
+  }
+  return ranges;
+}
+
+/**
+ * Do any two ranges from the two lists overlap?
+ */
+export function rangesOverlap(a, b) {
+  return a.some(x => b.some(y => x.start < y.end && x.end > y.start));
+}
+
+/**
+ * Blocks of a booking row as ISO strings, for calendar output
+ */
+export function formatAppointmentBlocks(appointment) {
+  return getAppointmentBlocks(appointment.start_time, appointment.end_time, appointment.segments)
+    .map(b => ({ type: b.type, start: new Date(b.start).toISOString(), end: new Date(b.end).toISOString() }));
+}
+
+/**
+ * Working window for a staff member on a date, in minutes from midnight.
+ * Returns { window: { start, end, breakStart, breakEnd } } or { window: null, reason }.
+ */
+export async function getStaffWorkingWindow(tenantId, staffId, date) {
+  const dayOfWeek = dayOfWeekOf(date);
+
+  const [schedule] = await query(
+    `SELECT * FROM staff_schedule WHERE tenant_id = ? AND staff_id = ? AND day_of_week = ? AND is_working = 1`,
+    [tenantId, staffId, dayOfWeek]
+  );
+  if (!schedule) return { window: null, reason: 'Staff not working on this day' };
+
+  const [dayOff] = await query(
+    `SELECT id FROM staff_days_off WHERE tenant_id = ? AND staff_id = ? AND date = ?`,
+    [tenantId, staffId, date]
+  );
+  if (dayOff) return { window: null, reason: 'Staff is on day off' };
+
+  if (!schedule.start_time || !schedule.end_time) return { window: null, reason: 'No schedule found' };
+
+  return {
+    window: {
+      start: timeToMinutes(schedule.start_time),
+      end: timeToMinutes(schedule.end_time),
+      breakStart: timeToMinutes(schedule.break_start),
+      breakEnd: timeToMinutes(schedule.break_end),
+    }
+  };
+}
+
+/**
+ * Busy time ranges (epoch ms) for a staff member overlapping a local date —
+ * processing gaps inside their bookings are left free
+ */
+export async function getStaffBookedRanges(tenantId, staffId, date, timeZone = DEFAULT_TIMEZONE, excludeAppointmentIds = []) {
+  await ensureSegmentColumns();
+  const { start, end } = zonedDayRange(date, timeZone);
+  let sql = `SELECT start_time, end_time, segments FROM appointments
+     WHERE tenant_id = ? AND staff_id = ? AND start_time < ? AND end_time > ?
+     AND status NOT IN ('cancelled', 'no_show')`;
+  const params = [tenantId, staffId, toMySQLDateTime(end), toMySQLDateTime(start)];
+  if (excludeAppointmentIds.length > 0) {
+    sql += ` AND id NOT IN (${excludeAppointmentIds.map(() => '?').join(',')})`;
+    params.push(...excludeAppointmentIds);
+  }
+  const rows = await query(sql, params);
+  return rows.flatMap(r => getStaffBusyRanges(r.start_time, r.end_time, r.segments));
+}
+
+/**
+ * Bookings of a staff member whose busy time clashes with a new booking's
+ * busy time. Statuses in `ignoreStatuses` never clash.
+ *
+ * @param {Object} opts - { segments, excludeIds, ignoreStatuses, db }
+ *   db — a transaction to read through (call ensureSegmentColumns before opening it)
+ * @returns {Promise<Array<{id}>>}
+ */
+export async function findStaffClashes(tenantId, staffId, start, end, {
+  segments = null, excludeIds = [], ignoreStatuses = ['cancelled', 'no_show'], db = null,
+} = {}) {
+  if (!db) await ensureSegmentColumns();
+  let sql = `SELECT id, start_time, end_time, segments FROM appointments
+     WHERE tenant_id = ? AND staff_id = ? AND start_time < ? AND end_time > ?
+     AND status NOT IN (${ignoreStatuses.map(() => '?').join(',')})`;
+  const params = [tenantId, staffId, toMySQLDateTime(end), toMySQLDateTime(start), ...ignoreStatuses];
+  if (excludeIds.length > 0) {
+    sql += ` AND id NOT IN (${excludeIds.map(() => '?').join(',')})`;
+    params.push(...excludeIds);
+  }
+  const rows = await (db || { query }).query(sql, params);
+  const busy = getStaffBusyRanges(start, end, segments);
+  return rows.filter(r => rangesOverlap(busy, getStaffBusyRanges(r.start_time, r.end_time, r.segments)));
+}
+
+/**
+ * Lock the staff rows of a booking inside a transaction and check their
+ * calendars again. Every booking, reschedule and waitlist claim takes this
+ * lock for its staff, so two of them for the same staff member run one after
+ * the other and the second sees the first's times.
+ *
+ * @param {Object} tx - withTransaction handle (call ensureSegmentColumns before opening it)
+ * @param {Array<{staff_id, start, end, segments?}>} lines
+ * @param {Object} opts - { excludeIds, ignoreStatuses } as for findStaffClashes
+ * @returns {Promise<Array<{index, conflicts}>>} lines that clash (empty when all are free)
+ */
+export async function lockStaffAndFindClashes(tx, tenantId, lines, { excludeIds = [], ignoreStatuses } = {}) {
+  const staffIds = [...new Set(lines.map(l => Number(l.staff_id)))].sort((a, b) => a - b);
+  if (staffIds.length > 0) {
+    await tx.query(
+      `SELECT id FROM staff WHERE tenant_id = ? AND id IN (${staffIds.map(() => '?').join(',')}) ORDER BY id FOR UPDATE`,
+      [tenantId, ...staffIds]
+    );
+  }
+  const clashes = [];
+  for (const [index, line] of lines.entries()) {
+    const conflicts = await findStaffClashes(tenantId, line.staff_id, line.start, line.end, {
+      segments: line.segments || null, excludeIds, db: tx, ...(ignoreStatuses ? { ignoreStatuses } : {}),
+    });
+    if (conflicts.length > 0) clashes.push({ index, conflicts });
+  }
+  return clashes;
+}
+
+/**
+ * Find start times on a date where a chain of service lines fits back to back.
+ * Line N starts when line N-1 ends, each with its own staff member, so a
+ * single-line chain is the plain "one service with one staff" slot search.
+ * A line may list several candidate staff_ids ("any available professional");
+ * it fits when at least one of them is free, and the slot lists who is.
+ * Times when a line's service can't get its rooms / equipment are left out.
+ *
+ * @param {number} tenantId
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {Array<{service_id, staff_id?, staff_ids?, duration, segments?}>} lines - ordered service lines;
+ *   a line's staff member only needs to be free outside its processing segments
+ * @param {Object} opts - { slotInterval, bufferMinutes, minDate, branchId, timeZone, excludeAppointmentIds }
+ *   excludeAppointmentIds — bookings to ignore, e.g. the appointment being rescheduled
+ * @returns {Promise<{slots: Array, reason?: string, timezone: string}>}
+ */
+export async function findSequenceSlots(tenantId, date, lines, {
+  slotInterval = 30, bufferMinutes = 0, minDate = null, branchId = null, timeZone = null,
+  excludeAppointmentIds = [],
+} = {}) {
+  const candidatesOf = line => line.staff_ids || [line.staff_id];
+  const tz = timeZone || await getSchedulingTimezone(tenantId, { branchId, staffId: candidatesOf(lines[0])[0] });
+  const toInstant = (minutes) => wallClockToDate(date, minutes, tz);
+  const windows = {};
+  const booked = {};
+  for (const line of lines) {
+    let reason = null;
+    for (const staffId of candidatesOf(line)) {
+      if (staffId in windows) continue;
+      const result = await getStaffWorkingWindow(tenantId, staffId, date);
+      windows[staffId] = result.window;
+      if (result.window) booked[staffId] = await getStaffBookedRanges(tenantId, staffId, date, tz, excludeAppointmentIds);
+      else reason = result.reason;
+    }
+    if (!candidatesOf(line).some(id => windows[id])) {
+      return { slots: [], reason: reason || 'No staff available on this day', timezone: tz };
+    }
+  }
+
+  // Resource requirements per line, and the day's reservations on those resources
+  const requirements = [];
+  for (const line of lines) {
+    const lineBranch = branchId || await getStaffBranchId(tenantId, candidatesOf(line)[0]);
+    requirements.push(await getServiceResourceRequirements(tenantId, line.service_id, lineBranch));
+  }
+  const resourceIds = [...new Set(requirements.flatMap(reqs => reqs.flatMap(r => r.resources.map(res => res.id))))];
+  const needsResources = requirements.some(reqs => reqs.length > 0);
+  const resourceBookings = needsResources
+    ? await getResourceBookings(tenantId, resourceIds, toInstant(0), toInstant(24 * 60), excludeAppointmentIds)
+    : [];
+
+  const offsets = [];
+  let total = 0;
+  for (const line of lines) {
+    offsets.push(total);
+    total += line.duration;
+  }
+
+  const staffFits = (staffId, line, lineStart, isLast) => {
+    const w = windows[staffId];
+    if (!w) return false;
+    const lineEnd = lineStart + line.duration;
+    if (lineStart < w.start || lineEnd + (isLast ? bufferMinutes : 0) > w.end) return false;
+    const busy = getStaffBusyRanges(toInstant(lineStart), toInstant(lineEnd), line.segments);
+    if (w.breakStart !== null && w.breakEnd !== null &&
+      rangesOverlap(busy, [{ start: toInstant(w.breakStart).getTime(), end: toInstant(w.breakEnd).getTime() }])) return false;
+    return !rangesOverlap(busy, booked[staffId]);
+  };
+  const freeStaff = (line, lineStart, isLast) => candidatesOf(line).filter(id => staffFits(id, line, lineStart, isLast));
+
+  const resourcesFree = (start) => {
+    const held = [...resourceBookings];
+    return lines.every((line, i) => {
+      const rStart = toInstant(start + offsets[i]).getTime();
+      const rEnd = toInstant(start + offsets[i] + line.duration).getTime();
+      const { resourceIds: picked, missing } = pickResources(requirements[i], rStart, rEnd, held);
+      if (missing.length > 0) return false;
+      for (const id of picked) held.push({ resource_id: id, start: rStart, end: rEnd });
+      return true;
+    });
+  };
+
+  const slots = [];
+  const firstWindows = candidatesOf(lines[0]).map(id => windows[id]).filter(Boolean);
+  const dayStart = Math.min(...firstWindows.map(w => w.start));
+  const dayEnd = Math.max(...firstWindows.map(w => w.end));
+  for (let start = dayStart; start + lines[0].duration + (lines.length === 1 ? bufferMinutes : 0) <= dayEnd; start += slotInterval) {
+    // Skip slots in the past / inside the minimum advance window
+    if (minDate && toInstant(start) < minDate) continue;
+
+    const free = lines.map((line, i) => freeStaff(line, start + offsets[i], i === lines.length - 1));
+    if (free.some(ids => ids.length === 0)) continue;
+    if (needsResources && !resourcesFree(start)) continue;
+
+    const slot = {
+      time: minutesToTime(start),
+      end_time: minutesToTime(start + total),
+      start: toInstant(start).toISOString(),
+      end: toInstant(start + total).toISOString(),
+      available: true,
+    };
+    if (lines.length === 1 && lines[0].staff_ids) slot.staff_ids = free[0];
+    if (lines.length > 1) {
+      slot.lines = lines.map((line, i) => ({
+        service_id: line.service_id,
+        staff_id: line.staff_ids ? free[i][0] : line.staff_id,
+        ...(line.staff_ids ? { staff_ids: free[i] } : {}),
+        time: minutesToTime(start + offsets[i]),
+        end_time: minutesToTime(start + offsets[i] + line.duration),
+        start: toInstant(start + offsets[i]).toISOString(),
+      }));
+    }
+    slots.push(slot);
+  }
+
+  return { slots, timezone: tz };
+}
+
+// ─── "Any available professional" ─────────────────────────────────
+
+export const STAFF_ASSIGNMENT_STRATEGIES = ['least_booked', 'round_robin', 'priority'];
+
+const SKILL_RANK = { master: 4, expert: 3, intermediate: 2, beginner: 1 };
+
+let _staffColumnsReady = false;
+async function ensureStaffBookingColumns() {
+  if (_staffColumnsReady) return;
+  for (const sql of [
+    'ALTER TABLE staff ADD COLUMN can_book_online TINYINT(1) DEFAULT 1',
+    'ALTER TABLE staff ADD COLUMN booking_priority INT DEFAULT 0',
+  ]) {
+    try { await execute(sql); } catch (e) { /* column already exists */ }
+  }
+  _staffColumnsReady = true;
+}
+
+/**
+ * Active, online-bookable staff qualified for a service in a branch — linked
+ * through service_staff or staff_specializations. A service with no links at
+ * all can be done by anyone (same fallback as the public staff list).
+ * Ordered by booking_priority (highest first), then skill level.
+ */
+export async function getQualifiedStaff(tenantId, serviceId, branchId = null) {
+  await ensureStaffBookingColumns();
+
+  const skills = new Map();
+  try {
+    const rows = await query('SELECT staff_id FROM service_staff WHERE service_id = ?', [serviceId]);
+    for (const r of rows) skills.set(r.staff_id, null);
+  } catch (e) {
+    if (e.code !== 'ER_NO_SUCH_TABLE') throw e;
+  }
+  try {
+    const rows = await query(
+      'SELECT staff_id, skill_level FROM staff_specializations WHERE tenant_id = ? AND service_id = ?',
+      [tenantId, serviceId]
+    );
+    for (const r of rows) skills.set(r.staff_id, r.skill_level);
+  } catch (e) {
+    if (e.code !== 'ER_NO_SUCH_TABLE') throw e;
+  }
+
+  let sql = `SELECT s.id, s.full_name, s.branch_id, s.booking_priority FROM staff s
+             WHERE s.tenant_id = ? AND s.is_active = 1 AND COALESCE(s.can_book_online, 1) = 1`;
+  const params = [tenantId];
+  if (branchId) {
+    sql += ' AND (s.branch_id = ? OR s.branch_id IS NULL)';
+    params.push(branchId);
+  }
+  if (skills.size > 0) {
+    sql += ` AND s.id IN (${[...skills.keys()].map(() => '?').join(',')})`;
+    params.push(...skills.keys());
+  } else {
+    sql += ` AND s.role IN ('staff','manager','admin')`;
+  }
+  const staff = await query(sql, params);
+
+  return staff
+    .map(s => ({ ...s, skill_level: skills.get(s.id) || null }))
+    .sort((a, b) => (b.booking_priority || 0) - (a.booking_priority || 0)
+      || (SKILL_RANK[b.skill_level] || 0) - (SKILL_RANK[a.skill_level] || 0)
+      || String(a.full_name).localeCompare(String(b.full_name)));
+}
+
+/**
+ * Is a staff member working for the whole of [start, end) and unbooked for
+ * its busy segments?
+ */
+export async function isStaffFree(tenantId, staffId, start, end, timeZone = DEFAULT_TIMEZONE, segments = null) {
+  const local = utcToZoned(start, timeZone);
+  const { window } = await getStaffWorkingWindow(tenantId, staffId, local.date);
+  if (!window) return false;
+  const startMin = local.minutes;
+  const endMin = startMin + Math.round((new Date(end) - new Date(start)) / 60000);
+  if (startMin < window.start || endMin > window.end) return false;
+  if (window.breakStart !== null && window.breakEnd !== null) {
+    const breakRange = {
+      start: wallClockToDate(local.date, window.breakStart, timeZone).getTime(),
+      end: wallClockToDate(local.date, window.breakEnd, timeZone).getTime(),
+    };
+    if (rangesOverlap(getStaffBusyRanges(start, end, segments), [breakRange])) return false;
+  }
+
+  const clashes = await findStaffClashes(tenantId, staffId, start, end, { segments });
+  return clashes.length === 0;
+}
+
+/**
+ * Pick one of several free staff members.
+ *   least_booked — fewest bookings on that local day (priority order breaks ties)
+ *   round_robin  — next staff id after the last one assigned, wrapping around
+ *   priority     — highest booking_priority / skill (candidates' own order)
+ * Candidates are expected in getQualifiedStaff order.
+ */
+export async function chooseStaff(tenantId, candidates, { strategy = 'least_booked', date, timeZone = DEFAULT_TIMEZONE, lastAssignedId = null } = {}) {
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  if (strategy === 'priority') return candidates[0];
+
+  if (strategy === 'round_robin') {
+    const ordered = [...candidates].sort((a, b) => a.id - b.id);
+    return ordered.find(s => s.id > (lastAssignedId || 0)) || ordered[0];
+  }
+
+  const { start, end } = zonedDayRange(date, timeZone);
+  const counts = await query(
+    `SELECT staff_id, COUNT(*) as total FROM appointments
+     WHERE tenant_id = ? AND staff_id IN (${candidates.map(() => '?').join(',')})
+     AND start_time >= ? AND start_time < ? AND status NOT IN ('cancelled', 'no_show')
+     GROUP BY staff_id`,
+    [tenantId, ...candidates.map(s => s.id), toMySQLDateTime(start), toMySQLDateTime(end)]
+  );
+  const byStaff = Object.fromEntries(counts.map(c => [c.staff_id, Number(c.total)]));
+  return candidates.reduce((best, s) => ((byStaff[s.id] || 0) < (byStaff[best.id] || 0) ? s : best), candidates[0]);
+}
+
+export default {
+  minutesToTime,
+  timeToMinutes,
+  wallClockToDate,
+  SEGMENT_TYPES,
+  ensureSegmentColumns,
+  normalizeSegments,
+  getServiceSegments,
+  getBookingSegments,
+  getServiceDuration,
+  getAppointmentBlocks,
+  getStaffBusyRanges,
+  rangesOverlap,
+  formatAppointmentBlocks,
+  getStaffWorkingWindow,
+  getStaffBookedRanges,
+  findStaffClashes,
+  lockStaffAndFindClashes,
+  findSequenceSlots,
+  getQualifiedStaff,
+  isStaffFree,
+  chooseStaff,
+};
@@ -0,0 +1,374 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { getTenantTimezone, todayInTimezone } from './timezone.js';
+import { getFullyOptedOutContactIds } from './consent.js';
+
+/**
+ * Audience Segments
+ * A dynamic audience's `criteria` is a list of `{ field, operator, value }`
+ * rules (all must match) or a nested `{ all: [...] }` / `{ any: [...] }`
+ * group, in the same shape as workflow conditions. Rules are compiled to one
+ * SQL query over the tenant's contacts; salon fields (last visit, spend,
+ * services, membership, branch, ...) become subqueries on appointments,
+ * invoices, loyalty and memberships. Syncing adds the contacts that match
+ * and removes the ones that no longer do, so member statuses such as
+ * `unsubscribed` survive a sync. Dynamic audiences are re-synced by a cron job.
+ */
+
+const VISITS = "FROM appointments a WHERE a.tenant_id = c.tenant_id AND a.customer_id = c.id AND a.status = 'completed'";
+
+/**
+ * Fields a rule can test. `sql` is an expression over the contact `c`;
+ * `set` fields test membership with `exists(placeholders)`.
+ */
+export const SEGMENT_FIELDS = {
+  first_name: { type: 'string', label: 'First name', sql: 'c.first_name' },
+  last_name: { type: 'string', label: 'Last name', sql: 'c.last_name' },
+  email: { type: 'string', label: 'Email', sql: 'c.email' },
+  phone: { type: 'string', label: 'Phone', sql: 'c.phone' },
+  gender: { type: 'string', label: 'Gender', sql: 'c.gender' },
+  source: { type: 'string', label: 'Source', sql: 'c.source' },
+  referral_source: { type: 'string', label: 'Referral source', sql: 'c.referral_source' },
+  status: { type: 'string', label: 'Status', sql: 'c.status' },
+  owner_id: { type: 'number', label: 'Owner', sql: 'c.owner_id' },
+  is_vip: { type: 'boolean', label: 'VIP', sql: 'c.is_vip' },
+  created_at: { type: 'date', label: 'Client since', sql: 'c.created_at' },
+  date_of_birth: { type: 'date', label: 'Date of birth', sql: 'c.date_of_birth' },
+  birthday_month: { type: 'month', label: 'Birthday month', sql: 'MONTH(c.date_of_birth)' },
+  tags: { type: 'tags', label: 'Tags', sql: 'c.tags' },
+  last_visit: { type: 'date', label: 'Last visit', sql: `(SELECT MAX(a.start_time) ${VISITS})` },
+  first_visit: { type: 'date', label: 'First visit', sql: `(SELECT MIN(a.start_time) ${VISITS})` },
+  visit_count: { type: 'number', label: 'Visits', sql: `(SELECT COUNT(*) ${VISITS})` },
+  total_spend: {
+    type: 'number',
+    label: 'Total spend',
+    sql: "(SELECT COALESCE(SUM(i.total), 0) FROM invoices i WHERE i.tenant_id = c.tenant_id AND i.customer_id = c.id AND i.status = 'paid')",
+  },
+  loyalty_tier: {
+    type: 'string',
+    label: 'Loyalty tier',
+    sql: '(SELECT lp.tier FROM loyalty_points lp WHERE lp.tenant_id = c.tenant_id AND lp.customer_id = c.id LIMIT 1)',
+  },
+  loyalty_points: {
+    type: 'number',
+    label: 'Loyalty points',
+    sql: '(SELECT COALESCE(MAX(lp.points), 0) FROM loyalty_points lp WHERE lp.tenant_id = c.tenant_id AND lp.customer_id = c.id)',
+  },
+  has_active_membership: {
+    type: 'boolean',
+    label: 'Has an active membership',
+    sql: "EXISTS (SELECT 1 FROM customer_memberships m WHERE m.tenant_id = c.tenant_id AND m.customer_id = c.id AND m.status = 'active')",
+  },
+  services: {
+    type: 'set',
+    label: 'Services taken',
+    exists: (ph) => `EXISTS (SELECT 1 ${VISITS} AND a.service_id IN (${ph}))`,
+  },
+  membership_plan: {
+    type: 'set',
+    label: 'Active membership plan',
+    exists: (ph) => `EXISTS (SELECT 1 FROM customer_memberships m WHERE m.tenant_id = c.tenant_id AND m.customer_id = c.id AND m.status = 'active' AND m.plan_id IN (${ph}))`,
+  },
+  branch: {
+    type: 'set',
+    label: 'Visited branch',
+    exists: (ph) => `(EXISTS (SELECT 1 FROM appointments a JOIN staff s ON s.id = a.staff_id
+        WHERE a.tenant_id = c.tenant_id AND a.customer_id = c.id AND a.status = 'completed' AND s.branch_id IN (${ph}))
+      OR EXISTS (SELECT 1 FROM invoices i WHERE i.tenant_id = c.tenant_id AND i.customer_id = c.id AND i.branch_id IN (${ph})))`,
+    repeat: 2,
+  },
+};
+
+// Custom fields are read from contacts.custom_fields: `custom.<field_name>`
+const CUSTOM_FIELD = /^custom\.([A-Za-z0-9_]{1,100})$/;
+
+export const SEGMENT_OPERATORS = {
+  string: ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'in', 'not_in', 'is_empty', 'is_not_empty'],
+  number: ['equals', 'not_equals', 'greater_than', 'less_than', 'greater_or_equal', 'less_or_equal', 'between', 'is_empty', 'is_not_empty'],
+  date: ['before', 'after', 'between', 'in_last_days', 'not_in_last_days', 'is_empty', 'is_not_empty'],
+  boolean: ['equals'],
+  month: ['equals', 'not_equals', 'in', 'not_in'],
+  tags: ['contains', 'not_contains', 'is_empty', 'is_not_empty'],
+  set: ['in', 'not_in'],
+};
+
+// Presets for audiences saved with a segment_type and no criteria
+const PRESET_CRITERIA = {
+  all_clients: [],
+  new_clients: [{ field: 'created_at', operator: 'in_last_days', value: 30 }],
+  vip_clients: [{ field: 'total_spend', operator: 'greater_than', value: 1000 }],
+  inactive_clients: [{ field: 'last_visit', operator: 'not_in_last_days', value: 60 }],
+  birthday_month: [{ field: 'birthday_month', operator: 'equals', value: 'current' }],
+};
+
+// Hours between scheduled syncs of a dynamic audience
+export const DEFAULT_REFRESH_HOURS = 24;
+
+let _columnsReady = false;
+
+/**
+ * Ensure contacts.custom_fields and the audience sync columns exist
+ */
+export async function ensureSegmentColumns() {
+  if (_columnsReady) return;
+  const columns = [
+    ['contacts', 'custom_fields', 'JSON'],
+    ['audiences', 'refresh_hours', `INT DEFAULT ${DEFAULT_REFRESH_HOURS}`],
+    ['audiences', 'last_sync_error', 'TEXT'],
+  ];
+  for (const [table, column, definition] of columns) {
+    try {
+      await execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    } catch (e) {
+      if (e.code !== 'ER_DUP_FIELDNAME') throw e;
+    }
+  }
+  _columnsReady = true;
+}
+
+function resolveField(name) {
+  if (SEGMENT_FIELDS[name]) return SEGMENT_FIELDS[name];
+  const custom = CUSTOM_FIELD.exec(String(name || ''));
+  if (custom) return { type: 'string', label: custom[1], sql: `JSON_UNQUOTE(JSON_EXTRACT(c.custom_fields, '$."${custom[1]}"'))` };
+  return null;
+}
+
+const asList = (value) => (Array.isArray(value) ? value : [value]).filter(v => v !== null && v !== undefined && v !== '');
+const isGroup = (node) => node && typeof node === 'object' && !Array.isArray(node) && (Array.isArray(node.all) || Array.isArray(node.any));
+
+/**
+ * Criteria to evaluate: the saved rules, else the segment_type preset
+ */
+export function audienceCriteria(audience) {
+  let criteria = audience.criteria;
+  if (typeof criteria === 'string') {
+    try { criteria = JSON.parse(criteria); } catch (e) { criteria = null; }
+  }
+  if (Array.isArray(criteria) ? criteria.length > 0 : isGroup(criteria)) return criteria;
+  return PRESET_CRITERIA[audience.segment_type] || [];
+}
+
+/**
+ * Check a criteria tree
+ * @returns {string|null} error message
+ */
+export function validateSegment(criteria, depth = 0) {
+  if (depth > 5) return 'Criteria groups can be nested at most 5 deep';
+  const rules = Array.isArray(criteria) ? criteria : isGroup(criteria) ? (criteria.all || criteria.any) : null;
+  if (!rules) return 'criteria must be a list of rules or an { all } / { any } group';
+  for (const rule of rules) {
+    if (isGroup(rule)) {
+      const nested = validateSegment(rule, depth + 1);
+      if (nested) return nested;
+      continue;
+    }
+    const field = resolveField(rule?.field);
+    if (!field) return `Unknown segment field "${rule?.field}"`;
+    const operators = SEGMENT_OPERATORS[field.type];
+    if (!operators.includes(rule.operator)) return `${rule.field} supports the operators: ${operators.join(', ')}`;
+    if (['is_empty', 'is_not_empty'].includes(rule.operator)) continue;
+    if (rule.operator === 'between' && (!Array.isArray(rule.value) || rule.value.length !== 2)) return `${rule.field} between needs a [from, to] value`;
+    if (['in_last_days', 'not_in_last_days'].includes(rule.operator) && !(Number(rule.value) > 0)) return `${rule.field} ${rule.operator} needs a number of days`;
+    if (['in', 'not_in'].includes(rule.operator) && asList(rule.value).length === 0) return `${rule.field} ${rule.operator} needs a list of values`;
+    if (field.type === 'month' && asList(rule.value).some(v => v !== 'current' && !(Number(v) >= 1 && Number(v) <= 12))) {
+      return 'birthday_month values are 1-12 or "current"';
+    }
+    if (rule.value === undefined || rule.value === null || rule.value === '') return `${rule.field} ${rule.operator} needs a value`;
+  }
+  return null;
+}
+
+// ─── Compiling ──────────────────────────────────────────────
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, ch => `\\${ch}`);
+const placeholders = (list) => list.map(() => '?').join(', ');
+const toDateParam = (value) => toMySQLDateTime(new Date(value));
+const daysAgo = (days) => toMySQLDateTime(new Date(Date.now() - Number(days) * 86400000));
+
+function compileRule(rule, ctx) {
+  const field = resolveField(rule.field);
+  const expr = field.sql;
+  const { operator, value } = rule;
+
+  if (field.type === 'set') {
+    const list = asList(value);
+    const params = [];
+    for (let i = 0; i < (field.repeat || 1); i++) params.push(...list);
+    const exists = field.exists(placeholders(list));
+    return { sql: operator === 'not_in' ? `NOT ${exists}` : exists, params };
+  }
+
+  if (field.type === 'tags') {
+    if (operator === 'is_empty') return { sql: `(${expr} IS NULL OR JSON_LENGTH(${expr}) = 0)`, params: [] };
+    if (operator === 'is_not_empty') return { sql: `JSON_LENGTH(${expr}) > 0`, params: [] };
+    const list = asList(value);
+    const any = `(${list.map(() => `JSON_CONTAINS(COALESCE(${expr}, JSON_ARRAY()), JSON_QUOTE(?))`).join(' OR ')})`;
+    return { sql: operator === 'not_contains' ? `NOT ${any}` : any, params: list.map(String) };
+  }
+
+  if (field.type === 'month') {
+    const list = asList(value).map(v => (v === 'current' ? ctx.currentMonth : Number(v)));
+    const sql = `${expr} IN (${placeholders(list)})`;
+    return { sql: ['not_equals', 'not_in'].includes(operator) ? `(${expr} IS NULL OR NOT ${sql})` : sql, params: list };
+  }
+
+  if (field.type === 'boolean') {
+    const truthy = value === true || value === 1 || value === '1' || value === 'true';
+    return { sql: truthy ? `${expr}` : `NOT ${expr}`, params: [] };
+  }
+
+  const cast = field.type === 'date' ? toDateParam : field.type === 'number' ? Number : String;
+  switch (operator) {
+    case 'equals': return { sql: `${expr} = ?`, params: [cast(value)] };
+    case 'not_equals': return { sql: `(${expr} IS NULL OR ${expr} <> ?)`, params: [cast(value)] };
+    case 'contains': return { sql: `${expr} LIKE ?`, params: [`%${escapeLike(value)}%`] };
+    case 'not_contains': return { sql: `(${expr} IS NULL OR ${expr} NOT LIKE ?)`, params: [`%${escapeLike(value)}%`] };
+    case 'starts_with': return { sql: `${expr} LIKE ?`, params: [`${escapeLike(value)}%`] };
+    case 'in': return { sql: `${expr} IN (${placeholders(asList(value))})`, params: asList(value).map(cast) };
+    case 'not_in': return { sql: `(${expr} IS NULL OR ${expr} NOT IN (${placeholders(asList(value))}))`, params: asList(value).map(cast) };
+    case 'greater_than': case 'after': return { sql: `${expr} > ?`, params: [cast(value)] };
+    case 'less_than': case 'before': return { sql: `${expr} < ?`, params: [cast(value)] };
+    case 'greater_or_equal': return { sql: `${expr} >= ?`, params: [cast(value)] };
+    case 'less_or_equal': return { sql: `${expr} <= ?`, params: [cast(value)] };
+    case 'between': return { sql: `${expr} BETWEEN ? AND ?`, params: value.map(cast) };
+    case 'in_last_days': return { sql: `${expr} >= ?`, params: [daysAgo(value)] };
+    // Includes clients with no value at all (e.g. never visited)
+    case 'not_in_last_days': return { sql: `(${expr} IS NULL OR ${expr} < ?)`, params: [daysAgo(value)] };
+    case 'is_empty': return { sql: field.type === 'string' ? `(${expr} IS NULL OR ${expr} = '')` : `${expr} IS NULL`, params: [] };
+    case 'is_not_empty': return { sql: field.type === 'string' ? `(${expr} IS NOT NULL AND ${expr} <> '')` : `${expr} IS NOT NULL`, params: [] };
+    default: throw new Error(`Unsupported operator "${operator}"`);
+  }
+}
+
+function compileGroup(criteria, ctx) {
+  const rules = Array.isArray(criteria) ? criteria : (criteria.all || criteria.any);
+  const joiner = !Array.isArray(criteria) && criteria.any ? ' OR ' : ' AND ';
+  if (rules.length === 0) return { sql: '1 = 1', params: [] };
+  const parts = rules.map(rule => (isGroup(rule) ? compileGroup(rule, ctx) : compileRule(rule, ctx)));
+  return {
+    sql: `(${parts.map(p => p.sql).join(joiner)})`,
+    params: parts.flatMap(p => p.params),
+  };
+}
+
+/**
+ * WHERE clause over `contacts c` selecting the tenant's contacts that match
+ * @returns {Promise<{sql: string, params: Array}>}
+ */
+export async function buildSegmentWhere(tenantId, criteria) {
+  await ensureSegmentColumns();
+  const invalid = validateSegment(criteria);
+  if (invalid) throw new Error(invalid);
+  const today = todayInTimezone(await getTenantTimezone(tenantId));
+  const ctx = { currentMonth: Number(String(today).slice(5, 7)) };
+  const compiled = compileGroup(criteria, ctx);
+  return { sql: `c.tenant_id = ? AND ${compiled.sql}`, params: [tenantId, ...compiled.params] };
+}
+
+/**
+ * How many contacts match, with a few of them, without saving anything
+ */
+export async function previewSegment(tenantId, criteria, { sampleSize = 10 } = {}) {
+  const where = await buildSegmentWhere(tenantId, criteria);
+  const [{ total }] = await query(`SELECT COUNT(*) AS total FROM contacts c WHERE ${where.sql}`, where.params);
+  const sample = await query(
+    `SELECT c.id, c.first_name, c.last_name, c.email, c.phone FROM contacts c WHERE ${where.sql}
+     ORDER BY c.id LIMIT ${Math.min(50, Math.max(0, parseInt(sampleSize) || 0))}`,
+    where.params
+  );
+  return { count: Number(total), sample };
+}
+
+// ─── Syncing ────────────────────────────────────────────────
+
+/**
+ * Bring an audience's contact members in line with its criteria. Clients who
+ * opted out of every channel are left out.
+ * @returns {Promise<{added: number, removed: number, total: number}>}
+ */
+export async function syncAudience(audience) {
+  const where = await buildSegmentWhere(audience.tenant_id, audienceCriteria(audience));
+  const matches = await query(
+    `SELECT c.id, c.first_name, c.last_name, c.email, c.phone FROM contacts c WHERE ${where.sql}`,
+    where.params
+  );
+  const optedOut = await getFullyOptedOutContactIds(audience.tenant_id);
+  const wanted = new Map(matches.filter(c => !optedOut.has(c.id)).map(c => [c.id, c]));
+
+  const existing = await query('SELECT id, contact_id FROM audience_members WHERE audience_id = ? AND contact_id IS NOT NULL', [audience.id]);
+  const present = new Set(existing.map(m => m.contact_id));
+
+  const stale = existing.filter(m => !wanted.has(m.contact_id)).map(m => m.id);
+  for (let i = 0; i < stale.length; i += 500) {
+    const chunk = stale.slice(i, i + 500);
+    await execute(`DELETE FROM audience_members WHERE id IN (${placeholders(chunk)})`, chunk);
+  }
+
+  const fresh = [...wanted.values()].filter(c => !present.has(c.id));
+  for (let i = 0; i < fresh.length; i += 500) {
+    const chunk = fresh.slice(i, i + 500);
+    await execute(
+      `INSERT INTO audience_members (audience_id, tenant_id, contact_id, email, phone, full_name) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flatMap(c => [audience.id, audience.tenant_id, c.id, c.email, c.phone, `${c.first_name || ''} ${c.last_name || ''}`.trim()])
+    );
+  }
+
+  await execute(
+    `UPDATE audiences SET member_count = (SELECT COUNT(*) FROM audience_members WHERE audience_id = ? AND status = 'active'),
+       last_synced_at = ?, last_sync_error = NULL WHERE id = ?`,
+    [audience.id, toMySQLDateTime(new Date()), audience.id]
+  );
+  return { added: fresh.length, removed: stale.length, total: wanted.size };
+}
+
+/**
+ * Re-sync dynamic audiences whose last sync is older than their refresh_hours.
+ * Called by a cron job every hour.
+ * @returns {Promise<{synced: number, failed: number}>}
+ */
+export async function syncDynamicAudiences() {
+  await ensureSegmentColumns();
+  const due = await query(
+    `SELECT * FROM audiences
+     WHERE type IN ('dynamic', 'smart') AND is_active = 1
+       AND (last_synced_at IS NULL OR last_synced_at <= DATE_SUB(?, INTERVAL COALESCE(refresh_hours, ${DEFAULT_REFRESH_HOURS}) HOUR))`,
+    [toMySQLDateTime(new Date())]
+  );
+  const result = { synced: 0, failed: 0 };
+  for (const audience of due) {
+    try {
+      await syncAudience(audience);
+      result.synced++;
+    } catch (error) {
+      result.failed++;
+      console.error(`[Segments] Sync of audience ${audience.id} failed:`, error.message);
+      await execute('UPDATE audiences SET last_synced_at = ?, last_sync_error = ? WHERE id = ?',
+        [toMySQLDateTime(new Date()), error.message, audience.id]).catch(() => {});
+    }
+  }
+  return result;
+}
+
+/**
+ * Fields and operators for building rules in the UI
+ */
+export function getSegmentOptions() {
+  return {
+    fields: Object.entries(SEGMENT_FIELDS).map(([name, f]) => ({ name, label: f.label, type: f.type, operators: SEGMENT_OPERATORS[f.type] })),
+    custom_fields: { prefix: 'custom.', type: 'string', operators: SEGMENT_OPERATORS.string },
+    presets: PRESET_CRITERIA,
+  };
+}
+
+export default {
+  SEGMENT_FIELDS,
+  SEGMENT_OPERATORS,
+  DEFAULT_REFRESH_HOURS,
+  ensureSegmentColumns,
+  audienceCriteria,
+  validateSegment,
+  buildSegmentWhere,
+  previewSegment,
+  syncAudience,
+  syncDynamicAudiences,
+  getSegmentOptions,
+};
@@ -0,0 +1,75 @@
+import Stripe from 'stripe';
+
+/**
+ * Tenant Stripe Client
+ * Booking deposits are charged on the tenant's own Stripe account, so a client
+ * is built per secret key rather than from the platform's STRIPE_SECRET_KEY.
+ * Set STRIPE_API_BASE (e.g. http://localhost:12111) to send every call to a
+ * local mock server such as stripe-mock instead of api.stripe.com.
+ */
+
+const STRIPE_API_VERSION = '2024-06-20';
+
+// Currencies Stripe takes in whole units / in thousandths
+const ZERO_DECIMAL_CURRENCIES = new Set(['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf']);
+const THREE_DECIMAL_CURRENCIES = new Set(['bhd', 'jod', 'kwd', 'omr', 'tnd']);
+
+/**
+ * Host / port / protocol overrides from STRIPE_API_BASE
+ */
+function apiBaseOptions() {
+  const base = process.env.STRIPE_API_BASE;
+  if (!base) return {};
+  const url = new URL(base);
+  const protocol = url.protocol.replace(':', '');
+  return {
+    host: url.hostname,
+    port: url.port ? parseInt(url.port, 10) : (protocol === 'http' ? 80 : 443),
+    protocol,
+  };
+}
+
+/**
+ * Stripe client for a secret key
+ */
+export function getStripeClient(secretKey) {
+  if (!secretKey) throw new Error('Stripe secret key not configured');
+  return new Stripe(secretKey, { apiVersion: STRIPE_API_VERSION, ...apiBaseOptions() });
+}
+
+/**
+ * Amount in the currency's smallest unit, as Stripe expects it
+ */
+export function toStripeAmount(amount, currency) {
+  const cur = String(currency || '').toLowerCase();
+  const value = parseFloat(amount) || 0;
+  if (ZERO_DECIMAL_CURRENCIES.has(cur)) return Math.round(value);
+  // Three-decimal amounts must still end in 0
+  if (THREE_DECIMAL_CURRENCIES.has(cur)) return Math.round(value * 100) * 10;
+  return Math.round(value * 100);
+}
+
+/**
+ * Stripe smallest-unit amount → decimal amount
+ */
+export function fromStripeAmount(amount, currency) {
+  const cur = String(currency || '').toLowerCase();
+  if (ZERO_DECIMAL_CURRENCIES.has(cur)) return amount;
+  if (THREE_DECIMAL_CURRENCIES.has(cur)) return amount / 1000;
+  return amount / 100;
+}
+
+/**
+ * Verify a webhook payload against the tenant's endpoint secret
+ * @param {Buffer|string} payload - the raw request body
+ */
+export function constructWebhookEvent(secretKey, payload, signature, webhookSecret) {
+  return getStripeClient(secretKey).webhooks.constructEvent(payload, signature, webhookSecret);
+}
+
+export default {
+  getStripeClient,
+  toStripeAmount,
+  fromStripeAmount,
+  constructWebhookEvent,
+};
@@ -0,0 +1,208 @@
+import { query } from './database.js';
+
+/**
+ * Timezone Service
+ * Appointment times are stored as UTC DATETIMEs; schedules, slots and
+ * "today" are wall-clock times in the branch (or tenant) timezone.
+ * These helpers convert between the two with Intl, so DST is handled by
+ * the IANA zone rules rather than a fixed offset.
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+const pad2 = n => String(n).padStart(2, '0');
+
+const formatters = new Map();
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Is this a timezone name Intl understands?
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {{ year, month, day, hour, minute, second }}
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const p of getFormatter(timeZone).formatToParts(new Date(date))) {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in ms (Dubai → +4h)
+ */
+export function getTimezoneOffset(date, timeZone) {
+  const d = new Date(date);
+  const p = zonedParts(d, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (d.getTime() - d.getMilliseconds());
+}
+
+/**
+ * Wall-clock minutes on a date in a timezone → the UTC instant.
+ * A time skipped by a DST jump resolves to the same offset as just before
+ * the jump (02:30 on a spring-forward night becomes 03:30); a repeated
+ * time resolves to its first occurrence.
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} minutes - minutes from midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(date, minutes, timeZone = DEFAULT_TIMEZONE) {
+  const [y, m, d] = String(date).slice(0, 10).split('-').map(Number);
+  const wallAsUtc = Date.UTC(y, m - 1, d, 0, minutes);
+  const before = getTimezoneOffset(wallAsUtc - 24 * 60 * 60 * 1000, timeZone);
+  const after = getTimezoneOffset(wallAsUtc + 24 * 60 * 60 * 1000, timeZone);
+  // Try the earlier offset first so ambiguous times pick the first occurrence
+  const offsets = before >= after ? [before, after] : [after, before];
+  for (const offset of offsets) {
+    const candidate = wallAsUtc - offset;
+    if (getTimezoneOffset(candidate, timeZone) === offset) return new Date(candidate);
+  }
+  return new Date(wallAsUtc - before);
+}
+
+/**
+ * UTC instant → wall-clock in a timezone
+ * @returns {{ date: 'YYYY-MM-DD', time: 'HH:MM', minutes: number, dayOfWeek: number }}
+ */
+export function utcToZoned(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = zonedParts(date, timeZone);
+  const ymd = `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+  return {
+    date: ymd,
+    time: `${pad2(p.hour)}:${pad2(p.minute)}`,
+    minutes: p.hour * 60 + p.minute,
+    dayOfWeek: new Date(`${ymd}T00:00:00Z`).getUTCDay(),
+  };
+}
+
+/**
+ * UTC bounds of a local calendar day: [start, end)
+ */
+export function zonedDayRange(date, timeZone = DEFAULT_TIMEZONE) {
+  const [y, m, d] = String(date).slice(0, 10).split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+  return { start: zonedTimeToUtc(date, 0, timeZone), end: zonedTimeToUtc(next, 0, timeZone) };
+}
+
+/**
+ * Today's date ('YYYY-MM-DD') in a timezone
+ */
+export function todayInTimezone(timeZone = DEFAULT_TIMEZONE) {
+  return utcToZoned(new Date(), timeZone).date;
+}
+
+/**
+ * Day of week (0 = Sunday) of a 'YYYY-MM-DD' calendar date, independent of server zone
+ */
+export function dayOfWeekOf(date) {
+  return new Date(`${String(date).slice(0, 10)}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Parse a client-supplied date-time.
+ * Values with an explicit offset ('Z' or '+04:00') are absolute; bare
+ * wall-clock values ('2025-03-10T14:30') are read in the given timezone.
+ */
+export function parseDateTimeInTimezone(value, timeZone = DEFAULT_TIMEZONE) {
+  if (value instanceof Date) return value;
+  const str = String(value).trim();
+  if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(str)) return new Date(str);
+  const match = str.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})/);
+  if (!match) return new Date(str);
+  return zonedTimeToUtc(match[1], parseInt(match[2], 10) * 60 + parseInt(match[3], 10), timeZone);
+}
+
+/**
+ * Date / time strings for emails and messages, in the business's timezone
+ */
+export function formatInTimezone(date, timeZone = DEFAULT_TIMEZONE) {
+  const d = new Date(date);
+  return {
+    dateStr: d.toLocaleDateString('en-US', { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    timeStr: d.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit', hour12: true }),
+  };
+}
+
+/**
+ * Timezone of a tenant: tenant settings JSON, then the tenants.timezone column
+ */
+export async function getTenantTimezone(tenantId) {
+  const [tenant] = await query('SELECT timezone, settings FROM tenants WHERE id = ?', [tenantId]);
+  if (!tenant) return DEFAULT_TIMEZONE;
+  let settings = {};
+  try {
+    settings = typeof tenant.settings === 'string' ? JSON.parse(tenant.settings) : (tenant.settings || {});
+  } catch (e) { settings = {}; }
+  const tz = settings?.timezone || tenant.timezone;
+  return isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Today's date ('YYYY-MM-DD') for a tenant. Use it in place of CURDATE(),
+ * which is the UTC date of the database session.
+ */
+export async function tenantToday(tenantId) {
+  return todayInTimezone(await getTenantTimezone(tenantId));
+}
+
+/**
+ * Timezone that applies to a booking: the branch's if it has one, else the tenant's.
+ * Pass staffId instead of branchId to use the staff member's branch.
+ */
+export async function getSchedulingTimezone(tenantId, { branchId = null, staffId = null } = {}) {
+  let branch = branchId;
+  if (!branch && staffId) {
+    const [staff] = await query('SELECT branch_id FROM staff WHERE id = ? AND tenant_id = ?', [staffId, tenantId]);
+    branch = staff?.branch_id || null;
+  }
+  if (branch) {
+    try {
+      const [row] = await query('SELECT timezone FROM branches WHERE id = ? AND tenant_id = ?', [branch, tenantId]);
+      if (isValidTimezone(row?.timezone)) return row.timezone;
+    } catch (e) {
+      // branches table not created yet
+    }
+  }
+  return getTenantTimezone(tenantId);
+}
+
+export default {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  utcToZoned,
+  zonedDayRange,
+  todayInTimezone,
+  dayOfWeekOf,
+  parseDateTimeInTimezone,
+  formatInTimezone,
+  getTenantTimezone,
+  tenantToday,
+  getSchedulingTimezone,
+};
@@ -0,0 +1,382 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { getStaffWorkingWindow } from './scheduling.js';
+import { utcToZoned, zonedDayRange, getSchedulingTimezone } from './timezone.js';
+
+/**
+ * Tips
+ * A tip taken at checkout (the 'Tip' line of an appointment invoice or the
+ * tip of a POS sale) is shared out to staff as tip_allocations rows. How it
+ * is shared is the tenant's tip_pooling setting:
+ *   provider      — all to the staff member who performed the booking
+ *   service_value — split between the staff on the visit by the value of their services
+ *   shift_pool    — shared equally by everyone on shift at the branch at the time
+ * A split given at checkout (tip_split) overrides the setting. Credit notes
+ * and POS refunds that take back a tip add negative rows in proportion, and
+ * a reallocation cancels the shares left and records new ones.
+ */
+
+export const TIP_POOLING_RULES = ['provider', 'service_value', 'shift_pool'];
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+let _tablesReady = false;
+
+/**
+ * Ensure the tip_allocations table exists
+ */
+export async function ensureTipTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS tip_allocations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      branch_id INT,
+      source_type VARCHAR(10) NOT NULL,
+      invoice_id INT,
+      invoice_item_id INT,
+      pos_transaction_id INT,
+      staff_id INT NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      rule VARCHAR(20) NOT NULL,
+      type VARCHAR(20) NOT NULL DEFAULT 'tip',
+      credit_note_id INT,
+      notes VARCHAR(255),
+      tip_date DATETIME NOT NULL,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_staff_date (tenant_id, staff_id, tip_date),
+      INDEX idx_invoice_item (invoice_item_id),
+      INDEX idx_pos (pos_transaction_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  _tablesReady = true;
+}
+
+/**
+ * The tenant's tip pooling rule (tenants.settings.tip_pooling), 'provider' by default
+ */
+export async function getTipPoolingRule(tenantId) {
+  const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [tenantId]);
+  let settings = {};
+  try {
+    settings = typeof tenant?.settings === 'string' ? JSON.parse(tenant.settings) : (tenant?.settings || {});
+  } catch (e) { settings = {}; }
+  return TIP_POOLING_RULES.includes(settings?.tip_pooling) ? settings.tip_pooling : 'provider';
+}
+
+/**
+ * Validate a tip split given at checkout: [{ staff_id, amount }] adding up to
+ * the tip, or [{ staff_id, percent }] adding up to 100, each to an active
+ * staff member of the tenant
+ * @returns {Promise<string|null>} error message or null
+ */
+export async function validateTipSplit(tenantId, split, tip) {
+  if (split === undefined || split === null) return null;
+  if (!Array.isArray(split) || split.length === 0) return 'tip_split must be a non-empty list';
+  if (!(parseFloat(tip) > 0)) return 'tip_split needs a tip';
+  const byPercent = split.every(s => s.percent !== undefined);
+  const seen = new Set();
+  for (const [i, s] of split.entries()) {
+    if (!s.staff_id) return `tip_split[${i}]: staff_id is required`;
+    if (seen.has(String(s.staff_id))) return `tip_split[${i}]: staff listed twice`;
+    seen.add(String(s.staff_id));
+    const value = parseFloat(byPercent ? s.percent : s.amount);
+    if (!(value > 0)) return `tip_split[${i}]: ${byPercent ? 'percent' : 'amount'} must be positive`;
+  }
+  const sum = split.reduce((acc, s) => acc + parseFloat(byPercent ? s.percent : s.amount), 0);
+  if (byPercent && Math.abs(sum - 100) > 0.01) return 'tip_split percentages must add up to 100';
+  if (!byPercent && Math.abs(sum - parseFloat(tip)) > 0.005) return `tip_split amounts must add up to the tip of ${parseFloat(tip).toFixed(2)}`;
+
+  const staff = await query(
+    `SELECT id FROM staff WHERE tenant_id = ? AND is_active = 1 AND id IN (${split.map(() => '?').join(',')})`,
+    [tenantId, ...split.map(s => s.staff_id)]
+  );
+  const known = new Set(staff.map(s => String(s.id)));
+  const unknown = split.findIndex(s => !known.has(String(s.staff_id)));
+  if (unknown >= 0) return `tip_split[${unknown}]: staff ${split[unknown].staff_id} not found or inactive`;
+  return null;
+}
+
+// Share an amount by weight in cents; the rounding remainder goes to the largest shares first
+function shareByWeight(amount, weights) {
+  const total = weights.reduce((sum, w) => sum + w.weight, 0);
+  if (!(total > 0)) return [];
+  const cents = Math.round(amount * 100);
+  const shares = weights.map(w => ({ staff_id: w.staff_id, cents: Math.floor(cents * w.weight / total), weight: w.weight }));
+  let left = cents - shares.reduce((sum, s) => sum + s.cents, 0);
+  for (const s of [...shares].sort((a, b) => b.weight - a.weight)) {
+    if (left <= 0) break;
+    s.cents++;
+    left--;
+  }
+  return shares.filter(s => s.cents > 0).map(s => ({ staff_id: s.staff_id, amount: s.cents / 100 }));
+}
+
+/**
+ * Staff on shift at a branch at a moment: scheduled that day, inside their
+ * hours and not on their break or a day off
+ */
+export async function getStaffOnShift(tenantId, branchId, at = new Date()) {
+  const staff = await query(
+    `SELECT id FROM staff WHERE tenant_id = ? AND is_active = 1 ${branchId ? 'AND (branch_id = ? OR branch_id IS NULL)' : ''}`,
+    branchId ? [tenantId, branchId] : [tenantId]
+  );
+  const timeZone = await getSchedulingTimezone(tenantId, { branchId });
+  const local = utcToZoned(at, timeZone);
+  const onShift = [];
+  for (const s of staff) {
+    const { window } = await getStaffWorkingWindow(tenantId, s.id, local.date);
+    if (!window || local.minutes < window.start || local.minutes >= window.end) continue;
+    if (window.breakStart !== null && window.breakEnd !== null && local.minutes >= window.breakStart && local.minutes < window.breakEnd) continue;
+    onShift.push(s.id);
+  }
+  return onShift;
+}
+
+/**
+ * Work out who gets how much of a tip
+ * @param {object} opts - { rule, split, providerId, lines: [{ staff_id, value }], branchId, at }
+ * @returns {Promise<{ rule: string, shares: { staff_id: number, amount: number }[] }>}
+ */
+export async function planTipShares(tenantId, tip, { rule = null, split = null, providerId = null, lines = [], branchId = null, at = new Date() } = {}) {
+  const amount = round2(tip);
+  if (amount <= 0) return { rule: 'provider', shares: [] };
+
+  if (split && split.length) {
+    const byPercent = split.every(s => s.percent !== undefined);
+    const weights = split.map(s => ({ staff_id: parseInt(s.staff_id), weight: parseFloat(byPercent ? s.percent : s.amount) }));
+    return { rule: 'manual', shares: shareByWeight(amount, weights) };
+  }
+
+  const pooling = rule || await getTipPoolingRule(tenantId);
+  const lineStaff = lines.filter(l => l.staff_id);
+
+  if (pooling === 'service_value' && lineStaff.length) {
+    const weights = [];
+    for (const line of lineStaff) {
+      const existing = weights.find(w => w.staff_id === line.staff_id);
+      if (existing) existing.weight += parseFloat(line.value) || 0;
+      else weights.push({ staff_id: line.staff_id, weight: parseFloat(line.value) || 0 });
+    }
+    const shares = shareByWeight(amount, weights);
+    if (shares.length) return { rule: pooling, shares };
+  }
+
+  if (pooling === 'shift_pool') {
+    // Staff who worked the visit are in the pool even if their schedule says otherwise
+    const pool = new Set(await getStaffOnShift(tenantId, branchId, at));
+    for (const line of lineStaff) pool.add(line.staff_id);
+    if (pool.size) return { rule: pooling, shares: shareByWeight(amount, [...pool].map(id => ({ staff_id: id, weight: 1 }))) };
+  }
+
+  const provider = providerId || lineStaff[0]?.staff_id || null;
+  return { rule: 'provider', shares: provider ? [{ staff_id: provider, amount }] : [] };
+}
+
+/**
+ * Record a tip's shares against its invoice line or POS sale
+ * @param {object} source - { tenantId, branchId, invoiceId, invoiceItemId } or { tenantId, branchId, posTransactionId }
+ * @returns {Promise<{ rule: string, shares: object[] }>}
+ */
+export async function allocateTip(source, tip, opts = {}) {
+  await ensureTipTables();
+  const { tenantId, branchId = null, invoiceId = null, invoiceItemId = null, posTransactionId = null } = source;
+  const plan = await planTipShares(tenantId, tip, { ...opts, branchId });
+  const tipDate = toMySQLDateTime(opts.at || new Date());
+  for (const share of plan.shares) {
+    await execute(`
+      INSERT INTO tip_allocations (tenant_id, branch_id, source_type, invoice_id, invoice_item_id, pos_transaction_id,
+        staff_id, amount, rule, tip_date, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [tenantId, branchId, posTransactionId ? 'pos' : 'invoice', invoiceId, invoiceItemId, posTransactionId,
+        share.staff_id, share.amount, plan.rule, tipDate, opts.userId || null]);
+  }
+  return plan;
+}
+
+/**
+ * Current shares of a tip (net of anything taken back), per staff member
+ * @param {object} source - { invoiceItemId } or { posTransactionId }
+ */
+export async function getTipShares(source) {
+  await ensureTipTables();
+  const [column, id] = source.invoiceItemId ? ['invoice_item_id', source.invoiceItemId] : ['pos_transaction_id', source.posTransactionId];
+  const rows = await query(`
+    SELECT staff_id, SUM(amount) AS amount FROM tip_allocations
+    WHERE ${column} = ? GROUP BY staff_id HAVING SUM(amount) > 0 ORDER BY staff_id
+  `, [id]);
+  return rows.map(r => ({ staff_id: r.staff_id, amount: round2(r.amount) }));
+}
+
+/**
+ * Take back a share (0–1) of what is left of a tip from each staff member
+ * @param {object} source - { invoiceItemId } or { posTransactionId }
+ */
+export async function reverseTipShares(source, share, { type = 'reversal', creditNoteId = null, notes = null, userId = null } = {}) {
+  if (!(share > 0)) return [];
+  await ensureTipTables();
+  const [column] = source.invoiceItemId ? ['invoice_item_id'] : ['pos_transaction_id'];
+  const [first] = await query(`SELECT * FROM tip_allocations WHERE ${column} = ? ORDER BY id LIMIT 1`,
+    [source.invoiceItemId || source.posTransactionId]);
+  if (!first) return [];
+
+  const reversed = [];
+  for (const current of await getTipShares(source)) {
+    const amount = Math.min(current.amount, round2(current.amount * Math.min(1, share)));
+    if (amount <= 0) continue;
+    await execute(`
+      INSERT INTO tip_allocations (tenant_id, branch_id, source_type, invoice_id, invoice_item_id, pos_transaction_id,
+        staff_id, amount, rule, type, credit_note_id, notes, tip_date, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [first.tenant_id, first.branch_id, first.source_type, first.invoice_id, first.invoice_item_id,
+        first.pos_transaction_id, current.staff_id, -amount, first.rule, type, creditNoteId,
+        notes ? String(notes).slice(0, 255) : null, toMySQLDateTime(new Date()), userId]);
+    reversed.push({ staff_id: current.staff_id, amount });
+  }
+  return reversed;
+}
+
+/**
+ * Share what is left of a tip out again by hand, e.g. when it went to the wrong staff
+ * @param {object} source - { tenantId, invoiceItemId } or { tenantId, posTransactionId }
+ * @returns {Promise<{ tip?: object, shares?: object[], error?: string, status?: number }>}
+ */
+export async function reallocateTip(source, split, { userId = null } = {}) {
+  await ensureTipTables();
+  const [column, id] = source.invoiceItemId ? ['invoice_item_id', source.invoiceItemId] : ['pos_transaction_id', source.posTransactionId];
+  const [first] = await query(`SELECT * FROM tip_allocations WHERE ${column} = ? AND tenant_id = ? ORDER BY id LIMIT 1`, [id, source.tenantId]);
+  if (!first) return { error: 'Tip not found', status: 404 };
+
+  const amount = round2((await getTipShares(source)).reduce((sum, s) => sum + s.amount, 0));
+  if (amount <= 0) return { error: 'Nothing is left of this tip to share', status: 400 };
+  const error = await validateTipSplit(source.tenantId, split, amount);
+  if (error) return { error, status: 400 };
+
+  await reverseTipShares(source, 1, { type: 'reallocation', notes: 'Reallocated', userId });
+  const plan = await allocateTip({
+    tenantId: first.tenant_id,
+    branchId: first.branch_id,
+    invoiceId: first.invoice_id,
+    invoiceItemId: first.invoice_item_id,
+    posTransactionId: first.pos_transaction_id,
+  }, amount, { split, userId, at: first.tip_date });
+  return { tip: first, shares: plan.shares };
+}
+
+/**
+ * Take back the tips a credit note credits, in proportion to the credited
+ * share of each tip line
+ */
+export async function reverseCreditNoteTips(creditNoteId, { userId = null } = {}) {
+  try {
+    await ensureTipTables();
+    const lines = await query(`
+      SELECT cni.total AS credited, cni.invoice_item_id, cn.credit_note_number, i.total AS invoice_total,
+        ii.total AS item_total,
+        (SELECT SUM(x.total) FROM invoice_items x WHERE x.invoice_id = ii.invoice_id) AS items_total,
+        (SELECT COALESCE(SUM(c2.total), 0) FROM credit_note_items c2
+          WHERE c2.invoice_item_id = cni.invoice_item_id AND c2.credit_note_id < cni.credit_note_id) AS credited_before
+      FROM credit_note_items cni
+      JOIN credit_notes cn ON cni.credit_note_id = cn.id
+      JOIN invoice_items ii ON cni.invoice_item_id = ii.id
+      JOIN invoices i ON ii.invoice_id = i.id
+      WHERE cni.credit_note_id = ?
+        AND EXISTS (SELECT 1 FROM tip_allocations ta WHERE ta.invoice_item_id = cni.invoice_item_id)
+    `, [creditNoteId]);
+    const reversed = [];
+    for (const line of lines) {
+      // Credit is valued at the line's share of the invoice total; scale to what was left of it
+      const value = parseFloat(line.items_total) > 0
+        ? parseFloat(line.item_total) * parseFloat(line.invoice_total) / parseFloat(line.items_total)
+        : 0;
+      const left = value - parseFloat(line.credited_before);
+      if (!(left > 0)) continue;
+      reversed.push(...await reverseTipShares({ invoiceItemId: line.invoice_item_id }, parseFloat(line.credited) / left, {
+        creditNoteId, notes: `Credit note ${line.credit_note_number}`, userId,
+      }));
+    }
+    return reversed;
+  } catch (error) {
+    console.error('[Tips] Credit note reversal failed:', error.message);
+    return [];
+  }
+}
+
+// SQL condition keeping only tips whose invoice or sale still stands
+const TIP_STANDS_SQL = `(
+  (ta.source_type = 'invoice' AND i.status IN ('paid', 'partially_paid'))
+  OR (ta.source_type = 'pos' AND t.status IN ('completed', 'refunded'))
+)`;
+
+/**
+ * Tips per staff member for a period: what they were given (after any
+ * reallocation), what credit notes and refunds took back and what they are
+ * owed, split by how the tips were shared
+ * @param {object} filters - { from, to, branchId, staffId }
+ */
+export async function getTipsReport(tenantId, { from, to, branchId = null, staffId = null }) {
+  await ensureTipTables();
+  const timeZone = await getSchedulingTimezone(tenantId, { branchId, staffId });
+  let where = `ta.tenant_id = ? AND ta.tip_date >= ? AND ta.tip_date < ? AND ${TIP_STANDS_SQL}`;
+  const params = [
+    tenantId,
+    toMySQLDateTime(zonedDayRange(from, timeZone).start),
+    toMySQLDateTime(zonedDayRange(to, timeZone).end),
+  ];
+  if (branchId) { where += ' AND ta.branch_id = ?'; params.push(branchId); }
+  if (staffId) { where += ' AND ta.staff_id = ?'; params.push(staffId); }
+
+  const rows = await query(`
+    SELECT ta.staff_id, s.full_name AS staff_name, ta.rule, ta.source_type,
+      COUNT(DISTINCT CASE WHEN ta.type = 'tip' THEN COALESCE(ta.invoice_item_id, -ta.pos_transaction_id) END) AS tips,
+      COALESCE(SUM(CASE WHEN ta.type <> 'reversal' THEN ta.amount ELSE 0 END), 0) AS given,
+      COALESCE(SUM(CASE WHEN ta.type = 'reversal' THEN -ta.amount ELSE 0 END), 0) AS reversed
+    FROM tip_allocations ta
+    LEFT JOIN staff s ON ta.staff_id = s.id
+    LEFT JOIN invoices i ON ta.invoice_id = i.id
+    LEFT JOIN pos_transactions t ON ta.pos_transaction_id = t.id
+    WHERE ${where}
+    GROUP BY ta.staff_id, s.full_name, ta.rule, ta.source_type
+  `, params);
+
+  const byStaff = new Map();
+  for (const r of rows) {
+    const entry = byStaff.get(r.staff_id) || {
+      staff_id: r.staff_id, staff_name: r.staff_name, tips: 0, given: 0, reversed: 0, net: 0, by_rule: {}, by_source: {},
+    };
+    const given = parseFloat(r.given);
+    const reversed = parseFloat(r.reversed);
+    entry.tips += Number(r.tips);
+    entry.given = round2(entry.given + given);
+    entry.reversed = round2(entry.reversed + reversed);
+    entry.net = round2(entry.given - entry.reversed);
+    entry.by_rule[r.rule] = round2((entry.by_rule[r.rule] || 0) + given - reversed);
+    entry.by_source[r.source_type] = round2((entry.by_source[r.source_type] || 0) + given - reversed);
+    byStaff.set(r.staff_id, entry);
+  }
+  const staff = [...byStaff.values()].sort((a, b) => b.net - a.net);
+  return {
+    period: { start: from, end: to },
+    staff,
+    totals: {
+      given: round2(staff.reduce((sum, s) => sum + s.given, 0)),
+      reversed: round2(staff.reduce((sum, s) => sum + s.reversed, 0)),
+      net: round2(staff.reduce((sum, s) => sum + s.net, 0)),
+    },
+  };
+}
+
+export default {
+  TIP_POOLING_RULES,
+  ensureTipTables,
+  getTipPoolingRule,
+  validateTipSplit,
+  getStaffOnShift,
+  planTipShares,
+  allocateTip,
+  getTipShares,
+  reverseTipShares,
+  reallocateTip,
+  reverseCreditNoteTips,
+  getTipsReport,
+};
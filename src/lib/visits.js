@@ -0,0 +1,190 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { ensureSegmentColumns, getStaffBusyRanges, rangesOverlap } from './scheduling.js';
+
+/**
+ * Visit Service
+ * A visit is one booking made of several ordered service lines (e.g. hair → makeup → nails).
+ * Every line is a regular appointment row linked through visit_id, so calendars,
+ * conflict checks and staff views keep working; the visit header ties them
+ * together for reminders and a single checkout invoice.
+ */
+
+let _tablesReady = false;
+
+/**
+ * Ensure visits table and visit columns on appointments / invoices exist
+ */
+export async function ensureVisitTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS visits (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      customer_id INT,
+      branch_id INT,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME NOT NULL,
+      status ENUM('booked', 'in_progress', 'completed', 'cancelled') DEFAULT 'booked',
+      source VARCHAR(50) DEFAULT 'walk_in',
+      notes TEXT,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_customer (customer_id),
+      INDEX idx_start_time (start_time)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const columns = [
+    ['appointments', 'visit_id', 'INT DEFAULT NULL'],
+    ['appointments', 'visit_sequence', 'INT DEFAULT NULL'],
+    ['appointments', 'visit_offset_minutes', 'INT DEFAULT NULL'],
+    ['invoices', 'visit_id', 'INT DEFAULT NULL'],
+  ];
+  let allColumnsPresent = true;
+  for (const [table, col, def] of columns) {
+    try {
+      await execute(`ALTER TABLE ${table} ADD COLUMN ${col} ${def}`);
+    } catch (e) {
+      // Column already exists – that's fine; a missing table means retry next time
+      if (e.code !== 'ER_DUP_FIELDNAME') allColumnsPresent = false;
+    }
+  }
+  try {
+    await execute('CREATE INDEX idx_visit ON appointments(visit_id)');
+  } catch (e) {
+    // Index already exists
+  }
+  _tablesReady = allColumnsPresent;
+}
+
+/**
+ * Resolve line start times from the visit start.
+ * Each line may carry offset_minutes (from the visit start) and duration; a line
+ * without an offset starts when the previous line ends, and a line without a
+ * duration uses the service's own duration.
+ *
+ * @param {Date|string} visitStart
+ * @param {Array<{service_id, staff_id, offset_minutes?, duration?}>} lines
+ * @param {Object} durations - service_id → default minutes
+ * @param {Object} segments - service_id → booking segments JSON (see getBookingSegments)
+ * @returns {Array<{service_id, staff_id, sequence, offset, duration, segments, start: Date, end: Date}>}
+ */
+export function planVisitLines(visitStart, lines, durations = {}, segments = {}) {
+  const base = new Date(visitStart).getTime();
+  let cursor = 0;
+  return lines.map((line, i) => {
+    const offset = line.offset_minutes !== undefined && line.offset_minutes !== null
+      ? parseInt(line.offset_minutes, 10)
+      : cursor;
+    const duration = parseInt(line.duration, 10) || durations[line.service_id] || 60;
+    cursor = offset + duration;
+    return {
+      service_id: line.service_id,
+      staff_id: line.staff_id,
+      sequence: i + 1,
+      offset,
+      duration,
+      segments: segments[line.service_id] || null,
+      start: new Date(base + offset * 60000),
+      end: new Date(base + (offset + duration) * 60000),
+    };
+  });
+}
+
+/**
+ * Planned lines that keep the same staff member busy at the same time as an
+ * earlier line of the visit (processing segments leave them free)
+ * @returns {Array<{sequence: number, staff_id, overlaps_sequence: number}>}
+ */
+export function findOverlappingLines(lines) {
+  const overlaps = [];
+  for (const [i, line] of lines.entries()) {
+    const busy = getStaffBusyRanges(line.start, line.end, line.segments);
+    const earlier = lines.slice(0, i).find(other => String(other.staff_id) === String(line.staff_id)
+      && rangesOverlap(busy, getStaffBusyRanges(other.start, other.end, other.segments)));
+    if (earlier) overlaps.push({ sequence: line.sequence, staff_id: line.staff_id, overlaps_sequence: earlier.sequence });
+  }
+  return overlaps;
+}
+
+/**
+ * Create a visit header and one appointment per planned line.
+ * Callers are expected to have checked staff conflicts for each line. Pass db
+ * (a withTransaction handle) to write inside the transaction that holds the
+ * staff lock; reminders are then left to the caller, once it has committed.
+ *
+ * @returns {Promise<{visitId: number, appointmentIds: number[]}>}
+ */
+export async function createVisit(tenantId, {
+  customer_id, branch_id = null, lines, notes = null, status = 'scheduled',
+  source = 'walk_in', prices = {}, created_by = null, db = null,
+}) {
+  if (!db) {
+    await ensureVisitTables();
+    await ensureSegmentColumns();
+  }
+  const { execute: run } = db || { execute };
+
+  const visitStart = lines.reduce((min, l) => (l.start < min ? l.start : min), lines[0].start);
+  const visitEnd = lines.reduce((max, l) => (l.end > max ? l.end : max), lines[0].end);
+
+  const visitResult = await run(
+    `INSERT INTO visits (tenant_id, customer_id, branch_id, start_time, end_time, source, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, customer_id, branch_id, toMySQLDateTime(visitStart.toISOString()),
+      toMySQLDateTime(visitEnd.toISOString()), source, notes, created_by]
+  );
+  const visitId = visitResult.insertId;
+
+  const appointmentIds = [];
+  for (const line of lines) {
+    const price = parseFloat(prices[line.service_id] || 0);
+    const result = await run(
+      `INSERT INTO appointments (tenant_id, customer_id, service_id, staff_id, start_time, end_time, notes, status,
+        original_price, final_price, visit_id, visit_sequence, visit_offset_minutes, segments, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [tenantId, customer_id, line.service_id, line.staff_id,
+        toMySQLDateTime(line.start.toISOString()), toMySQLDateTime(line.end.toISOString()),
+        notes, status, price, price, visitId, line.sequence, line.offset, line.segments || null, created_by]
+    );
+    appointmentIds.push(result.insertId);
+  }
+
+  // Reminders belong to the visit as a whole — schedule them once, from the first line
+  if (db) return { visitId, appointmentIds };
+  try {
+    const { scheduleAppointmentReminders } = await import('./reminders.js');
+    await scheduleAppointmentReminders(tenantId, appointmentIds[0], visitStart.toISOString(), customer_id);
+  } catch (reminderError) {
+    console.warn('Could not schedule visit reminders:', reminderError.message);
+  }
+
+  return { visitId, appointmentIds };
+}
+
+/**
+ * Ordered service lines of a visit with service / staff details
+ */
+export async function getVisitLines(tenantId, visitId) {
+  return query(
+    `SELECT a.*,
+            p.name as service_name, p.unit_price, p.currency,
+            s.full_name as staff_name
+     FROM appointments a
+     LEFT JOIN products p ON a.service_id = p.id
+     LEFT JOIN staff s ON a.staff_id = s.id
+     WHERE a.tenant_id = ? AND a.visit_id = ?
+     ORDER BY a.visit_sequence, a.start_time`,
+    [tenantId, visitId]
+  );
+}
+
+export default {
+  ensureVisitTables,
+  planVisitLines,
+  findOverlappingLines,
+  createVisit,
+  getVisitLines,
+};
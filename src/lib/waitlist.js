@@ -0,0 +1,461 @@
+import crypto from 'crypto';
+import { query, execute, withTransaction, toMySQLDateTime } from './database.js';
+import { sendNotificationEmail } from './email.js';
+import { sendSMS, formatPhoneNumber } from './sms.js';
+import { notifyAppointment } from './notify.js';
+import { getSchedulingTimezone, utcToZoned, formatInTimezone } from './timezone.js';
+import { allocateResources, reserveResources, getStaffBranchId } from './resources.js';
+import { ensureSegmentColumns, getBookingSegments, findStaffClashes } from './scheduling.js';
+import { runWorkflows } from './workflows.js';
+import { emitWebhookEvent } from './webhooks.js';
+
+/**
+ * Waitlist Matching
+ * When a booked slot opens up, waiting entries that fit it — service, preferred
+ * staff, date and time window — are offered the slot one at a time: highest
+ * priority first, then first come first served. Each offer is a time-limited
+ * claim link sent by email (or SMS when there is no email); an offer that
+ * runs out or is declined moves on to the next matching entry.
+ */
+
+export const DEFAULT_OFFER_MINUTES = 60;
+
+let _tablesReady = false;
+
+/**
+ * Ensure waitlists and waitlist_offers tables exist
+ */
+export async function ensureWaitlistTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS waitlists (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      branch_id INT,
+      customer_id INT NOT NULL,
+      service_id INT,
+      preferred_staff_id INT,
+      preferred_date DATE,
+      preferred_time_start TIME,
+      preferred_time_end TIME,
+      priority INT DEFAULT 0,
+      status ENUM('waiting','notified','booked','expired','cancelled') DEFAULT 'waiting',
+      notes TEXT,
+      notified_at DATETIME,
+      booked_appointment_id INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_customer (customer_id),
+      INDEX idx_status (status),
+      INDEX idx_date (preferred_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await execute(`
+    CREATE TABLE IF NOT EXISTS waitlist_offers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      waitlist_id INT NOT NULL,
+      opening_appointment_id INT NOT NULL,
+      service_id INT,
+      staff_id INT,
+      branch_id INT,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME NOT NULL,
+      token VARCHAR(64) NOT NULL UNIQUE,
+      channel ENUM('email', 'sms', 'none') DEFAULT 'email',
+      status ENUM('pending', 'claimed', 'declined', 'expired', 'cancelled') DEFAULT 'pending',
+      expires_at DATETIME NOT NULL,
+      responded_at DATETIME,
+      booked_appointment_id INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_waitlist (waitlist_id),
+      INDEX idx_opening (opening_appointment_id),
+      INDEX idx_status_expires (status, expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  try {
+    await execute(`ALTER TABLE appointments ADD COLUMN source VARCHAR(50) DEFAULT 'walk_in'`);
+  } catch (e) { /* already exists */ }
+  _tablesReady = true;
+}
+
+/**
+ * Tenant waitlist settings (stored with the online booking settings)
+ */
+async function getWaitlistSettings(tenantId) {
+  try {
+    const [row] = await query(
+      'SELECT waitlist_auto_offer, waitlist_offer_minutes, auto_confirm FROM online_booking_settings WHERE tenant_id = ?',
+      [tenantId]
+    );
+    return {
+      autoOffer: row ? row.waitlist_auto_offer !== 0 : true,
+      offerMinutes: parseInt(row?.waitlist_offer_minutes, 10) || DEFAULT_OFFER_MINUTES,
+      autoConfirm: !!row?.auto_confirm,
+    };
+  } catch (e) {
+    // Settings table / columns not created yet
+    return { autoOffer: true, offerMinutes: DEFAULT_OFFER_MINUTES, autoConfirm: false };
+  }
+}
+
+/**
+ * Is the staff member still free for the opening? (someone may have booked it since)
+ */
+async function isOpeningFree(opening, db = null, segments = null) {
+  const clashes = await findStaffClashes(opening.tenant_id, opening.staff_id, opening.start_time, opening.end_time, { segments, db });
+  return clashes.length === 0;
+}
+
+/**
+ * Best waiting entry for an opening, skipping entries already offered this opening
+ */
+async function findMatchingEntry(opening, timeZone) {
+  const localStart = utcToZoned(opening.start_time, timeZone);
+  const localEnd = utcToZoned(opening.end_time, timeZone);
+  // An opening that runs past midnight only has to fit the window's start
+  const endTime = localEnd.date === localStart.date ? `${localEnd.time}:00` : '23:59:59';
+
+  const [entry] = await query(
+    `SELECT w.*, c.first_name, c.last_name, c.email, c.phone
+     FROM waitlists w
+     LEFT JOIN contacts c ON w.customer_id = c.id
+     WHERE w.tenant_id = ? AND w.status = 'waiting'
+     AND (w.service_id IS NULL OR w.service_id = ?)
+     AND (w.preferred_staff_id IS NULL OR w.preferred_staff_id = ?)
+     AND (w.branch_id IS NULL OR ? IS NULL OR w.branch_id = ?)
+     AND (w.preferred_date IS NULL OR w.preferred_date = ?)
+     AND (w.preferred_time_start IS NULL OR w.preferred_time_start <= ?)
+     AND (w.preferred_time_end IS NULL OR w.preferred_time_end >= ?)
+     AND w.customer_id != ?
+     AND NOT EXISTS (
+       SELECT 1 FROM waitlist_offers o WHERE o.waitlist_id = w.id AND o.opening_appointment_id = ?
+     )
+     ORDER BY w.priority DESC, w.created_at ASC, w.id ASC
+     LIMIT 1`,
+    [opening.tenant_id, opening.service_id, opening.staff_id,
+      opening.branch_id, opening.branch_id,
+      localStart.date, `${localStart.time}:00`, endTime,
+      opening.customer_id || 0, opening.opening_appointment_id]
+  );
+  return entry || null;
+}
+
+/**
+ * Send the claim link — email first, SMS when there is no email or it fails
+ * @returns {Promise<'email'|'sms'|'none'>}
+ */
+async function sendOfferMessage(entry, offer, { tenantName, serviceName, staffName, claimUrl, timeZone }) {
+  const { dateStr, timeStr } = formatInTimezone(offer.start_time, timeZone);
+  const expiry = formatInTimezone(offer.expires_at, timeZone);
+  const customerName = `${entry.first_name || ''} ${entry.last_name || ''}`.trim() || 'there';
+
+  if (entry.email) {
+    const result = await sendNotificationEmail({
+      to: entry.email,
+      subject: `A spot just opened — ${serviceName} on ${dateStr}`,
+      title: 'A spot just opened up! 🎉',
+      body: `
+        <p>Dear ${customerName},</p>
+        <p>Good news — a time you were waiting for is now available:</p>
+        <div style="background:#f8f9fa;padding:20px;border-radius:8px;margin:16px 0;text-align:center;">
+          <p style="margin:0 0 4px;font-size:17px;font-weight:600;color:#333;">${serviceName}</p>
+          <p style="margin:0 0 4px;font-size:15px;color:#555;">${dateStr} &nbsp;·&nbsp; ${timeStr}</p>
+          ${staffName ? `<p style="margin:0;font-size:14px;color:#777;">with ${staffName}</p>` : ''}
+        </div>
+        <p>This offer is held for you until <strong>${expiry.timeStr}</strong> (${expiry.dateStr}). After that it goes to the next person on the waitlist.</p>
+      `,
+      ctaText: 'Claim this slot',
+      ctaUrl: claimUrl,
+      tenantId: offer.tenant_id,
+    });
+    if (result?.success) return 'email';
+  }
+
+  if (entry.phone) {
+    const result = await sendSMS({
+      to: formatPhoneNumber(entry.phone),
+      message: `${tenantName}: a ${serviceName} slot opened on ${dateStr} at ${timeStr}. Claim it before ${expiry.timeStr}: ${claimUrl}`,
+    });
+    if (result?.success) return 'sms';
+  }
+  return 'none';
+}
+
+/**
+ * Offer an opening to the next matching waitlist entry.
+ *
+ * @param {Object} opening - { tenant_id, opening_appointment_id, service_id, staff_id, branch_id,
+ *                             start_time, end_time, customer_id (who freed it) }
+ * @returns {Promise<Object|null>} the offer made, or null when nobody matched
+ */
+export async function offerOpening(opening) {
+  await ensureWaitlistTables();
+  if (!opening.staff_id || new Date(opening.start_time) <= new Date()) return null;
+
+  const settings = await getWaitlistSettings(opening.tenant_id);
+  if (!settings.autoOffer) return null;
+
+  // One live offer per opening
+  const [live] = await query(
+    "SELECT id FROM waitlist_offers WHERE opening_appointment_id = ? AND status = 'pending' LIMIT 1",
+    [opening.opening_appointment_id]
+  );
+  if (live || !(await isOpeningFree(opening))) return null;
+
+  const timeZone = await getSchedulingTimezone(opening.tenant_id, { branchId: opening.branch_id, staffId: opening.staff_id });
+  const [tenant] = await query('SELECT name, slug FROM tenants WHERE id = ?', [opening.tenant_id]);
+
+  // Entries that can't be reached are skipped so the opening keeps moving
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const entry = await findMatchingEntry(opening, timeZone);
+    if (!entry) return null;
+
+    // Take the entry only if nobody else did in the meantime
+    const claimed = await execute(
+      "UPDATE waitlists SET status = 'notified', notified_at = NOW() WHERE id = ? AND status = 'waiting'",
+      [entry.id]
+    );
+    if (claimed.affectedRows === 0) continue;
+
+    const serviceId = entry.service_id || opening.service_id;
+    const expiresAt = new Date(Math.min(
+      Date.now() + settings.offerMinutes * 60 * 1000,
+      new Date(opening.start_time).getTime()
+    ));
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await execute(
+      `INSERT INTO waitlist_offers (tenant_id, waitlist_id, opening_appointment_id, service_id, staff_id, branch_id,
+        start_time, end_time, token, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [opening.tenant_id, entry.id, opening.opening_appointment_id, serviceId, opening.staff_id, opening.branch_id || null,
+        toMySQLDateTime(opening.start_time), toMySQLDateTime(opening.end_time), token, toMySQLDateTime(expiresAt.toISOString())]
+    );
+    const offer = {
+      id: result.insertId, tenant_id: opening.tenant_id, waitlist_id: entry.id, token,
+      start_time: new Date(opening.start_time).toISOString(), expires_at: expiresAt.toISOString(),
+    };
+
+    const [service] = await query('SELECT name FROM products WHERE id = ?', [serviceId]);
+    const [staff] = await query('SELECT full_name FROM staff WHERE id = ?', [opening.staff_id]);
+    const claimUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/book/${tenant?.slug}/waitlist/${token}`;
+    let channel = 'none';
+    try {
+      channel = await sendOfferMessage(entry, offer, {
+        tenantName: tenant?.name || '', serviceName: service?.name || 'appointment',
+        staffName: staff?.full_name || null, claimUrl, timeZone,
+      });
+    } catch (err) {
+      console.error('Waitlist offer message error:', err.message);
+    }
+    await execute('UPDATE waitlist_offers SET channel = ? WHERE id = ?', [channel, offer.id]);
+
+    if (channel === 'none') {
+      // Couldn't reach this customer — put them back and try the next one
+      await execute("UPDATE waitlist_offers SET status = 'cancelled', responded_at = NOW() WHERE id = ?", [offer.id]);
+      await execute("UPDATE waitlists SET status = 'waiting' WHERE id = ? AND status = 'notified'", [entry.id]);
+      continue;
+    }
+    return { ...offer, channel };
+  }
+  return null;
+}
+
+/**
+ * Offer the slots freed by cancelled appointments (fire and forget from routes)
+ */
+export async function offerOpenedSlots(tenantId, appointmentIds = []) {
+  for (const id of appointmentIds) {
+    try {
+      const [appt] = await query(
+        `SELECT id, tenant_id, customer_id, service_id, staff_id, start_time, end_time, status
+         FROM appointments WHERE id = ? AND tenant_id = ?`,
+        [id, tenantId]
+      );
+      if (!appt || appt.status !== 'cancelled') continue;
+      await offerOpening({
+        tenant_id: tenantId,
+        opening_appointment_id: appt.id,
+        service_id: appt.service_id,
+        staff_id: appt.staff_id,
+        branch_id: await getStaffBranchId(tenantId, appt.staff_id),
+        start_time: appt.start_time,
+        end_time: appt.end_time,
+        customer_id: appt.customer_id,
+      });
+    } catch (error) {
+      console.error(`[Waitlist] Could not offer opening of appointment ${id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Offer details behind a claim token
+ */
+export async function getOfferByToken(tenantId, token) {
+  await ensureWaitlistTables();
+  const [offer] = await query(
+    `SELECT o.*, p.name as service_name, s.full_name as staff_name, w.customer_id
+     FROM waitlist_offers o
+     INNER JOIN waitlists w ON w.id = o.waitlist_id
+     LEFT JOIN products p ON o.service_id = p.id
+     LEFT JOIN staff s ON o.staff_id = s.id
+     WHERE o.tenant_id = ? AND o.token = ?`,
+    [tenantId, token]
+  );
+  return offer || null;
+}
+
+/**
+ * Close a pending offer that nobody will claim (expired or declined), put the
+ * entry back on the waitlist and pass the opening to the next person
+ */
+async function closeOffer(offer, status) {
+  const closed = await execute(
+    "UPDATE waitlist_offers SET status = ?, responded_at = NOW() WHERE id = ? AND status = 'pending'",
+    [status, offer.id]
+  );
+  if (closed.affectedRows === 0) return false;
+  await execute("UPDATE waitlists SET status = 'waiting' WHERE id = ? AND status = 'notified'", [offer.waitlist_id]);
+
+  const [opening] = await query('SELECT customer_id FROM appointments WHERE id = ?', [offer.opening_appointment_id]);
+  await offerOpening({
+    tenant_id: offer.tenant_id,
+    opening_appointment_id: offer.opening_appointment_id,
+    service_id: offer.service_id,
+    staff_id: offer.staff_id,
+    branch_id: offer.branch_id,
+    start_time: offer.start_time,
+    end_time: offer.end_time,
+    customer_id: opening?.customer_id || null,
+  });
+  return true;
+}
+
+/**
+ * Customer turned the offer down
+ */
+export async function declineOffer(offer) {
+  return closeOffer(offer, 'declined');
+}
+
+/**
+ * Cron: expire offers past their claim window and move each opening on
+ */
+export async function expireWaitlistOffers() {
+  await ensureWaitlistTables();
+  const due = await query(
+    "SELECT * FROM waitlist_offers WHERE status = 'pending' AND expires_at <= NOW() ORDER BY expires_at LIMIT 100"
+  );
+  let expired = 0;
+  for (const offer of due) {
+    try {
+      if (await closeOffer(offer, 'expired')) expired++;
+    } catch (error) {
+      console.error(`[Waitlist] Could not expire offer ${offer.id}:`, error.message);
+    }
+  }
+  return { processed: due.length, expired };
+}
+
+/**
+ * Claim an offer: book the slot for the waitlist customer if it's still free.
+ * First valid claim wins; the offer, the entry and the staff member are locked
+ * while the appointment is created.
+ *
+ * @returns {Promise<{appointmentId?: number, status?: string, error?: string}>}
+ *          error: not_found | claimed | expired | taken
+ */
+export async function claimOffer(tenantId, token) {
+  await ensureWaitlistTables();
+  const settings = await getWaitlistSettings(tenantId);
+  const status = settings.autoConfirm ? 'confirmed' : 'scheduled';
+
+  const offer = await getOfferByToken(tenantId, token);
+  if (!offer) return { error: 'not_found' };
+
+  // Rooms / equipment are checked up front; the claim itself re-checks the staff member
+  const { allocations, unavailable } = await allocateResources(tenantId, [{
+    service_id: offer.service_id, start: offer.start_time, end: offer.end_time,
+  }], { branchId: offer.branch_id });
+
+  await ensureSegmentColumns();
+  const [service] = await query(
+    'SELECT unit_price, segments, processing_time, finishing_time FROM products WHERE id = ?',
+    [offer.service_id]
+  );
+  const segments = getBookingSegments(service);
+
+  const outcome = await withTransaction(async (tx) => {
+    const [locked] = await tx.query('SELECT * FROM waitlist_offers WHERE id = ? FOR UPDATE', [offer.id]);
+    if (locked.status === 'claimed') return { error: 'claimed' };
+    if (locked.status !== 'pending' || new Date(locked.expires_at) <= new Date()) return { error: 'expired' };
+
+    await tx.query('SELECT id FROM staff WHERE id = ? AND tenant_id = ? FOR UPDATE', [offer.staff_id, tenantId]);
+    if (unavailable.length > 0 || !(await isOpeningFree(offer, tx, segments))) {
+      await tx.execute("UPDATE waitlist_offers SET status = 'cancelled', responded_at = NOW() WHERE id = ?", [offer.id]);
+      await tx.execute("UPDATE waitlists SET status = 'waiting' WHERE id = ? AND status = 'notified'", [offer.waitlist_id]);
+      return { error: 'taken' };
+    }
+
+    const [entry] = await tx.query('SELECT notes FROM waitlists WHERE id = ? FOR UPDATE', [offer.waitlist_id]);
+    const price = parseFloat(service?.unit_price || 0);
+    const result = await tx.execute(
+      `INSERT INTO appointments (tenant_id, customer_id, service_id, staff_id, start_time, end_time,
+        notes, status, original_price, final_price, segments, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'waitlist')`,
+      [tenantId, offer.customer_id, offer.service_id, offer.staff_id,
+        toMySQLDateTime(offer.start_time), toMySQLDateTime(offer.end_time),
+        entry?.notes || null, status, price, price, segments]
+    );
+    await tx.execute(
+      "UPDATE waitlist_offers SET status = 'claimed', responded_at = NOW(), booked_appointment_id = ? WHERE id = ?",
+      [result.insertId, offer.id]
+    );
+    await tx.execute(
+      "UPDATE waitlists SET status = 'booked', booked_appointment_id = ? WHERE id = ?",
+      [result.insertId, offer.waitlist_id]
+    );
+    return { appointmentId: result.insertId, status };
+  });
+
+  if (outcome.appointmentId) {
+    await reserveResources(tenantId, outcome.appointmentId, allocations[0] || []);
+    notifyAppointment(
+      tenantId,
+      'Waitlist Slot Claimed',
+      `${offer.service_name || 'Appointment'} claimed from the waitlist`,
+      { appointment_id: outcome.appointmentId, waitlist_id: offer.waitlist_id }
+    ).catch(() => {});
+    runWorkflows(tenantId, 'appointment', outcome.appointmentId);
+    emitWebhookEvent(tenantId, 'appointment.created', outcome.appointmentId);
+  }
+  return outcome;
+}
+
+/**
+ * Withdraw the pending offers of a waitlist entry (booked by staff or removed)
+ */
+export async function cancelEntryOffers(waitlistId) {
+  await ensureWaitlistTables();
+  await execute(
+    "UPDATE waitlist_offers SET status = 'cancelled', responded_at = NOW() WHERE waitlist_id = ? AND status = 'pending'",
+    [waitlistId]
+  );
+}
+
+export default {
+  DEFAULT_OFFER_MINUTES,
+  ensureWaitlistTables,
+  offerOpening,
+  offerOpenedSlots,
+  getOfferByToken,
+  declineOffer,
+  expireWaitlistOffers,
+  claimOffer,
+  cancelEntryOffers,
+};
@@ -0,0 +1,476 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { query, execute, toMySQLDateTime } from './database.js';
+import { notifySystem } from './notify.js';
+
+/**
+ * Outgoing Webhooks
+ * A tenant subscribes a URL to events (appointment.created, invoice.paid, ...).
+ * Each event becomes one delivery per matching subscription: a JSON POST signed
+ * with the subscription's secret, retried with backoff until the endpoint
+ * answers 2xx or the attempts run out. A subscription that keeps failing is
+ * disabled and the business is notified.
+ *
+ * Signature header: `X-Webhook-Signature: t=<unix seconds>,v1=<hex>` where v1 is
+ * HMAC-SHA256(secret, `${t}.${raw body}`).
+ */
+
+export const WEBHOOK_EVENTS = [
+  'appointment.created', 'appointment.updated', 'appointment.cancelled', 'appointment.completed', 'appointment.deleted',
+  'invoice.created', 'invoice.updated', 'invoice.paid', 'invoice.voided', 'invoice.deleted',
+  'contact.created', 'contact.updated', 'contact.deleted',
+  'pos.transaction.created', 'pos.transaction.refunded',
+  'credit_note.issued',
+  'review.created',
+  'store_order.created', 'store_order.updated',
+];
+
+// Minutes to wait after each failed attempt
+const RETRY_DELAYS = [1, 5, 30, 120, 360, 1440];
+export const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+
+// Failed attempts in a row (across deliveries) before a subscription is disabled
+export const DISABLE_AFTER_FAILURES = 20;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Addresses a webhook may never be sent to: loopback, private networks,
+// link-local (cloud metadata), carrier-grade NAT, documentation, multicast
+// and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+
+// Host names that only mean something inside a network
+const INTERNAL_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.intranet', '.lan', '.home.arpa', '.corp'];
+
+// Table holding the record of each event group, for emitWebhookEvent with an id
+const EVENT_SOURCES = {
+  appointment: 'appointments',
+  invoice: 'invoices',
+  contact: 'contacts',
+  'pos.transaction': 'pos_transactions',
+  credit_note: 'credit_notes',
+  review: 'reviews',
+  store_order: 'store_orders',
+};
+
+// Status an update moved a record into → the extra event it fires
+const STATUS_EVENTS = {
+  appointment: { cancelled: 'appointment.cancelled', completed: 'appointment.completed' },
+  invoice: { paid: 'invoice.paid', void: 'invoice.voided' },
+};
+
+let _tablesReady = false;
+
+/**
+ * Ensure webhook_subscriptions and webhook_deliveries tables exist
+ */
+export async function ensureWebhookTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      name VARCHAR(255),
+      url VARCHAR(500) NOT NULL,
+      secret VARCHAR(100) NOT NULL,
+      events JSON NOT NULL,
+      is_active TINYINT(1) DEFAULT 1,
+      consecutive_failures INT DEFAULT 0,
+      last_delivery_at DATETIME NULL,
+      last_failure_at DATETIME NULL,
+      disabled_at DATETIME NULL,
+      disabled_reason VARCHAR(255),
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await execute(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      subscription_id INT NOT NULL,
+      event VARCHAR(100) NOT NULL,
+      event_id VARCHAR(40) NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('pending', 'sending', 'success', 'failed') DEFAULT 'pending',
+      attempts INT DEFAULT 0,
+      next_attempt_at DATETIME NULL,
+      last_attempt_at DATETIME NULL,
+      response_status INT,
+      response_body TEXT,
+      error_message TEXT,
+      duration_ms INT,
+      delivered_at DATETIME NULL,
+      redelivery_of INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_due (status, next_attempt_at),
+      INDEX idx_subscription (subscription_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  _tablesReady = true;
+}
+
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// ─── Subscriptions ──────────────────────────────────────────
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Does a subscription's event list cover an event? Entries are exact names,
+ * group wildcards ('appointment.*', 'pos.transaction.*') or '*' for everything.
+ */
+export function matchesEvent(patterns, event) {
+  return (patterns || []).some(p =>
+    p === '*' || p === event || (p.endsWith('.*') && event.startsWith(p.slice(0, -1)))
+  );
+}
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL points at the public internet: every address its
+ * host resolves to must be outside private and reserved ranges. Run when a
+ * subscription is saved and again before each attempt (DNS can change).
+ * @returns {Promise<string|null>} error message or null
+ */
+export async function checkWebhookTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'url must be a valid http(s) URL';
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (!net.isIP(host)) {
+    if (host === 'localhost' || !host.includes('.') || INTERNAL_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+      return `url host ${host} is not a public address`;
+    }
+  }
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (e) {
+    return `url host ${host} could not be resolved`;
+  }
+  if (addresses.length === 0) return `url host ${host} could not be resolved`;
+  if (addresses.some(a => isBlockedAddress(a.address))) return `url host ${host} is not a public address`;
+  return null;
+}
+
+/**
+ * Validate a subscription before it is saved. Returns an error message or null.
+ * The URL's target is checked separately with checkWebhookTarget.
+ */
+export function validateSubscription({ url, events }) {
+  if (url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return 'url must be a valid http(s) URL';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) return 'events must be a non-empty list';
+    const unknown = events.find(e => typeof e !== 'string' || !WEBHOOK_EVENTS.some(known => matchesEvent([e], known)));
+    if (unknown !== undefined) return `Unknown event "${unknown}". Events: ${WEBHOOK_EVENTS.join(', ')} (or a wildcard such as appointment.*)`;
+  }
+  return null;
+}
+
+/**
+ * Subscription as shown to staff: events parsed, secret masked
+ */
+export function formatSubscription(subscription, { revealSecret = false } = {}) {
+  return {
+    ...subscription,
+    events: parseJSON(subscription.events, []),
+    secret: revealSecret ? subscription.secret : `${subscription.secret.slice(0, 6)}…${subscription.secret.slice(-4)}`,
+  };
+}
+
+// ─── Delivering ─────────────────────────────────────────────
+
+export function signPayload(secret, body, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function loadEventRecord(tenantId, event, id) {
+  const group = event.slice(0, event.lastIndexOf('.'));
+  const table = EVENT_SOURCES[group];
+  if (!table) return null;
+  const [record] = await query(`SELECT * FROM ${table} WHERE id = ? AND tenant_id = ?`, [id, tenantId]);
+  return record || null;
+}
+
+async function createDelivery(subscription, event, payload, redeliveryOf = null) {
+  const result = await execute(
+    `INSERT INTO webhook_deliveries (tenant_id, subscription_id, event, event_id, payload, next_attempt_at, redelivery_of)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [subscription.tenant_id, subscription.id, event, payload.id, JSON.stringify(payload),
+     toMySQLDateTime(new Date()), redeliveryOf]
+  );
+  return result.insertId;
+}
+
+/**
+ * Count a failed attempt against a subscription and disable it once
+ * DISABLE_AFTER_FAILURES attempts in a row have failed
+ */
+async function recordFailure(subscription) {
+  const now = toMySQLDateTime(new Date());
+  await execute(
+    'UPDATE webhook_subscriptions SET consecutive_failures = consecutive_failures + 1, last_failure_at = ? WHERE id = ?',
+    [now, subscription.id]
+  );
+  const disabled = await execute(
+    `UPDATE webhook_subscriptions SET is_active = 0, disabled_at = ?, disabled_reason = ?
+     WHERE id = ? AND is_active = 1 AND consecutive_failures >= ?`,
+    [now, `${DISABLE_AFTER_FAILURES} failed deliveries in a row`, subscription.id, DISABLE_AFTER_FAILURES]
+  );
+  if (disabled.affectedRows) {
+    notifySystem(
+      subscription.tenant_id,
+      'Webhook Disabled',
+      `Deliveries to ${subscription.url} failed ${DISABLE_AFTER_FAILURES} times in a row, so the webhook was turned off. Fix the endpoint and re-enable it.`,
+      { webhook_subscription_id: subscription.id }
+    ).catch(() => {});
+  }
+}
+
+/**
+ * Make one attempt at a pending delivery. The delivery is claimed first, so
+ * the cron job and an immediate attempt never send it twice.
+ * @returns {Promise<'success'|'retrying'|'failed'|null>} null when not attempted
+ */
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  const claimed = await execute(
+    "UPDATE webhook_deliveries SET status = 'sending', last_attempt_at = ? WHERE id = ? AND status = 'pending'",
+    [toMySQLDateTime(now), deliveryId]
+  );
+  if (!claimed.affectedRows) return null;
+
+  const [delivery] = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+  const [subscription] = await query('SELECT * FROM webhook_subscriptions WHERE id = ?', [delivery.subscription_id]);
+  if (!subscription?.is_active) {
+    await execute(
+      "UPDATE webhook_deliveries SET status = 'failed', next_attempt_at = NULL, error_message = ? WHERE id = ?",
+      ['Subscription is disabled', deliveryId]
+    );
+    return 'failed';
+  }
+
+  const body = JSON.stringify(parseJSON(delivery.payload, {}));
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = await checkWebhookTarget(subscription.url);
+  if (!error) {
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Trasealla-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, body, timestamp)}`,
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      // Only the status line is kept: the endpoint's reply is never shown back
+      responseBody = `${response.status} ${response.statusText || ''}`.trim().slice(0, 255);
+      await response.body?.cancel().catch(() => {});
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : e.message;
+    }
+  }
+
+  const attempts = delivery.attempts + 1;
+  const durationMs = Date.now() - now.getTime();
+  if (!error) {
+    await execute(
+      `UPDATE webhook_deliveries SET status = 'success', attempts = ?, response_status = ?, response_body = ?,
+         error_message = NULL, duration_ms = ?, delivered_at = ?, next_attempt_at = NULL
+       WHERE id = ?`,
+      [attempts, responseStatus, responseBody, durationMs, toMySQLDateTime(new Date()), deliveryId]
+    );
+    await execute(
+      'UPDATE webhook_subscriptions SET consecutive_failures = 0, last_delivery_at = ? WHERE id = ?',
+      [toMySQLDateTime(new Date()), subscription.id]
+    );
+    return 'success';
+  }
+
+  const retry = attempts < MAX_ATTEMPTS;
+  const nextAttempt = retry ? toMySQLDateTime(new Date(Date.now() + RETRY_DELAYS[attempts - 1] * 60000)) : null;
+  await execute(
+    `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, response_body = ?,
+       error_message = ?, duration_ms = ?, next_attempt_at = ?
+     WHERE id = ?`,
+    [retry ? 'pending' : 'failed', attempts, responseStatus, responseBody, error, durationMs, nextAttempt, deliveryId]
+  );
+  await recordFailure(subscription);
+  return retry ? 'retrying' : 'failed';
+}
+
+/**
+ * Send an event to every active subscription of the tenant that listens for
+ * it (fire and forget from routes). `data` is the record, or its id to load
+ * it from the event's table; it is only loaded when someone is subscribed.
+ */
+export async function emitWebhookEvent(tenantId, event, data) {
+  try {
+    if (!tenantId || data === null || data === undefined) return;
+    await ensureWebhookTables();
+    const subscriptions = (await query(
+      'SELECT * FROM webhook_subscriptions WHERE tenant_id = ? AND is_active = 1',
+      [tenantId]
+    )).filter(s => matchesEvent(parseJSON(s.events, []), event));
+    if (subscriptions.length === 0) return;
+
+    const record = typeof data === 'object' ? data : await loadEventRecord(tenantId, event, data);
+    if (!record) return;
+    const payload = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      event,
+      created_at: new Date().toISOString(),
+      tenant_id: tenantId,
+      data: record,
+    };
+    const deliveryIds = [];
+    for (const subscription of subscriptions) deliveryIds.push(await createDelivery(subscription, event, payload));
+    for (const id of deliveryIds) await attemptDelivery(id);
+  } catch (error) {
+    console.error(`[Webhooks] Could not emit ${event} for tenant ${tenantId}:`, error.message);
+  }
+}
+
+/**
+ * Emit `<group>.updated` for a changed record, plus the status event
+ * (appointment.cancelled, invoice.paid, ...) when its status moved since
+ * `previousStatus` (fire and forget from routes)
+ */
+export async function emitUpdateEvents(tenantId, group, id, previousStatus = null) {
+  try {
+    const record = await loadEventRecord(tenantId, `${group}.updated`, id);
+    if (!record) return;
+    await emitWebhookEvent(tenantId, `${group}.updated`, record);
+    const statusEvent = STATUS_EVENTS[group]?.[record.status];
+    if (statusEvent && record.status !== previousStatus) await emitWebhookEvent(tenantId, statusEvent, record);
+  } catch (error) {
+    console.error(`[Webhooks] Could not emit ${group} update for tenant ${tenantId}:`, error.message);
+  }
+}
+
+/**
+ * Send a `ping` event to one subscription to check the endpoint
+ */
+export async function sendTestWebhook(subscription) {
+  await ensureWebhookTables();
+  const payload = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    event: 'ping',
+    created_at: new Date().toISOString(),
+    tenant_id: subscription.tenant_id,
+    data: { subscription_id: subscription.id, message: 'Webhook test' },
+  };
+  const deliveryId = await createDelivery(subscription, 'ping', payload);
+  await attemptDelivery(deliveryId);
+  const [delivery] = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+  return delivery;
+}
+
+/**
+ * Send an earlier delivery's payload again, as a new delivery with its own
+ * attempts. The event id stays the same so receivers can de-duplicate.
+ */
+export async function redeliverWebhook(delivery) {
+  await ensureWebhookTables();
+  const [subscription] = await query('SELECT * FROM webhook_subscriptions WHERE id = ?', [delivery.subscription_id]);
+  if (!subscription) return null;
+  const deliveryId = await createDelivery(subscription, delivery.event, parseJSON(delivery.payload, {}), delivery.id);
+  await attemptDelivery(deliveryId);
+  const [redelivery] = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+  return redelivery;
+}
+
+/**
+ * Retry deliveries that are due. Called by a cron job every minute.
+ * @returns {Promise<{attempted: number, delivered: number, failed: number}>}
+ */
+export async function retryWebhookDeliveries() {
+  await ensureWebhookTables();
+  // An attempt cut off by a restart is picked up again
+  await execute(
+    "UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending' AND last_attempt_at < ?",
+    [toMySQLDateTime(new Date(Date.now() - 10 * 60000))]
+  );
+  const due = await query(
+    "SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT 50",
+    [toMySQLDateTime(new Date())]
+  );
+
+  let delivered = 0;
+  let failed = 0;
+  for (const { id } of due) {
+    try {
+      const outcome = await attemptDelivery(id);
+      if (outcome === 'success') delivered++;
+      else if (outcome) failed++;
+    } catch (error) {
+      console.error(`[Webhooks] Delivery ${id} error:`, error.message);
+    }
+  }
+  return { attempted: due.length, delivered, failed };
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  DISABLE_AFTER_FAILURES,
+  ensureWebhookTables,
+  generateWebhookSecret,
+  matchesEvent,
+  validateSubscription,
+  checkWebhookTarget,
+  formatSubscription,
+  signPayload,
+  emitWebhookEvent,
+  emitUpdateEvents,
+  sendTestWebhook,
+  redeliverWebhook,
+  retryWebhookDeliveries,
+};
@@ -0,0 +1,1071 @@
+import { query, execute, toMySQLDateTime } from './database.js';
+import { sendEmail, getTenantBranding } from './email.js';
+import { getPlaceholderValues, getAppointmentTemplateData } from './reminders.js';
+import { getTenantTimezone, utcToZoned, zonedTimeToUtc } from './timezone.js';
+import { canSendMarketing, unsubscribeUrl, listUnsubscribeHeaders, appendUnsubscribeFooter } from './consent.js';
+
+/**
+ * Workflow Engine
+ * Saved workflows fire when a record is created or changed. The engine works out
+ * which trigger events a change produced (created, updated, status_changed,
+ * stage_changed, field_changed, assigned, plus the salon events of each entity
+ * such as booked or paid), checks each matching workflow's conditions against
+ * the record and runs its actions in order. Time-based triggers (a membership
+ * about to expire, days since a client's last visit) are found by a scheduled
+ * scan instead. A `wait` step pauses the run: the remaining steps are saved to
+ * workflow_pending_steps and picked up by a cron job when they are due, unless
+ * the record changes (or the client books again) first. Every run is written to
+ * workflow_logs. Changes made by workflow actions do not fire further workflows,
+ * so workflows cannot trigger each other in a loop.
+ */
+
+export const TRIGGER_EVENTS = ['created', 'updated', 'stage_changed', 'status_changed', 'field_changed', 'assigned'];
+export const ACTION_TYPES = ['assign', 'create_activity', 'send_email', 'add_tag', 'update_field', 'wait'];
+export const CONDITION_OPERATORS = [
+  'equals', 'not_equals', 'contains', 'not_contains', 'starts_with',
+  'greater_than', 'less_than', 'greater_or_equal', 'less_or_equal',
+  'in', 'not_in', 'is_empty', 'is_not_empty', 'changed', 'changed_to', 'changed_from',
+];
+
+/**
+ * Entities workflows can run on.
+ * - `fields`: columns an update_field action may write
+ * - `tags`: true when the record has its own tags, 'client' to tag the record's client
+ * - `assignable`: false when assign must not move the record to another staff member
+ * - `events`: the entity's own trigger events, on top of TRIGGER_EVENTS
+ * - `select` / `normalize`: how to load the record with derived fields
+ */
+export const WORKFLOW_ENTITIES = {
+  lead: {
+    table: 'leads', ownerField: 'owner_id', statusField: 'status', tags: true,
+    fields: ['first_name', 'last_name', 'company', 'job_title', 'email', 'phone', 'mobile', 'whatsapp',
+      'website', 'industry', 'source', 'status', 'rating', 'score', 'address', 'city', 'country', 'notes', 'owner_id'],
+  },
+  contact: {
+    table: 'contacts', ownerField: 'owner_id', statusField: 'status', tags: true,
+    fields: ['first_name', 'last_name', 'email', 'phone', 'mobile', 'gender', 'date_of_birth', 'notes', 'source',
+      'address', 'instagram', 'allergies', 'referral_source', 'job_title', 'department', 'account_id',
+      'status', 'owner_id', 'is_vip'],
+    events: ['days_since_last_visit'],
+    select: `SELECT c.*,
+      (SELECT MAX(a.start_time) FROM appointments a
+       WHERE a.customer_id = c.id AND a.tenant_id = c.tenant_id AND a.status = 'completed') AS last_visit_at
+      FROM contacts c WHERE c.id = ? AND c.tenant_id = ?`,
+    normalize: (row) => {
+      row.days_since_last_visit = row.last_visit_at
+        ? Math.floor((Date.now() - new Date(row.last_visit_at).getTime()) / 86400000)
+        : null;
+    },
+  },
+  account: {
+    table: 'accounts', ownerField: 'owner_id', statusField: 'status', tags: true,
+    fields: ['name', 'industry', 'website', 'phone', 'email', 'address', 'city', 'country', 'status', 'owner_id'],
+  },
+  deal: {
+    table: 'deals', ownerField: 'owner_id', statusField: 'status', stageField: 'stage_id', tags: true,
+    fields: ['name', 'account_id', 'contact_id', 'pipeline_id', 'stage_id', 'amount', 'currency', 'probability',
+      'expected_close_date', 'status', 'description', 'owner_id'],
+  },
+  activity: {
+    table: 'activities', ownerField: 'assigned_to', statusField: 'status', tags: false,
+    fields: ['type', 'subject', 'description', 'due_date', 'due_time', 'priority', 'status', 'assigned_to'],
+  },
+  appointment: {
+    table: 'appointments', ownerField: 'staff_id', statusField: 'status', tags: 'client', assignable: false,
+    fields: ['notes'],
+    events: ['booked', 'cancelled', 'no_show', 'completed', 'first_visit'],
+    detectEvents: appointmentEvents,
+  },
+  invoice: {
+    table: 'invoices', ownerField: 'staff_id', statusField: 'status', tags: 'client', assignable: false,
+    fields: ['notes', 'due_date'],
+    events: ['paid'],
+    detectEvents: async (before, after, changes) =>
+      after.status === 'paid' && (!before || changes.includes('status')) ? ['paid'] : [],
+  },
+  membership: {
+    table: 'customer_memberships', ownerField: null, statusField: 'status', tags: 'client', assignable: false,
+    fields: ['auto_renew', 'cancel_reason'],
+    events: ['cancelled', 'expiring'],
+    select: `SELECT cm.*, mp.name AS plan_name, mp.price AS plan_price, mp.billing_period
+      FROM customer_memberships cm LEFT JOIN membership_plans mp ON mp.id = cm.plan_id
+      WHERE cm.id = ? AND cm.tenant_id = ?`,
+    detectEvents: async (before, after, changes) =>
+      before && changes.includes('status') && after.status === 'cancelled' ? ['cancelled'] : [],
+  },
+  gift_card: {
+    table: 'gift_cards', ownerField: 'issued_by', statusField: 'status', tags: false, assignable: false,
+    fields: ['notes', 'expires_at'],
+    events: ['low_balance'],
+    detectEvents: async (before, after, changes) =>
+      before && changes.includes('remaining_value') && Number(after.remaining_value) < Number(before.remaining_value)
+        ? ['low_balance'] : [],
+  },
+  package: {
+    table: 'customer_packages', ownerField: null, statusField: 'status', tags: 'client', assignable: false,
+    fields: ['expires_at'],
+    events: ['nearly_used'],
+    select: `SELECT cp.*, p.name AS package_name, p.max_uses,
+      (SELECT COUNT(*) FROM customer_package_usage u WHERE u.customer_package_id = cp.id) AS uses_count
+      FROM customer_packages cp LEFT JOIN packages p ON p.id = cp.package_id
+      WHERE cp.id = ? AND cp.tenant_id = ?`,
+    normalize: (row) => {
+      row.uses_count = Number(row.uses_count) || 0;
+      row.uses_remaining = row.max_uses > 0 ? Math.max(row.max_uses - row.uses_count, 0) : null;
+    },
+    detectEvents: async (before, after, changes) =>
+      before && changes.includes('uses_count') && after.uses_remaining !== null ? ['nearly_used'] : [],
+  },
+};
+
+// Default thresholds for trigger_config
+const TRIGGER_DEFAULTS = {
+  expiring: { days: 7 },
+  days_since_last_visit: { days: 30 },
+  low_balance: { amount: 10 },
+  nearly_used: { remaining: 1 },
+};
+
+// Found by runScheduledWorkflows rather than by a record change
+const SCHEDULED_EVENTS = ['expiring', 'days_since_last_visit'];
+
+// What cancels the steps after a wait: any change to the record, or the client booking again
+const WAIT_CANCEL_ON = ['change', 'booking'];
+const WAIT_UNITS = { minutes: 60000, hours: 3600000, days: 86400000, weeks: 7 * 86400000 };
+
+// Bookkeeping columns that never count as a change
+const IGNORED_CHANGE_FIELDS = ['updated_at', 'created_at'];
+
+let _tablesReady = false;
+
+/**
+ * Ensure workflows, workflow_logs and workflow_pending_steps tables exist
+ */
+export async function ensureWorkflowTables() {
+  if (_tablesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS workflows (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      entity_type VARCHAR(50) NOT NULL,
+      trigger_event VARCHAR(50) NOT NULL,
+      trigger_field VARCHAR(100),
+      trigger_config JSON,
+      conditions JSON,
+      actions JSON NOT NULL,
+      is_active TINYINT(1) DEFAULT 1,
+      execution_count INT DEFAULT 0,
+      last_executed_at TIMESTAMP NULL,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await execute(`
+    CREATE TABLE IF NOT EXISTS workflow_logs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      workflow_id INT NOT NULL,
+      entity_type VARCHAR(50),
+      entity_id INT,
+      trigger_event VARCHAR(50),
+      status ENUM('success', 'failed', 'skipped') DEFAULT 'success',
+      result JSON,
+      error_message TEXT,
+      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Steps waiting behind a `wait`, with a snapshot of the steps still to run
+  await execute(`
+    CREATE TABLE IF NOT EXISTS workflow_pending_steps (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      workflow_id INT NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INT NOT NULL,
+      client_id INT,
+      trigger_event VARCHAR(50),
+      step_index INT NOT NULL,
+      actions JSON NOT NULL,
+      context JSON,
+      run_at DATETIME NOT NULL,
+      cancel_on_change TINYINT(1) DEFAULT 1,
+      cancel_on_booking TINYINT(1) DEFAULT 0,
+      status ENUM('pending', 'running', 'done', 'failed', 'cancelled') DEFAULT 'pending',
+      status_note VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_due (status, run_at),
+      INDEX idx_entity (tenant_id, entity_type, entity_id),
+      INDEX idx_client (tenant_id, client_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const columns = [
+    ['workflows', 'tenant_id', 'INT'],
+    ['workflows', 'trigger_field', 'VARCHAR(100)'],
+    ['workflows', 'execution_count', 'INT DEFAULT 0'],
+    ['workflows', 'last_executed_at', 'TIMESTAMP NULL'],
+    ['workflows', 'trigger_config', 'JSON'],
+    // add_tag keeps tags on the record itself, as contacts already do
+    ['leads', 'tags', 'JSON'],
+    ['accounts', 'tags', 'JSON'],
+    ['deals', 'tags', 'JSON'],
+  ];
+  for (const [table, column, definition] of columns) {
+    try {
+      await execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    } catch (e) {
+      if (e.code !== 'ER_DUP_FIELDNAME') throw e;
+    }
+  }
+  // Older installs created these as ENUMs of the CRM entities and events only
+  await execute('ALTER TABLE workflows MODIFY COLUMN entity_type VARCHAR(50) NOT NULL');
+  await execute('ALTER TABLE workflows MODIFY COLUMN trigger_event VARCHAR(50) NOT NULL');
+  _tablesReady = true;
+}
+
+// ─── Records & changes ──────────────────────────────────────
+
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch { return fallback; }
+};
+
+/**
+ * Load a record the way conditions and actions see it (tags parsed to an array,
+ * derived fields such as a package's uses_remaining filled in)
+ */
+export async function loadWorkflowRecord(tenantId, entityType, entityId) {
+  const entity = WORKFLOW_ENTITIES[entityType];
+  if (!entity) return null;
+  const sql = entity.select || `SELECT * FROM ${entity.table} WHERE id = ? AND tenant_id = ?`;
+  const [row] = await query(sql, [entityId, tenantId]);
+  if (!row) return null;
+  if (entity.tags === true || row.tags !== undefined) row.tags = parseJSON(row.tags, []);
+  if (entity.normalize) entity.normalize(row);
+  return row;
+}
+
+const sameValue = (a, b) => {
+  const norm = (v) => {
+    if (v === null || v === undefined) return '';
+    if (v instanceof Date) return v.toISOString();
+    if (typeof v === 'object') return JSON.stringify(v);
+    return String(v);
+  };
+  return norm(a) === norm(b);
+};
+
+/**
+ * Fields whose value differs between two versions of a record. Only fields
+ * present in both are compared, so a plain row can be checked against a loaded one.
+ */
+export function getChangedFields(before, after) {
+  if (!before || !after) return [];
+  return Object.keys(after).filter(field =>
+    !IGNORED_CHANGE_FIELDS.includes(field) && field in before && !sameValue(before[field], after[field])
+  );
+}
+
+/**
+ * Appointment events: booked (created, or a held online booking paid for),
+ * cancelled / no_show / completed, and first_visit for a client's first
+ * completed appointment (once per visit)
+ */
+async function appointmentEvents(before, after, changes) {
+  const events = [];
+  const statusChanged = before && changes.includes('status');
+  if (!before ? after.status !== 'pending_payment'
+    : statusChanged && before.status === 'pending_payment' && ['scheduled', 'confirmed'].includes(after.status)) {
+    events.push('booked');
+  }
+  if (statusChanged && ['cancelled', 'no_show', 'completed'].includes(after.status)) {
+    events.push(after.status);
+  }
+  if (statusChanged && after.status === 'completed' && after.customer_id) {
+    const [earlier] = await query(
+      `SELECT COUNT(*) AS count FROM appointments
+       WHERE tenant_id = ? AND customer_id = ? AND status = 'completed' AND id <> ?
+         AND (? IS NULL OR visit_id IS NULL OR visit_id <> ?)`,
+      [after.tenant_id, after.customer_id, after.id, after.visit_id || null, after.visit_id || null]
+    );
+    let firstLine = true;
+    if (after.visit_id) {
+      const [visit] = await query(
+        "SELECT MIN(id) AS id FROM appointments WHERE visit_id = ? AND status = 'completed'",
+        [after.visit_id]
+      );
+      firstLine = visit?.id === after.id;
+    }
+    if (Number(earlier.count) === 0 && firstLine) events.push('first_visit');
+  }
+  return events;
+}
+
+/**
+ * Trigger events produced by a create (no `before`) or an update
+ */
+export async function detectTriggerEvents(entityType, before, after, changes = getChangedFields(before, after)) {
+  const entity = WORKFLOW_ENTITIES[entityType];
+  if (before && changes.length === 0) return [];
+  const events = before ? ['updated', 'field_changed'] : ['created'];
+  if (before) {
+    if (entity.statusField && changes.includes(entity.statusField)) events.push('status_changed');
+    if (entity.stageField && changes.includes(entity.stageField)) events.push('stage_changed');
+    if (entity.ownerField && changes.includes(entity.ownerField) && after[entity.ownerField]) events.push('assigned');
+  }
+  if (entity.detectEvents) events.push(...await entity.detectEvents(before, after, changes));
+  return events;
+}
+
+/**
+ * Whether a workflow listens to one of the events. `trigger_field` narrows
+ * field_changed down to one column.
+ */
+function matchesTrigger(workflow, events, ctx) {
+  if (!events.includes(workflow.trigger_event)) return false;
+  const config = getTriggerConfig(workflow);
+  switch (workflow.trigger_event) {
+    case 'field_changed':
+      return !workflow.trigger_field || ctx.changes.includes(workflow.trigger_field);
+    case 'low_balance':
+      return crossedBelow(ctx.previous?.remaining_value, ctx.record.remaining_value, config.amount);
+    case 'nearly_used':
+      return crossedBelow(ctx.previous?.uses_remaining, ctx.record.uses_remaining, config.remaining);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Threshold settings of a workflow's trigger (days, amount, remaining), with defaults
+ */
+export function getTriggerConfig(workflow) {
+  const config = { ...(TRIGGER_DEFAULTS[workflow.trigger_event] || {}), ...parseJSON(workflow.trigger_config, {}) };
+  for (const key of Object.keys(config)) config[key] = Number(config[key]) || 0;
+  return config;
+}
+
+// True when a value drops to the limit or below, so a threshold fires once
+const crossedBelow = (before, after, limit) => {
+  if (after === null || after === undefined) return false;
+  if (Number(after) > Number(limit)) return false;
+  return before === null || before === undefined || Number(before) > Number(limit);
+};
+
+/**
+ * Trigger events a workflow on this entity can use
+ */
+export function getEntityEvents(entityType) {
+  const entity = WORKFLOW_ENTITIES[entityType];
+  return entity ? [...TRIGGER_EVENTS, ...(entity.events || [])] : [];
+}
+
+// ─── Conditions ─────────────────────────────────────────────
+
+const isEmpty = (v) => v === null || v === undefined || v === '' || (Array.isArray(v) && v.length === 0);
+const asList = (v) => Array.isArray(v) ? v : String(v ?? '').split(',').map(s => s.trim()).filter(Boolean);
+const lower = (v) => String(v ?? '').toLowerCase();
+
+function compare(operator, actual, expected, ctx, field) {
+  switch (operator) {
+    case 'equals': return sameValue(actual, expected) || (Array.isArray(actual) && actual.some(v => sameValue(v, expected)));
+    case 'not_equals': return !compare('equals', actual, expected);
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.some(v => lower(v) === lower(expected))
+        : lower(actual).includes(lower(expected));
+    case 'not_contains': return !compare('contains', actual, expected);
+    case 'starts_with': return lower(actual).startsWith(lower(expected));
+    case 'greater_than': return !isEmpty(actual) && Number(actual) > Number(expected);
+    case 'less_than': return !isEmpty(actual) && Number(actual) < Number(expected);
+    case 'greater_or_equal': return !isEmpty(actual) && Number(actual) >= Number(expected);
+    case 'less_or_equal': return !isEmpty(actual) && Number(actual) <= Number(expected);
+    case 'in': return asList(expected).some(v => sameValue(v, actual));
+    case 'not_in': return !asList(expected).some(v => sameValue(v, actual));
+    case 'is_empty': return isEmpty(actual);
+    case 'is_not_empty': return !isEmpty(actual);
+    case 'changed': return ctx.changes.includes(field);
+    case 'changed_to': return ctx.changes.includes(field) && sameValue(actual, expected);
+    case 'changed_from': return ctx.changes.includes(field) && sameValue(ctx.previous?.[field], expected);
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate workflow conditions against a record.
+ * `conditions` is a list of `{ field, operator, value }` rules that must all match,
+ * or a group `{ all: [...] }` / `{ any: [...] }`; groups can be nested.
+ * @param {Object} ctx – { record, previous, changes }
+ * @returns {{ matched: boolean, results: Array }}
+ */
+export function evaluateConditions(conditions, ctx) {
+  const results = [];
+  const context = { record: ctx.record || {}, previous: ctx.previous || null, changes: ctx.changes || [] };
+
+  const evaluate = (node) => {
+    if (!node) return true;
+    if (Array.isArray(node)) return node.every(evaluate);
+    if (Array.isArray(node.all)) return node.all.every(evaluate);
+    if (Array.isArray(node.any)) return node.any.length === 0 || node.any.some(evaluate);
+    const { field, operator = 'equals', value } = node;
+    const actual = context.record[field];
+    const matched = CONDITION_OPERATORS.includes(operator) && compare(operator, actual, value, context, field);
+    results.push({ field, operator, value, actual: actual ?? null, matched });
+    return matched;
+  };
+
+  const matched = evaluate(parseJSON(conditions, []));
+  return { matched, results };
+}
+
+/**
+ * Validate a workflow definition before it is saved. Returns an error message or null.
+ */
+export function validateWorkflow({ entity_type, trigger_event, trigger_config, conditions, actions }) {
+  if (entity_type !== undefined && !WORKFLOW_ENTITIES[entity_type]) {
+    return `entity_type must be one of: ${Object.keys(WORKFLOW_ENTITIES).join(', ')}`;
+  }
+  if (trigger_event !== undefined) {
+    const allowed = entity_type !== undefined
+      ? getEntityEvents(entity_type)
+      : [...new Set(Object.keys(WORKFLOW_ENTITIES).flatMap(getEntityEvents))];
+    if (!allowed.includes(trigger_event)) return `trigger_event must be one of: ${allowed.join(', ')}`;
+  }
+  if (trigger_config !== undefined && trigger_config !== null) {
+    const invalid = typeof trigger_config !== 'object' || Array.isArray(trigger_config) ||
+      Object.values(trigger_config).some(v => !Number.isFinite(Number(v)) || Number(v) < 0);
+    if (invalid) return 'trigger_config must be an object of non-negative numbers (days, amount, remaining)';
+  }
+  if (conditions !== undefined && conditions !== null) {
+    const rules = [];
+    const collect = (node) => {
+      if (Array.isArray(node)) return node.forEach(collect);
+      if (node && Array.isArray(node.all)) return node.all.forEach(collect);
+      if (node && Array.isArray(node.any)) return node.any.forEach(collect);
+      rules.push(node);
+    };
+    collect(conditions);
+    const bad = rules.find(r => !r || !r.field || (r.operator && !CONDITION_OPERATORS.includes(r.operator)));
+    if (bad) return `Each condition needs a field and one of the operators: ${CONDITION_OPERATORS.join(', ')}`;
+  }
+  if (actions !== undefined) {
+    if (!Array.isArray(actions) || actions.length === 0) return 'At least one action is required';
+    const bad = actions.find(a => !a || !ACTION_TYPES.includes(a.type));
+    if (bad) return `Action type must be one of: ${ACTION_TYPES.join(', ')}`;
+    for (const wait of actions.filter(a => a.type === 'wait')) {
+      const invalid = validateWait(wait);
+      if (invalid) return invalid;
+    }
+    if (actions[actions.length - 1].type === 'wait') return 'A wait step must be followed by another action';
+  }
+  return null;
+}
+
+function validateWait(step) {
+  const amounts = Object.keys(WAIT_UNITS).filter(unit => step[unit] !== undefined && step[unit] !== null);
+  if (amounts.some(unit => !Number.isFinite(Number(step[unit])) || Number(step[unit]) < 0)) {
+    return `Wait ${Object.keys(WAIT_UNITS).join(', ')} must be non-negative numbers`;
+  }
+  if (step.at !== undefined && step.at !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(step.at))) {
+    return 'Wait "at" must be a time of day as HH:MM';
+  }
+  if (amounts.length === 0 && !step.at) return 'A wait step needs a delay (minutes, hours, days, weeks) or a time of day (at)';
+  if (step.cancel_on !== undefined && (!Array.isArray(step.cancel_on) || step.cancel_on.some(c => !WAIT_CANCEL_ON.includes(c)))) {
+    return `Wait cancel_on must be a list of: ${WAIT_CANCEL_ON.join(', ')}`;
+  }
+  return null;
+}
+
+// ─── Actions ────────────────────────────────────────────────
+
+/**
+ * Replace {{field}} placeholders with record values. The single-brace
+ * placeholders of reminder templates ({client_name}) work too.
+ */
+export function renderPlaceholders(text, values) {
+  if (typeof text !== 'string') return text;
+  const format = (value) => {
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  };
+  return text
+    .replace(/{{\s*([\w.]+)\s*}}/g, (_, key) => format(values[key]))
+    .replace(/{(\w+)}/g, (match, key) => (key in values ? format(values[key]) : match));
+}
+
+// The client a record belongs to: the contact itself, or its customer_id
+const getClientId = (ctx) => (ctx.entityType === 'contact' ? ctx.record.id : ctx.record.customer_id || null);
+
+/**
+ * Values for placeholders: the record's own fields, the client, the owner and
+ * business, and for appointment records (or records tied to one) the same
+ * placeholders reminder templates use
+ */
+async function placeholderValues(ctx) {
+  const { record, tenantId } = ctx;
+  if (!ctx._placeholders) {
+    const entity = WORKFLOW_ENTITIES[ctx.entityType];
+    const ownerId = entity.ownerField ? record[entity.ownerField] : null;
+    const [owner] = ownerId ? await query('SELECT full_name, email FROM staff WHERE id = ?', [ownerId]) : [];
+    const clientId = getClientId(ctx);
+    const [client] = clientId && ctx.entityType !== 'contact'
+      ? await query('SELECT first_name, last_name, email, phone FROM contacts WHERE id = ? AND tenant_id = ?', [clientId, tenantId])
+      : [ctx.entityType === 'contact' ? record : null];
+    const branding = await getTenantBranding(tenantId);
+    const person = client || record;
+    const fullName = [person.first_name, person.last_name].filter(Boolean).join(' ')
+      || record.name || record.issued_to_name || '';
+    ctx._placeholders = {
+      full_name: fullName,
+      client_name: fullName,
+      customer_name: fullName,
+      first_name: person.first_name || fullName.split(' ')[0] || '',
+      client_email: client?.email || record.email || record.issued_to_email || '',
+      client_phone: client?.phone || record.phone || record.issued_to_phone || '',
+      owner_name: owner?.full_name || '',
+      owner_email: owner?.email || '',
+      business_name: branding.name,
+      company_name: branding.name,
+    };
+    const appointmentId = ctx.entityType === 'appointment' ? record.id : record.appointment_id;
+    const appointmentData = appointmentId ? await getAppointmentTemplateData(appointmentId) : null;
+    if (appointmentData) Object.assign(ctx._placeholders, getPlaceholderValues(appointmentData));
+  }
+  return { ...record, ...ctx._placeholders };
+}
+
+async function findStaffMember(tenantId, staffId) {
+  const [member] = await query(
+    'SELECT id, full_name, email FROM staff WHERE id = ? AND tenant_id = ? AND is_active = 1',
+    [staffId, tenantId]
+  );
+  return member || null;
+}
+
+async function updateRecord(ctx, field, value) {
+  const entity = WORKFLOW_ENTITIES[ctx.entityType];
+  await execute(
+    `UPDATE ${entity.table} SET ${field} = ? WHERE id = ? AND tenant_id = ?`,
+    [value, ctx.record.id, ctx.tenantId]
+  );
+  ctx.record[field] = value;
+}
+
+const ACTIONS = {
+  /** Assign the record — a fixed `user_id`, or round robin over `user_ids` */
+  async assign(action, ctx, dryRun) {
+    const entity = WORKFLOW_ENTITIES[ctx.entityType];
+    if (!entity.ownerField || entity.assignable === false) {
+      throw new Error(`${ctx.entityType} records cannot be reassigned by a workflow`);
+    }
+    const pool = Array.isArray(action.user_ids) && action.user_ids.length ? action.user_ids : [action.user_id];
+    const userId = pool[(ctx.workflow.execution_count || 0) % pool.length];
+    if (!userId) throw new Error('assign needs user_id or user_ids');
+    const member = await findStaffMember(ctx.tenantId, userId);
+    if (!member) throw new Error(`Staff member ${userId} not found`);
+    if (!dryRun) await updateRecord(ctx, entity.ownerField, member.id);
+    return { field: entity.ownerField, user_id: member.id, user_name: member.full_name };
+  },
+
+  /** Create a follow-up activity linked to the record */
+  async create_activity(action, ctx, dryRun) {
+    const values = await placeholderValues(ctx);
+    const entity = WORKFLOW_ENTITIES[ctx.entityType];
+    const subject = renderPlaceholders(action.subject, values);
+    if (!subject) throw new Error('create_activity needs a subject');
+    // Salon records file the activity under their client
+    const related = ctx.entityType === 'activity'
+      ? { type: ctx.record.related_type || null, id: ctx.record.related_id || null }
+      : ['lead', 'contact', 'account', 'deal'].includes(ctx.entityType)
+        ? { type: ctx.entityType, id: ctx.record.id }
+        : { type: getClientId(ctx) ? 'contact' : null, id: getClientId(ctx) };
+    const assignedTo = action.assigned_to && action.assigned_to !== 'owner'
+      ? action.assigned_to
+      : ((entity.ownerField && ctx.record[entity.ownerField]) || ctx.userId || null);
+    const due = new Date(Date.now() + (parseInt(action.due_in_days) || 0) * 86400000);
+    const activity = {
+      type: action.activity_type || 'task',
+      subject,
+      description: renderPlaceholders(action.description, values) || null,
+      due_date: toMySQLDateTime(due).slice(0, 10),
+      priority: action.priority || 'medium',
+      related_type: related.type,
+      related_id: related.id,
+      assigned_to: assignedTo,
+    };
+    if (dryRun) return activity;
+    const result = await execute(
+      `INSERT INTO activities (tenant_id, type, subject, description, due_date, priority, status, related_type, related_id, owner_id, assigned_to, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)`,
+      [ctx.tenantId, activity.type, activity.subject, activity.description, activity.due_date, activity.priority,
+       activity.related_type, activity.related_id, assignedTo, assignedTo, ctx.userId || null]
+    );
+    return { ...activity, activity_id: result.insertId };
+  },
+
+  /**
+   * Send an email template to the record (`to: 'record'`, the client for salon
+   * records), its owner (`'owner'`) or a fixed address. A `marketing: true`
+   * email is skipped without consent and carries an unsubscribe link.
+   */
+  async send_email(action, ctx, dryRun) {
+    const templateId = action.template_id;
+    if (!templateId) throw new Error('send_email needs a template_id');
+    const [template] = await query(
+      'SELECT id, name, subject, body FROM email_templates WHERE id = ? AND (tenant_id = ? OR tenant_id IS NULL)',
+      [templateId, ctx.tenantId]
+    );
+    if (!template) throw new Error(`Email template ${templateId} not found`);
+    const values = await placeholderValues(ctx);
+    const target = action.to || 'record';
+    const to = target === 'record' ? values.client_email : target === 'owner' ? values.owner_email : target;
+    if (!to) throw new Error(`No email address for recipient "${target}"`);
+    const email = { to, template_id: template.id, subject: renderPlaceholders(template.subject, values) };
+    let headers;
+    if (action.marketing) {
+      const contactId = target === 'record' ? getClientId(ctx) : null;
+      if (!(await canSendMarketing(ctx.tenantId, 'email', { contactId, address: to }))) {
+        return { ...email, skipped: 'No marketing consent' };
+      }
+      values.unsubscribe_url = unsubscribeUrl({ t: ctx.tenantId, ch: 'email', c: contactId || undefined, a: to });
+      headers = listUnsubscribeHeaders(values.unsubscribe_url);
+    }
+    if (dryRun) return email;
+    let html = renderPlaceholders(template.body, values);
+    if (action.marketing) html = appendUnsubscribeFooter(html, values.unsubscribe_url, values.business_name);
+    const sent = await sendEmail({
+      to,
+      subject: email.subject,
+      html,
+      tenantId: ctx.tenantId,
+      headers,
+    });
+    if (!sent.success) throw new Error(sent.error || 'Email could not be sent');
+    return { ...email, message_id: sent.messageId };
+  },
+
+  /**
+   * Add a tag to the record's tags list (salon records tag their client),
+   * and to the tenant's tag list
+   */
+  async add_tag(action, ctx, dryRun) {
+    const entity = WORKFLOW_ENTITIES[ctx.entityType];
+    const tag = String(action.tag || '').trim();
+    if (!tag) throw new Error('add_tag needs a tag');
+    if (!entity.tags) throw new Error(`${ctx.entityType} records have no tags`);
+
+    const onClient = entity.tags === 'client';
+    const targetType = onClient ? 'contact' : ctx.entityType;
+    const targetId = onClient ? ctx.record.customer_id : ctx.record.id;
+    if (!targetId) throw new Error(`This ${ctx.entityType} has no client to tag`);
+    let tags = ctx.record.tags;
+    if (onClient) {
+      const [client] = await query('SELECT tags FROM contacts WHERE id = ? AND tenant_id = ?', [targetId, ctx.tenantId]);
+      if (!client) throw new Error(`Client ${targetId} not found`);
+      tags = parseJSON(client.tags, []);
+    }
+    tags = Array.isArray(tags) ? tags : [];
+    if (tags.includes(tag)) return { tag, [`${targetType}_id`]: targetId, added: false };
+    if (dryRun) return { tag, [`${targetType}_id`]: targetId, added: true };
+
+    await execute(
+      `UPDATE ${WORKFLOW_ENTITIES[targetType].table} SET tags = ? WHERE id = ? AND tenant_id = ?`,
+      [JSON.stringify([...tags, tag]), targetId, ctx.tenantId]
+    );
+    if (!onClient) ctx.record.tags = [...tags, tag];
+    const [known] = await query(
+      'SELECT id FROM tags WHERE tenant_id = ? AND name = ? AND (entity_type = ? OR entity_type IS NULL)',
+      [ctx.tenantId, tag, targetType]
+    );
+    if (!known) {
+      await execute('INSERT INTO tags (tenant_id, name, entity_type) VALUES (?, ?, ?)', [ctx.tenantId, tag, targetType]);
+    }
+    return { tag, [`${targetType}_id`]: targetId, added: true };
+  },
+
+  /** Set a field to a value; string values may use placeholders */
+  async update_field(action, ctx, dryRun) {
+    const entity = WORKFLOW_ENTITIES[ctx.entityType];
+    if (!entity.fields.includes(action.field)) {
+      throw new Error(`Field "${action.field}" cannot be updated by a workflow`);
+    }
+    const value = typeof action.value === 'string'
+      ? renderPlaceholders(action.value, await placeholderValues(ctx))
+      : (action.value ?? null);
+    const previous = ctx.record[action.field] ?? null;
+    if (!dryRun) await updateRecord(ctx, action.field, value === '' ? null : value);
+    return { field: action.field, from: previous, to: value };
+  },
+};
+
+// ─── Running workflows ──────────────────────────────────────
+
+/**
+ * Check conditions and run (or, on a dry run, plan) a workflow's actions.
+ * Later actions still run when one fails; the run then counts as failed.
+ */
+async function runWorkflow(workflow, ctx, dryRun) {
+  const conditions = evaluateConditions(workflow.conditions, ctx);
+  const outcome = { conditions, actions: [] };
+  if (!conditions.matched) return { status: 'skipped', outcome, error: null };
+  return runSteps(workflow, ctx, parseJSON(workflow.actions, []), 0, dryRun, outcome);
+}
+
+/**
+ * Run steps in order until a wait, which saves the rest as pending steps.
+ * A dry run plans every step, waits included, from now.
+ * `offset` is the index of the first step in the workflow's full action list.
+ */
+async function runSteps(workflow, ctx, steps, offset, dryRun, outcome) {
+  const errors = [];
+  const runCtx = { ...ctx, workflow };
+  let plannedAt = new Date();
+  for (let i = 0; i < steps.length; i++) {
+    const action = steps[i];
+    try {
+      if (action?.type === 'wait') {
+        const runAt = await resolveWait(action, ctx.tenantId, dryRun ? plannedAt : new Date());
+        if (dryRun) {
+          plannedAt = runAt;
+          outcome.actions.push({ type: 'wait', status: 'planned', detail: { run_at: runAt } });
+          continue;
+        }
+        const pendingId = await schedulePendingSteps(workflow, ctx, action, steps.slice(i + 1), offset + i + 1, runAt);
+        outcome.actions.push({ type: 'wait', status: 'scheduled', detail: { run_at: runAt, pending_step_id: pendingId } });
+        break;
+      }
+      const handler = ACTIONS[action?.type];
+      if (!handler) throw new Error(`Unknown action type "${action?.type}"`);
+      const detail = await handler(action, runCtx, dryRun);
+      outcome.actions.push({ type: action.type, status: dryRun ? 'planned' : 'done', detail });
+    } catch (error) {
+      errors.push(`${action?.type}: ${error.message}`);
+      outcome.actions.push({ type: action?.type, status: 'failed', error: error.message });
+    }
+  }
+  return { status: errors.length ? 'failed' : 'success', outcome, error: errors.join('; ') || null };
+}
+
+/**
+ * Log a run. Steps resumed after a wait belong to a run already counted,
+ * so pass `counted: true` to leave execution_count alone.
+ */
+async function logRun(workflow, ctx, event, run, { counted = false } = {}) {
+  await execute(
+    `INSERT INTO workflow_logs (workflow_id, entity_type, entity_id, trigger_event, status, result, error_message)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [workflow.id, ctx.entityType, ctx.record.id, event, run.status, JSON.stringify(run.outcome), run.error]
+  );
+  if (run.status !== 'skipped' && !counted) {
+    await execute(
+      'UPDATE workflows SET execution_count = COALESCE(execution_count, 0) + 1, last_executed_at = ? WHERE id = ?',
+      [toMySQLDateTime(new Date()), workflow.id]
+    );
+    workflow.execution_count = (workflow.execution_count || 0) + 1;
+  }
+}
+
+async function fireWorkflow(workflow, ctx) {
+  try {
+    const run = await runWorkflow(workflow, ctx, false);
+    await logRun(workflow, ctx, workflow.trigger_event, run);
+    return run.status;
+  } catch (error) {
+    console.error(`[Workflows] Workflow ${workflow.id} failed on ${ctx.entityType} ${ctx.record.id}:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Fire the workflows for a created or updated record (fire and forget from routes).
+ * Pass the row as it was before the update in `before` (for derived fields, as
+ * loaded by loadWorkflowRecord); leave it out for a create.
+ */
+export async function runWorkflows(tenantId, entityType, entityId, { before = null, userId = null } = {}) {
+  try {
+    if (!tenantId || !entityId || !WORKFLOW_ENTITIES[entityType]) return;
+    await ensureWorkflowTables();
+    const record = await loadWorkflowRecord(tenantId, entityType, entityId);
+    if (!record) return;
+    const previous = before ? { ...before, tags: parseJSON(before.tags, []) } : null;
+    const changes = getChangedFields(previous, record);
+    const events = await detectTriggerEvents(entityType, previous, record, changes);
+
+    // Waiting steps give way before the new events fire
+    if (previous && changes.length > 0) {
+      await cancelPendingSteps(tenantId, { entityType, entityId: record.id }, 'Record changed');
+    }
+    if (entityType === 'appointment' && events.includes('booked') && record.customer_id) {
+      await cancelPendingSteps(tenantId, { clientId: record.customer_id, exceptEntityId: record.id }, 'Client booked again');
+    }
+    if (events.length === 0) return;
+
+    const workflows = await query(
+      `SELECT * FROM workflows
+       WHERE tenant_id = ? AND entity_type = ? AND is_active = 1 AND trigger_event IN (${events.map(() => '?').join(',')})
+       ORDER BY id`,
+      [tenantId, entityType, ...events]
+    );
+    const ctx = { tenantId, entityType, record, previous, changes, userId };
+    for (const workflow of workflows) {
+      if (matchesTrigger(workflow, events, ctx)) await fireWorkflow(workflow, ctx);
+    }
+  } catch (error) {
+    console.error(`[Workflows] Could not run workflows for ${entityType} ${entityId}:`, error.message);
+  }
+}
+
+// ─── Wait steps ─────────────────────────────────────────────
+
+/**
+ * When the steps after a wait are due: `from` plus the delay, then moved on
+ * to the next `at` time of day (HH:MM) in the tenant's timezone if one is set
+ */
+async function resolveWait(step, tenantId, from) {
+  const delay = Object.entries(WAIT_UNITS).reduce((ms, [unit, size]) => ms + (Number(step[unit]) || 0) * size, 0);
+  const due = new Date(from.getTime() + delay);
+  if (!step.at) return due;
+
+  const timeZone = await getTenantTimezone(tenantId);
+  const [hours, minutes] = String(step.at).split(':').map(Number);
+  const { date } = utcToZoned(due, timeZone);
+  let runAt = zonedTimeToUtc(date, hours * 60 + minutes, timeZone);
+  if (runAt < due) {
+    const [y, m, d] = date.split('-').map(Number);
+    runAt = zonedTimeToUtc(new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10), hours * 60 + minutes, timeZone);
+  }
+  return runAt;
+}
+
+async function schedulePendingSteps(workflow, ctx, wait, steps, stepIndex, runAt) {
+  const cancelOn = Array.isArray(wait.cancel_on) ? wait.cancel_on : ['change'];
+  const result = await execute(
+    `INSERT INTO workflow_pending_steps (tenant_id, workflow_id, entity_type, entity_id, client_id, trigger_event,
+       step_index, actions, context, run_at, cancel_on_change, cancel_on_booking)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ctx.tenantId, workflow.id, ctx.entityType, ctx.record.id, getClientId(ctx), workflow.trigger_event,
+     stepIndex, JSON.stringify(steps),
+     JSON.stringify({ previous: ctx.previous, changes: ctx.changes, user_id: ctx.userId }),
+     toMySQLDateTime(runAt), cancelOn.includes('change') ? 1 : 0, cancelOn.includes('booking') ? 1 : 0]
+  );
+  return result.insertId;
+}
+
+/**
+ * Cancel pending steps of one record (when it changes) or of one client
+ * (when they book again), as each wait step's cancel_on allows
+ */
+async function cancelPendingSteps(tenantId, { entityType = null, entityId = null, clientId = null, exceptEntityId = null }, note) {
+  if (entityType) {
+    await execute(
+      `UPDATE workflow_pending_steps SET status = 'cancelled', status_note = ?
+       WHERE tenant_id = ? AND entity_type = ? AND entity_id = ? AND status = 'pending' AND cancel_on_change = 1`,
+      [note, tenantId, entityType, entityId]
+    );
+  } else if (clientId) {
+    await execute(
+      `UPDATE workflow_pending_steps SET status = 'cancelled', status_note = ?
+       WHERE tenant_id = ? AND client_id = ? AND status = 'pending' AND cancel_on_booking = 1
+         AND NOT (entity_type = 'appointment' AND entity_id = ?)`,
+      [note, tenantId, clientId, exceptEntityId || 0]
+    );
+  }
+}
+
+const closePendingStep = (id, status, note = null) =>
+  execute('UPDATE workflow_pending_steps SET status = ?, status_note = ? WHERE id = ?', [status, note ? String(note).slice(0, 255) : null, id]);
+
+/**
+ * Run pending steps that are due. Called by a cron job every minute.
+ * A step is claimed before it runs, so a slow batch is never picked up twice.
+ * @returns {Promise<{processed: number, cancelled: number}>}
+ */
+export async function processPendingWorkflowSteps() {
+  await ensureWorkflowTables();
+  const due = await query(
+    `SELECT * FROM workflow_pending_steps WHERE status = 'pending' AND run_at <= ? ORDER BY run_at LIMIT 100`,
+    [toMySQLDateTime(new Date())]
+  );
+
+  let processed = 0;
+  let cancelled = 0;
+  for (const pending of due) {
+    const claimed = await execute("UPDATE workflow_pending_steps SET status = 'running' WHERE id = ? AND status = 'pending'", [pending.id]);
+    if (!claimed.affectedRows) continue;
+    try {
+      const [workflow] = await query('SELECT * FROM workflows WHERE id = ? AND tenant_id = ?', [pending.workflow_id, pending.tenant_id]);
+      const record = workflow?.is_active
+        ? await loadWorkflowRecord(pending.tenant_id, pending.entity_type, pending.entity_id)
+        : null;
+      if (!record) {
+        await closePendingStep(pending.id, 'cancelled', workflow?.is_active ? 'Record no longer exists' : 'Workflow inactive or deleted');
+        cancelled++;
+        continue;
+      }
+
+      const context = parseJSON(pending.context, {});
+      const ctx = {
+        tenantId: pending.tenant_id, entityType: pending.entity_type, record,
+        previous: context.previous || null, changes: context.changes || [], userId: context.user_id || null,
+      };
+      const outcome = { resumed_at_step: pending.step_index, actions: [] };
+      const run = await runSteps(workflow, ctx, parseJSON(pending.actions, []), pending.step_index, false, outcome);
+      await logRun(workflow, ctx, pending.trigger_event, run, { counted: true });
+      await closePendingStep(pending.id, run.status === 'failed' ? 'failed' : 'done', run.error);
+      processed++;
+    } catch (error) {
+      console.error(`[Workflows] Pending step ${pending.id} failed:`, error.message);
+      await closePendingStep(pending.id, 'failed', error.message).catch(() => {});
+    }
+  }
+  return { processed, cancelled };
+}
+
+// ─── Scheduled triggers ─────────────────────────────────────
+
+const dateOnly = (date) => toMySQLDateTime(date).slice(0, 10);
+
+/**
+ * Records due for a time-based workflow. Each record fires once per
+ * occurrence: the log of an earlier run for the same end date or last visit
+ * keeps it from firing again.
+ */
+const SCHEDULED_QUERIES = {
+  // Active memberships ending within `days`
+  async expiring(workflow, { days }) {
+    const today = new Date();
+    return query(
+      `SELECT cm.id FROM customer_memberships cm
+       WHERE cm.tenant_id = ? AND cm.status = 'active' AND cm.end_date IS NOT NULL
+         AND cm.end_date BETWEEN ? AND ?
+         AND NOT EXISTS (
+           SELECT 1 FROM workflow_logs wl
+           WHERE wl.workflow_id = ? AND wl.entity_id = cm.id
+             AND wl.executed_at >= DATE_SUB(cm.end_date, INTERVAL ? DAY)
+         )
+       LIMIT 500`,
+      [workflow.tenant_id, dateOnly(today), dateOnly(new Date(today.getTime() + days * 86400000)),
+       workflow.id, Math.ceil(days) + 1]
+    );
+  },
+
+  // Clients whose last completed visit was `days` ago (within the week after)
+  // and who have nothing booked
+  async days_since_last_visit(workflow, { days }) {
+    const now = Date.now();
+    return query(
+      `SELECT v.id FROM (
+         SELECT a.customer_id AS id, MAX(a.start_time) AS last_visit_at
+         FROM appointments a
+         WHERE a.tenant_id = ? AND a.status = 'completed' AND a.customer_id IS NOT NULL
+         GROUP BY a.customer_id
+       ) v
+       WHERE v.last_visit_at <= ? AND v.last_visit_at > ?
+         AND NOT EXISTS (
+           SELECT 1 FROM appointments u
+           WHERE u.tenant_id = ? AND u.customer_id = v.id AND u.start_time > ?
+             AND u.status IN ('scheduled', 'confirmed', 'pending_payment')
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM workflow_logs wl
+           WHERE wl.workflow_id = ? AND wl.entity_id = v.id AND wl.executed_at > v.last_visit_at
+         )
+       LIMIT 500`,
+      [workflow.tenant_id,
+       toMySQLDateTime(new Date(now - days * 86400000)), toMySQLDateTime(new Date(now - (days + 7) * 86400000)),
+       workflow.tenant_id, toMySQLDateTime(new Date(now)), workflow.id]
+    );
+  },
+};
+
+/**
+ * Run time-based workflows (membership expiring, days since last visit).
+ * Called by a cron job.
+ * @returns {Promise<{checked: number, fired: number}>}
+ */
+export async function runScheduledWorkflows() {
+  await ensureWorkflowTables();
+  const workflows = await query(
+    `SELECT * FROM workflows
+     WHERE is_active = 1 AND tenant_id IS NOT NULL AND trigger_event IN (${SCHEDULED_EVENTS.map(() => '?').join(',')})
+     ORDER BY id`,
+    SCHEDULED_EVENTS
+  );
+
+  let fired = 0;
+  for (const workflow of workflows) {
+    try {
+      const finder = SCHEDULED_QUERIES[workflow.trigger_event];
+      if (!finder || !getEntityEvents(workflow.entity_type).includes(workflow.trigger_event)) continue;
+      const due = await finder(workflow, getTriggerConfig(workflow));
+      for (const { id } of due) {
+        const record = await loadWorkflowRecord(workflow.tenant_id, workflow.entity_type, id);
+        if (!record) continue;
+        const ctx = { tenantId: workflow.tenant_id, entityType: workflow.entity_type, record, previous: null, changes: [], userId: null };
+        if (await fireWorkflow(workflow, ctx) !== 'skipped') fired++;
+      }
+    } catch (error) {
+      console.error(`[Workflows] Scheduled workflow ${workflow.id} failed:`, error.message);
+    }
+  }
+  return { checked: workflows.length, fired };
+}
+
+/**
+ * Try a workflow on one record. A dry run reports whether the trigger and
+ * conditions match and what each action would do, without changing anything
+ * or writing a log. With `dryRun: false` the actions really run and are logged.
+ * `previous` holds field values to treat as the record's state before a change.
+ */
+export async function testWorkflow(workflow, entityId, { previous = null, dryRun = true, userId = null } = {}) {
+  const tenantId = workflow.tenant_id;
+  const entityType = workflow.entity_type;
+  const record = await loadWorkflowRecord(tenantId, entityType, entityId);
+  if (!record) return null;
+
+  const before = previous ? { ...record, ...previous } : null;
+  const changes = getChangedFields(before, record);
+  const events = before ? await detectTriggerEvents(entityType, before, record, changes) : [];
+  const ctx = { tenantId, entityType, record, previous: before, changes, userId };
+  const run = await runWorkflow({ ...workflow }, ctx, dryRun);
+  if (!dryRun) await logRun(workflow, ctx, 'test', run);
+
+  return {
+    dry_run: dryRun,
+    entity_type: entityType,
+    entity_id: record.id,
+    // Without `previous` there is no change to compare, so the trigger is not checked
+    trigger_matched: before ? matchesTrigger(workflow, events, ctx) : null,
+    changes,
+    conditions_matched: run.outcome.conditions.matched,
+    conditions: run.outcome.conditions.results,
+    actions: run.outcome.actions,
+    status: run.status,
+  };
+}
+
+export default {
+  TRIGGER_EVENTS,
+  ACTION_TYPES,
+  CONDITION_OPERATORS,
+  WORKFLOW_ENTITIES,
+  ensureWorkflowTables,
+  loadWorkflowRecord,
+  getChangedFields,
+  detectTriggerEvents,
+  getEntityEvents,
+  getTriggerConfig,
+  evaluateConditions,
+  validateWorkflow,
+  renderPlaceholders,
+  runWorkflows,
+  runScheduledWorkflows,
+  processPendingWorkflowSteps,
+  testWorkflow,
+};
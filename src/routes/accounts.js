@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { runWorkflows } from '../lib/workflows.js';
 
 const router = express.Router();
 
@@ -67,6 +68,8 @@ router.post('/', authMiddleware, async (req, res) => {
        city || null, country || null, status || 'active', owner_id || req.user.id, req.user.id]
     );
     
+    runWorkflows(tenantId, 'account', result.insertId, { userId: req.user.id });
+    
     res.json({ success: true, message: 'Account created', data: { id: result.insertId } });
   } catch (error) {
     console.error('Create account error:', error);
@@ -94,9 +97,16 @@ router.patch('/:id', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: 'No updates provided' });
     }
     
+    const [existing] = await query('SELECT * FROM accounts WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    
     params.push(id, tenantId);
     await execute(`UPDATE accounts SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
     
+    runWorkflows(tenantId, 'account', id, { before: existing, userId: req.user.id });
+    
     res.json({ success: true, message: 'Account updated' });
   } catch (error) {
     console.error('Update account error:', error);
@@ -1,6 +1,8 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantToday } from '../lib/timezone.js';
+import { runWorkflows } from '../lib/workflows.js';
 
 const router = express.Router();
 
@@ -9,6 +11,7 @@ router.get('/', authMiddleware, async (req, res) => {
     const { page = 1, limit = 50, type, status, due_date, assigned_to, overdue } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const tenantId = req.tenantId;
+    const today = await tenantToday(tenantId);
     
     let sql = `
       SELECT a.*, 
@@ -32,7 +35,8 @@ router.get('/', authMiddleware, async (req, res) => {
     if (due_date) { sql += ' AND a.due_date = ?'; params.push(due_date); }
     if (assigned_to) { sql += ' AND a.assigned_to = ?'; params.push(assigned_to); }
     if (overdue === 'true') {
-      sql += " AND a.due_date < CURDATE() AND a.status NOT IN ('completed', 'cancelled')";
+      sql += " AND a.due_date < ? AND a.status NOT IN ('completed', 'cancelled')";
+      params.push(today);
     }
     
     sql += ` ORDER BY a.due_date ASC, a.priority DESC LIMIT ${parseInt(limit)} OFFSET ${offset}`;
@@ -40,8 +44,8 @@ router.get('/', authMiddleware, async (req, res) => {
     const activities = await query(sql, params);
     
     // Get stats (tenant-filtered)
-    const [overdueCount] = await query("SELECT COUNT(*) as count FROM activities WHERE tenant_id = ? AND due_date < CURDATE() AND status NOT IN ('completed', 'cancelled')", [tenantId]);
-    const [todayCount] = await query("SELECT COUNT(*) as count FROM activities WHERE tenant_id = ? AND DATE(due_date) = CURDATE()", [tenantId]);
+    const [overdueCount] = await query("SELECT COUNT(*) as count FROM activities WHERE tenant_id = ? AND due_date < ? AND status NOT IN ('completed', 'cancelled')", [tenantId, today]);
+    const [todayCount] = await query("SELECT COUNT(*) as count FROM activities WHERE tenant_id = ? AND DATE(due_date) = ?", [tenantId, today]);
     
     res.json({ 
       success: true, 
@@ -71,6 +75,8 @@ router.post('/', authMiddleware, async (req, res) => {
        req.user.id, assigned_to || req.user.id, reminder_datetime || null, req.user.id]
     );
     
+    runWorkflows(tenantId, 'activity', result.insertId, { userId: req.user.id });
+    
     res.json({ success: true, message: 'Activity created', data: { id: result.insertId } });
   } catch (error) {
     console.error('Create activity error:', error);
@@ -106,9 +112,16 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: 'No updates provided' });
     }
     
+    const [existing] = await query('SELECT * FROM activities WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Activity not found' });
+    }
+    
     params.push(id, tenantId);
     await execute(`UPDATE activities SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
     
+    runWorkflows(tenantId, 'activity', id, { before: existing, userId: req.user.id });
+    
     res.json({ success: true, message: 'Activity updated' });
   } catch (error) {
     console.error('Update activity error:', error);
@@ -146,9 +159,16 @@ router.patch('/:id', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: 'No updates provided' });
     }
     
+    const [existing] = await query('SELECT * FROM activities WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Activity not found' });
+    }
+    
     params.push(id, tenantId);
     await execute(`UPDATE activities SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
     
+    runWorkflows(tenantId, 'activity', id, { before: existing, userId: req.user.id });
+    
     res.json({ success: true, message: 'Activity updated' });
   } catch (error) {
     console.error('Update activity error:', error);
@@ -2,6 +2,7 @@ import express from 'express';
 import OpenAI from 'openai';
 import { query } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { getTenantTimezone, todayInTimezone, zonedDayRange, tenantToday } from '../lib/timezone.js';
 
 const router = express.Router();
 
@@ -47,6 +48,7 @@ When referencing dates, use readable format.
 async function getCRMContext(tenantId, userId) {
   const tenantFilter = tenantId ? ' AND tenant_id = ?' : '';
   const tenantParams = tenantId ? [tenantId] : [];
+  const today = await tenantToday(tenantId);
 
   try {
     // Leads summary
@@ -91,28 +93,28 @@ async function getCRMContext(tenantId, userId) {
     // Activities summary
     const [activitiesOverdue] = await query(
       `SELECT COUNT(*) as count FROM activities 
-       WHERE due_date < CURDATE() AND status NOT IN ('completed', 'cancelled')${tenantFilter}`,
-      tenantParams
+       WHERE due_date < ? AND status NOT IN ('completed', 'cancelled')${tenantFilter}`,
+      [today, ...tenantParams]
     );
     const [activitiesToday] = await query(
       `SELECT COUNT(*) as count FROM activities 
-       WHERE due_date = CURDATE() AND status NOT IN ('completed', 'cancelled')${tenantFilter}`,
-      tenantParams
+       WHERE due_date = ? AND status NOT IN ('completed', 'cancelled')${tenantFilter}`,
+      [today, ...tenantParams]
     );
     const [activitiesUpcoming] = await query(
       `SELECT COUNT(*) as count FROM activities 
-       WHERE due_date > CURDATE() AND due_date <= CURDATE() + INTERVAL 7 DAY 
+       WHERE due_date > ? AND due_date <= DATE_ADD(?, INTERVAL 7 DAY) 
        AND status NOT IN ('completed', 'cancelled')${tenantFilter}`,
-      tenantParams
+      [today, today, ...tenantParams]
     );
 
     // Upcoming activities
     const upcomingActivities = await query(
       `SELECT id, type, subject, due_date, due_time, priority, status, related_type
        FROM activities 
-       WHERE due_date >= CURDATE() AND status NOT IN ('completed', 'cancelled')${tenantFilter}
+       WHERE due_date >= ? AND status NOT IN ('completed', 'cancelled')${tenantFilter}
        ORDER BY due_date ASC, due_time ASC LIMIT 5`,
-      tenantParams
+      [today, ...tenantParams]
     );
 
     // Pipeline stages with deal counts
@@ -287,12 +289,14 @@ async function getFallbackResponse(message, tenantId) {
   const lowerMessage = message.toLowerCase();
   const tenantFilter = tenantId ? ' AND tenant_id = ?' : '';
   const tenantParams = tenantId ? [tenantId] : [];
+  const timeZone = await getTenantTimezone(tenantId);
+  const today = todayInTimezone(timeZone);
 
   try {
     // Lead queries
     if (lowerMessage.includes('lead') || lowerMessage.includes('leads')) {
       const [total] = await query(`SELECT COUNT(*) as count FROM leads WHERE 1=1${tenantFilter}`, tenantParams);
-      const [newLeads] = await query(`SELECT COUNT(*) as count FROM leads WHERE status = 'new' AND created_at >= CURDATE() - INTERVAL 7 DAY${tenantFilter}`, tenantParams);
+      const [newLeads] = await query(`SELECT COUNT(*) as count FROM leads WHERE status = 'new' AND created_at >= DATE_SUB(?, INTERVAL 7 DAY)${tenantFilter}`, [zonedDayRange(today, timeZone).start, ...tenantParams]);
       
       return {
         text: `📊 You have **${total?.count || 0}** total leads. ${newLeads?.count || 0} are new this week.`,
@@ -313,11 +317,11 @@ async function getFallbackResponse(message, tenantId) {
 
     // Activity queries
     if (lowerMessage.includes('activity') || lowerMessage.includes('activities') || lowerMessage.includes('task') || lowerMessage.includes('overdue')) {
-      const [overdue] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date < CURDATE() AND status NOT IN ('completed', 'cancelled')${tenantFilter}`, tenantParams);
-      const [today] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date = CURDATE()${tenantFilter}`, tenantParams);
+      const [overdue] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date < ? AND status NOT IN ('completed', 'cancelled')${tenantFilter}`, [today, ...tenantParams]);
+      const [dueToday] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date = ?${tenantFilter}`, [today, ...tenantParams]);
       
       return {
-        text: `📋 You have **${overdue?.count || 0}** overdue activities and **${today?.count || 0}** due today.`,
+        text: `📋 You have **${overdue?.count || 0}** overdue activities and **${dueToday?.count || 0}** due today.`,
         actions: [{ label: 'View Activities', path: '/activities' }, { label: 'View Calendar', path: '/calendar' }]
       };
     }
@@ -1,23 +1,36 @@
 import express from 'express';
 import QRCode from 'qrcode';
-import { query, execute } from '../lib/database.js';
+import { query, execute, withTransaction, toMySQLDateTime } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { redeemGiftCard } from './gift-cards.js';
 import { notifyAppointment, notifyAppointmentCancelled } from '../lib/notify.js';
 import { sendNotificationEmail } from '../lib/email.js';
+import { ensureVisitTables, planVisitLines, findOverlappingLines, createVisit, getVisitLines } from '../lib/visits.js';
+import { allocateResources, reserveResources, getStaffBranchId } from '../lib/resources.js';
+import { recordAppointmentChange, getAppointmentHistory } from '../lib/appointment-history.js';
+import { ensureDepositTables, getDepositCredit, markDepositsApplied } from '../lib/deposits.js';
+import {
+  normalizeTenders, settleTenders, takeTenders, recordPayment, openInvoiceLedger, syncInvoicePayments, appointmentPaymentStatus,
+  invoiceBalance, withInvoiceLock,
+} from '../lib/payments.js';
+import { ensureCommissionTables } from '../lib/commissions.js';
+import { validateTipSplit, allocateTip } from '../lib/tips.js';
+import { offerOpenedSlots } from '../lib/waitlist.js';
+import { runWorkflows, loadWorkflowRecord } from '../lib/workflows.js';
+import { emitWebhookEvent, emitUpdateEvents } from '../lib/webhooks.js';
+import { getAttendancePolicy, isLateCancellation, applyAttendancePolicy, revertNoShow } from '../lib/attendance-policy.js';
+import {
+  ensureSegmentColumns, getBookingSegments, getServiceDuration, findStaffClashes, lockStaffAndFindClashes, getStaffBusyRanges, formatAppointmentBlocks,
+} from '../lib/scheduling.js';
+import {
+  zonedTimeToUtc, utcToZoned, zonedDayRange, todayInTimezone, dayOfWeekOf, formatInTimezone,
+  parseDateTimeInTimezone,
+  getTenantTimezone, getSchedulingTimezone,
+} from '../lib/timezone.js';
 
 const router = express.Router();
 
 router.use(authMiddleware);
 
-/**
- * Helper to convert ISO datetime to MySQL format
- */
-const toMySQLDateTime = (isoString) => {
-  const date = new Date(isoString);
-  return date.toISOString().slice(0, 19).replace('T', ' ');
-};
-
 /**
  * Ensure promo columns exist on appointments table
  */
@@ -40,15 +53,272 @@ async function ensurePromoColumns() {
   }
 }
 
+// ─── Recurring series ──────────────────────────────────────────────
+const SERIES_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_SERIES_OCCURRENCES = 100;
+
+/**
+ * Ensure appointment_series table and series columns on appointments exist
+ */
+let _seriesReady = false;
+async function ensureSeriesTables() {
+  if (_seriesReady) return;
+  await execute(`
+    CREATE TABLE IF NOT EXISTS appointment_series (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant_id INT NOT NULL,
+      customer_id INT,
+      service_id INT,
+      staff_id INT,
+      frequency ENUM('daily', 'weekly', 'monthly') NOT NULL,
+      interval_count INT DEFAULT 1,
+      until_date DATE,
+      occurrence_count INT,
+      first_start_time DATETIME NOT NULL,
+      status ENUM('active', 'cancelled') DEFAULT 'active',
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_tenant (tenant_id),
+      INDEX idx_customer (customer_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  const columns = [
+    ['series_id', 'INT DEFAULT NULL'],
+    ['series_index', 'INT DEFAULT NULL']
+  ];
+  for (const [col, def] of columns) {
+    try {
+      await execute(`ALTER TABLE appointments ADD COLUMN ${col} ${def}`);
+    } catch (e) {
+      // Column already exists – that's fine
+    }
+  }
+  try {
+    await execute('CREATE INDEX idx_series ON appointments(series_id)');
+  } catch (e) {
+    // Index already exists
+  }
+  _seriesReady = true;
+}
+
+/**
+ * Expand a recurrence rule into occurrence start/end pairs.
+ * recurrence: { frequency: 'daily'|'weekly'|'monthly', interval?: number, until?: 'YYYY-MM-DD', count?: number }
+ * "Every N weeks" is frequency 'weekly' with interval N. Monthly occurrences keep the
+ * day of month, clamped to the last day for shorter months. Occurrences keep the
+ * wall-clock time in timeZone, so a series stays at 10:00 across DST changes.
+ * Returns { occurrences } or { error }.
+ */
+function buildSeriesOccurrences(startTime, endTime, recurrence, timeZone = 'UTC') {
+  const { frequency, interval = 1, until, count } = recurrence || {};
+  if (!SERIES_FREQUENCIES.includes(frequency)) {
+    return { error: `recurrence.frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}` };
+  }
+  const step = parseInt(interval, 10);
+  if (!step || step < 1) {
+    return { error: 'recurrence.interval must be a positive integer' };
+  }
+  if (!until && !count) {
+    return { error: 'recurrence requires either until (date) or count' };
+  }
+
+  const first = new Date(startTime);
+  const durationMs = new Date(endTime).getTime() - first.getTime();
+  if (isNaN(first.getTime()) || !(durationMs > 0)) {
+    return { error: 'Invalid start_time / end_time' };
+  }
+
+  const untilDate = until ? String(until).slice(0, 10) : null;
+  const maxCount = Math.min(parseInt(count, 10) || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+
+  // Step through local calendar dates, then map each back to UTC in the timezone
+  const local = utcToZoned(first, timeZone);
+  const [y, m, d] = local.date.split('-').map(Number);
+
+  const occurrences = [];
+  for (let i = 0; occurrences.length < maxCount; i++) {
+    let day;
+    if (frequency === 'monthly') {
+      const daysInMonth = new Date(Date.UTC(y, m - 1 + i * step + 1, 0)).getUTCDate();
+      day = new Date(Date.UTC(y, m - 1 + i * step, Math.min(d, daysInMonth)));
+    } else {
+      const days = frequency === 'weekly' ? 7 * step : step;
+      day = new Date(Date.UTC(y, m - 1, d + i * days));
+    }
+    const dateStr = day.toISOString().slice(0, 10);
+    if (untilDate && dateStr > untilDate) break;
+    const start = zonedTimeToUtc(dateStr, local.minutes, timeZone);
+    occurrences.push({ index: i + 1, start, end: new Date(start.getTime() + durationMs) });
+  }
+
+  return { occurrences };
+}
+
+/**
+ * Find appointments that overlap a staff member's time range
+ * (cancelled, no_show and completed appointments don't block). With segments,
+ * the new booking's processing time may overlap other bookings and vice versa.
+ */
+async function findStaffConflicts(tenantId, staffId, mysqlStartTime, mysqlEndTime, excludeIds = [], segments = null) {
+  const fromMySQL = (value) => new Date(`${String(value).replace(' ', 'T')}Z`);
+  return findStaffClashes(tenantId, staffId, fromMySQL(mysqlStartTime), fromMySQL(mysqlEndTime), {
+    segments, excludeIds, ignoreStatuses: ['cancelled', 'no_show', 'completed'],
+  });
+}
+
+/**
+ * Move an instant by the wall-clock change between two anchor instants
+ * (same number of calendar days and the same clock-time difference in the timezone)
+ */
+function shiftWallClock(instant, fromAnchor, toAnchor, timeZone) {
+  const from = utcToZoned(fromAnchor, timeZone);
+  const to = utcToZoned(toAnchor, timeZone);
+  const dayShift = Math.round((Date.parse(`${to.date}T00:00:00Z`) - Date.parse(`${from.date}T00:00:00Z`)) / 86400000);
+  const local = utcToZoned(instant, timeZone);
+  const [y, m, d] = local.date.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + dayShift)).toISOString().slice(0, 10);
+  return zonedTimeToUtc(date, local.minutes + (to.minutes - from.minutes), timeZone);
+}
+
+/**
+ * Apply an edit to several occurrences of a series ("this and following" or "whole series").
+ * Time changes are applied as a shift relative to the edited occurrence so every
+ * occurrence keeps its own date; when only start_time changes the duration is kept.
+ * Completed, cancelled and no-show occurrences are left untouched, and occurrences
+ * that would clash with another booking are skipped and reported.
+ */
+async function updateSeriesOccurrences(tenantId, anchor, scope, changes) {
+  const { start_time, end_time, status, notes, staff_id, timeZone = 'UTC' } = changes;
+  await ensureSegmentColumns();
+
+  let where = `tenant_id = ? AND series_id = ? AND status NOT IN ('completed', 'cancelled', 'no_show')`;
+  const whereParams = [tenantId, anchor.series_id];
+  if (scope === 'following') {
+    where += ' AND start_time >= ?';
+    whereParams.push(toMySQLDateTime(anchor.start_time));
+  }
+  const targets = await query(
+    `SELECT id, service_id, staff_id, start_time, end_time, status, notes, segments FROM appointments WHERE ${where} ORDER BY start_time`,
+    whereParams
+  );
+
+  const startShiftMs = start_time !== undefined ? new Date(start_time) - new Date(anchor.start_time) : 0;
+  const endShiftMs = end_time !== undefined ? new Date(end_time) - new Date(anchor.end_time) : startShiftMs;
+  const movesTime = startShiftMs !== 0 || endShiftMs !== 0;
+  const targetIds = targets.map(t => t.id);
+
+  const updated = [];
+  const clashes = [];
+  const rescheduled = [];
+  for (const target of targets) {
+    const newStart = start_time !== undefined
+      ? shiftWallClock(target.start_time, anchor.start_time, start_time, timeZone)
+      : new Date(target.start_time);
+    const newEnd = end_time !== undefined
+      ? shiftWallClock(target.end_time, anchor.end_time, end_time, timeZone)
+      : (start_time !== undefined ? shiftWallClock(target.end_time, anchor.start_time, start_time, timeZone) : new Date(target.end_time));
+    const newStaff = staff_id !== undefined ? staff_id : target.staff_id;
+    const mysqlStart = toMySQLDateTime(newStart.toISOString());
+    const mysqlEnd = toMySQLDateTime(newEnd.toISOString());
+
+    let resourceIds = null;
+    if (status !== 'cancelled' && (movesTime || staff_id !== undefined)) {
+      const conflicts = await findStaffConflicts(tenantId, newStaff, mysqlStart, mysqlEnd, targetIds, target.segments);
+      if (conflicts.length > 0) {
+        clashes.push({
+          appointment_id: target.id,
+          date: newStart.toISOString().split('T')[0],
+          start_time: newStart.toISOString(),
+          end_time: newEnd.toISOString(),
+          conflicting_appointment_ids: conflicts.map(c => c.id)
+        });
+        continue;
+      }
+    }
+    if (status !== 'cancelled' && movesTime) {
+      const { allocations, unavailable } = await allocateResources(
+        tenantId, [{ service_id: target.service_id, start: newStart, end: newEnd }],
+        { branchId: await getStaffBranchId(tenantId, newStaff), excludeAppointmentIds: targetIds }
+      );
+      if (unavailable.length > 0) {
+        clashes.push({
+          appointment_id: target.id,
+          date: newStart.toISOString().split('T')[0],
+          start_time: newStart.toISOString(),
+          end_time: newEnd.toISOString(),
+          conflicting_appointment_ids: [],
+          unavailable_resources: unavailable[0].types
+        });
+        continue;
+      }
+      resourceIds = allocations[0];
+    }
+
+    const updates = [];
+    const params = [];
+    if (movesTime) {
+      updates.push('start_time = ?', 'end_time = ?');
+      params.push(mysqlStart, mysqlEnd);
+    }
+    if (status !== undefined) { updates.push('status = ?'); params.push(status); }
+    if (notes !== undefined) { updates.push('notes = ?'); params.push(notes); }
+    if (staff_id !== undefined) { updates.push('staff_id = ?'); params.push(staff_id); }
+    if (updates.length === 0) continue;
+
+    params.push(target.id, tenantId);
+    const before = await loadWorkflowRecord(tenantId, 'appointment', target.id);
+    await execute(`UPDATE appointments SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    if (resourceIds) await reserveResources(tenantId, target.id, resourceIds);
+    runWorkflows(tenantId, 'appointment', target.id, { before: before || target });
+    emitUpdateEvents(tenantId, 'appointment', target.id, target.status);
+    updated.push(target.id);
+    if (movesTime) rescheduled.push({ id: target.id, start: newStart.toISOString() });
+  }
+
+  if (scope === 'all' && status === 'cancelled') {
+    await execute(
+      "UPDATE appointment_series SET status = 'cancelled' WHERE id = ? AND tenant_id = ?",
+      [anchor.series_id, tenantId]
+    );
+  }
+
+  // Keep reminders in step with the new times / cancellations
+  try {
+    const { cancelRemindersForAppointments, rescheduleAppointmentReminders } = await import('../lib/reminders.js');
+    if (status === 'cancelled') {
+      await cancelRemindersForAppointments(updated);
+    } else {
+      for (const r of rescheduled) {
+        await rescheduleAppointmentReminders(tenantId, r.id, r.start);
+      }
+    }
+  } catch (reminderError) {
+    console.warn('Could not update series reminders:', reminderError.message);
+  }
+
+  // Cancelled occurrences free their slots for the waitlist
+  if (status === 'cancelled') offerOpenedSlots(tenantId, updated);
+
+  return { updated, conflicts: clashes };
+}
+
 /**
  * Create appointment (with optional promo code)
+ *
+ * Optional recurrence creates a series with one appointment per occurrence:
+ *   recurrence: { frequency: 'daily'|'weekly'|'monthly', interval, until, count, skip_conflicts }
+ * Occurrences that clash with the staff member's calendar are skipped and reported
+ * (or, with skip_conflicts: false, the whole series is rejected with 409).
  */
 router.post('/', async (req, res) => {
   try {
     await ensurePromoColumns();
+    await ensureSeriesTables();
     const {
       customer_id, service_id, staff_id, start_time, end_time, notes,
-      promo_code, promotion_id, discount_code_id, discount_amount = 0, discount_type = 'fixed'
+      promo_code, promotion_id, discount_code_id, discount_amount = 0, discount_type = 'fixed',
+      recurrence
     } = req.body;
     const tenantId = req.tenantId;
 
@@ -59,27 +329,73 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Convert to MySQL datetime format
-    const mysqlStartTime = toMySQLDateTime(start_time);
-    const mysqlEndTime = toMySQLDateTime(end_time);
+    // Times without a UTC offset are wall-clock in the staff member's branch / tenant timezone
+    const timeZone = await getSchedulingTimezone(tenantId, { branchId: req.body.branch_id || null, staffId: staff_id });
+    const startAt = parseDateTimeInTimezone(start_time, timeZone);
+    const endAt = parseDateTimeInTimezone(end_time, timeZone);
 
-    // Check for conflicts (exclude cancelled, no_show, and completed appointments)
-    // Completed appointments have their end_time updated to actual completion time, so they won't block future bookings
-    const conflicts = await query(
-      `SELECT id FROM appointments 
-       WHERE tenant_id = ? AND staff_id = ? 
-       AND status NOT IN ('cancelled', 'no_show', 'completed')
-       AND (
-         (start_time < ? AND end_time > ?) OR
-         (start_time >= ? AND start_time < ?)
-       )`,
-      [tenantId, staff_id, mysqlEndTime, mysqlStartTime, mysqlStartTime, mysqlEndTime]
+    // Processing gaps in the service leave the staff member free for someone else
+    await ensureSegmentColumns();
+    const [serviceTiming] = await query(
+      'SELECT segments, processing_time, finishing_time FROM products WHERE id = ? AND tenant_id = ?',
+      [service_id, tenantId]
     );
+    const segments = getBookingSegments(serviceTiming);
+
+    // Expand the recurrence rule (a single booking is a one-occurrence list)
+    let occurrences = [{ index: null, start: startAt, end: endAt }];
+    if (recurrence) {
+      const expanded = buildSeriesOccurrences(startAt, endAt, recurrence, timeZone);
+      if (expanded.error) {
+        return res.status(400).json({ success: false, message: expanded.error });
+      }
+      occurrences = expanded.occurrences;
+    }
 
-    if (conflicts.length > 0) {
+    // Check each occurrence for conflicts (exclude cancelled, no_show, and completed appointments)
+    // Completed appointments have their end_time updated to actual completion time, so they won't block future bookings
+    // Rooms / equipment the service needs are checked the same way
+    const bookable = [];
+    const clashes = [];
+    const resourceBranchId = req.body.branch_id || await getStaffBranchId(tenantId, staff_id);
+    for (const occ of occurrences) {
+      const mysqlStartTime = toMySQLDateTime(occ.start.toISOString());
+      const mysqlEndTime = toMySQLDateTime(occ.end.toISOString());
+      const conflicts = await findStaffConflicts(tenantId, staff_id, mysqlStartTime, mysqlEndTime, [], segments);
+      const { allocations, unavailable } = conflicts.length > 0
+        ? { allocations: [], unavailable: [] }
+        : await allocateResources(tenantId, [{ service_id, start: occ.start, end: occ.end }], { branchId: resourceBranchId });
+      if (conflicts.length > 0 || unavailable.length > 0) {
+        clashes.push({
+          occurrence: occ.index,
+          date: occ.start.toISOString().split('T')[0],
+          start_time: occ.start.toISOString(),
+          end_time: occ.end.toISOString(),
+          conflicting_appointment_ids: conflicts.map(c => c.id),
+          ...(unavailable.length > 0 ? { unavailable_resources: unavailable[0].types } : {})
+        });
+      } else {
+        bookable.push({ ...occ, mysqlStartTime, mysqlEndTime, resourceIds: allocations[0] });
+      }
+    }
+
+    if (!recurrence && clashes.length > 0) {
       return res.status(409).json({ 
         success: false, 
-        message: 'Staff member has conflicting appointment at this time' 
+        message: clashes[0].unavailable_resources
+          ? `No ${clashes[0].unavailable_resources.join(' / ')} available at this time`
+          : 'Staff member has conflicting appointment at this time',
+        ...(clashes[0].unavailable_resources ? { data: { unavailable_resources: clashes[0].unavailable_resources } } : {})
+      });
+    }
+
+    if (recurrence && (bookable.length === 0 || (recurrence.skip_conflicts === false && clashes.length > 0))) {
+      return res.status(409).json({
+        success: false,
+        message: bookable.length === 0
+          ? 'Every occurrence in the series conflicts with existing appointments'
+          : `${clashes.length} occurrence(s) conflict with existing appointments`,
+        data: { conflicts: clashes }
       });
     }
 
@@ -123,14 +439,67 @@ router.post('/', async (req, res) => {
 
     const finalPrice = Math.max(0, originalPrice - appliedDiscount);
 
-    // Create appointment
-    const result = await execute(
-      `INSERT INTO appointments (tenant_id, customer_id, service_id, staff_id, start_time, end_time, notes,
-        promotion_id, discount_code_id, promo_code, discount_amount, discount_type, original_price, final_price, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [tenantId, customer_id, service_id, staff_id, mysqlStartTime, mysqlEndTime, notes || null,
-        validatedPromoId, validatedCodeId, promo_code || null, appliedDiscount, appliedType, originalPrice, finalPrice, req.user.id]
-    );
+    // Create the series header and the appointments in one transaction holding the
+    // staff row, so a concurrent booking for the same staff can't take the same time
+    let seriesId = null;
+    const createdIds = [];
+    try {
+      await withTransaction(async (tx) => {
+        const late = await lockStaffAndFindClashes(
+          tx, tenantId, bookable.map(occ => ({ staff_id, start: occ.start, end: occ.end, segments })),
+          { ignoreStatuses: ['cancelled', 'no_show', 'completed'] }
+        );
+        if (late.length > 0 && (!recurrence || recurrence.skip_conflicts === false || late.length === bookable.length)) {
+          throw Object.assign(new Error('Staff member has conflicting appointment at this time'), { status: 409 });
+        }
+        // Occurrences booked by someone else meanwhile are skipped like any other clash
+        for (const { index, conflicts } of [...late].reverse()) {
+          const [occ] = bookable.splice(index, 1);
+          clashes.unshift({
+            occurrence: occ.index,
+            date: occ.start.toISOString().split('T')[0],
+            start_time: occ.start.toISOString(),
+            end_time: occ.end.toISOString(),
+            conflicting_appointment_ids: conflicts.map(c => c.id)
+          });
+        }
+
+        if (recurrence) {
+          const seriesResult = await tx.execute(
+            `INSERT INTO appointment_series (tenant_id, customer_id, service_id, staff_id, frequency, interval_count,
+              until_date, occurrence_count, first_start_time, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [tenantId, customer_id, service_id, staff_id, recurrence.frequency, parseInt(recurrence.interval, 10) || 1,
+              recurrence.until ? String(recurrence.until).slice(0, 10) : null, occurrences.length,
+              toMySQLDateTime(occurrences[0].start.toISOString()), req.user.id]
+          );
+          seriesId = seriesResult.insertId;
+        }
+
+        // A promo only applies to the first booked occurrence
+        for (const occ of bookable) {
+          const withPromo = createdIds.length === 0;
+          const insert = await tx.execute(
+            `INSERT INTO appointments (tenant_id, customer_id, service_id, staff_id, start_time, end_time, notes,
+              promotion_id, discount_code_id, promo_code, discount_amount, discount_type, original_price, final_price,
+              series_id, series_index, segments, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [tenantId, customer_id, service_id, staff_id, occ.mysqlStartTime, occ.mysqlEndTime, notes || null,
+              withPromo ? validatedPromoId : null, withPromo ? validatedCodeId : null, withPromo ? (promo_code || null) : null,
+              withPromo ? appliedDiscount : 0, appliedType, originalPrice, withPromo ? finalPrice : originalPrice,
+              seriesId, occ.index, segments, req.user.id]
+          );
+          createdIds.push(insert.insertId);
+        }
+      });
+    } catch (txError) {
+      if (txError.status === 409) return res.status(409).json({ success: false, message: txError.message });
+      throw txError;
+    }
+    for (let i = 0; i < createdIds.length; i++) {
+      await reserveResources(tenantId, createdIds[i], bookable[i].resourceIds);
+    }
+    const result = { insertId: createdIds[0] };
 
     // Record promo usage
     if (validatedCodeId || validatedPromoId) {
@@ -151,14 +520,21 @@ router.post('/', async (req, res) => {
       }
     }
 
-    // Schedule reminders using the reminder service
+    // Schedule reminders for every created occurrence using the reminder service
     try {
       const { scheduleAppointmentReminders } = await import('../lib/reminders.js');
-      await scheduleAppointmentReminders(tenantId, result.insertId, start_time, customer_id);
+      for (let i = 0; i < createdIds.length; i++) {
+        await scheduleAppointmentReminders(tenantId, createdIds[i], bookable[i].start.toISOString(), customer_id);
+      }
     } catch (reminderError) {
       console.warn('Could not schedule appointment reminders:', reminderError.message);
     }
 
+    for (const createdId of createdIds) {
+      runWorkflows(tenantId, 'appointment', createdId, { userId: req.user.id });
+      emitWebhookEvent(tenantId, 'appointment.created', createdId);
+    }
+
     // Get created appointment with details
     const [appointment] = await query(
       `SELECT a.*, 
@@ -177,8 +553,8 @@ router.post('/', async (req, res) => {
     notifyAppointment(
       tenantId,
       `New Booking — ${appointment?.customer_first_name || 'Client'} ${appointment?.customer_last_name || ''}`.trim(),
-      `${appointment?.service_name || 'Service'} with ${appointment?.staff_name || 'Staff'} on ${new Date(start_time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
-      { appointment_id: result.insertId, customer_id, service_id, staff_id }
+      `${appointment?.service_name || 'Service'} with ${appointment?.staff_name || 'Staff'} on ${new Date(appointment?.start_time || start_time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}${seriesId ? ` (+${createdIds.length - 1} recurring)` : ''}`,
+      { appointment_id: result.insertId, customer_id, service_id, staff_id, series_id: seriesId }
     ).catch(() => {});
 
     // Send confirmation email to customer
@@ -187,18 +563,7 @@ router.post('/', async (req, res) => {
         const [customer] = await query('SELECT email, first_name, last_name FROM contacts WHERE id = ?', [customer_id]);
         if (customer && customer.email) {
           const customerName = `${customer.first_name || ''} ${customer.last_name || ''}`.trim() || 'Valued Client';
-          const appointmentDate = new Date(start_time);
-          const dateStr = appointmentDate.toLocaleDateString('en-US', { 
-            weekday: 'long', 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric' 
-          });
-          const timeStr = appointmentDate.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-          });
+          const { dateStr, timeStr } = formatInTimezone(appointment?.start_time || startAt, timeZone);
           
           // Generate QR code for check-in (payload matches /api/barcodes/lookup)
           const qrBuffer = await QRCode.toBuffer(`APPOINTMENT:${appointment.id}`, {
@@ -226,6 +591,7 @@ router.post('/', async (req, res) => {
                 <tr><td style="padding:6px 0;color:#888;font-size:13px;">Date</td><td style="padding:6px 0;font-weight:500;">${dateStr}</td></tr>
                 <tr><td style="padding:6px 0;color:#888;font-size:13px;">Time</td><td style="padding:6px 0;font-weight:500;">${timeStr}</td></tr>
                 <tr><td style="padding:6px 0;color:#888;font-size:13px;">Staff</td><td style="padding:6px 0;font-weight:500;">${appointment?.staff_name || 'Our team'}</td></tr>
+                ${seriesId ? `<tr><td style="padding:6px 0;color:#888;font-size:13px;">Series</td><td style="padding:6px 0;font-weight:500;">${createdIds.length} recurring appointment(s) booked</td></tr>` : ''}
               </table>
               <p style="color:#555;">If you need to reschedule or cancel, please contact us as soon as possible.</p>
             `,
@@ -253,13 +619,27 @@ router.post('/', async (req, res) => {
       console.log('⚠️  Appointment created but no customer_id provided');
     }
 
-    res.status(201).json({
+    const response = {
       success: true,
       data: appointment,
       message: appliedDiscount > 0
         ? `Appointment booked! Promo applied — saved ${appliedDiscount.toFixed(2)}`
         : 'Appointment created successfully'
-    });
+    };
+    if (seriesId) {
+      response.series = {
+        id: seriesId,
+        requested: occurrences.length,
+        created: createdIds.length,
+        appointment_ids: createdIds,
+        conflicts: clashes
+      };
+      response.message = clashes.length > 0
+        ? `${createdIds.length} of ${occurrences.length} recurring appointments created — ${clashes.length} date(s) clashed`
+        : `${createdIds.length} recurring appointments created`;
+    }
+
+    res.status(201).json(response);
   } catch (error) {
     console.error('Error creating appointment:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -335,28 +715,33 @@ router.get('/', async (req, res) => {
       params.push(status);
     }
 
+    // Dates are local calendar days in the tenant's timezone
+    const timeZone = (date || from_date || to_date) ? await getTenantTimezone(tenantId) : null;
+    const dayStartUtc = d => toMySQLDateTime(zonedDayRange(d, timeZone).start.toISOString());
+    const dayEndUtc = d => toMySQLDateTime(zonedDayRange(d, timeZone).end.toISOString());
+
     if (date) {
-      whereClause += ` AND DATE(a.start_time) = ?`;
-      params.push(date);
+      whereClause += ` AND a.start_time >= ? AND a.start_time < ?`;
+      params.push(dayStartUtc(date), dayEndUtc(date));
     } else {
       // If only from_date is provided (without to_date), match exact date
       // If both from_date and to_date are provided, use date range
       if (from_date && !to_date) {
         // Only from_date: match exact date
         const fromDateStr = from_date.split('T')[0]; // Remove time if present
-        whereClause += ` AND DATE(a.start_time) = ?`;
-        params.push(fromDateStr);
+        whereClause += ` AND a.start_time >= ? AND a.start_time < ?`;
+        params.push(dayStartUtc(fromDateStr), dayEndUtc(fromDateStr));
       } else if (from_date && to_date) {
         // Both dates: use date range
         const fromDateStr = from_date.split('T')[0]; // Remove time if present
         const toDateStr = to_date.split('T')[0]; // Remove time if present
-        whereClause += ` AND DATE(a.start_time) >= ? AND DATE(a.start_time) <= ?`;
-        params.push(fromDateStr, toDateStr);
+        whereClause += ` AND a.start_time >= ? AND a.start_time < ?`;
+        params.push(dayStartUtc(fromDateStr), dayEndUtc(toDateStr));
       } else if (to_date && !from_date) {
         // Only to_date: from beginning until to_date
         const toDateStr = to_date.split('T')[0]; // Remove time if present
-        whereClause += ` AND DATE(a.start_time) <= ?`;
-        params.push(toDateStr);
+        whereClause += ` AND a.start_time < ?`;
+        params.push(dayEndUtc(toDateStr));
       }
     }
 
@@ -391,6 +776,8 @@ router.get('/', async (req, res) => {
     }
 
     const appointments = await query(sql, [...params]);
+    // Calendar blocks: active / processing / finishing, so processing gaps show as free staff time
+    for (const appt of appointments) appt.blocks = formatAppointmentBlocks(appt);
     
     const totalPages = Math.ceil(total / limitNum);
     
@@ -438,6 +825,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Appointment not found' });
     }
 
+    appointment.blocks = formatAppointmentBlocks(appointment);
     res.json({ success: true, data: appointment });
   } catch (error) {
     console.error('Error fetching appointment:', error);
@@ -445,14 +833,379 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Change history of an appointment (reschedules and status changes, newest first)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const [appointment] = await query('SELECT id FROM appointments WHERE id = ? AND tenant_id = ?', [req.params.id, tenantId]);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'Appointment not found' });
+    }
+
+    const history = await getAppointmentHistory(tenantId, appointment.id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Error fetching appointment history:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * Create a multi-service visit (one booking, several chained services)
+ *
+ * Body:
+ *   customer_id, branch_id?, start_time, notes?
+ *   services: [{ service_id, staff_id, offset_minutes?, duration? }]  (in order)
+ * A line without offset_minutes starts when the previous one ends; a line
+ * without duration uses the service's duration.
+ */
+router.post('/visits', async (req, res) => {
+  try {
+    await ensurePromoColumns();
+    await ensureVisitTables();
+    const { customer_id, branch_id, start_time, services, notes } = req.body;
+    const tenantId = req.tenantId;
+
+    if (!customer_id || !start_time || !Array.isArray(services) || services.length === 0) {
+      return res.status(400).json({ success: false, message: 'customer_id, start_time and services are required' });
+    }
+    if (services.some(l => !l.service_id || !l.staff_id)) {
+      return res.status(400).json({ success: false, message: 'Every service line needs service_id and staff_id' });
+    }
+
+    const serviceIds = [...new Set(services.map(l => l.service_id))];
+    await ensureSegmentColumns();
+    const products = await query(
+      `SELECT id, duration, unit_price, segments, processing_time, finishing_time FROM products
+       WHERE tenant_id = ? AND id IN (${serviceIds.map(() => '?').join(',')})`,
+      [tenantId, ...serviceIds]
+    );
+    const missing = serviceIds.filter(id => !products.some(p => String(p.id) === String(id)));
+    if (missing.length > 0) {
+      return res.status(400).json({ success: false, message: `Service not found: ${missing.join(', ')}` });
+    }
+    const durations = {};
+    const prices = {};
+    const segments = {};
+    for (const p of products) {
+      durations[p.id] = getServiceDuration(p);
+      prices[p.id] = p.unit_price;
+      segments[p.id] = getBookingSegments(p);
+    }
+
+    const timeZone = await getSchedulingTimezone(tenantId, { branchId: branch_id || null, staffId: services[0].staff_id });
+    const lines = planVisitLines(parseDateTimeInTimezone(start_time, timeZone), services, durations, segments);
+
+    // Lines with the same staff member can't overlap each other either
+    const overlaps = findOverlappingLines(lines);
+    if (overlaps.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'A staff member is booked for two services of this visit at the same time',
+        data: { overlaps }
+      });
+    }
+
+    // Each line gets the same staff-conflict check as a single booking
+    const clashes = [];
+    for (const line of lines) {
+      const conflicts = await findStaffConflicts(
+        tenantId, line.staff_id,
+        toMySQLDateTime(line.start.toISOString()), toMySQLDateTime(line.end.toISOString()), [], line.segments
+      );
+      if (conflicts.length > 0) {
+        clashes.push({
+          sequence: line.sequence,
+          service_id: line.service_id,
+          staff_id: line.staff_id,
+          start_time: line.start.toISOString(),
+          end_time: line.end.toISOString(),
+          conflicting_appointment_ids: conflicts.map(c => c.id)
+        });
+      }
+    }
+    if (clashes.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'One or more staff members have a conflicting appointment',
+        data: { conflicts: clashes }
+      });
+    }
+
+    const { allocations, unavailable } = await allocateResources(tenantId, lines, {
+      branchId: branch_id || await getStaffBranchId(tenantId, lines[0].staff_id),
+    });
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Required rooms or equipment are not available for this visit',
+        data: {
+          unavailable_resources: unavailable.map(u => ({ sequence: lines[u.index].sequence, service_id: u.service_id, types: u.types }))
+        }
+      });
+    }
+
+    // Book the lines in one transaction holding the staff rows, so a concurrent
+    // booking for the same staff can't take the same time
+    let visitId;
+    let appointmentIds;
+    try {
+      ({ visitId, appointmentIds } = await withTransaction(async (tx) => {
+        const late = await lockStaffAndFindClashes(tx, tenantId, lines, { ignoreStatuses: ['cancelled', 'no_show', 'completed'] });
+        if (late.length > 0) throw Object.assign(new Error('One or more staff members have a conflicting appointment'), { status: 409 });
+        return createVisit(tenantId, {
+          customer_id, branch_id: branch_id || null, lines, notes: notes || null,
+          prices, created_by: req.user.id, db: tx,
+        });
+      }));
+    } catch (txError) {
+      if (txError.status === 409) return res.status(409).json({ success: false, message: txError.message });
+      throw txError;
+    }
+    try {
+      const { scheduleAppointmentReminders } = await import('../lib/reminders.js');
+      await scheduleAppointmentReminders(tenantId, appointmentIds[0], lines[0].start.toISOString(), customer_id);
+    } catch (reminderError) {
+      console.warn('Could not schedule visit reminders:', reminderError.message);
+    }
+    for (let i = 0; i < appointmentIds.length; i++) {
+      await reserveResources(tenantId, appointmentIds[i], allocations[i]);
+      runWorkflows(tenantId, 'appointment', appointmentIds[i], { userId: req.user.id });
+      emitWebhookEvent(tenantId, 'appointment.created', appointmentIds[i]);
+    }
+
+    const [customer] = await query('SELECT first_name, last_name FROM contacts WHERE id = ?', [customer_id]);
+    notifyAppointment(
+      tenantId,
+      `New Visit — ${customer?.first_name || 'Client'} ${customer?.last_name || ''}`.trim(),
+      `${lines.length} services on ${lines[0].start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+      { visit_id: visitId, appointment_ids: appointmentIds, customer_id }
+    ).catch(() => {});
+
+    const [visit] = await query('SELECT * FROM visits WHERE id = ?', [visitId]);
+    visit.lines = await getVisitLines(tenantId, visitId);
+
+    res.status(201).json({ success: true, data: visit, message: `Visit booked with ${lines.length} services` });
+  } catch (error) {
+    console.error('Error creating visit:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * Get a visit with its ordered service lines
+ */
+router.get('/visits/:visitId', async (req, res) => {
+  try {
+    await ensureVisitTables();
+    const tenantId = req.tenantId;
+
+    const [visit] = await query(
+      `SELECT v.*, c.first_name as customer_first_name, c.last_name as customer_last_name,
+              c.phone as customer_phone, c.email as customer_email
+       FROM visits v
+       LEFT JOIN contacts c ON v.customer_id = c.id
+       WHERE v.id = ? AND v.tenant_id = ?`,
+      [req.params.visitId, tenantId]
+    );
+    if (!visit) {
+      return res.status(404).json({ success: false, message: 'Visit not found' });
+    }
+
+    visit.lines = await getVisitLines(tenantId, visit.id);
+    res.json({ success: true, data: visit });
+  } catch (error) {
+    console.error('Error fetching visit:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * Update a visit as a whole — move it (all lines shift together), change notes or cancel it.
+ * A late cancellation raises the policy fee unless waive_fee is passed.
+ */
+router.patch('/visits/:visitId', async (req, res) => {
+  try {
+    await ensureVisitTables();
+    const tenantId = req.tenantId;
+    const { start_time, status, notes } = req.body;
+
+    const [visit] = await query('SELECT * FROM visits WHERE id = ? AND tenant_id = ?', [req.params.visitId, tenantId]);
+    if (!visit) {
+      return res.status(404).json({ success: false, message: 'Visit not found' });
+    }
+    if (status !== undefined && !['scheduled', 'confirmed', 'cancelled'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Visit status must be scheduled, confirmed or cancelled' });
+    }
+
+    const lines = (await getVisitLines(tenantId, visit.id))
+      .filter(l => !['completed', 'cancelled', 'no_show'].includes(l.status));
+    const timeZone = start_time !== undefined
+      ? await getSchedulingTimezone(tenantId, { branchId: visit.branch_id, staffId: lines[0]?.staff_id })
+      : null;
+    const shiftMs = start_time !== undefined ? parseDateTimeInTimezone(start_time, timeZone) - new Date(visit.start_time) : 0;
+
+    if (shiftMs !== 0) {
+      const lineIds = lines.map(l => l.id);
+      const clashes = [];
+      for (const line of lines) {
+        const newStart = toMySQLDateTime(new Date(new Date(line.start_time).getTime() + shiftMs).toISOString());
+        const newEnd = toMySQLDateTime(new Date(new Date(line.end_time).getTime() + shiftMs).toISOString());
+        const conflicts = await findStaffConflicts(tenantId, line.staff_id, newStart, newEnd, lineIds, line.segments);
+        if (conflicts.length > 0) {
+          clashes.push({ appointment_id: line.id, staff_id: line.staff_id, conflicting_appointment_ids: conflicts.map(c => c.id) });
+        }
+      }
+      if (clashes.length > 0) {
+        return res.status(409).json({ success: false, message: 'Cannot move visit — staff conflicts', data: { conflicts: clashes } });
+      }
+
+      const moved = lines.map(l => ({
+        service_id: l.service_id,
+        start: new Date(new Date(l.start_time).getTime() + shiftMs),
+        end: new Date(new Date(l.end_time).getTime() + shiftMs),
+      }));
+      const { allocations, unavailable } = await allocateResources(tenantId, moved, {
+        branchId: visit.branch_id || await getStaffBranchId(tenantId, lines[0]?.staff_id),
+        excludeAppointmentIds: lineIds,
+      });
+      if (unavailable.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot move visit — required rooms or equipment are not available',
+          data: { unavailable_resources: unavailable.map(u => ({ appointment_id: lines[u.index].id, types: u.types })) }
+        });
+      }
+      lines.forEach((l, i) => { l.resourceIds = allocations[i]; });
+    }
+
+    for (const line of lines) {
+      const updates = [];
+      const params = [];
+      if (shiftMs !== 0) {
+        updates.push('start_time = DATE_ADD(start_time, INTERVAL ? SECOND)', 'end_time = DATE_ADD(end_time, INTERVAL ? SECOND)');
+        params.push(shiftMs / 1000, shiftMs / 1000);
+      }
+      if (status !== undefined) { updates.push('status = ?'); params.push(status); }
+      if (notes !== undefined) { updates.push('notes = ?'); params.push(notes); }
+      if (updates.length === 0) continue;
+      params.push(line.id, tenantId);
+      await execute(`UPDATE appointments SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+      if (line.resourceIds) await reserveResources(tenantId, line.id, line.resourceIds);
+      runWorkflows(tenantId, 'appointment', line.id, { before: line, userId: req.user.id });
+      emitUpdateEvents(tenantId, 'appointment', line.id, line.status);
+    }
+
+    const visitUpdates = [];
+    const visitParams = [];
+    if (shiftMs !== 0) {
+      visitUpdates.push('start_time = DATE_ADD(start_time, INTERVAL ? SECOND)', 'end_time = DATE_ADD(end_time, INTERVAL ? SECOND)');
+      visitParams.push(shiftMs / 1000, shiftMs / 1000);
+    }
+    if (status === 'cancelled') { visitUpdates.push("status = 'cancelled'"); }
+    if (notes !== undefined) { visitUpdates.push('notes = ?'); visitParams.push(notes); }
+    if (visitUpdates.length > 0) {
+      visitParams.push(visit.id, tenantId);
+      await execute(`UPDATE visits SET ${visitUpdates.join(', ')} WHERE id = ? AND tenant_id = ?`, visitParams);
+    }
+
+    // Reminders hang off the first line of the visit
+    try {
+      const { cancelRemindersForAppointments, rescheduleAppointmentReminders } = await import('../lib/reminders.js');
+      if (status === 'cancelled') {
+        await cancelRemindersForAppointments(lines.map(l => l.id));
+      } else if (shiftMs !== 0 && lines.length > 0) {
+        await rescheduleAppointmentReminders(tenantId, lines[0].id, new Date(new Date(lines[0].start_time).getTime() + shiftMs).toISOString());
+      }
+    } catch (reminderError) {
+      console.warn('Could not update visit reminders:', reminderError.message);
+    }
+
+    if (status === 'cancelled') offerOpenedSlots(tenantId, lines.map(l => l.id));
+
+    // Cancelling inside the late-cancel window raises one fee for the whole visit
+    let attendanceFee = null;
+    const chargeable = lines.filter(l => l.status !== 'pending_payment');
+    if (status === 'cancelled' && chargeable.length > 0 &&
+      isLateCancellation(await getAttendancePolicy(tenantId), chargeable[0].start_time)) {
+      try {
+        attendanceFee = await applyAttendancePolicy(tenantId, chargeable, 'late_cancel', {
+          staffId: req.user?.id || null, waiveFee: !!req.body.waive_fee,
+        });
+      } catch (policyError) {
+        console.error('Could not apply attendance policy:', policyError);
+      }
+    }
+
+    const [updated] = await query('SELECT * FROM visits WHERE id = ?', [visit.id]);
+    updated.lines = await getVisitLines(tenantId, visit.id);
+    if (attendanceFee) updated.attendance_fee = attendanceFee;
+    res.json({ success: true, data: updated, message: 'Visit updated successfully' });
+  } catch (error) {
+    console.error('Error updating visit:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * Get a recurring series with all of its occurrences
+ */
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    await ensureSeriesTables();
+    const tenantId = req.tenantId;
+
+    const [series] = await query(
+      `SELECT sr.*, 
+              c.first_name as customer_first_name, c.last_name as customer_last_name,
+              s.full_name as staff_name,
+              p.name as service_name
+       FROM appointment_series sr
+       LEFT JOIN contacts c ON sr.customer_id = c.id
+       LEFT JOIN staff s ON sr.staff_id = s.id
+       LEFT JOIN products p ON sr.service_id = p.id
+       WHERE sr.id = ? AND sr.tenant_id = ?`,
+      [req.params.seriesId, tenantId]
+    );
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series not found' });
+    }
+
+    series.appointments = await query(
+      `SELECT a.id, a.series_index, a.start_time, a.end_time, a.status, a.staff_id, a.notes,
+              s.full_name as staff_name
+       FROM appointments a
+       LEFT JOIN staff s ON a.staff_id = s.id
+       WHERE a.series_id = ? AND a.tenant_id = ?
+       ORDER BY a.start_time`,
+      [series.id, tenantId]
+    );
+
+    res.json({ success: true, data: series });
+  } catch (error) {
+    console.error('Error fetching appointment series:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /**
  * Update appointment
+ *
+ * For an occurrence of a recurring series, pass scope = 'this' | 'following' | 'all'
+ * to apply start/end time, staff, notes or cancellation to the wider series.
+ *
+ * Marking a no-show, or cancelling inside the late-cancel window, applies the
+ * tenant's attendance policy (fee invoice, no-show count); pass waive_fee: true
+ * to skip the fee, e.g. when the business cancels.
  */
 router.patch('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const tenantId = req.tenantId;
-    const { start_time, end_time, status, notes, staff_id, payment_status, customer_showed } = req.body;
+    const { start_time: rawStartTime, end_time: rawEndTime, status, notes, staff_id, payment_status, customer_showed, waive_fee } = req.body;
 
     // Check if appointment exists
     const [existing] = await query(
@@ -464,6 +1217,61 @@ router.patch('/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Appointment not found' });
     }
 
+    // Times without a UTC offset are wall-clock in the staff member's branch / tenant timezone
+    const timeZone = (rawStartTime !== undefined || rawEndTime !== undefined)
+      ? await getSchedulingTimezone(tenantId, { staffId: staff_id !== undefined ? staff_id : existing.staff_id })
+      : null;
+    const start_time = rawStartTime !== undefined ? parseDateTimeInTimezone(rawStartTime, timeZone).toISOString() : undefined;
+    const end_time = rawEndTime !== undefined ? parseDateTimeInTimezone(rawEndTime, timeZone).toISOString() : undefined;
+
+    // Series edits: scope = 'this' (default) | 'following' | 'all'
+    const scope = req.body.scope || req.query.scope || 'this';
+    if (existing.series_id && (scope === 'following' || scope === 'all')) {
+      if (status !== undefined && !['scheduled', 'confirmed', 'cancelled'].includes(status)) {
+        return res.status(400).json({ success: false, message: `Status '${status}' can only be set on a single occurrence` });
+      }
+      if ([start_time, end_time, status, notes, staff_id].every(v => v === undefined)) {
+        return res.status(400).json({ success: false, message: 'No fields to update' });
+      }
+
+      const result = await updateSeriesOccurrences(tenantId, existing, scope, {
+        start_time, end_time, status, notes, staff_id,
+        timeZone: timeZone || await getSchedulingTimezone(tenantId, { staffId: existing.staff_id }),
+      });
+
+      return res.json({
+        success: true,
+        data: { series_id: existing.series_id, scope, updated_ids: result.updated, conflicts: result.conflicts },
+        message: result.conflicts.length > 0
+          ? `${result.updated.length} occurrence(s) updated — ${result.conflicts.length} skipped due to conflicts`
+          : `${result.updated.length} occurrence(s) updated`
+      });
+    }
+
+    // Moving the appointment must keep its rooms / equipment free
+    let resourceIds = null;
+    const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+    const movesTime = (start_time !== undefined && !sameInstant(start_time, existing.start_time)) ||
+      (end_time !== undefined && !sameInstant(end_time, existing.end_time));
+    if (movesTime && !['cancelled', 'completed', 'no_show'].includes(status || existing.status)) {
+      const { allocations, unavailable } = await allocateResources(tenantId, [{
+        service_id: existing.service_id,
+        start: start_time !== undefined ? start_time : existing.start_time,
+        end: end_time !== undefined ? end_time : existing.end_time,
+      }], {
+        branchId: await getStaffBranchId(tenantId, staff_id !== undefined ? staff_id : existing.staff_id),
+        excludeAppointmentIds: [existing.id],
+      });
+      if (unavailable.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `No ${unavailable[0].types.join(' / ')} available at this time`,
+          data: { unavailable_resources: unavailable[0].types }
+        });
+      }
+      resourceIds = allocations[0];
+    }
+
     // Build update query dynamically
     const updates = [];
     const params = [];
@@ -521,6 +1329,24 @@ router.patch('/:id', async (req, res) => {
       `UPDATE appointments SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`,
       params
     );
+    if (resourceIds) await reserveResources(tenantId, existing.id, resourceIds);
+
+    // Keep an audit trail of moves and status changes
+    if (movesTime || (status !== undefined && status !== existing.status)) {
+      try {
+        await recordAppointmentChange({
+          tenantId, appointmentId: existing.id,
+          action: movesTime ? 'rescheduled' : 'status_changed',
+          oldStart: existing.start_time, oldEnd: existing.end_time,
+          newStart: start_time !== undefined ? start_time : existing.start_time,
+          newEnd: end_time !== undefined ? end_time : existing.end_time,
+          oldStatus: existing.status, newStatus: status !== undefined ? status : existing.status,
+          changedByType: 'staff', changedBy: req.user?.id, source: 'staff_app',
+        });
+      } catch (historyError) {
+        console.warn('Could not record appointment history:', historyError.message);
+      }
+    }
 
     // Handle reminders based on changes
     try {
@@ -539,6 +1365,31 @@ router.patch('/:id', async (req, res) => {
       console.warn('Could not update reminders:', reminderError.message);
     }
 
+    // A cancellation frees the slot for the waitlist
+    if (status === 'cancelled' && existing.status !== 'cancelled') {
+      offerOpenedSlots(tenantId, [existing.id]);
+    }
+
+    // No-show / late-cancel policy: count it against the client and raise the fee
+    let attendanceFee = null;
+    if (status !== undefined && status !== existing.status) {
+      try {
+        const feeOptions = { staffId: req.user?.id || null, waiveFee: !!waive_fee };
+        if (status === 'no_show') {
+          attendanceFee = await applyAttendancePolicy(tenantId, [existing], 'no_show', feeOptions);
+        } else if (status === 'cancelled' && existing.status !== 'pending_payment' &&
+          isLateCancellation(await getAttendancePolicy(tenantId), existing.start_time)) {
+          attendanceFee = await applyAttendancePolicy(tenantId, [existing], 'late_cancel', feeOptions);
+        }
+        if (existing.status === 'no_show') await revertNoShow(tenantId, existing);
+      } catch (policyError) {
+        console.error('Could not apply attendance policy:', policyError);
+      }
+    }
+
+    runWorkflows(tenantId, 'appointment', existing.id, { before: existing, userId: req.user?.id || null });
+    emitUpdateEvents(tenantId, 'appointment', existing.id, existing.status);
+
     // Get updated appointment
     const [appointment] = await query(
       `SELECT a.*, 
@@ -575,11 +1426,21 @@ router.patch('/:id', async (req, res) => {
           const apt = appointment;
           if (!apt) return;
 
-          // Check if invoice already exists for this appointment
-          const [existingInv] = await query(
-            'SELECT id, invoice_number FROM invoices WHERE appointment_id = ? AND tenant_id = ?',
-            [id, tenantId]
-          );
+          // A visit shares one invoice across its service lines
+          const serviceLines = apt.visit_id
+            ? (await getVisitLines(tenantId, apt.visit_id)).filter(l => l.status !== 'cancelled' && l.status !== 'no_show')
+            : [apt];
+
+          // Check if invoice already exists for this appointment (or visit)
+          const [existingInv] = apt.visit_id
+            ? await query(
+              'SELECT id, invoice_number FROM invoices WHERE (appointment_id = ? OR visit_id = ?) AND tenant_id = ?',
+              [id, apt.visit_id, tenantId]
+            )
+            : await query(
+              'SELECT id, invoice_number FROM invoices WHERE appointment_id = ? AND tenant_id = ?',
+              [id, tenantId]
+            );
 
           let invoiceId, invoiceNumber;
 
@@ -596,8 +1457,8 @@ router.patch('/:id', async (req, res) => {
             invoiceNumber = `INV-${String(lastNum + 1).padStart(4, '0')}`;
 
             // Calculate totals
-            const basePrice   = parseFloat(apt.unit_price || 0);
-            const promoDisc   = parseFloat(apt.discount_amount || 0);
+            const basePrice   = serviceLines.reduce((sum, l) => sum + parseFloat(l.unit_price || 0), 0);
+            const promoDisc   = serviceLines.reduce((sum, l) => sum + parseFloat(l.discount_amount || 0), 0);
             const afterDisc   = basePrice - promoDisc;
             const taxRate     = 5;
             const taxAmount   = afterDisc * (taxRate / 100);
@@ -617,14 +1478,20 @@ router.patch('/:id', async (req, res) => {
               'sent', null, null, req.user?.id || null
             ]);
             invoiceId = invResult.insertId;
+            if (apt.visit_id) {
+              await execute('UPDATE invoices SET visit_id = ? WHERE id = ?', [apt.visit_id, invoiceId]);
+            }
 
-            // Add service line item
-            await execute(`
-              INSERT INTO invoice_items
-                (invoice_id, item_type, item_id, name, quantity, unit_price, total)
-              VALUES (?, 'service', ?, ?, 1, ?, ?)
-            `, [invoiceId, apt.service_id, apt.service_name || 'Service',
-                parseFloat(apt.unit_price || 0), parseFloat(apt.unit_price || 0)]);
+            // Add service line items
+            await ensureCommissionTables();
+            for (const line of serviceLines) {
+              await execute(`
+                INSERT INTO invoice_items
+                  (invoice_id, item_type, item_id, name, quantity, unit_price, total, staff_id)
+                VALUES (?, 'service', ?, ?, 1, ?, ?, ?)
+              `, [invoiceId, line.service_id, line.service_name || 'Service',
+                  parseFloat(line.unit_price || 0), parseFloat(line.unit_price || 0), line.staff_id || null]);
+            }
           }
 
           // Send payment QR email if customer has an email address
@@ -674,7 +1541,11 @@ router.patch('/:id', async (req, res) => {
       })();
     }
 
-    res.json({ success: true, data: appointment, message: 'Appointment updated successfully' });
+    res.json({
+      success: true,
+      data: attendanceFee ? { ...appointment, attendance_fee: attendanceFee } : appointment,
+      message: 'Appointment updated successfully'
+    });
   } catch (error) {
     console.error('Error updating appointment:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -687,12 +1558,17 @@ router.patch('/:id', async (req, res) => {
  * 
  * Body (all optional):
  *   payment_method: 'cash' | 'card' | 'bank_transfer' | 'gift_card' | 'other'
+ *   payments: [{ method, amount, reference, gift_card_code }] (split tender; replaces payment_method)
  *   discount_amount: number
  *   discount_type: 'fixed' | 'percentage'
  *   tax_rate: number (default 5)
  *   tip: number
+ *   tip_split: [{ staff_id, amount }] or [{ staff_id, percent }] (overrides the tenant's tip pooling)
  *   notes: string
  *   pay_now: boolean (if true, marks invoice as paid immediately)
+ *
+ * A deposit paid online when booking is credited on the invoice (deposit_amount)
+ * and recorded in the payment ledger; the balance is taken from the tenders.
  */
 router.post('/:id/checkout', async (req, res) => {
   try {
@@ -705,14 +1581,24 @@ router.post('/:id/checkout', async (req, res) => {
       discount_type = 'fixed',
       tax_rate = 5,
       tip = 0,
+      tip_split,
       notes,
+      reference,
+      payments,
       pay_now = true
     } = req.body;
 
+    const tipSplitError = await validateTipSplit(tenantId, tip_split, tip);
+    if (tipSplitError) return res.status(400).json({ success: false, message: tipSplitError });
+
     // Require gift card code when paying by gift card
     if (payment_method === 'gift_card' && !gift_card_code) {
       return res.status(400).json({ success: false, message: 'Gift card code is required for gift card payments' });
     }
+    if (pay_now && payments !== undefined) {
+      const checked = normalizeTenders(payments);
+      if (checked.error) return res.status(400).json({ success: false, message: checked.error });
+    }
 
     // 1. Get the appointment with full details
     const [apt] = await query(
@@ -732,13 +1618,22 @@ router.post('/:id/checkout', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Appointment not found' });
     }
 
-    if (apt.status === 'completed') {
-      // Already completed — check if invoice exists
-      const [existingInv] = await query(
-        'SELECT id, invoice_number, status, total FROM invoices WHERE appointment_id = ? AND tenant_id = ?',
-        [id, tenantId]
-      );
-      if (existingInv) {
+    // Multi-service visit: the whole visit is checked out on one invoice
+    let visitLines = null;
+    if (apt.visit_id) {
+      await ensureVisitTables();
+      visitLines = (await getVisitLines(tenantId, apt.visit_id))
+        .filter(l => l.status !== 'cancelled' && l.status !== 'no_show');
+    }
+    const invoiceLookup = apt.visit_id
+      ? ['(appointment_id = ? OR visit_id = ?) AND tenant_id = ?', [id, apt.visit_id, tenantId]]
+      : ['appointment_id = ? AND tenant_id = ?', [id, tenantId]];
+
+    const alreadyCompleted = apt.status === 'completed';
+    if (alreadyCompleted) {
+      // Already completed — done unless its invoice still has a balance to take now
+      const [existingInv] = await query(`SELECT * FROM invoices WHERE ${invoiceLookup[0]}`, invoiceLookup[1]);
+      if (existingInv && !(pay_now && existingInv.status !== 'void' && invoiceBalance(existingInv) > 0)) {
         return res.json({
           success: true,
           message: 'Appointment already checked out',
@@ -752,27 +1647,42 @@ router.post('/:id/checkout', async (req, res) => {
     }
 
     // 2. Mark appointment as completed and update end_time if completed early
+    // (payment_status follows the invoice once payment has been taken below)
     const now = new Date();
     const scheduledEndTime = new Date(apt.end_time);
     const actualEndTime = now < scheduledEndTime ? now : scheduledEndTime; // Use current time if earlier than scheduled
     
-    await execute(
-      `UPDATE appointments 
-       SET status = 'completed', 
-           customer_showed = 1, 
-           payment_status = ?,
-           end_time = ?
-       WHERE id = ? AND tenant_id = ?`,
-      [pay_now ? 'paid' : 'pending', toMySQLDateTime(actualEndTime.toISOString()), id, tenantId]
-    );
+    if (!alreadyCompleted) {
+      await execute(
+        `UPDATE appointments 
+         SET status = 'completed', 
+             customer_showed = 1, 
+             payment_status = 'pending',
+             end_time = ?
+         WHERE id = ? AND tenant_id = ?`,
+        [toMySQLDateTime(actualEndTime.toISOString()), id, tenantId]
+      );
+    }
+
+    // Complete the other lines of the visit along with this one
+    if (visitLines && !alreadyCompleted) {
+      await execute(
+        `UPDATE appointments
+         SET status = 'completed', customer_showed = 1, payment_status = 'pending'
+         WHERE tenant_id = ? AND visit_id = ? AND id != ? AND status NOT IN ('cancelled', 'no_show')`,
+        [tenantId, apt.visit_id, id]
+      );
+      await execute("UPDATE visits SET status = 'completed' WHERE id = ? AND tenant_id = ?", [apt.visit_id, tenantId]);
+    }
 
     // 3. Check if invoice already exists
     const [existingInvoice] = await query(
-      'SELECT id, invoice_number FROM invoices WHERE appointment_id = ? AND tenant_id = ?',
-      [id, tenantId]
+      `SELECT id, invoice_number, status FROM invoices WHERE ${invoiceLookup[0]}`,
+      invoiceLookup[1]
     );
 
     let invoiceId, invoiceNumber;
+    let tipShares = [];
 
     if (existingInvoice) {
       invoiceId = existingInvoice.id;
@@ -787,8 +1697,9 @@ router.post('/:id/checkout', async (req, res) => {
       invoiceNumber = `INV-${String(lastNum + 1).padStart(4, '0')}`;
 
       // 5. Calculate totals (include promo discount from booking if any)
-      const basePrice = parseFloat(apt.unit_price || 0);
-      const promoDiscount = parseFloat(apt.discount_amount || 0); // Already saved at booking time
+      const serviceLines = visitLines || [apt];
+      const basePrice = serviceLines.reduce((sum, l) => sum + parseFloat(l.unit_price || 0), 0);
+      const promoDiscount = serviceLines.reduce((sum, l) => sum + parseFloat(l.discount_amount || 0), 0); // Already saved at booking time
       const subtotal = basePrice + parseFloat(tip || 0);
       const checkoutDisc = discount_type === 'percentage' 
         ? subtotal * (parseFloat(discount_amount) / 100) 
@@ -797,69 +1708,136 @@ router.post('/:id/checkout', async (req, res) => {
       const afterDiscount = subtotal - disc;
       const taxAmount = afterDiscount * (parseFloat(tax_rate) / 100);
       const total = afterDiscount + taxAmount;
-      const amountPaid = pay_now ? total : 0;
+
+      // Deposits paid online at booking are credited against the total
+      await ensureDepositTables();
+      const deposits = await getDepositCredit(tenantId, serviceLines.map(l => l.id), apt.visit_id || null);
+      const depositCredit = Math.min(deposits.amount, Math.max(total, 0));
+      const settled = depositCredit > 0 && depositCredit >= total;
+      const invoiceStatus = settled ? 'paid' : depositCredit > 0 ? 'partially_paid' : 'sent';
 
       // 6. Create invoice
       const invResult = await execute(`
         INSERT INTO invoices (tenant_id, appointment_id, customer_id, staff_id,
           invoice_number, subtotal, discount_amount, discount_type, tax_rate, tax_amount,
-          total, amount_paid, currency, status, payment_method, paid_at, notes, created_by)
-        VALUES (?,?,?,?, ?,?,?,?,?,?, ?,?,?,?,?,?,?,?)
+          total, amount_paid, deposit_amount, currency, status, payment_method, paid_at, notes, created_by${apt.visit_id ? ', visit_id' : ''})
+        VALUES (?,?,?,?, ?,?,?,?,?,?, ?,?,?,?,?,?,?,?,?${apt.visit_id ? ',?' : ''})
       `, [
         tenantId, id, apt.customer_id, apt.staff_id,
         invoiceNumber, subtotal, disc, discount_type, tax_rate, taxAmount,
-        total, amountPaid, apt.currency || 'AED',
-        pay_now ? 'paid' : 'sent',
+        total, depositCredit, depositCredit, apt.currency || 'AED',
+        invoiceStatus,
         payment_method,
-        pay_now ? new Date().toISOString().slice(0, 19).replace('T', ' ') : null,
+        settled ? new Date().toISOString().slice(0, 19).replace('T', ' ') : null,
         notes || null,
-        req.user?.id || null
+        req.user?.id || null,
+        ...(apt.visit_id ? [apt.visit_id] : [])
       ]);
 
       invoiceId = invResult.insertId;
+      await markDepositsApplied(deposits.depositIds, invoiceId);
+      if (depositCredit > 0) {
+        await recordPayment({
+          tenantId,
+          invoiceId,
+          customerId: apt.customer_id,
+          method: 'deposit',
+          amount: depositCredit,
+          currency: apt.currency || 'AED',
+          reference: `Booking deposit #${deposits.depositIds.join(', #')}`,
+          details: { deposit_ids: deposits.depositIds },
+        });
+      }
 
-      // 7. Add line items
-      await execute(`
-        INSERT INTO invoice_items (invoice_id, item_type, item_id, name, quantity, unit_price, total)
-        VALUES (?, 'service', ?, ?, 1, ?, ?)
-      `, [invoiceId, apt.service_id, apt.service_name || 'Service', parseFloat(apt.unit_price || 0), parseFloat(apt.unit_price || 0)]);
+      // 7. Add line items (one per service line of the visit, credited to whoever performed it)
+      await ensureCommissionTables();
+      for (const line of serviceLines) {
+        await execute(`
+          INSERT INTO invoice_items (invoice_id, item_type, item_id, name, quantity, unit_price, total, staff_id)
+          VALUES (?, 'service', ?, ?, 1, ?, ?, ?)
+        `, [invoiceId, line.service_id, line.service_name || 'Service', parseFloat(line.unit_price || 0), parseFloat(line.unit_price || 0), line.staff_id || null]);
+      }
 
-      // Add tip as a separate line item if present
+      // Add tip as a separate line item if present, shared out under the tenant's tip pooling
       if (parseFloat(tip) > 0) {
-        await execute(`
-          INSERT INTO invoice_items (invoice_id, item_type, name, quantity, unit_price, total)
-          VALUES (?, 'custom', 'Tip', 1, ?, ?)
-        `, [invoiceId, parseFloat(tip), parseFloat(tip)]);
+        const tipItem = await execute(`
+          INSERT INTO invoice_items (invoice_id, item_type, name, quantity, unit_price, total, staff_id)
+          VALUES (?, 'custom', 'Tip', 1, ?, ?, ?)
+        `, [invoiceId, parseFloat(tip), parseFloat(tip), apt.staff_id || null]);
+        tipShares = (await allocateTip({
+          tenantId,
+          branchId: await getStaffBranchId(tenantId, apt.staff_id),
+          invoiceId,
+          invoiceItemId: tipItem.insertId,
+        }, parseFloat(tip), {
+          split: tip_split,
+          providerId: apt.staff_id,
+          lines: serviceLines.map(l => ({ staff_id: l.staff_id, value: parseFloat(l.unit_price || 0) })),
+          userId: req.user?.id || null,
+        })).shares;
       }
     }
 
-    // 8. If paying with gift card, redeem now
-    let giftCardResult = null;
-    if (payment_method === 'gift_card' && pay_now && gift_card_code) {
-      const [inv] = await query('SELECT total FROM invoices WHERE id = ?', [invoiceId]);
-      const redeemAmount = parseFloat(inv?.total || 0);
-      if (redeemAmount > 0) {
-        giftCardResult = await redeemGiftCard(tenantId, gift_card_code, redeemAmount, {
-          invoice_id: invoiceId,
-          created_by: req.user?.id
-        });
-        if (!giftCardResult.success) {
-          // Rollback: revert appointment & invoice to unpaid state
-          await execute("UPDATE appointments SET payment_status = 'pending' WHERE id = ? AND tenant_id = ?", [id, tenantId]);
-          await execute("UPDATE invoices SET status = 'sent', amount_paid = 0, paid_at = NULL WHERE id = ?", [invoiceId]);
-          return res.status(400).json({ success: false, message: giftCardResult.message });
+    // 8. Take payment for the balance (also when the invoice already existed). The invoice stays
+    // locked until it is recounted, so a payment taken elsewhere can't take the same balance.
+    let payment = null;
+    let paymentError = null;
+    const ledger = await withInvoiceLock(tenantId, invoiceId, async (inv, tx) => {
+      if (pay_now && inv && inv.status !== 'void') {
+        await openInvoiceLedger(inv, { locked: true });
+        const balance = invoiceBalance(inv);
+        if (balance > 0) {
+          const normalized = normalizeTenders(payments || [{ method: payment_method, amount: balance, reference, gift_card_code }]);
+          const settled = normalized.error ? normalized : settleTenders(normalized.tenders, balance);
+          const taken = settled.error ? settled : await takeTenders({
+            tenantId,
+            invoiceId,
+            branchId: inv.branch_id || null,
+            customerId: apt.customer_id,
+            currency: inv.currency,
+          }, settled.tenders, { userId: req.user?.id || null });
+          // On failure the appointment and invoice are left unpaid (apart from any deposit)
+          if (taken.error) paymentError = taken.error;
+          else payment = { payments: taken.payments, change_given: settled.change, gift_cards: taken.gift_cards };
         }
       }
+      return syncInvoicePayments(invoiceId, { db: tx });
+    });
+    if (visitLines) {
+      await execute(`UPDATE appointments SET payment_status = ? WHERE tenant_id = ? AND visit_id = ? AND id != ?
+        ${paymentError ? '' : "AND status = 'completed'"}`,
+        [appointmentPaymentStatus(ledger.status), tenantId, apt.visit_id, id]);
     }
 
-    // 9. Return result
+    // 9. Return result. The visit is completed and invoiced whether or not payment went through,
+    // so its events fire either way; a failed payment can be retried on this same checkout.
     const [invoice] = await query('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
 
+    for (const line of alreadyCompleted ? [] : visitLines || [apt]) {
+      runWorkflows(tenantId, 'appointment', line.id, { before: line, userId: req.user?.id || null });
+      emitUpdateEvents(tenantId, 'appointment', line.id, line.status);
+    }
+    if (!existingInvoice) {
+      runWorkflows(tenantId, 'invoice', invoiceId, { userId: req.user?.id || null });
+      emitWebhookEvent(tenantId, 'invoice.created', invoice);
+      if (invoice.status === 'paid') emitWebhookEvent(tenantId, 'invoice.paid', invoice);
+    } else {
+      emitUpdateEvents(tenantId, 'invoice', invoiceId, existingInvoice.status);
+    }
+
+    if (paymentError) {
+      return res.status(400).json({
+        success: false,
+        message: paymentError,
+        data: { appointment_id: parseInt(id), invoice_id: invoiceId, invoice_number: invoiceNumber, balance: ledger.balance }
+      });
+    }
+
     // Push notification
     notifyAppointment(
       tenantId,
       pay_now ? `Checkout Complete — ${invoiceNumber}` : `Invoice Created — ${invoiceNumber}`,
-      `Total: ${(invoice?.total || 0)} ${payment_method ? `via ${payment_method}` : ''}`.trim(),
+      `Total: ${(invoice?.total || 0)} ${invoice?.payment_method ? `via ${invoice.payment_method}` : ''}`.trim(),
       { appointment_id: parseInt(id), invoice_id: invoiceId }
     ).catch(() => {});
 
@@ -868,12 +1846,19 @@ router.post('/:id/checkout', async (req, res) => {
       message: pay_now ? 'Appointment checked out & paid' : 'Appointment completed — invoice created',
       data: {
         appointment_id: parseInt(id),
+        visit_id: apt.visit_id || null,
         invoice_id: invoiceId,
         invoice_number: invoiceNumber,
         total: invoice?.total || 0,
         status: invoice?.status || 'sent',
-        payment_method,
-        gift_card: giftCardResult
+        payment_method: invoice?.payment_method || payment_method,
+        amount_paid: ledger.amount_paid,
+        balance: ledger.balance,
+        deposit_credit: parseFloat(invoice?.deposit_amount || 0),
+        payments: payment?.payments || [],
+        change_given: payment?.change_given || 0,
+        gift_card: payment?.gift_cards[0] || null,
+        tip_shares: tipShares
       }
     });
   } catch (error) {
@@ -898,6 +1883,7 @@ router.delete('/:id', async (req, res) => {
       console.warn('Could not cancel reminders:', reminderError.message);
     }
 
+    const [appointment] = await query('SELECT * FROM appointments WHERE id = ? AND tenant_id = ?', [id, tenantId]);
     const result = await execute(
       'DELETE FROM appointments WHERE id = ? AND tenant_id = ?',
       [id, tenantId]
@@ -906,6 +1892,7 @@ router.delete('/:id', async (req, res) => {
     if (result.affectedRows === 0) {
       return res.status(404).json({ success: false, message: 'Appointment not found' });
     }
+    emitWebhookEvent(tenantId, 'appointment.deleted', appointment);
 
     res.json({ success: true, message: 'Appointment deleted successfully' });
   } catch (error) {
@@ -927,9 +1914,9 @@ router.get('/staff/:staff_id/availability', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Date required' });
     }
 
-    // Get day of week (0 = Sunday, 6 = Saturday)
-    const dateObj = new Date(date);
-    const dayOfWeek = dateObj.getDay();
+    // Get day of week (0 = Sunday, 6 = Saturday) — of the calendar date, not the server's zone
+    const dayOfWeek = dayOfWeekOf(date);
+    const timeZone = await getSchedulingTimezone(tenantId, { staffId: staff_id });
 
     // Check if staff has a day off on this date
     const [dayOff] = await query(
@@ -1047,21 +2034,20 @@ router.get('/staff/:staff_id/availability', async (req, res) => {
       }
     }
 
-    // Get all appointments for that day
-    const dayStart = new Date(date);
-    dayStart.setHours(0, 0, 0, 0);
-    
-    const dayEnd = new Date(date);
-    dayEnd.setHours(23, 59, 59, 999);
+    // Get all appointments overlapping that local day
+    const { start: dayStart, end: dayEnd } = zonedDayRange(date, timeZone);
 
-    const booked = await query(
-      `SELECT start_time, end_time FROM appointments
+    await ensureSegmentColumns();
+    const bookings = await query(
+      `SELECT start_time, end_time, segments FROM appointments
        WHERE tenant_id = ? AND staff_id = ? 
-       AND start_time >= ? AND start_time <= ?
+       AND start_time < ? AND end_time > ?
        AND status NOT IN ('cancelled', 'no_show', 'completed')
        ORDER BY start_time`,
-      [tenantId, staff_id, dayStart, dayEnd]
+      [tenantId, staff_id, toMySQLDateTime(dayEnd.toISOString()), toMySQLDateTime(dayStart.toISOString())]
     );
+    // Processing gaps inside a booking leave the staff member available
+    const booked = bookings.flatMap(b => getStaffBusyRanges(b.start_time, b.end_time, b.segments));
 
     // Generate 30-min slots based on working hours
     const slots = [];
@@ -1072,9 +2058,6 @@ router.get('/staff/:staff_id/availability', async (req, res) => {
     const endTotalMinutes = endHour * 60 + endMin;
 
     for (let totalMinutes = startTotalMinutes; totalMinutes < endTotalMinutes; totalMinutes += slotInterval) {
-      const hour = Math.floor(totalMinutes / 60);
-      const minute = totalMinutes % 60;
-
       // Skip if in break time
       if (breakStart && breakEnd) {
         const breakStartMinutes = breakStart.hour * 60 + breakStart.minute;
@@ -1084,14 +2067,9 @@ router.get('/staff/:staff_id/availability', async (req, res) => {
         }
       }
 
-      const slotTime = new Date(date);
-      slotTime.setHours(hour, minute, 0, 0);
+      const slotTime = zonedTimeToUtc(date, totalMinutes, timeZone);
       
-      const isBooked = booked.some(b => {
-        const startTime = new Date(b.start_time);
-        const endTime = new Date(b.end_time);
-        return slotTime >= startTime && slotTime < endTime;
-      });
+      const isBooked = booked.some(b => slotTime.getTime() >= b.start && slotTime.getTime() < b.end);
 
       slots.push({
         time: slotTime.toISOString(),
@@ -1104,6 +2082,7 @@ router.get('/staff/:staff_id/availability', async (req, res) => {
       success: true, 
       data: { 
         date, 
+        timezone: timeZone,
         slots,
         workingHours: {
           start: `${pad2(startHour)}:${pad2(startMin)}:00`,
@@ -1125,7 +2104,9 @@ router.get('/staff/:staff_id/availability', async (req, res) => {
 router.get('/dashboard/today', async (req, res) => {
   try {
     const tenantId = req.tenantId;
-    const today = new Date().toISOString().split('T')[0];
+    const timeZone = await getTenantTimezone(tenantId);
+    const today = todayInTimezone(timeZone);
+    const { start: dayStart, end: dayEnd } = zonedDayRange(today, timeZone);
 
     const appointments = await query(
       `SELECT a.*, 
@@ -1136,10 +2117,11 @@ router.get('/dashboard/today', async (req, res) => {
        LEFT JOIN contacts c ON a.customer_id = c.id
        LEFT JOIN staff s ON a.staff_id = s.id
        LEFT JOIN products p ON a.service_id = p.id
-       WHERE a.tenant_id = ? AND DATE(a.start_time) = ?
+       WHERE a.tenant_id = ? AND a.start_time >= ? AND a.start_time < ?
        ORDER BY a.start_time`,
-      [tenantId, today]
+      [tenantId, toMySQLDateTime(dayStart.toISOString()), toMySQLDateTime(dayEnd.toISOString())]
     );
+    for (const appt of appointments) appt.blocks = formatAppointmentBlocks(appt);
 
     const stats = {
       total: appointments.length,
@@ -1151,7 +2133,7 @@ router.get('/dashboard/today', async (req, res) => {
       no_show: appointments.filter(a => a.status === 'no_show').length,
     };
 
-    res.json({ success: true, data: { appointments, stats } });
+    res.json({ success: true, data: { date: today, timezone: timeZone, appointments, stats } });
   } catch (error) {
     console.error('Error fetching today appointments:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -1,6 +1,10 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { ensureConsentTables, getFullyOptedOutContactIds } from '../lib/consent.js';
+import {
+  ensureSegmentColumns, validateSegment, previewSegment, syncAudience, audienceCriteria, getSegmentOptions,
+} from '../lib/segments.js';
 
 const router = express.Router();
 
@@ -62,6 +66,8 @@ async function ensureTables() {
   // Add columns if missing
   try { await execute('ALTER TABLE audience_members ADD COLUMN tenant_id INT'); } catch(e) {}
   try { await execute('ALTER TABLE audience_members ADD COLUMN full_name VARCHAR(255)'); } catch(e) {}
+
+  await ensureSegmentColumns();
 }
 
 router.use(authMiddleware);
@@ -98,6 +104,28 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// ─── SEGMENT RULES ───────────────────────────────────────
+router.get('/segment-options', (req, res) => {
+  res.json({ success: true, data: getSegmentOptions() });
+});
+
+// Count the clients a criteria set matches, before saving it
+router.post('/preview', async (req, res) => {
+  try {
+    await ensureTables();
+    const { criteria, segment_type, sample_size } = req.body;
+    const rules = audienceCriteria({ criteria, segment_type });
+    const invalid = validateSegment(rules);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const preview = await previewSegment(req.tenantId, rules, { sampleSize: sample_size ?? 10 });
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('Preview audience error:', error);
+    res.status(500).json({ success: false, message: 'Failed to preview audience' });
+  }
+});
+
 // ─── LIST ────────────────────────────────────────────────
 router.get('/', async (req, res) => {
   try {
@@ -134,8 +162,10 @@ router.get('/:id', async (req, res) => {
     const [audience] = await query('SELECT * FROM audiences WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     if (!audience) return res.status(404).json({ success: false, message: 'Audience not found' });
 
+    await ensureConsentTables();
     const members = await query(
-      `SELECT am.*, c.first_name, c.last_name, c.email as contact_email, c.phone as contact_phone
+      `SELECT am.*, c.first_name, c.last_name, c.email as contact_email, c.phone as contact_phone,
+         c.email_consent, c.sms_consent, c.whatsapp_consent
        FROM audience_members am
        LEFT JOIN contacts c ON am.contact_id = c.id
        WHERE am.audience_id = ?
@@ -154,17 +184,21 @@ router.post('/', async (req, res) => {
   try {
     await ensureTables();
     const tenantId = req.tenantId;
-    const { name, description, type, segment_type, criteria, tags, color, icon } = req.body;
+    const { name, description, type, segment_type, criteria, tags, color, icon, refresh_hours } = req.body;
 
     if (!name) return res.status(400).json({ success: false, message: 'Audience name required' });
+    if (criteria) {
+      const invalid = validateSegment(criteria);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+    }
 
     const result = await execute(
-      `INSERT INTO audiences (tenant_id, name, description, type, segment_type, criteria, tags, color, icon, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO audiences (tenant_id, name, description, type, segment_type, criteria, tags, color, icon, refresh_hours, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [tenantId, name, description || null, type || 'static', segment_type || 'custom',
        criteria ? JSON.stringify(criteria) : null,
        tags ? JSON.stringify(tags) : null,
-       color || null, icon || null, req.user?.id]
+       color || null, icon || null, Math.max(1, parseInt(refresh_hours) || 24), req.user?.id]
     );
     res.json({ success: true, message: 'Audience created', data: { id: result.insertId } });
   } catch (error) {
@@ -176,9 +210,14 @@ router.post('/', async (req, res) => {
 // ─── UPDATE ──────────────────────────────────────────────
 router.patch('/:id', async (req, res) => {
   try {
-    const fields = ['name', 'description', 'type', 'segment_type', 'criteria', 'tags', 'color', 'icon', 'is_active'];
+    await ensureTables();
+    const fields = ['name', 'description', 'type', 'segment_type', 'criteria', 'tags', 'color', 'icon', 'is_active', 'refresh_hours'];
     const updates = [];
     const params = [];
+    if (req.body.criteria) {
+      const invalid = validateSegment(req.body.criteria);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+    }
 
     for (const f of fields) {
       if (req.body[f] !== undefined) {
@@ -186,6 +225,7 @@ router.patch('/:id', async (req, res) => {
         let value = req.body[f];
         if (f === 'is_active') value = value ? 1 : 0;
         if (f === 'criteria' || f === 'tags') value = value ? JSON.stringify(value) : null;
+        if (f === 'refresh_hours') value = Math.max(1, parseInt(value) || 24);
         params.push(value);
       }
     }
@@ -207,8 +247,12 @@ router.post('/:id/members', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Members array required' });
     }
 
+    // Clients who opted out of every channel can't be reached by any campaign
+    const optedOut = await getFullyOptedOutContactIds(req.tenantId);
     let added = 0;
+    let skipped = 0;
     for (const member of members) {
+      if (member.contact_id && optedOut.has(Number(member.contact_id))) { skipped++; continue; }
       try {
         await execute(
           'INSERT INTO audience_members (audience_id, tenant_id, contact_id, lead_id, email, phone, full_name) VALUES (?, ?, ?, ?, ?, ?, ?)',
@@ -223,7 +267,11 @@ router.post('/:id/members', async (req, res) => {
       [req.params.id, 'active', req.params.id]
     );
 
-    res.json({ success: true, message: `${added} members added`, data: { added } });
+    res.json({
+      success: true,
+      message: `${added} members added${skipped ? `, ${skipped} opted out of marketing` : ''}`,
+      data: { added, skipped },
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to add members' });
   }
@@ -243,66 +291,22 @@ router.delete('/:id/members/:memberId', async (req, res) => {
   }
 });
 
-// ─── SMART SYNC (Auto-populate from contacts) ────────────
+// ─── SYNC (Populate from criteria) ───────────────────────
+// Adds matching clients and removes those that no longer match
 router.post('/:id/sync', async (req, res) => {
   try {
+    await ensureTables();
     const [audience] = await query('SELECT * FROM audiences WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     if (!audience) return res.status(404).json({ success: false, message: 'Audience not found' });
+    const invalid = validateSegment(audienceCriteria(audience));
+    if (invalid) return res.status(400).json({ success: false, message: `Saved criteria are invalid: ${invalid}` });
 
-    const tenantId = req.tenantId;
-    let contacts = [];
-    const segType = audience.segment_type;
-
-    // Smart segmentation queries
-    if (segType === 'all_clients') {
-      contacts = await query('SELECT id, first_name, last_name, email, phone FROM contacts WHERE tenant_id = ?', [tenantId]);
-    } else if (segType === 'new_clients') {
-      contacts = await query('SELECT id, first_name, last_name, email, phone FROM contacts WHERE tenant_id = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)', [tenantId]);
-    } else if (segType === 'vip_clients') {
-      contacts = await query(`
-        SELECT c.id, c.first_name, c.last_name, c.email, c.phone
-        FROM contacts c
-        INNER JOIN invoices i ON c.id = i.customer_id AND i.tenant_id = ?
-        WHERE c.tenant_id = ?
-        GROUP BY c.id HAVING SUM(i.total) > 1000
-      `, [tenantId, tenantId]);
-    } else if (segType === 'inactive_clients') {
-      contacts = await query(`
-        SELECT c.id, c.first_name, c.last_name, c.email, c.phone FROM contacts c
-        WHERE c.tenant_id = ? AND c.id NOT IN (
-          SELECT DISTINCT customer_id FROM appointments WHERE tenant_id = ? AND date >= DATE_SUB(NOW(), INTERVAL 60 DAY)
-        )
-      `, [tenantId, tenantId]);
-    } else if (segType === 'birthday_month') {
-      contacts = await query(`
-        SELECT id, first_name, last_name, email, phone FROM contacts
-        WHERE tenant_id = ? AND MONTH(date_of_birth) = MONTH(NOW())
-      `, [tenantId]);
-    } else {
-      // Custom criteria
-      contacts = await query('SELECT id, first_name, last_name, email, phone FROM contacts WHERE tenant_id = ?', [tenantId]);
-    }
-
-    // Clear existing members and re-populate
-    await execute('DELETE FROM audience_members WHERE audience_id = ?', [req.params.id]);
-
-    let added = 0;
-    for (const c of contacts) {
-      try {
-        await execute(
-          'INSERT INTO audience_members (audience_id, tenant_id, contact_id, email, phone, full_name) VALUES (?, ?, ?, ?, ?, ?)',
-          [req.params.id, tenantId, c.id, c.email, c.phone, `${c.first_name || ''} ${c.last_name || ''}`.trim()]
-        );
-        added++;
-      } catch (e) {}
-    }
-
-    await execute(
-      'UPDATE audiences SET member_count = ?, last_synced_at = NOW() WHERE id = ?',
-      [added, req.params.id]
-    );
-
-    res.json({ success: true, message: `Audience synced: ${added} members`, data: { synced: added } });
+    const result = await syncAudience(audience);
+    res.json({
+      success: true,
+      message: `Audience synced: ${result.total} members (${result.added} added, ${result.removed} removed)`,
+      data: { synced: result.total, ...result },
+    });
   } catch (error) {
     console.error('Sync audience error:', error);
     res.status(500).json({ success: false, message: 'Failed to sync audience' });
@@ -0,0 +1,44 @@
+import express from 'express';
+import { config } from '../config.js';
+import { TRACKING_PIXEL, parseRecipientToken, recordTrackingEvent, getLinkUrl } from '../lib/campaign-tracking.js';
+
+/**
+ * Public endpoints hit from campaign emails — no auth, the recipient token is signed
+ */
+const router = express.Router();
+
+const hitDetails = (req) => ({ userAgent: req.get('user-agent') || null, ip: req.ip || null });
+
+// ── Open pixel (always answers with the image) ──
+router.get('/o/:token.gif', async (req, res) => {
+  try {
+    const recipientId = parseRecipientToken(req.params.token);
+    if (recipientId) await recordTrackingEvent(recipientId, 'open', hitDetails(req));
+  } catch (error) {
+    console.error('Campaign open tracking error:', error.message);
+  }
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+  });
+  res.end(TRACKING_PIXEL);
+});
+
+// ── Link redirect ──
+router.get('/c/:token/:linkId', async (req, res) => {
+  try {
+    const recipientId = parseRecipientToken(req.params.token);
+    const url = recipientId ? await getLinkUrl(recipientId, req.params.linkId) : null;
+    if (!url) return res.redirect(302, config.frontendUrl);
+
+    await recordTrackingEvent(recipientId, 'click', { ...hitDetails(req), linkId: parseInt(req.params.linkId, 10) })
+      .catch(err => console.error('Campaign click tracking error:', err.message));
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('Campaign link redirect error:', error);
+    res.redirect(302, config.frontendUrl);
+  }
+});
+
+export default router;
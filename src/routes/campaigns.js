@@ -1,6 +1,16 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import {
+  ensureCampaignDeliveryTables, validateCampaignForSend, startCampaignSend, sendCampaignBatch,
+  refreshCampaignStats, getAbTestResults, describeSchedule, RECIPIENT_STATUSES,
+} from '../lib/campaign-delivery.js';
+import { getCampaignEngagement, isTrackingEnabled } from '../lib/campaign-tracking.js';
+import { getTenantTimezone, parseDateTimeInTimezone } from '../lib/timezone.js';
+import {
+  ensureAutomationTables, validateAutomation, getAutomationStats,
+  AUTOMATION_TRIGGERS, AUTOMATION_ACTIONS, TRIGGER_DEFAULTS, SEND_STATUSES,
+} from '../lib/automations.js';
 
 const router = express.Router();
 
@@ -70,53 +80,11 @@ async function ensureTables() {
     } catch(e) {}
   }
 
-  // Campaign recipients tracking
-  await execute(`
-    CREATE TABLE IF NOT EXISTS campaign_recipients (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      campaign_id INT NOT NULL,
-      tenant_id INT,
-      contact_id INT,
-      email VARCHAR(255),
-      phone VARCHAR(50),
-      full_name VARCHAR(255),
-      status VARCHAR(30) DEFAULT 'pending',
-      sent_at DATETIME,
-      opened_at DATETIME,
-      clicked_at DATETIME,
-      converted_at DATETIME,
-      error_message TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      INDEX idx_campaign (campaign_id),
-      INDEX idx_tenant (tenant_id)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
+  // Campaign recipients and delivery columns
+  await ensureCampaignDeliveryTables();
 
-  // Automation rules
-  await execute(`
-    CREATE TABLE IF NOT EXISTS marketing_automations (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      tenant_id INT,
-      name VARCHAR(255) NOT NULL,
-      description TEXT,
-      trigger_type VARCHAR(50) NOT NULL,
-      trigger_config JSON,
-      action_type VARCHAR(50) NOT NULL DEFAULT 'send_email',
-      action_config JSON,
-      template_id INT,
-      delay_minutes INT DEFAULT 0,
-      is_active TINYINT(1) DEFAULT 1,
-      total_triggered INT DEFAULT 0,
-      total_successful INT DEFAULT 0,
-      last_triggered_at DATETIME,
-      created_by INT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      INDEX idx_tenant (tenant_id),
-      INDEX idx_trigger (trigger_type),
-      INDEX idx_active (is_active)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
+  // Automation rules and their send log
+  await ensureAutomationTables();
 }
 
 router.use(authMiddleware);
@@ -133,12 +101,20 @@ router.get('/stats', async (req, res) => {
     const [completedRow] = await query("SELECT COUNT(*) as count FROM campaigns WHERE tenant_id = ? AND status = 'completed'", [tenantId]);
     const [sentRow] = await query('SELECT COALESCE(SUM(total_sent), 0) as total FROM campaigns WHERE tenant_id = ?', [tenantId]);
     const [openedRow] = await query('SELECT COALESCE(SUM(total_opened), 0) as total FROM campaigns WHERE tenant_id = ?', [tenantId]);
+    const [clickedRow] = await query('SELECT COALESCE(SUM(total_clicked), 0) as total FROM campaigns WHERE tenant_id = ?', [tenantId]);
     const [revenueRow] = await query('SELECT COALESCE(SUM(revenue_generated), 0) as total FROM campaigns WHERE tenant_id = ?', [tenantId]);
 
     const byType = await query('SELECT type, COUNT(*) as count FROM campaigns WHERE tenant_id = ? GROUP BY type', [tenantId]);
     const byCampaignType = await query('SELECT campaign_type, COUNT(*) as count FROM campaigns WHERE tenant_id = ? GROUP BY campaign_type', [tenantId]);
 
+    const byDevice = await query(
+      `SELECT device_type, SUM(event_type = 'open') as opens, SUM(event_type = 'click') as clicks
+       FROM campaign_tracking_events WHERE tenant_id = ? GROUP BY device_type ORDER BY COUNT(*) DESC`,
+      [tenantId]
+    );
+
     const avgOpenRate = sentRow?.total > 0 ? ((openedRow?.total / sentRow?.total) * 100).toFixed(1) : 0;
+    const avgClickRate = sentRow?.total > 0 ? ((clickedRow?.total / sentRow?.total) * 100).toFixed(1) : 0;
 
     res.json({
       success: true,
@@ -149,7 +125,11 @@ router.get('/stats', async (req, res) => {
         completed: completedRow?.count || 0,
         total_sent: sentRow?.total || 0,
         total_opened: openedRow?.total || 0,
+        total_clicked: clickedRow?.total || 0,
         avg_open_rate: parseFloat(avgOpenRate),
+        avg_click_rate: parseFloat(avgClickRate),
+        by_device: byDevice,
+        tracking_enabled: await isTrackingEnabled(tenantId),
         total_revenue: revenueRow?.total || 0,
         by_type: byType,
         by_campaign_type: byCampaignType
@@ -231,7 +211,10 @@ router.get('/:id', async (req, res) => {
       ORDER BY cr.created_at DESC LIMIT 50
     `, [req.params.id, req.tenantId]);
 
-    res.json({ success: true, data: { ...campaign, recipient_stats: recipientStats, recipients } });
+    const engagement = await getCampaignEngagement(campaign.id);
+    const abTest = await getAbTestResults(campaign);
+
+    res.json({ success: true, data: { ...campaign, recipient_stats: recipientStats, engagement, ab_test: abTest, recipients } });
   } catch (error) {
     console.error('Get campaign error:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch campaign' });
@@ -250,6 +233,10 @@ router.post('/', async (req, res) => {
 
     const cleanDate = (d) => d && d.trim && d.trim() !== '' ? d : null;
     const cleanNum = (n) => n && n !== '' ? parseFloat(n) : null;
+    // The cron runner compares scheduled_at in UTC
+    const scheduledAt = cleanDate(scheduled_at)
+      ? (await describeSchedule(tenantId, parseDateTimeInTimezone(scheduled_at, await getTenantTimezone(tenantId)))).scheduled_at
+      : null;
 
     const result = await execute(
       `INSERT INTO campaigns (tenant_id, branch_id, name, type, campaign_type, status, subject, content, template_id, audience_id,
@@ -257,7 +244,7 @@ router.post('/', async (req, res) => {
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [tenantId, branch_id || null, name, type || 'email', campaign_type || 'promotional', status || 'draft',
        subject || null, content || null, template_id || null, audience_id || null,
-       cleanDate(start_date), cleanDate(end_date), cleanDate(scheduled_at), cleanNum(budget),
+       cleanDate(start_date), cleanDate(end_date), scheduledAt, cleanNum(budget),
        target_audience ? JSON.stringify(target_audience) : null, description || null,
        tags ? JSON.stringify(tags) : null, settings ? JSON.stringify(settings) : null,
        req.user?.id, req.user?.id]
@@ -274,7 +261,8 @@ router.post('/', async (req, res) => {
 router.patch('/:id', async (req, res) => {
   try {
     const dateFields = ['start_date', 'end_date', 'scheduled_at'];
-    const numericFields = ['budget', 'actual_cost', 'total_sent', 'total_opened', 'total_clicked', 'total_converted', 'revenue_generated', 'total_recipients', 'total_delivered', 'total_unsubscribed', 'total_bounced'];
+    // Delivery totals are counted from campaign_recipients and can't be set by hand
+    const numericFields = ['budget', 'actual_cost', 'total_converted', 'revenue_generated'];
     const jsonFields = ['target_audience', 'tags', 'settings'];
     const fields = ['name', 'type', 'campaign_type', 'status', 'subject', 'content', 'template_id', 'audience_id', 'branch_id',
       ...dateFields, ...numericFields, ...jsonFields, 'description'];
@@ -286,6 +274,9 @@ router.patch('/:id', async (req, res) => {
         updates.push(`${f} = ?`);
         let value = req.body[f];
         if (dateFields.includes(f) && (!value || (typeof value === 'string' && value.trim() === ''))) value = null;
+        if (f === 'scheduled_at' && value) {
+          value = (await describeSchedule(req.tenantId, parseDateTimeInTimezone(value, await getTenantTimezone(req.tenantId)))).scheduled_at;
+        }
         if (numericFields.includes(f) && (value === '' || value === null)) value = null;
         else if (numericFields.includes(f) && value) value = parseFloat(value);
         if (jsonFields.includes(f) && value) value = typeof value === 'string' ? value : JSON.stringify(value);
@@ -303,70 +294,132 @@ router.patch('/:id', async (req, res) => {
   }
 });
 
-// ─── SEND / SCHEDULE ─────────────────────────────────────
+// ─── SEND ────────────────────────────────────────────────
+// Queues every recipient; the batches go out in the background
 router.post('/:id/send', async (req, res) => {
   try {
     await ensureTables();
     const tenantId = req.tenantId;
     const [campaign] = await query('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', [req.params.id, tenantId]);
     if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+    if (!['draft', 'scheduled'].includes(campaign.status || 'draft')) {
+      return res.status(409).json({ success: false, message: `Campaign is already ${campaign.status}` });
+    }
+    const problem = await validateCampaignForSend(campaign);
+    if (problem) return res.status(400).json({ success: false, message: problem });
 
-    // Get audience contacts
-    let contacts = [];
-    if (campaign.audience_id) {
-      contacts = await query(`
-        SELECT am.contact_id, am.email, am.phone, c.first_name, c.last_name, c.email as contact_email, c.phone as contact_phone
-        FROM audience_members am
-        LEFT JOIN contacts c ON am.contact_id = c.id
-        WHERE am.audience_id = ? AND am.status = 'active'
-      `, [campaign.audience_id]);
-    } else {
-      // All active contacts
-      contacts = await query('SELECT id as contact_id, first_name, last_name, email, phone FROM contacts WHERE tenant_id = ? LIMIT 1000', [tenantId]);
+    const { recipients, ab_test } = await startCampaignSend(campaign);
+    if (!recipients) {
+      return res.status(400).json({ success: false, message: `No recipients with ${campaign.type === 'sms' ? 'a phone number' : 'an email address'}` });
     }
 
-    // Alter campaigns status to VARCHAR if it's still ENUM
-    try { await execute("ALTER TABLE campaigns MODIFY COLUMN status VARCHAR(30) DEFAULT 'draft'"); } catch (e) {}
-
-    // Create recipient records
-    let recipientCount = 0;
-    for (const contact of contacts) {
-      try {
-        const email = contact.email || contact.contact_email || null;
-        const phone = contact.phone || contact.contact_phone || null;
-        const fullName = `${contact.first_name || ''} ${contact.last_name || ''}`.trim() || null;
-        await execute(
-          `INSERT INTO campaign_recipients (campaign_id, tenant_id, contact_id, email, phone, full_name, status)
-           VALUES (?, ?, ?, ?, ?, ?, 'sent')`,
-          [req.params.id, tenantId, contact.contact_id || null, email, phone, fullName]
-        );
-        recipientCount++;
-      } catch (e) {
-        // skip failed inserts
-      }
+    res.json({
+      success: true,
+      message: ab_test
+        ? `A/B test sending to ${ab_test.sample} of ${recipients} recipients; the winner goes to the rest`
+        : `Campaign queued for ${recipients} recipients`,
+      data: { recipients, ab_test },
+    });
+  } catch (error) {
+    console.error('Send campaign error:', error.message, error.sql || '');
+    res.status(500).json({ success: false, message: 'Failed to send campaign' });
+  }
+});
+
+// ─── SCHEDULE ────────────────────────────────────────────
+// scheduled_at is read in the business's timezone unless it carries an offset
+router.post('/:id/schedule', async (req, res) => {
+  try {
+    await ensureTables();
+    const tenantId = req.tenantId;
+    const [campaign] = await query('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', [req.params.id, tenantId]);
+    if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+    if (!['draft', 'scheduled'].includes(campaign.status || 'draft')) {
+      return res.status(409).json({ success: false, message: `Campaign is already ${campaign.status}` });
+    }
+
+    const when = req.body.scheduled_at ? parseDateTimeInTimezone(req.body.scheduled_at, await getTenantTimezone(tenantId)) : null;
+    if (!when || Number.isNaN(when.getTime())) {
+      return res.status(400).json({ success: false, message: 'scheduled_at must be a date and time' });
     }
+    if (when <= new Date()) return res.status(400).json({ success: false, message: 'scheduled_at must be in the future' });
+    const problem = await validateCampaignForSend(campaign);
+    if (problem) return res.status(400).json({ success: false, message: problem });
 
-    // Update campaign status & stats
+    const schedule = await describeSchedule(tenantId, when);
     await execute(
-      "UPDATE campaigns SET status = 'running', total_recipients = ?, total_sent = ?, sent_at = NOW() WHERE id = ? AND tenant_id = ?",
-      [recipientCount, recipientCount, req.params.id, tenantId]
+      "UPDATE campaigns SET status = 'scheduled', scheduled_at = ? WHERE id = ? AND tenant_id = ?",
+      [schedule.scheduled_at, campaign.id, tenantId]
+    );
+    res.json({ success: true, message: `Campaign scheduled for ${schedule.local}`, data: schedule });
+  } catch (error) {
+    console.error('Schedule campaign error:', error);
+    res.status(500).json({ success: false, message: 'Failed to schedule campaign' });
+  }
+});
+
+// Cancels a scheduled send; the campaign goes back to draft
+router.post('/:id/unschedule', async (req, res) => {
+  try {
+    await ensureTables();
+    const result = await execute(
+      "UPDATE campaigns SET status = 'draft', scheduled_at = NULL WHERE id = ? AND tenant_id = ? AND status = 'scheduled'",
+      [req.params.id, req.tenantId]
     );
+    if (!result.affectedRows) {
+      const [campaign] = await query('SELECT status FROM campaigns WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+      if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+      return res.status(409).json({ success: false, message: `Campaign is ${campaign.status}, not scheduled` });
+    }
+    res.json({ success: true, message: 'Scheduled send cancelled' });
+  } catch (error) {
+    console.error('Unschedule campaign error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel scheduled send' });
+  }
+});
 
-    res.json({ success: true, message: `Campaign sent to ${recipientCount} recipients`, data: { recipients: recipientCount } });
+// ─── RECIPIENTS ──────────────────────────────────────────
+router.get('/:id/recipients', async (req, res) => {
+  try {
+    await ensureTables();
+    const { status, page = 1, limit = 50 } = req.query;
+    const pg = Math.max(1, parseInt(page) || 1);
+    const lm = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    let where = 'WHERE campaign_id = ? AND tenant_id = ?';
+    const params = [req.params.id, req.tenantId];
+    if (status && RECIPIENT_STATUSES.includes(status)) { where += ' AND status = ?'; params.push(status); }
+
+    const [{ total }] = await query(`SELECT COUNT(*) as total FROM campaign_recipients ${where}`, params);
+    const recipients = await query(
+      `SELECT id, contact_id, email, phone, full_name, status, sent_at, bounced_at, opened_at, clicked_at,
+         open_count, click_count, device_type, user_agent, converted_at, error_message, created_at
+       FROM campaign_recipients ${where}
+       ORDER BY id LIMIT ${lm} OFFSET ${(pg - 1) * lm}`,
+      params
+    );
+    res.json({ success: true, data: recipients, pagination: { page: pg, limit: lm, total, totalPages: Math.ceil(total / lm) } });
   } catch (error) {
-    console.error('Send campaign error:', error.message, error.sql || '');
-    res.status(500).json({ success: false, message: 'Failed to send campaign' });
+    console.error('Get campaign recipients error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch recipients' });
   }
 });
 
 // ─── PAUSE / RESUME ──────────────────────────────────────
+// Pausing stops the current batch before its next message
 router.post('/:id/pause', async (req, res) => {
   try {
-    const [campaign] = await query('SELECT status FROM campaigns WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    await ensureTables();
+    const [campaign] = await query('SELECT id, status FROM campaigns WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+    if (!['running', 'paused'].includes(campaign.status)) {
+      return res.status(400).json({ success: false, message: 'Only a sending campaign can be paused or resumed' });
+    }
 
     const newStatus = campaign.status === 'paused' ? 'running' : 'paused';
     await execute('UPDATE campaigns SET status = ? WHERE id = ? AND tenant_id = ?', [newStatus, req.params.id, req.tenantId]);
+    if (newStatus === 'running') {
+      sendCampaignBatch(campaign.id).catch(err => console.error('[Campaigns] Resume batch failed:', err.message));
+    }
     res.json({ success: true, message: `Campaign ${newStatus}` });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to update campaign status' });
@@ -374,9 +427,22 @@ router.post('/:id/pause', async (req, res) => {
 });
 
 // ─── COMPLETE ────────────────────────────────────────────
+// Ends the campaign; recipients still queued or held back by an A/B test are not sent
 router.post('/:id/complete', async (req, res) => {
   try {
-    await execute("UPDATE campaigns SET status = 'completed', end_date = NOW() WHERE id = ? AND tenant_id = ?", [req.params.id, req.tenantId]);
+    await ensureTables();
+    const result = await execute(
+      `UPDATE campaigns SET status = 'completed', end_date = NOW(),
+         ab_status = IF(ab_status = 'testing', 'cancelled', ab_status)
+       WHERE id = ? AND tenant_id = ?`,
+      [req.params.id, req.tenantId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Campaign not found' });
+    await execute(
+      "UPDATE campaign_recipients SET status = 'cancelled', batch_token = NULL WHERE campaign_id = ? AND tenant_id = ? AND status IN ('queued', 'held')",
+      [req.params.id, req.tenantId]
+    );
+    await refreshCampaignStats(req.params.id);
     res.json({ success: true, message: 'Campaign completed' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to complete campaign' });
@@ -417,6 +483,10 @@ router.get('/automations/stats', async (req, res) => {
     const [activeRow] = await query('SELECT COUNT(*) as count FROM marketing_automations WHERE tenant_id = ? AND is_active = 1', [tenantId]);
     const [triggeredRow] = await query('SELECT COALESCE(SUM(total_triggered), 0) as total FROM marketing_automations WHERE tenant_id = ?', [tenantId]);
     const [successRow] = await query('SELECT COALESCE(SUM(total_successful), 0) as total FROM marketing_automations WHERE tenant_id = ?', [tenantId]);
+    const [otherRow] = await query(
+      'SELECT COALESCE(SUM(total_failed), 0) as failed, COALESCE(SUM(total_skipped), 0) as skipped FROM marketing_automations WHERE tenant_id = ?',
+      [tenantId]
+    );
 
     res.json({
       success: true,
@@ -424,7 +494,9 @@ router.get('/automations/stats', async (req, res) => {
         total: totalRow?.count || 0,
         active: activeRow?.count || 0,
         total_triggered: triggeredRow?.total || 0,
-        total_successful: successRow?.total || 0
+        total_successful: successRow?.total || 0,
+        total_failed: otherRow?.failed || 0,
+        total_skipped: otherRow?.skipped || 0
       }
     });
   } catch (error) {
@@ -432,20 +504,30 @@ router.get('/automations/stats', async (req, res) => {
   }
 });
 
+// Triggers the automation runner understands, with their default settings
+router.get('/automations/triggers', async (req, res) => {
+  res.json({ success: true, data: { triggers: AUTOMATION_TRIGGERS, actions: Object.keys(AUTOMATION_ACTIONS), defaults: TRIGGER_DEFAULTS } });
+});
+
 router.post('/automations', async (req, res) => {
   try {
     await ensureTables();
-    const { name, description, trigger_type, trigger_config, action_type, action_config, template_id, delay_minutes, is_active } = req.body;
+    const { name, description, trigger_type, trigger_config, action_type, action_config, template_id, delay_minutes, is_active,
+      frequency_cap, frequency_days } = req.body;
     if (!name || !trigger_type) return res.status(400).json({ success: false, message: 'Name and trigger type required' });
+    const invalid = validateAutomation(req.body);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
 
     const result = await execute(
-      `INSERT INTO marketing_automations (tenant_id, name, description, trigger_type, trigger_config, action_type, action_config, template_id, delay_minutes, is_active, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO marketing_automations (tenant_id, name, description, trigger_type, trigger_config, action_type, action_config, template_id, delay_minutes, is_active,
+         frequency_cap, frequency_days, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [req.tenantId, name, description || null, trigger_type,
        trigger_config ? JSON.stringify(trigger_config) : null,
        action_type || 'send_email',
        action_config ? JSON.stringify(action_config) : null,
-       template_id || null, delay_minutes || 0, is_active !== false ? 1 : 0, req.user?.id]
+       template_id || null, delay_minutes || 0, is_active !== false ? 1 : 0,
+       frequency_cap || null, frequency_days || null, req.user?.id]
     );
     res.json({ success: true, message: 'Automation created', data: { id: result.insertId } });
   } catch (error) {
@@ -456,7 +538,11 @@ router.post('/automations', async (req, res) => {
 
 router.patch('/automations/:id', async (req, res) => {
   try {
-    const fields = ['name', 'description', 'trigger_type', 'trigger_config', 'action_type', 'action_config', 'template_id', 'delay_minutes', 'is_active'];
+    await ensureTables();
+    const invalid = validateAutomation(req.body);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+    const fields = ['name', 'description', 'trigger_type', 'trigger_config', 'action_type', 'action_config', 'template_id', 'delay_minutes', 'is_active',
+      'frequency_cap', 'frequency_days'];
     const updates = [];
     const params = [];
 
@@ -465,6 +551,7 @@ router.patch('/automations/:id', async (req, res) => {
         updates.push(`${f} = ?`);
         let value = req.body[f];
         if (f === 'is_active') value = value ? 1 : 0;
+        if (['frequency_cap', 'frequency_days'].includes(f)) value = value ? parseInt(value, 10) : null;
         if (['trigger_config', 'action_config'].includes(f)) value = value ? JSON.stringify(value) : null;
         params.push(value);
       }
@@ -492,8 +579,58 @@ router.post('/automations/:id/toggle', async (req, res) => {
   }
 });
 
+// Sends by status and skip reason, daily sends and discount code redemptions
+router.get('/automations/:id/stats', async (req, res) => {
+  try {
+    await ensureTables();
+    const [automation] = await query('SELECT * FROM marketing_automations WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!automation) return res.status(404).json({ success: false, message: 'Automation not found' });
+
+    const stats = await getAutomationStats(automation.id);
+    res.json({
+      success: true,
+      data: {
+        total_triggered: automation.total_triggered || 0,
+        total_successful: automation.total_successful || 0,
+        last_triggered_at: automation.last_triggered_at,
+        ...stats,
+      },
+    });
+  } catch (error) {
+    console.error('Automation stats error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch automation stats' });
+  }
+});
+
+router.get('/automations/:id/sends', async (req, res) => {
+  try {
+    await ensureTables();
+    const { status, page = 1, limit = 50 } = req.query;
+    const pg = Math.max(1, parseInt(page) || 1);
+    const lm = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    let where = 'WHERE s.automation_id = ? AND s.tenant_id = ?';
+    const params = [req.params.id, req.tenantId];
+    if (status && SEND_STATUSES.includes(status)) { where += ' AND s.status = ?'; params.push(status); }
+
+    const [{ total }] = await query(`SELECT COUNT(*) as total FROM automation_sends s ${where}`, params);
+    const sends = await query(
+      `SELECT s.*, c.first_name, c.last_name
+       FROM automation_sends s LEFT JOIN contacts c ON c.id = s.contact_id
+       ${where}
+       ORDER BY s.id DESC LIMIT ${lm} OFFSET ${(pg - 1) * lm}`,
+      params
+    );
+    res.json({ success: true, data: sends, pagination: { page: pg, limit: lm, total, totalPages: Math.ceil(total / lm) } });
+  } catch (error) {
+    console.error('Automation sends error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch automation sends' });
+  }
+});
+
 router.delete('/automations/:id', async (req, res) => {
   try {
+    await ensureTables();
+    await execute('DELETE FROM automation_sends WHERE automation_id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     await execute('DELETE FROM marketing_automations WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     res.json({ success: true, message: 'Automation deleted' });
   } catch (error) {
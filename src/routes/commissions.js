@@ -0,0 +1,314 @@
+import express from 'express';
+import { query, execute } from '../lib/database.js';
+import { authMiddleware, adminOnly } from '../middleware/auth.js';
+import {
+  ensureCommissionTables, validateCommissionRule, recordInvoiceCommission, buildStatement, createPayout, getPayout,
+} from '../lib/commissions.js';
+import { generateCommissionStatementPDF, getTenantInfo } from '../lib/pdf.js';
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Staff may see their own statements; anyone else's needs a manager
+function ownOrManager(req, res, next) {
+  if (req.query.staff_id && parseInt(req.query.staff_id) === req.user?.id) return next();
+  return adminOnly(req, res, next);
+}
+
+async function ownPayoutOrManager(req, res, next) {
+  try {
+    await ensureCommissionTables();
+    const [payout] = await query('SELECT staff_id FROM commission_payouts WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+    if (payout.staff_id === req.user?.id) return next();
+    return adminOnly(req, res, next);
+  } catch (error) {
+    console.error('Payout access error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+// Rule columns from a request body, with defaults for a new rule
+function ruleFields(body) {
+  return {
+    name: String(body.name || '').trim(),
+    staff_id: body.staff_id || null,
+    role: body.role || null,
+    service_category_id: body.service_category_id || null,
+    item_type: body.item_type || 'all',
+    rate_type: body.rate_type || 'percentage',
+    rate: parseFloat(body.rate),
+    basis: body.basis || 'net',
+    tiers: body.tiers && body.tiers.length ? body.tiers : null,
+    tier_mode: body.tier_mode || 'progressive',
+    is_active: body.is_active === undefined ? 1 : (body.is_active ? 1 : 0),
+  };
+}
+
+// ════════════════════════════════════════
+// Commission rules
+// ════════════════════════════════════════
+router.get('/rules', async (req, res) => {
+  try {
+    await ensureCommissionTables();
+    const rules = await query(`
+      SELECT r.*, s.full_name AS staff_name, sc.name AS service_category_name
+      FROM commission_rules r
+      LEFT JOIN staff s ON r.staff_id = s.id
+      LEFT JOIN service_categories sc ON r.service_category_id = sc.id
+      WHERE r.tenant_id = ?
+      ORDER BY r.is_active DESC, r.staff_id IS NULL, r.role IS NULL, r.service_category_id IS NULL, r.id DESC
+    `, [req.tenantId]);
+    res.json({
+      success: true,
+      data: rules.map(r => ({ ...r, tiers: typeof r.tiers === 'string' ? JSON.parse(r.tiers) : r.tiers }))
+    });
+  } catch (error) {
+    console.error('Commission rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch commission rules' });
+  }
+});
+
+router.post('/rules', adminOnly, async (req, res) => {
+  try {
+    await ensureCommissionTables();
+    const rule = ruleFields(req.body);
+    const error = validateCommissionRule(rule);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const result = await execute(`
+      INSERT INTO commission_rules (tenant_id, name, staff_id, role, service_category_id, item_type, rate_type, rate,
+        basis, tiers, tier_mode, is_active, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [req.tenantId, rule.name, rule.staff_id, rule.role, rule.service_category_id, rule.item_type, rule.rate_type,
+        rule.rate, rule.basis, rule.tiers ? JSON.stringify(rule.tiers) : null, rule.tier_mode, rule.is_active,
+        req.user?.id || null]);
+
+    res.status(201).json({ success: true, data: { id: result.insertId, ...rule }, message: 'Commission rule created' });
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create commission rule' });
+  }
+});
+
+router.patch('/rules/:id', adminOnly, async (req, res) => {
+  try {
+    await ensureCommissionTables();
+    const [existing] = await query('SELECT * FROM commission_rules WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!existing) return res.status(404).json({ success: false, message: 'Commission rule not found' });
+
+    const current = { ...existing, tiers: typeof existing.tiers === 'string' ? JSON.parse(existing.tiers) : existing.tiers };
+    const rule = ruleFields({ ...current, ...req.body });
+    const error = validateCommissionRule(rule);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    await execute(`
+      UPDATE commission_rules SET name = ?, staff_id = ?, role = ?, service_category_id = ?, item_type = ?, rate_type = ?,
+        rate = ?, basis = ?, tiers = ?, tier_mode = ?, is_active = ?
+      WHERE id = ? AND tenant_id = ?
+    `, [rule.name, rule.staff_id, rule.role, rule.service_category_id, rule.item_type, rule.rate_type, rule.rate,
+        rule.basis, rule.tiers ? JSON.stringify(rule.tiers) : null, rule.tier_mode, rule.is_active,
+        req.params.id, req.tenantId]);
+
+    res.json({ success: true, data: { id: existing.id, ...rule }, message: 'Commission rule updated' });
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update commission rule' });
+  }
+});
+
+router.delete('/rules/:id', adminOnly, async (req, res) => {
+  try {
+    await ensureCommissionTables();
+    const result = await execute('DELETE FROM commission_rules WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    res.json({ success: true, message: 'Commission rule deleted' });
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete commission rule' });
+  }
+});
+
+// ── Record commission for invoices paid before the rules existed ──
+router.post('/backfill', adminOnly, async (req, res) => {
+  try {
+    const { from_date, to_date } = req.body;
+    if (!DATE_RE.test(from_date || '') || !DATE_RE.test(to_date || '')) {
+      return res.status(400).json({ success: false, message: 'from_date and to_date (YYYY-MM-DD) are required' });
+    }
+    await ensureCommissionTables();
+    const invoices = await query(
+      "SELECT id, paid_at FROM invoices WHERE tenant_id = ? AND status = 'paid' AND DATE(paid_at) >= ? AND DATE(paid_at) <= ? ORDER BY paid_at",
+      [req.tenantId, from_date, to_date]
+    );
+    let entries = 0;
+    for (const inv of invoices) entries += await recordInvoiceCommission(inv.id, { entryDate: inv.paid_at });
+    res.json({ success: true, message: `${entries} commission entries recorded from ${invoices.length} paid invoices`, data: { invoices: invoices.length, entries } });
+  } catch (error) {
+    console.error('Commission backfill error:', error);
+    res.status(500).json({ success: false, message: 'Failed to backfill commission' });
+  }
+});
+
+// ════════════════════════════════════════
+// Statements (?staff_id=&from_date=&to_date=)
+// ════════════════════════════════════════
+async function periodStatement(req, res) {
+  const { staff_id, from_date, to_date } = req.query;
+  if (!staff_id) { res.status(400).json({ success: false, message: 'staff_id is required' }); return null; }
+  if (!DATE_RE.test(from_date || '') || !DATE_RE.test(to_date || '')) {
+    res.status(400).json({ success: false, message: 'from_date and to_date (YYYY-MM-DD) are required' });
+    return null;
+  }
+  const statement = await buildStatement(req.tenantId, staff_id, { from: from_date, to: to_date });
+  if (!statement) res.status(404).json({ success: false, message: 'Staff member not found' });
+  return statement;
+}
+
+// ── Statement PDF (must be before /statement) ──
+router.get('/statement/pdf', ownOrManager, async (req, res) => {
+  try {
+    const statement = await periodStatement(req, res);
+    if (!statement) return;
+    const tenantInfo = await getTenantInfo(req.tenantId);
+    const pdfBuffer = await generateCommissionStatementPDF(statement, tenantInfo);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="commission-${statement.staff.id}-${req.query.from_date}-${req.query.to_date}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate commission statement PDF error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate PDF', error: error.message });
+  }
+});
+
+router.get('/statement', ownOrManager, async (req, res) => {
+  try {
+    const statement = await periodStatement(req, res);
+    if (!statement) return;
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    console.error('Commission statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build commission statement' });
+  }
+});
+
+// ════════════════════════════════════════
+// Payouts
+// ════════════════════════════════════════
+router.get('/payouts', ownOrManager, async (req, res) => {
+  try {
+    await ensureCommissionTables();
+    const { staff_id, status, from_date, to_date, page = 1, limit = 20 } = req.query;
+
+    let where = 'WHERE cp.tenant_id = ?';
+    const params = [req.tenantId];
+    if (staff_id) { where += ' AND cp.staff_id = ?'; params.push(staff_id); }
+    if (status) { where += ' AND cp.status = ?'; params.push(status); }
+    if (from_date) { where += ' AND cp.period_end >= ?'; params.push(from_date); }
+    if (to_date) { where += ' AND cp.period_start <= ?'; params.push(to_date); }
+
+    const [countRow] = await query(`SELECT COUNT(*) as cnt FROM commission_payouts cp ${where}`, params);
+    const total = countRow?.cnt || 0;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const rows = await query(`
+      SELECT cp.id, cp.staff_id, cp.period_start, cp.period_end, cp.status, cp.sales_total, cp.earned_total,
+             cp.clawback_total, cp.tier_adjustment, cp.tips_total, cp.commission_total, cp.paid_at, cp.payment_reference,
+             cp.created_at, s.full_name AS staff_name
+      FROM commission_payouts cp
+      LEFT JOIN staff s ON cp.staff_id = s.id
+      ${where}
+      ORDER BY cp.period_end DESC, cp.id DESC
+      LIMIT ${parseInt(limit)} OFFSET ${offset}
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    console.error('Commission payouts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payouts' });
+  }
+});
+
+// Close a period for a staff member: body { staff_id, period_start, period_end, notes }
+router.post('/payouts', adminOnly, async (req, res) => {
+  try {
+    const { staff_id, period_start, period_end, notes } = req.body;
+    if (!staff_id) return res.status(400).json({ success: false, message: 'staff_id is required' });
+    if (!DATE_RE.test(period_start || '') || !DATE_RE.test(period_end || '')) {
+      return res.status(400).json({ success: false, message: 'period_start and period_end (YYYY-MM-DD) are required' });
+    }
+
+    const result = await createPayout(req.tenantId, staff_id, period_start, period_end, { userId: req.user?.id || null, notes: notes || null });
+    if (result.error) return res.status(result.status || 400).json({ success: false, message: result.error });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout of ${result.statement.totals.commission.toFixed(2)} closed for ${result.statement.staff.name}`,
+      data: result.payout
+    });
+  } catch (error) {
+    console.error('Create payout error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create payout' });
+  }
+});
+
+// ── Payout PDF (must be before /payouts/:id) ──
+router.get('/payouts/:id/pdf', ownPayoutOrManager, async (req, res) => {
+  try {
+    const payout = await getPayout(req.tenantId, req.params.id);
+    if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+
+    const tenantInfo = await getTenantInfo(req.tenantId);
+    const pdfBuffer = await generateCommissionStatementPDF({ ...payout.statement, payout }, tenantInfo);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="commission-payout-${payout.id}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate payout PDF error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate PDF', error: error.message });
+  }
+});
+
+router.get('/payouts/:id', ownPayoutOrManager, async (req, res) => {
+  try {
+    const payout = await getPayout(req.tenantId, req.params.id);
+    if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+    res.json({ success: true, data: payout });
+  } catch (error) {
+    console.error('Get payout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Mark a payout as paid: body { payment_reference, notes }
+router.post('/payouts/:id/pay', adminOnly, async (req, res) => {
+  try {
+    await ensureCommissionTables();
+    const result = await execute(`
+      UPDATE commission_payouts SET status = 'paid', paid_at = NOW(), paid_by = ?, payment_reference = ?,
+        notes = COALESCE(?, notes)
+      WHERE id = ? AND tenant_id = ? AND status = 'finalized'
+    `, [req.user?.id || null, req.body.payment_reference || null, req.body.notes || null, req.params.id, req.tenantId]);
+    if (!result.affectedRows) {
+      const [payout] = await query('SELECT status FROM commission_payouts WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+      if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+      return res.status(409).json({ success: false, message: 'Payout is already paid' });
+    }
+    res.json({ success: true, message: 'Payout marked as paid', data: await getPayout(req.tenantId, req.params.id) });
+  } catch (error) {
+    console.error('Pay payout error:', error);
+    res.status(500).json({ success: false, message: 'Failed to mark payout as paid' });
+  }
+});
+
+export default router;
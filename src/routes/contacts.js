@@ -3,6 +3,13 @@ import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { notifyClient } from '../lib/notify.js';
 import { sendNotificationEmail } from '../lib/email.js';
+import { ensureAttendanceColumns } from '../lib/attendance-policy.js';
+import { runWorkflows } from '../lib/workflows.js';
+import { emitWebhookEvent } from '../lib/webhooks.js';
+import { getTenantTimezone, todayInTimezone, zonedDayRange, utcToZoned } from '../lib/timezone.js';
+import {
+  ensureConsentTables, formatConsent, applyConsentChanges, validateConsentChanges, getConsentHistory, CONSENT_SOURCES,
+} from '../lib/consent.js';
 
 const router = express.Router();
 
@@ -20,6 +27,7 @@ async function ensureColumns() {
     ['allergies', "TEXT"],
     ['referral_source', "VARCHAR(100) DEFAULT NULL"],
     ['is_vip', "TINYINT(1) NOT NULL DEFAULT 0"],
+    ['custom_fields', "JSON"],
   ];
   for (const [col, def] of cols) {
     try { await execute(`ALTER TABLE contacts ADD COLUMN ${col} ${def}`); } catch (_) { /* exists */ }
@@ -126,6 +134,9 @@ router.get('/', authMiddleware, async (req, res) => {
     const { page = 1, limit = 100, search, status, source, gender, vip, sort = 'newest' } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const tid = req.tenantId;
+    // Visit dates are the tenant's calendar days, not UTC ones
+    const timeZone = await getTenantTimezone(tid);
+    const localDate = (value) => (value ? utcToZoned(value, timeZone).date : null);
 
     let sql = `
       SELECT c.*,
@@ -148,15 +159,15 @@ router.get('/', authMiddleware, async (req, res) => {
       ) inv ON inv.customer_id = c.id AND inv.tenant_id = c.tenant_id
       LEFT JOIN (
         SELECT customer_id, tenant_id,
-          MAX(CASE WHEN status = 'completed' THEN DATE(start_time) END) as last_visit,
+          MAX(CASE WHEN status = 'completed' THEN start_time END) as last_visit,
           COUNT(CASE WHEN status = 'completed' THEN 1 END) as total_visits,
           COUNT(*) as total_appointments,
-          MIN(CASE WHEN DATE(start_time) >= CURDATE() AND status IN ('confirmed','scheduled') THEN DATE(start_time) END) as upcoming_appointment
+          MIN(CASE WHEN start_time >= ? AND status IN ('confirmed','scheduled') THEN start_time END) as upcoming_appointment
         FROM appointments GROUP BY customer_id, tenant_id
       ) appt ON appt.customer_id = c.id AND appt.tenant_id = c.tenant_id
       WHERE c.tenant_id = ?
     `;
-    const params = [tid];
+    const params = [zonedDayRange(todayInTimezone(timeZone), timeZone).start, tid];
 
     if (search) {
       sql += ` AND (c.first_name LIKE ? OR c.last_name LIKE ? OR c.email LIKE ? OR c.phone LIKE ? OR CONCAT(c.first_name,' ',c.last_name) LIKE ?)`;
@@ -181,7 +192,11 @@ router.get('/', authMiddleware, async (req, res) => {
     sql += ` ORDER BY ${sortMap[sort] || sortMap.newest}`;
     sql += ` LIMIT ${parseInt(limit)} OFFSET ${offset}`;
 
-    const contacts = await query(sql, params);
+    const contacts = (await query(sql, params)).map(c => ({
+      ...c,
+      last_visit: localDate(c.last_visit),
+      upcoming_appointment: localDate(c.upcoming_appointment),
+    }));
 
     // Count
     let countSql = 'SELECT COUNT(*) as total FROM contacts WHERE tenant_id = ?';
@@ -231,7 +246,6 @@ router.get('/:id', authMiddleware, async (req, res) => {
     // Fetch appointments
     const appointments = await query(
       `SELECT a.id, a.start_time, a.end_time, a.status, a.notes,
-         DATE(a.start_time) as appointment_date,
          p.name as service_name, st.full_name as staff_name
        FROM appointments a
        LEFT JOIN products p ON a.service_id = p.id
@@ -241,6 +255,8 @@ router.get('/:id', authMiddleware, async (req, res) => {
        LIMIT 20`,
       [req.params.id, tid]
     );
+    const timeZone = await getTenantTimezone(tid);
+    for (const a of appointments) a.appointment_date = utcToZoned(a.start_time, timeZone).date;
 
     // Fetch invoices
     const invoices = await query(
@@ -275,6 +291,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
         total_spent: spend?.total_spent || 0,
         paid_invoices: spend?.paid_invoices || 0,
         loyalty_transactions: loyaltyTxns,
+        consent: formatConsent(contact),
       }
     });
   } catch (error) {
@@ -292,7 +309,7 @@ router.post('/', authMiddleware, async (req, res) => {
     const {
       first_name, last_name, email, phone, mobile, gender, date_of_birth,
       notes, tags, source, address, instagram, allergies, referral_source,
-      job_title, department, account_id, is_primary, owner_id, is_vip
+      job_title, department, account_id, is_primary, owner_id, is_vip, consent, consent_source, custom_fields
     } = req.body;
 
     if (!first_name?.trim()) {
@@ -304,6 +321,10 @@ router.post('/', authMiddleware, async (req, res) => {
     if (phone && !validatePhone(phone)) {
       return res.status(400).json({ success: false, message: 'Invalid phone format' });
     }
+    if (consent !== undefined) {
+      const invalid = validateConsentChanges(consent);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+    }
 
     // Check duplicate email
     if (email) {
@@ -314,14 +335,14 @@ router.post('/', authMiddleware, async (req, res) => {
     const result = await execute(
       `INSERT INTO contacts (tenant_id, first_name, last_name, email, phone, mobile, gender, date_of_birth,
         notes, tags, source, address, instagram, allergies, referral_source,
-        job_title, department, account_id, is_primary, owner_id, created_by, is_vip)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        job_title, department, account_id, is_primary, owner_id, created_by, is_vip, custom_fields)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [tid, first_name.trim(), last_name?.trim() || null, email?.trim() || null, phone?.trim() || null,
        mobile?.trim() || null, gender || null, date_of_birth || null,
        notes || null, tags ? JSON.stringify(tags) : null, source || 'walk-in',
        address || null, instagram || null, allergies || null, referral_source || null,
        job_title || null, department || null, account_id || null, is_primary ? 1 : 0,
-       owner_id || req.user.id, req.user.id, is_vip ? 1 : 0]
+       owner_id || req.user.id, req.user.id, is_vip ? 1 : 0, custom_fields ? JSON.stringify(custom_fields) : null]
     );
 
     await execute(
@@ -329,6 +350,18 @@ router.post('/', authMiddleware, async (req, res) => {
       [tid, req.user.id, 'create', 'contact', result.insertId, JSON.stringify({ first_name, last_name, email })]
     );
 
+    // Marketing consent captured at sign-up (e.g. a ticked box on the intake form)
+    if (consent) {
+      await applyConsentChanges(tid, result.insertId, consent, {
+        source: CONSENT_SOURCES.includes(consent_source) ? consent_source : 'staff',
+        changedBy: req.user.id,
+        ip: req.ip || null,
+      });
+    }
+
+    runWorkflows(tid, 'contact', result.insertId, { userId: req.user.id });
+    emitWebhookEvent(tid, 'contact.created', result.insertId);
+
     // Push notification
     notifyClient(tid, `New Client — ${first_name} ${last_name || ''}`.trim(), email || phone || 'Added via dashboard', { client_id: result.insertId }).catch(() => {});
 
@@ -375,7 +408,7 @@ router.patch('/:id', authMiddleware, async (req, res) => {
     const { id } = req.params;
     const tid = req.tenantId;
 
-    const [existing] = await query('SELECT id, email FROM contacts WHERE id = ? AND tenant_id = ?', [id, tid]);
+    const [existing] = await query('SELECT * FROM contacts WHERE id = ? AND tenant_id = ?', [id, tid]);
     if (!existing) return res.status(404).json({ success: false, message: 'Contact not found' });
 
     // Validate
@@ -395,8 +428,11 @@ router.patch('/:id', authMiddleware, async (req, res) => {
     const fields = [
       'first_name', 'last_name', 'email', 'phone', 'mobile', 'gender', 'date_of_birth',
       'notes', 'tags', 'source', 'address', 'instagram', 'allergies', 'referral_source',
-      'job_title', 'department', 'account_id', 'is_primary', 'status', 'owner_id', 'is_vip'
+      'job_title', 'department', 'account_id', 'is_primary', 'status', 'owner_id', 'is_vip',
+      'no_show_count', 'custom_fields'
     ];
+    // Staff reset the no-show count to lift an online booking restriction
+    if (req.body.no_show_count !== undefined) await ensureAttendanceColumns();
     const updates = [];
     const params = [];
 
@@ -407,6 +443,7 @@ router.patch('/:id', authMiddleware, async (req, res) => {
         if (field === 'is_primary' || field === 'is_vip') value = value ? 1 : 0;
         if (['account_id', 'owner_id'].includes(field) && value === '') value = null;
         if (field === 'tags' && Array.isArray(value)) value = JSON.stringify(value);
+        if (field === 'custom_fields') value = value ? JSON.stringify(value) : null;
         if (field === 'first_name') value = value?.trim();
         if (field === 'last_name') value = value?.trim() || null;
         if (field === 'email') value = value?.trim() || null;
@@ -427,6 +464,9 @@ router.patch('/:id', authMiddleware, async (req, res) => {
       [tid, req.user.id, 'update', 'contact', id, JSON.stringify(req.body)]
     );
 
+    runWorkflows(tid, 'contact', id, { before: existing, userId: req.user.id });
+    emitWebhookEvent(tid, 'contact.updated', id);
+
     res.json({ success: true, message: 'Client updated successfully' });
   } catch (error) {
     console.error('Update contact error:', error);
@@ -434,6 +474,69 @@ router.patch('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+/* ─────────────────────────────────────────────
+   GET /:id/consent – Marketing consent and its history
+   ───────────────────────────────────────────── */
+router.get('/:id/consent', authMiddleware, async (req, res) => {
+  try {
+    await ensureConsentTables();
+    const [contact] = await query('SELECT * FROM contacts WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!contact) return res.status(404).json({ success: false, message: 'Contact not found' });
+
+    const history = await getConsentHistory(req.tenantId, contact.id);
+    res.json({ success: true, data: { consent: formatConsent(contact), history } });
+  } catch (error) {
+    console.error('Get consent error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch consent' });
+  }
+});
+
+/* ─────────────────────────────────────────────
+   PATCH /:id/consent – Record consent per channel
+   ───────────────────────────────────────────── */
+router.patch('/:id/consent', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tid = req.tenantId;
+    const { consent, source, note } = req.body;
+
+    const invalid = validateConsentChanges(consent);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+    if (source !== undefined && !CONSENT_SOURCES.includes(source)) {
+      return res.status(400).json({ success: false, message: `source must be one of ${CONSENT_SOURCES.join(', ')}` });
+    }
+
+    const [contact] = await query('SELECT id FROM contacts WHERE id = ? AND tenant_id = ?', [id, tid]);
+    if (!contact) return res.status(404).json({ success: false, message: 'Contact not found' });
+
+    const changed = await applyConsentChanges(tid, contact.id, consent, {
+      source: source || 'staff',
+      note: note || null,
+      changedBy: req.user.id,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    if (changed.length > 0) {
+      await execute(
+        'INSERT INTO audit_logs (tenant_id, user_id, action, entity_type, entity_id, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+        [tid, req.user.id, 'update_consent', 'contact', id, JSON.stringify(consent)]
+      );
+      emitWebhookEvent(tid, 'contact.updated', contact.id);
+    }
+
+    const [updated] = await query('SELECT * FROM contacts WHERE id = ?', [contact.id]);
+    res.json({
+      success: true,
+      message: changed.length ? `Consent updated for ${changed.join(', ')}` : 'Consent unchanged',
+      data: { consent: formatConsent(updated), changed },
+    });
+  } catch (error) {
+    console.error('Update consent error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update consent' });
+  }
+});
+
 /* ─────────────────────────────────────────────
    PATCH /:id/toggle-vip – Toggle VIP status
    ───────────────────────────────────────────── */
@@ -452,6 +555,7 @@ router.patch('/:id/toggle-vip', authMiddleware, async (req, res) => {
       'INSERT INTO audit_logs (tenant_id, user_id, action, entity_type, entity_id, new_values) VALUES (?, ?, ?, ?, ?, ?)',
       [tid, req.user.id, 'toggle_vip', 'contact', id, JSON.stringify({ is_vip: newValue })]
     );
+    emitWebhookEvent(tid, 'contact.updated', contact.id);
 
     res.json({ success: true, message: newValue ? 'Client marked as VIP' : 'VIP status removed', data: { is_vip: newValue } });
   } catch (error) {
@@ -480,10 +584,12 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       });
     }
 
+    const [contact] = await query('SELECT * FROM contacts WHERE id = ? AND tenant_id = ?', [id, tid]);
     const result = await execute('DELETE FROM contacts WHERE id = ? AND tenant_id = ?', [id, tid]);
     if (result.affectedRows === 0) {
       return res.status(404).json({ success: false, message: 'Contact not found' });
     }
+    emitWebhookEvent(tid, 'contact.deleted', contact);
 
     // Clean up loyalty
     await execute('DELETE FROM loyalty_points WHERE customer_id = ? AND tenant_id = ?', [id, tid]);
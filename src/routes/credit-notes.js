@@ -0,0 +1,163 @@
+import express from 'express';
+import { query } from '../lib/database.js';
+import { authMiddleware, adminOnly } from '../middleware/auth.js';
+import { ensureCreditNoteTables, getCreditableLines, issueCreditNote, getCreditNote } from '../lib/credit-notes.js';
+import { generateCreditNotePDF, getTenantInfo } from '../lib/pdf.js';
+import { notifyPayment } from '../lib/notify.js';
+import { runWorkflows } from '../lib/workflows.js';
+import { emitWebhookEvent, emitUpdateEvents } from '../lib/webhooks.js';
+
+const router = express.Router();
+router.use(authMiddleware);
+
+// ════════════════════════════════════════
+// List credit notes
+// ════════════════════════════════════════
+router.get('/', async (req, res) => {
+  try {
+    await ensureCreditNoteTables();
+    const { invoice_id, customer_id, branch_id, from_date, to_date, page = 1, limit = 20 } = req.query;
+
+    let where = 'WHERE cn.tenant_id = ?';
+    const params = [req.tenantId];
+    if (invoice_id) { where += ' AND cn.invoice_id = ?'; params.push(invoice_id); }
+    if (customer_id) { where += ' AND cn.customer_id = ?'; params.push(customer_id); }
+    if (branch_id) { where += ' AND cn.branch_id = ?'; params.push(branch_id); }
+    if (from_date) { where += ' AND DATE(cn.created_at) >= ?'; params.push(from_date); }
+    if (to_date) { where += ' AND DATE(cn.created_at) <= ?'; params.push(to_date); }
+
+    const [countRow] = await query(`SELECT COUNT(*) as cnt FROM credit_notes cn ${where}`, params);
+    const total = countRow?.cnt || 0;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const rows = await query(`
+      SELECT cn.*, i.invoice_number,
+             c.first_name as customer_first_name, c.last_name as customer_last_name,
+             s.full_name as created_by_name
+      FROM credit_notes cn
+      LEFT JOIN invoices i ON cn.invoice_id = i.id
+      LEFT JOIN contacts c ON cn.customer_id = c.id
+      LEFT JOIN staff s ON cn.created_by = s.id
+      ${where}
+      ORDER BY cn.created_at DESC, cn.id DESC
+      LIMIT ${parseInt(limit)} OFFSET ${offset}
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    console.error('Credit notes list error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch credit notes' });
+  }
+});
+
+// ── What is left to credit on an invoice ──
+router.get('/creditable/:invoiceId', async (req, res) => {
+  try {
+    await ensureCreditNoteTables();
+    const [invoice] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.invoiceId, req.tenantId]);
+    if (!invoice) return res.status(404).json({ success: false, message: 'Invoice not found' });
+
+    const lines = await getCreditableLines(invoice);
+    res.json({
+      success: true,
+      data: {
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        total: parseFloat(invoice.total),
+        credited_amount: parseFloat(invoice.credited_amount || 0),
+        amount_paid: parseFloat(invoice.amount_paid || 0),
+        lines,
+      }
+    });
+  } catch (error) {
+    console.error('Creditable lines error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── Credit note PDF (must be before /:id route) ──
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const creditNote = await getCreditNote(req.tenantId, req.params.id);
+    if (!creditNote) return res.status(404).json({ success: false, message: 'Credit note not found' });
+
+    const tenantInfo = await getTenantInfo(req.tenantId);
+    const pdfBuffer = await generateCreditNotePDF(creditNote, tenantInfo);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="credit-note-${creditNote.credit_note_number}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate credit note PDF error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate PDF', error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const creditNote = await getCreditNote(req.tenantId, req.params.id);
+    if (!creditNote) return res.status(404).json({ success: false, message: 'Credit note not found' });
+    res.json({ success: true, data: creditNote });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ════════════════════════════════════════
+// Issue a credit note (managers only)
+// Body: { invoice_id, reason, lines: [{ invoice_item_id, quantity, amount, restock }], restock }
+// No lines credits everything left on the invoice.
+// ════════════════════════════════════════
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const { invoice_id, reason, lines, restock = false } = req.body;
+    if (!invoice_id) return res.status(400).json({ success: false, message: 'invoice_id is required' });
+
+    const [before] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [invoice_id, req.tenantId]);
+    const result = await issueCreditNote(req.tenantId, invoice_id, {
+      lines, reason, restock: !!restock, userId: req.user?.id || null,
+    });
+    if (result.error) return res.status(result.status || 400).json({ success: false, message: result.error });
+
+    const creditNote = result.credit_note;
+    runWorkflows(req.tenantId, 'invoice', before.id, { before, userId: req.user?.id || null });
+    emitUpdateEvents(req.tenantId, 'invoice', before.id, before.status);
+    emitWebhookEvent(req.tenantId, 'credit_note.issued', creditNote);
+
+    const refunded = parseFloat(creditNote.refund_amount || 0);
+    notifyPayment(
+      req.tenantId,
+      `Credit Note ${creditNote.credit_note_number} — ${before.invoice_number}`,
+      refunded > 0
+        ? `${parseFloat(creditNote.total).toFixed(2)} credited, ${refunded.toFixed(2)} refunded to ${result.refunds.map(r => r.method).join(' + ')}`
+        : `${parseFloat(creditNote.total).toFixed(2)} credited`,
+      { credit_note_id: creditNote.id, invoice_id: before.id, amount: parseFloat(creditNote.total), refunded }
+    ).catch(() => {});
+
+    const parts = [`${creditNote.credit_note_number}: ${parseFloat(creditNote.total).toFixed(2)} credited`];
+    for (const r of result.refunds) parts.push(`${r.amount.toFixed(2)} refunded to ${r.method.replace(/_/g, ' ')}`);
+    if (result.unrefunded > 0) parts.push(`${result.unrefunded.toFixed(2)} could not be refunded automatically`);
+    if (result.loyalty?.points_reversed) parts.push(`${result.loyalty.points_reversed} loyalty points reversed`);
+
+    res.status(201).json({
+      success: true,
+      message: parts.join(' · '),
+      data: creditNote,
+      refunds: result.refunds,
+      unrefunded: result.unrefunded,
+      loyalty: result.loyalty,
+      invoice: result.invoice
+    });
+  } catch (error) {
+    console.error('Issue credit note error:', error);
+    res.status(500).json({ success: false, message: 'Failed to issue credit note' });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { runWorkflows } from '../lib/workflows.js';
 
 const router = express.Router();
 
@@ -87,6 +88,8 @@ router.post('/', authMiddleware, async (req, res) => {
        owner_id || req.user.id, req.user.id]
     );
     
+    runWorkflows(tenantId, 'deal', result.insertId, { userId: req.user.id });
+    
     res.json({ success: true, message: 'Deal created', data: { id: result.insertId } });
   } catch (error) {
     console.error('Create deal error:', error);
@@ -134,9 +137,16 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: 'No updates provided' });
     }
     
+    const [existing] = await query('SELECT * FROM deals WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Deal not found' });
+    }
+    
     params.push(id, tenantId);
     await execute(`UPDATE deals SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
     
+    runWorkflows(tenantId, 'deal', id, { before: existing, userId: req.user.id });
+    
     res.json({ success: true, message: 'Deal updated' });
   } catch (error) {
     console.error('Update deal error:', error);
@@ -165,9 +175,16 @@ router.patch('/:id', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: 'No updates provided' });
     }
     
+    const [existing] = await query('SELECT * FROM deals WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Deal not found' });
+    }
+    
     params.push(id, tenantId);
     await execute(`UPDATE deals SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
     
+    runWorkflows(tenantId, 'deal', id, { before: existing, userId: req.user.id });
+    
     res.json({ success: true, message: 'Deal updated' });
   } catch (error) {
     console.error('Update deal error:', error);
@@ -5,6 +5,7 @@ import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { notifyGiftCard } from '../lib/notify.js';
 import { sendNotificationEmail } from '../lib/email.js';
+import { runWorkflows } from '../lib/workflows.js';
 
 const router = express.Router();
 
@@ -220,6 +221,8 @@ router.post('/', async (req, res) => {
       }
     }
 
+    runWorkflows(t, 'gift_card', result.insertId, { userId: req.user?.id || null });
+
     res.status(201).json({ success: true, data: { id: result.insertId, code, initial_value, expires_at: expiresStr }, message: 'Gift card created' });
   } catch (error) {
     console.error('Create gift card error:', error);
@@ -259,6 +262,8 @@ router.post('/redeem', async (req, res) => {
       VALUES (?, ?, 'redeem', ?, ?, ?, ?)
     `, [card.id, t, amount, newBalance, invoice_id || null, req.user?.id || null]);
 
+    runWorkflows(t, 'gift_card', card.id, { before: card, userId: req.user?.id || null });
+
     res.json({ success: true, data: { remaining_value: newBalance, status: newStatus }, message: `Redeemed ${amount}. Remaining: ${newBalance}` });
   } catch (error) {
     console.error('Redeem gift card error:', error);
@@ -290,6 +295,8 @@ router.post('/:id/void', async (req, res) => {
       VALUES (?, ?, 'void', ?, 0, 'Card voided', ?)
     `, [card.id, req.tenantId, card.remaining_value, req.user?.id || null]);
 
+    runWorkflows(req.tenantId, 'gift_card', card.id, { before: card, userId: req.user?.id || null });
+
     res.json({ success: true, message: 'Gift card voided' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
@@ -394,6 +401,8 @@ export async function redeemGiftCard(tenantId, code, amount, opts = {}) {
     VALUES (?, ?, 'redeem', ?, ?, ?, ?)
   `, [card.id, tenantId, amount, newBalance, opts.invoice_id || null, opts.created_by || null]);
 
+  runWorkflows(tenantId, 'gift_card', card.id, { before: card, userId: opts.created_by || null });
+
   // Push notification
   notifyGiftCard(tenantId, `Gift Card Redeemed — ${code}`, `${amount.toFixed(2)} deducted. Balance: ${newBalance.toFixed(2)}`, { gift_card_id: card.id, code, amount, remaining: newBalance }).catch(() => {});
 
@@ -406,4 +415,47 @@ export async function redeemGiftCard(tenantId, code, amount, opts = {}) {
   };
 }
 
+/**
+ * Shared helper — puts value back on a gift card (a reversed payment or a refund).
+ * A card that was used up becomes active again.
+ *
+ * @param {number}  tenantId
+ * @param {number}  giftCardId
+ * @param {number}  amount        Amount to put back
+ * @param {object}  opts
+ * @param {number}  [opts.invoice_id]
+ * @param {number}  [opts.created_by]
+ * @param {string}  [opts.notes]
+ * @returns {{ success, remaining_value, message }}
+ */
+export async function refundGiftCard(tenantId, giftCardId, amount, opts = {}) {
+  if (!giftCardId || !amount || amount <= 0) {
+    return { success: false, message: 'Gift card and valid amount are required' };
+  }
+
+  const [card] = await query('SELECT * FROM gift_cards WHERE id = ? AND tenant_id = ?', [giftCardId, tenantId]);
+  if (!card) return { success: false, message: 'Gift card not found' };
+  if (card.status === 'void') return { success: false, message: 'Gift card has been voided' };
+
+  const newBalance = parseFloat(card.remaining_value) + amount;
+  const newStatus = card.status === 'redeemed' ? 'active' : card.status;
+
+  await execute('UPDATE gift_cards SET remaining_value = ?, status = ? WHERE id = ?', [newBalance, newStatus, card.id]);
+
+  await execute(`
+    INSERT INTO gift_card_transactions (gift_card_id, tenant_id, type, amount, balance_after, invoice_id, notes, created_by)
+    VALUES (?, ?, 'refund', ?, ?, ?, ?, ?)
+  `, [card.id, tenantId, amount, newBalance, opts.invoice_id || null, opts.notes || null, opts.created_by || null]);
+
+  runWorkflows(tenantId, 'gift_card', card.id, { before: card, userId: opts.created_by || null });
+
+  return {
+    success: true,
+    gift_card_id: card.id,
+    remaining_value: newBalance,
+    status: newStatus,
+    message: `${amount.toFixed(2)} returned to gift card ${card.code}. Balance: ${newBalance.toFixed(2)}`
+  };
+}
+
 export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { PAYMENT_METHODS, recordPayment, syncInvoicePayments } from '../lib/payments.js';
+import { ensureCommissionTables } from '../lib/commissions.js';
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -455,6 +457,7 @@ router.post('/:id/checkout', async (req, res) => {
         service_id: p.service_id,
         name: `${p.service_name || 'Service'} — ${p.first_name || p.guest_name || 'Guest'} ${p.last_name || ''}`.trim(),
         unit_price: price,
+        staff_id: p.staff_id || null,
         staff_name: p.staff_name
       });
     }
@@ -497,14 +500,29 @@ router.post('/:id/checkout', async (req, res) => {
     ]);
 
     const invoiceId = invResult.insertId;
+    if (amountPaid > 0) {
+      await recordPayment({
+        tenantId,
+        invoiceId,
+        branchId: booking.branch_id || null,
+        customerId,
+        staffId: req.user?.id || null,
+        method: PAYMENT_METHODS.includes(payment_method) ? payment_method : 'other',
+        amount: amountPaid,
+        currency,
+      });
+    }
 
     // 7. Add line items (one per participant service)
+    await ensureCommissionTables();
     for (const item of lineItems) {
       await execute(`
-        INSERT INTO invoice_items (invoice_id, item_type, item_id, name, quantity, unit_price, total)
-        VALUES (?, 'service', ?, ?, 1, ?, ?)
-      `, [invoiceId, item.service_id || null, item.name, item.unit_price, item.unit_price]);
+        INSERT INTO invoice_items (invoice_id, item_type, item_id, name, quantity, unit_price, total, staff_id)
+        VALUES (?, 'service', ?, ?, 1, ?, ?, ?)
+      `, [invoiceId, item.service_id || null, item.name, item.unit_price, item.unit_price, item.staff_id]);
     }
+    // Recount once the lines are in so their staff earn commission
+    if (amountPaid > 0) await syncInvoicePayments(invoiceId);
 
     // 8. Mark group booking as completed
     await execute('UPDATE group_bookings SET status = ?, total_amount = ? WHERE id = ? AND tenant_id = ?', ['completed', total, groupId, tenantId]);
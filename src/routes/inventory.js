@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantToday } from '../lib/timezone.js';
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -417,14 +418,15 @@ router.get('/expiring-soon', async (req, res) => {
     const t = req.tenantId;
     const days = parseInt(req.query.days) || 90;
     await ensureTables(t);
+    const today = await tenantToday(t);
     const rows = await query(`
-      SELECT i.*, DATEDIFF(i.expiry_date, CURDATE()) as days_until_expiry
+      SELECT i.*, DATEDIFF(i.expiry_date, ?) as days_until_expiry
       FROM inventory i
       WHERE i.tenant_id = ? AND i.is_active = 1
         AND i.expiry_date IS NOT NULL
-        AND i.expiry_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+        AND i.expiry_date <= DATE_ADD(?, INTERVAL ? DAY)
       ORDER BY i.expiry_date ASC
-    `, [t, days]);
+    `, [today, t, today, days]);
     res.json({ success: true, data: rows });
   } catch (err) {
     console.error('Expiring soon error:', err);
@@ -1,11 +1,17 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { processAutoEarn, redeemLoyaltyForPayment } from './loyalty.js';
-import { redeemGiftCard } from './gift-cards.js';
+import { processAutoEarn } from './loyalty.js';
 import { notifyInvoice, notifyPayment } from '../lib/notify.js';
 import { sendNotificationEmail } from '../lib/email.js';
 import { generateInvoicePDF, generateReceiptPDF, getTenantInfo } from '../lib/pdf.js';
+import { runWorkflows } from '../lib/workflows.js';
+import { emitWebhookEvent, emitUpdateEvents } from '../lib/webhooks.js';
+import {
+  TENDER_METHODS, normalizeTenders, settleTenders, takeTenders, recordPayment, openInvoiceLedger, syncInvoicePayments, invoiceBalance,
+  withInvoiceLock,
+} from '../lib/payments.js';
+import { ensureCommissionTables, reverseInvoiceCommission } from '../lib/commissions.js';
 
 const router = express.Router();
 
@@ -59,6 +65,9 @@ async function ensureTables() {
       INDEX idx_invoice (invoice_id)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
   `);
+
+  // invoice_items.staff_id (who performed the line) comes with the commission tables
+  await ensureCommissionTables();
 }
 
 // Generate next invoice number for tenant
@@ -375,9 +384,9 @@ router.post('/', async (req, res) => {
       const itemName = item.name || item.description || 'Item';
       const itemDesc = item.description || item.name || null;
       await execute(`
-        INSERT INTO invoice_items (invoice_id, item_type, item_id, name, description, quantity, unit_price, discount, total)
-        VALUES (?,?,?,?,?,?,?,?,?)
-      `, [invoiceId, item.item_type || 'service', item.item_id || null, itemName, itemDesc, item.quantity || 1, item.unit_price || 0, item.discount || 0, itemTotal]);
+        INSERT INTO invoice_items (invoice_id, item_type, item_id, name, description, quantity, unit_price, discount, total, staff_id)
+        VALUES (?,?,?,?,?,?,?,?,?,?)
+      `, [invoiceId, item.item_type || 'service', item.item_id || null, itemName, itemDesc, item.quantity || 1, item.unit_price || 0, item.discount || 0, itemTotal, item.staff_id || null]);
     }
 
     // Push notification
@@ -436,6 +445,9 @@ router.post('/', async (req, res) => {
       }
     }
 
+    runWorkflows(req.tenantId, 'invoice', invoiceId, { userId: req.user?.id || null });
+    emitWebhookEvent(req.tenantId, 'invoice.created', invoiceId);
+
     res.status(201).json({ success: true, data: {
       id: invoiceId, invoice_number: invoiceNumber,
       subtotal, discount_amount: discountVal, discount_type, discount_value: discount_amount,
@@ -499,6 +511,9 @@ router.post('/from-appointment/:appointmentId', async (req, res) => {
       VALUES (?, 'service', ?, ?, 1, ?, ?)
     `, [invoiceId, apt.service_id, apt.service_name || 'Service', subtotal, subtotal]);
 
+    runWorkflows(t, 'invoice', invoiceId, { userId: req.user?.id || null });
+    emitWebhookEvent(t, 'invoice.created', invoiceId);
+
     res.status(201).json({ success: true, data: { id: invoiceId, invoice_number: invoiceNumber, total }, message: 'Invoice created from appointment' });
   } catch (error) {
     console.error('Create invoice from appointment error:', error);
@@ -507,9 +522,34 @@ router.post('/from-appointment/:appointmentId', async (req, res) => {
 });
 
 // ── Update invoice ──
+// Amount paid and the paid / partially paid statuses come from the payment ledger;
+// marking an invoice paid here records a payment for its balance.
 router.patch('/:id', async (req, res) => {
   try {
-    const fields = ['status', 'payment_method', 'notes', 'due_date', 'discount_amount', 'discount_type', 'tax_rate', 'amount_paid'];
+    const [before] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!before) return res.status(404).json({ success: false, message: 'Invoice not found' });
+
+    const markPaid = req.body.status === 'paid';
+    if (req.body.amount_paid !== undefined) {
+      return res.status(400).json({ success: false, message: 'Amount paid is recorded through payments' });
+    }
+    if (req.body.status === 'partially_paid') {
+      return res.status(400).json({ success: false, message: 'Record a payment to mark an invoice partially paid' });
+    }
+    if (['draft', 'sent', 'overdue'].includes(req.body.status) && parseFloat(before.amount_paid || 0) > 0) {
+      return res.status(400).json({ success: false, message: 'Invoice has payments recorded — reverse them first' });
+    }
+    let paymentMethod = null;
+    if (markPaid) {
+      paymentMethod = req.body.payment_method || 'other';
+      if (before.status === 'void') return res.status(400).json({ success: false, message: 'Cannot pay a voided invoice' });
+      if (!TENDER_METHODS.includes(paymentMethod) || ['gift_card', 'loyalty_points'].includes(paymentMethod)) {
+        return res.status(400).json({ success: false, message: 'Use the pay endpoint to pay by gift card or loyalty points' });
+      }
+    }
+
+    const fields = ['notes', 'due_date', 'discount_amount', 'discount_type', 'tax_rate'];
+    if (!markPaid && req.body.status !== undefined) fields.push('status');
     const updates = [];
     const params = [];
 
@@ -517,40 +557,59 @@ router.patch('/:id', async (req, res) => {
       if (req.body[f] !== undefined) { updates.push(`${f} = ?`); params.push(req.body[f]); }
     }
 
-    // If marking as paid
-    if (req.body.status === 'paid' && !req.body.paid_at) {
-      updates.push('paid_at = NOW()');
+    if (updates.length === 0 && !markPaid) return res.status(400).json({ success: false, message: 'No fields to update' });
+
+    // Recalculate totals if discount/tax changed
+    const totalsChanged = req.body.discount_amount !== undefined || req.body.tax_rate !== undefined;
+    if (totalsChanged) {
+      const inv = before;
+      const sub = inv.subtotal;
+      const discAmt = req.body.discount_amount !== undefined ? req.body.discount_amount : inv.discount_amount;
+      const discType = req.body.discount_type || inv.discount_type;
+      const txRate = req.body.tax_rate !== undefined ? req.body.tax_rate : inv.tax_rate;
+      const disc = discType === 'percentage' ? sub * (discAmt / 100) : discAmt;
+      const afterDisc = sub - disc;
+      const tax = afterDisc * (txRate / 100);
+      updates.push('tax_amount = ?', 'total = ?');
+      params.push(tax, afterDisc + tax);
     }
-    if (req.body.paid_at) { updates.push('paid_at = ?'); params.push(req.body.paid_at); }
 
-    if (updates.length === 0) return res.status(400).json({ success: false, message: 'No fields to update' });
+    if (updates.length > 0) {
+      params.push(req.params.id, req.tenantId);
+      await execute(`UPDATE invoices SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    }
 
-    // Recalculate totals if discount/tax changed
-    if (req.body.discount_amount !== undefined || req.body.tax_rate !== undefined) {
-      const [inv] = await query('SELECT subtotal, discount_amount, discount_type, tax_rate FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
-      if (inv) {
-        const sub = inv.subtotal;
-        const discAmt = req.body.discount_amount !== undefined ? req.body.discount_amount : inv.discount_amount;
-        const discType = req.body.discount_type || inv.discount_type;
-        const txRate = req.body.tax_rate !== undefined ? req.body.tax_rate : inv.tax_rate;
-        const disc = discType === 'percentage' ? sub * (discAmt / 100) : discAmt;
-        const afterDisc = sub - disc;
-        const tax = afterDisc * (txRate / 100);
-        updates.push('tax_amount = ?', 'total = ?');
-        params.push(tax, afterDisc + tax);
+    // Marking as paid records the balance as a payment
+    let ledger = null;
+    if (markPaid) {
+      const [inv] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+      await openInvoiceLedger(inv);
+      const balance = invoiceBalance(inv);
+      if (balance > 0) {
+        await recordPayment({
+          tenantId: req.tenantId,
+          invoiceId: inv.id,
+          branchId: inv.branch_id || null,
+          customerId: inv.customer_id || null,
+          staffId: req.user?.id || null,
+          method: paymentMethod,
+          amount: balance,
+          currency: inv.currency,
+          reference: req.body.reference || null,
+          paidAt: req.body.paid_at ? new Date(req.body.paid_at) : new Date(),
+          notes: 'Marked as paid',
+        });
       }
     }
+    if (markPaid || totalsChanged) ledger = await syncInvoicePayments(before.id);
+    if (req.body.status === 'void' && before.status !== 'void') await reverseInvoiceCommission(before.id, 'Invoice voided');
 
-    params.push(req.params.id, req.tenantId);
-    await execute(`UPDATE invoices SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    runWorkflows(req.tenantId, 'invoice', before.id, { before, userId: req.user?.id || null });
+    emitUpdateEvents(req.tenantId, 'invoice', before.id, before.status);
 
     // Auto-earn loyalty points when marking as paid
-    if (req.body.status === 'paid') {
-      const [paidInv] = await query('SELECT customer_id, total, appointment_id FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
-      // Sync appointment payment_status
-      if (paidInv?.appointment_id) {
-        await execute('UPDATE appointments SET payment_status = ? WHERE id = ? AND tenant_id = ?', ['paid', paidInv.appointment_id, req.tenantId]);
-      }
+    if (markPaid && before.status !== 'paid' && ledger?.status === 'paid') {
+      const [paidInv] = await query('SELECT customer_id, total FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
       if (paidInv?.customer_id && paidInv?.total > 0) {
         const loyaltyResult = await processAutoEarn(req.tenantId, paidInv.customer_id, parseFloat(paidInv.total), parseInt(req.params.id));
         if (loyaltyResult) {
@@ -566,173 +625,160 @@ router.patch('/:id', async (req, res) => {
   }
 });
 
-// ── Record payment (supports split: discount code + loyalty points + other method) ──
+// ── Record payment (one or more tenders, plus an optional discount code) ──
+// Body: { payments: [{ method, amount, reference, gift_card_code }], discount_code }
+// or the single-method form { amount, payment_method, gift_card_code, loyalty_amount, discount_code }
 router.post('/:id/pay', async (req, res) => {
   try {
-    const { amount, payment_method = 'cash', gift_card_code, loyalty_amount, discount_code } = req.body;
-    let totalAmount = parseFloat(amount || 0);
+    const { amount, payment_method = 'cash', gift_card_code, loyalty_amount, discount_code, reference } = req.body;
+    const multiTender = Array.isArray(req.body.payments);
     const loyaltyAmt = parseFloat(loyalty_amount || 0);
 
-    if (totalAmount <= 0) return res.status(400).json({ success: false, message: 'Valid amount required' });
-
-    // Require gift card code when paying by gift card
-    if (payment_method === 'gift_card' && !gift_card_code) {
-      return res.status(400).json({ success: false, message: 'Gift card code is required for gift card payments' });
-    }
+    if (!multiTender && !(parseFloat(amount || 0) > 0)) return res.status(400).json({ success: false, message: 'Valid amount required' });
 
-    const [inv] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
-    if (!inv) return res.status(404).json({ success: false, message: 'Invoice not found' });
-    if (inv.status === 'paid') return res.status(400).json({ success: false, message: 'Invoice is already fully paid' });
-    if (inv.status === 'void') return res.status(400).json({ success: false, message: 'Cannot pay a voided invoice' });
-
-    // Cap payment at balance due
-    const currentBalance = Math.max(0, parseFloat(inv.total) - parseFloat(inv.amount_paid || 0));
-    if (currentBalance <= 0) return res.status(400).json({ success: false, message: 'No balance due on this invoice' });
-    totalAmount = Math.min(totalAmount, currentBalance);
-
-    // ── Step 0: Validate & apply discount code (reduces effective amount) ──
-    let discountResult = null;
-    if (discount_code) {
-      // Validate the code
-      const [dc] = await query(`
-        SELECT dc.id as code_id, dc.code, dc.max_uses, dc.used_count as code_used, dc.is_active as code_active,
-               p.id as promo_id, p.name as promo_name, p.type, p.discount_value, p.min_spend,
-               p.is_active as promo_active, p.start_date, p.end_date, p.usage_limit, p.used_count as promo_used
-        FROM discount_codes dc
-        LEFT JOIN promotions p ON dc.promotion_id = p.id
-        WHERE dc.code = ? AND dc.tenant_id = ? AND dc.is_active = 1
-      `, [discount_code, req.tenantId]);
-
-      if (!dc) return res.status(400).json({ success: false, message: 'Invalid discount code' });
-      if (!dc.promo_active) return res.status(400).json({ success: false, message: 'Promotion is not active' });
-
-      const now = new Date();
-      if (dc.start_date && new Date(dc.start_date) > now) return res.status(400).json({ success: false, message: 'Promotion has not started yet' });
-      if (dc.end_date && new Date(dc.end_date) < now) return res.status(400).json({ success: false, message: 'Promotion has expired' });
-      if (dc.max_uses > 0 && dc.code_used >= dc.max_uses) return res.status(400).json({ success: false, message: 'Discount code usage limit reached' });
-      if (dc.min_spend > 0 && parseFloat(inv.total) < dc.min_spend) return res.status(400).json({ success: false, message: `Minimum spend of ${dc.min_spend} required` });
-
-      // Calculate discount
-      let discAmt = 0;
-      const balance = parseFloat(inv.total) - parseFloat(inv.amount_paid || 0);
-      if (dc.type === 'percentage') {
-        discAmt = Math.min(balance, balance * (dc.discount_value / 100));
-      } else {
-        discAmt = Math.min(balance, parseFloat(dc.discount_value));
-      }
-      discAmt = parseFloat(discAmt.toFixed(2));
-
-      if (discAmt > 0) {
-        // Record usage
-        await execute(`INSERT INTO discount_usage (discount_code_id, promotion_id, customer_id, invoice_id, discount_amount) VALUES (?,?,?,?,?)`,
-          [dc.code_id, dc.promo_id, inv.customer_id || null, parseInt(req.params.id), discAmt]);
-        await execute('UPDATE discount_codes SET used_count = used_count + 1 WHERE id = ?', [dc.code_id]);
-        await execute('UPDATE promotions SET used_count = used_count + 1 WHERE id = ?', [dc.promo_id]);
-
-        // Adjust invoice discount
-        await execute(`UPDATE invoices SET discount_amount = discount_amount + ? WHERE id = ? AND tenant_id = ?`,
-          [discAmt, req.params.id, req.tenantId]);
-
-        // Recalculate total after discount
-        const [updated] = await query('SELECT total, amount_paid FROM invoices WHERE id = ?', [req.params.id]);
-        const newTotal = parseFloat(updated.total) - discAmt;
-        await execute('UPDATE invoices SET total = ? WHERE id = ? AND tenant_id = ?', [newTotal, req.params.id, req.tenantId]);
-
-        // Adjust payment amount to the new balance
-        const newBalance = newTotal - parseFloat(updated.amount_paid || 0);
-        totalAmount = Math.min(totalAmount, newBalance);
-
-        discountResult = {
-          code: dc.code,
-          promo_name: dc.promo_name,
-          type: dc.type,
-          discount_value: dc.discount_value,
-          discount_amount: discAmt,
-          message: `${dc.promo_name}: ${dc.type === 'percentage' ? dc.discount_value + '%' : dc.discount_value} off (−${discAmt})`
-        };
-      }
-    }
-
-    // ── Step 1: Process loyalty points deduction (if any) ──
-    let loyaltyRedeemResult = null;
-    if (loyaltyAmt > 0) {
-      if (!inv.customer_id) {
-        return res.status(400).json({ success: false, message: 'Invoice must have a customer to redeem loyalty points' });
-      }
-      if (loyaltyAmt > totalAmount) {
-        return res.status(400).json({ success: false, message: 'Loyalty amount cannot exceed total payment amount' });
-      }
-      loyaltyRedeemResult = await redeemLoyaltyForPayment(
-        req.tenantId, inv.customer_id, loyaltyAmt, parseInt(req.params.id)
-      );
-      if (!loyaltyRedeemResult.success) {
-        return res.status(400).json({ success: false, message: loyaltyRedeemResult.message });
-      }
-    }
-
-    // ── Step 2: Process gift card (for the non-loyalty portion) ──
-    let giftCardResult = null;
-    const remainingAfterLoyalty = totalAmount - loyaltyAmt;
-    if (payment_method === 'gift_card' && gift_card_code && remainingAfterLoyalty > 0) {
-      giftCardResult = await redeemGiftCard(req.tenantId, gift_card_code, remainingAfterLoyalty, {
-        invoice_id: parseInt(req.params.id),
-        created_by: req.user?.id
+    // The invoice stays locked until the payment is recorded, so two payments can't both take the balance
+    let paid;
+    try {
+      paid = await withInvoiceLock(req.tenantId, req.params.id, async (inv, tx) => {
+        const fail = (status, message) => Object.assign(new Error(message), { status });
+        if (!inv) throw fail(404, 'Invoice not found');
+        if (inv.status === 'paid') throw fail(400, 'Invoice is already fully paid');
+        if (inv.status === 'void') throw fail(400, 'Cannot pay a voided invoice');
+
+        await openInvoiceLedger(inv, { locked: true });
+        const currentBalance = invoiceBalance(inv);
+        if (currentBalance <= 0) throw fail(400, 'No balance due on this invoice');
+
+        // ── Step 0: Validate discount code (recorded once the payment goes through) ──
+        let discountResult = null;
+        let discountCode = null;
+        if (discount_code) {
+          // Validate the code
+          const [dc] = await query(`
+            SELECT dc.id as code_id, dc.code, dc.max_uses, dc.used_count as code_used, dc.is_active as code_active,
+                   p.id as promo_id, p.name as promo_name, p.type, p.discount_value, p.min_spend,
+                   p.is_active as promo_active, p.start_date, p.end_date, p.usage_limit, p.used_count as promo_used
+            FROM discount_codes dc
+            LEFT JOIN promotions p ON dc.promotion_id = p.id
+            WHERE dc.code = ? AND dc.tenant_id = ? AND dc.is_active = 1
+          `, [discount_code, req.tenantId]);
+
+          if (!dc) throw fail(400, 'Invalid discount code');
+          if (!dc.promo_active) throw fail(400, 'Promotion is not active');
+
+          const now = new Date();
+          if (dc.start_date && new Date(dc.start_date) > now) throw fail(400, 'Promotion has not started yet');
+          if (dc.end_date && new Date(dc.end_date) < now) throw fail(400, 'Promotion has expired');
+          if (dc.max_uses > 0 && dc.code_used >= dc.max_uses) throw fail(400, 'Discount code usage limit reached');
+          if (dc.min_spend > 0 && parseFloat(inv.total) < dc.min_spend) throw fail(400, `Minimum spend of ${dc.min_spend} required`);
+
+          // Calculate discount
+          let discAmt = 0;
+          if (dc.type === 'percentage') {
+            discAmt = Math.min(currentBalance, currentBalance * (dc.discount_value / 100));
+          } else {
+            discAmt = Math.min(currentBalance, parseFloat(dc.discount_value));
+          }
+          discAmt = parseFloat(discAmt.toFixed(2));
+
+          if (discAmt > 0) {
+            discountCode = dc;
+            discountResult = {
+              code: dc.code,
+              promo_name: dc.promo_name,
+              type: dc.type,
+              discount_value: dc.discount_value,
+              discount_amount: discAmt,
+              message: `${dc.promo_name}: ${dc.type === 'percentage' ? dc.discount_value + '%' : dc.discount_value} off (−${discAmt})`
+            };
+          }
+        }
+        const balanceDue = parseFloat((currentBalance - (discountResult?.discount_amount || 0)).toFixed(2));
+
+        // ── Step 1: Work out the tenders ──
+        let tenderInput;
+        if (multiTender) {
+          tenderInput = req.body.payments;
+        } else {
+          // Single-method form: the amount is capped at the balance, loyalty points cover part of it
+          const totalAmount = Math.min(parseFloat(amount), balanceDue);
+          if (loyaltyAmt > totalAmount) {
+            throw fail(400, 'Loyalty amount cannot exceed total payment amount');
+          }
+          tenderInput = [];
+          if (loyaltyAmt > 0) tenderInput.push({ method: 'loyalty_points', amount: loyaltyAmt });
+          if (totalAmount - loyaltyAmt > 0) {
+            tenderInput.push({ method: payment_method, amount: totalAmount - loyaltyAmt, reference, gift_card_code });
+          }
+        }
+        const normalized = normalizeTenders(tenderInput);
+        if (normalized.error) throw fail(400, normalized.error);
+        if (!inv.customer_id && normalized.tenders.some(t => t.method === 'loyalty_points')) {
+          throw fail(400, 'Invoice must have a customer to redeem loyalty points');
+        }
+        const settled = settleTenders(normalized.tenders, balanceDue);
+        if (settled.error) throw fail(400, settled.error);
+        const { tenders, change } = settled;
+        const totalAmount = tenders.reduce((sum, t) => sum + t.amount, 0);
+
+        // ── Step 2: Take the tenders (gift cards and points are redeemed here) ──
+        const taken = await takeTenders({
+          tenantId: req.tenantId,
+          invoiceId: inv.id,
+          branchId: inv.branch_id || null,
+          customerId: inv.customer_id || null,
+          currency: inv.currency,
+        }, tenders, { userId: req.user?.id || null });
+        if (taken.error) throw fail(400, taken.error);
+
+        // ── Step 3: Record the discount and recount the invoice from the ledger ──
+        if (discountCode) {
+          const discAmt = discountResult.discount_amount;
+          await execute(`INSERT INTO discount_usage (discount_code_id, promotion_id, customer_id, invoice_id, discount_amount) VALUES (?,?,?,?,?)`,
+            [discountCode.code_id, discountCode.promo_id, inv.customer_id || null, inv.id, discAmt]);
+          await execute('UPDATE discount_codes SET used_count = used_count + 1 WHERE id = ?', [discountCode.code_id]);
+          await execute('UPDATE promotions SET used_count = used_count + 1 WHERE id = ?', [discountCode.promo_id]);
+          await tx.execute(`UPDATE invoices SET discount_amount = discount_amount + ?, total = total - ? WHERE id = ? AND tenant_id = ?`,
+            [discAmt, discAmt, inv.id, req.tenantId]);
+        }
+        const ledger = await syncInvoicePayments(inv.id, { db: tx });
+        return { inv, discountResult, tenders, change, totalAmount, taken, ledger };
       });
-      if (!giftCardResult.success) {
-        return res.status(400).json({ success: false, message: giftCardResult.message });
-      }
-    }
-
-    // ── Step 3: Update invoice ──
-    // Re-read invoice if discount was applied (total may have changed)
-    let currentInv = inv;
-    if (discountResult) {
-      const [refreshed] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
-      if (refreshed) currentInv = refreshed;
-    }
-    const newPaid = parseFloat(currentInv.amount_paid || 0) + totalAmount;
-    const newStatus = newPaid >= parseFloat(currentInv.total) ? 'paid' : 'partially_paid';
-    const recordedMethod = loyaltyAmt > 0 && loyaltyAmt < totalAmount
-      ? `loyalty_points+${payment_method}`
-      : loyaltyAmt >= totalAmount ? 'loyalty_points' : payment_method;
-
-    await execute(`
-      UPDATE invoices SET amount_paid = ?, status = ?, payment_method = ?, paid_at = IF(? = 'paid', NOW(), paid_at)
-      WHERE id = ? AND tenant_id = ?
-    `, [newPaid, newStatus, recordedMethod, newStatus, req.params.id, req.tenantId]);
-
-    // Sync appointment payment_status
-    if (inv.appointment_id) {
-      const apptPayStatus = newStatus === 'paid' ? 'paid' : 'partial';
-      await execute('UPDATE appointments SET payment_status = ? WHERE id = ? AND tenant_id = ?', [apptPayStatus, inv.appointment_id, req.tenantId]);
+    } catch (txError) {
+      if (txError.status) return res.status(txError.status).json({ success: false, message: txError.message });
+      throw txError;
     }
+    const { inv, discountResult, tenders, change, totalAmount, taken, ledger } = paid;
+    const newPaid = ledger.amount_paid;
+    const newStatus = ledger.status;
+    const invoiceTotal = newPaid + ledger.balance;
+    const usedPoints = tenders.some(t => t.method === 'loyalty_points');
 
     // ── Step 4: Auto-earn loyalty when fully paid (skip if any part used points) ──
     let loyaltyResult = null;
-    if (newStatus === 'paid' && inv.customer_id && inv.total > 0 && loyaltyAmt <= 0) {
+    if (newStatus === 'paid' && inv.customer_id && inv.total > 0 && !usedPoints) {
       loyaltyResult = await processAutoEarn(req.tenantId, inv.customer_id, parseFloat(inv.total), parseInt(req.params.id));
     }
 
     // Build response message
+    const tenderSummary = tenders.map(t => `${t.amount.toFixed(2)} ${t.method}`).join(' + ');
     const parts = [];
     if (discountResult) parts.push(discountResult.message);
-    if (loyaltyAmt > 0 && remainingAfterLoyalty > 0) {
-      parts.push(`Split: ${loyaltyAmt} pts + ${remainingAfterLoyalty} ${payment_method}`);
-    } else if (loyaltyAmt >= totalAmount) {
-      parts.push(`Paid ${totalAmount} via loyalty points`);
-    } else if (totalAmount > 0) {
-      parts.push(`Paid ${totalAmount} via ${payment_method}`);
-    }
-    if (loyaltyRedeemResult) parts.push(loyaltyRedeemResult.message);
-    if (giftCardResult) parts.push(`Gift card: ${giftCardResult.message}`);
+    parts.push(tenders.length > 1 ? `Split: ${tenderSummary}` : `Paid ${totalAmount.toFixed(2)} via ${tenders[0].method}`);
+    if (change > 0) parts.push(`Change due: ${change.toFixed(2)}`);
+    if (taken.loyalty) parts.push(taken.loyalty.message);
+    for (const gc of taken.gift_cards) parts.push(`Gift card: ${gc.message}`);
     if (loyaltyResult) parts.push(`+${loyaltyResult.points_earned} loyalty points earned`);
 
+    runWorkflows(req.tenantId, 'invoice', inv.id, { before: inv, userId: req.user?.id || null });
+    emitUpdateEvents(req.tenantId, 'invoice', inv.id, inv.status);
+
     // Push notification for payment
     notifyPayment(
       req.tenantId,
       newStatus === 'paid' ? `Invoice ${inv.invoice_number} Fully Paid` : `Payment Received — ${inv.invoice_number}`,
-      `${totalAmount.toFixed(2)} via ${payment_method}`,
-      { invoice_id: inv.id, amount: totalAmount, method: payment_method }
+      `${totalAmount.toFixed(2)} via ${tenders.map(t => t.method).join(' + ')}`,
+      { invoice_id: inv.id, amount: totalAmount, method: tenders.length > 1 ? 'split' : tenders[0].method, payment_ids: taken.payments.map(p => p.id) }
     ).catch(() => {});
 
     // Send payment confirmation email
@@ -760,10 +806,10 @@ router.post('/:id/pay', async (req, res) => {
           const receiptPdf = await generateReceiptPDF(invoiceWithMeta, tenantInfo);
 
           const customerName = `${customer.first_name || ''} ${customer.last_name || ''}`.trim() || 'Valued Client';
-          const paymentParts = [];
-          if (loyaltyAmt > 0) paymentParts.push(`${loyaltyAmt} loyalty points`);
-          if (remainingAfterLoyalty > 0) paymentParts.push(`${remainingAfterLoyalty} via ${payment_method}`);
-          
+          const paymentParts = tenders.map(t => t.method === 'loyalty_points'
+            ? `${t.amount.toFixed(2)} in loyalty points`
+            : `${t.amount.toFixed(2)} via ${t.method.replace(/_/g, ' ')}`);
+
           await sendNotificationEmail({
             to: customer.email,
             subject: newStatus === 'paid' 
@@ -778,9 +824,9 @@ router.post('/:id/pay', async (req, res) => {
               <ul>
                 <li><strong>Invoice Number:</strong> ${inv.invoice_number}</li>
                 <li><strong>Amount Paid:</strong> ${inv.currency} ${totalAmount.toFixed(2)}</li>
-                <li><strong>Payment Method:</strong> ${paymentParts.join(' + ') || payment_method}</li>
-                <li><strong>Total Paid:</strong> ${inv.currency} ${newPaid.toFixed(2)} of ${inv.currency} ${parseFloat(currentInv.total).toFixed(2)}</li>
-                ${newStatus === 'paid' ? '<li><strong>Status:</strong> Fully Paid ✅</li>' : `<li><strong>Remaining Balance:</strong> ${inv.currency} ${(parseFloat(currentInv.total) - newPaid).toFixed(2)}</li>`}
+                <li><strong>Payment Method:</strong> ${paymentParts.join(' + ')}</li>
+                <li><strong>Total Paid:</strong> ${inv.currency} ${newPaid.toFixed(2)} of ${inv.currency} ${invoiceTotal.toFixed(2)}</li>
+                ${newStatus === 'paid' ? '<li><strong>Status:</strong> Fully Paid ✅</li>' : `<li><strong>Remaining Balance:</strong> ${inv.currency} ${ledger.balance.toFixed(2)}</li>`}
               </ul>
               ${loyaltyResult ? `<p><strong>Bonus:</strong> You earned ${loyaltyResult.points_earned} loyalty points!</p>` : ''}
               <p>Thank you for your payment!</p>
@@ -800,11 +846,12 @@ router.post('/:id/pay', async (req, res) => {
 
     res.json({ 
       success: true, 
-      data: { amount_paid: newPaid, status: newStatus }, 
+      data: { amount_paid: newPaid, balance: ledger.balance, status: newStatus, payments: taken.payments, change_given: change }, 
       message: parts.join(' · '),
       loyalty: loyaltyResult,
-      loyalty_redeem: loyaltyRedeemResult,
-      gift_card: giftCardResult,
+      loyalty_redeem: taken.loyalty,
+      gift_card: taken.gift_cards[0] || null,
+      gift_cards: taken.gift_cards,
       discount: discountResult
     });
   } catch (error) {
@@ -813,10 +860,47 @@ router.post('/:id/pay', async (req, res) => {
   }
 });
 
+// ── Payments recorded against an invoice ──
+router.get('/:id/payments', async (req, res) => {
+  try {
+    const [inv] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!inv) return res.status(404).json({ success: false, message: 'Invoice not found' });
+    await openInvoiceLedger(inv);
+
+    const payments = await query(`
+      SELECT p.*, u.full_name as staff_name
+      FROM payments p
+      LEFT JOIN staff u ON p.staff_id = u.id
+      WHERE p.invoice_id = ? AND p.tenant_id = ?
+      ORDER BY p.paid_at ASC, p.id ASC
+    `, [inv.id, req.tenantId]);
+    const paid = payments.reduce((sum, p) => sum + parseFloat(p.amount), 0);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        total: parseFloat(inv.total),
+        amount_paid: parseFloat(paid.toFixed(2)),
+        balance: parseFloat(Math.max(0, inv.total - paid).toFixed(2)),
+      }
+    });
+  } catch (error) {
+    console.error('List invoice payments error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ── Void invoice ──
 router.post('/:id/void', async (req, res) => {
   try {
+    const [before] = await query('SELECT * FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     await execute("UPDATE invoices SET status = 'void' WHERE id = ? AND tenant_id = ?", [req.params.id, req.tenantId]);
+    if (before) {
+      await reverseInvoiceCommission(before.id, 'Invoice voided');
+      runWorkflows(req.tenantId, 'invoice', before.id, { before, userId: req.user?.id || null });
+      emitUpdateEvents(req.tenantId, 'invoice', before.id, before.status);
+    }
     res.json({ success: true, message: 'Invoice voided' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
@@ -826,12 +910,13 @@ router.post('/:id/void', async (req, res) => {
 // ── Delete (only draft) ──
 router.delete('/:id', async (req, res) => {
   try {
-    const [inv] = await query("SELECT status FROM invoices WHERE id = ? AND tenant_id = ?", [req.params.id, req.tenantId]);
+    const [inv] = await query("SELECT * FROM invoices WHERE id = ? AND tenant_id = ?", [req.params.id, req.tenantId]);
     if (!inv) return res.status(404).json({ success: false, message: 'Invoice not found' });
     if (inv.status !== 'draft') return res.status(400).json({ success: false, message: 'Only draft invoices can be deleted' });
 
     await execute('DELETE FROM invoice_items WHERE invoice_id = ?', [req.params.id]);
     await execute('DELETE FROM invoices WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    emitWebhookEvent(req.tenantId, 'invoice.deleted', inv);
     res.json({ success: true, message: 'Invoice deleted' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { runWorkflows } from '../lib/workflows.js';
 
 const router = express.Router();
 
@@ -125,6 +126,8 @@ router.post('/', authMiddleware, async (req, res) => {
       [tenantId, req.user.id, 'create', 'lead', result.insertId, JSON.stringify({ first_name, company, email })]
     );
     
+    runWorkflows(tenantId, 'lead', result.insertId, { userId: req.user.id });
+    
     res.json({ success: true, message: 'Lead created', data: { id: result.insertId } });
   } catch (error) {
     console.error('Create lead error:', error);
@@ -141,7 +144,7 @@ router.patch('/:id', authMiddleware, async (req, res) => {
     const tenantId = req.tenantId;
     
     // Check lead exists and belongs to tenant
-    let checkSql = 'SELECT id FROM leads WHERE id = ?';
+    let checkSql = 'SELECT * FROM leads WHERE id = ?';
     const checkParams = [id];
     if (tenantId) {
       checkSql += ' AND tenant_id = ?';
@@ -185,6 +188,8 @@ router.patch('/:id', authMiddleware, async (req, res) => {
       [tenantId, req.user.id, 'update', 'lead', id, JSON.stringify(req.body)]
     );
     
+    runWorkflows(tenantId, 'lead', id, { before: existing, userId: req.user.id });
+    
     res.json({ success: true, message: 'Lead updated' });
   } catch (error) {
     console.error('Update lead error:', error);
@@ -268,6 +273,11 @@ router.post('/:id/convert', authMiddleware, async (req, res) => {
       [tenantId, req.user.id, 'convert', 'lead', id, JSON.stringify({ accountId, contactId, dealId })]
     );
     
+    runWorkflows(tenantId, 'lead', id, { before: lead, userId: req.user.id });
+    if (accountId) runWorkflows(tenantId, 'account', accountId, { userId: req.user.id });
+    if (contactId) runWorkflows(tenantId, 'contact', contactId, { userId: req.user.id });
+    if (dealId) runWorkflows(tenantId, 'deal', dealId, { userId: req.user.id });
+    
     res.json({ 
       success: true, 
       message: 'Lead converted successfully',
@@ -866,4 +866,62 @@ export async function redeemLoyaltyForPayment(tenantId, customerId, monetaryAmou
   }
 }
 
+/**
+ * Give back points redeemed for a payment that was reversed or refunded.
+ * @returns {{ success: boolean, message: string, points_restored?: number }}
+ */
+export async function restoreRedeemedPoints(tenantId, customerId, points, invoiceId, description = null) {
+  try {
+    const [member] = await query(
+      'SELECT * FROM loyalty_points WHERE tenant_id = ? AND customer_id = ?',
+      [tenantId, customerId]
+    );
+    if (!member) return { success: false, message: 'Customer is not enrolled in the loyalty program' };
+
+    await execute(
+      'UPDATE loyalty_points SET points = points + ?, total_redeemed = GREATEST(total_redeemed - ?, 0) WHERE id = ?',
+      [points, points, member.id]
+    );
+    await execute(
+      `INSERT INTO loyalty_transactions (tenant_id, customer_id, points, transaction_type, description, reference_type, reference_id)
+       VALUES (?, ?, ?, 'adjust', ?, 'invoice', ?)`,
+      [tenantId, customerId, points, description || `Restored ${points} pts from a reversed payment`, invoiceId]
+    );
+    return { success: true, message: `${points} points restored`, points_restored: points };
+  } catch (error) {
+    console.error('Loyalty restore error:', error);
+    return { success: false, message: 'Failed to restore loyalty points' };
+  }
+}
+
+/**
+ * Take back points earned on an invoice that has been credited or refunded.
+ * The balance doesn't go below zero; the tier is left as it is.
+ * @returns {{ success: boolean, message: string, points_reversed?: number }}
+ */
+export async function reverseEarnedPoints(tenantId, customerId, points, invoiceId, description = null) {
+  try {
+    const [member] = await query(
+      'SELECT * FROM loyalty_points WHERE tenant_id = ? AND customer_id = ?',
+      [tenantId, customerId]
+    );
+    if (!member) return { success: false, message: 'Customer is not enrolled in the loyalty program' };
+
+    const reversed = Math.min(points, member.points);
+    await execute(
+      'UPDATE loyalty_points SET points = points - ?, total_earned = GREATEST(total_earned - ?, 0) WHERE id = ?',
+      [reversed, points, member.id]
+    );
+    await execute(
+      `INSERT INTO loyalty_transactions (tenant_id, customer_id, points, transaction_type, description, reference_type, reference_id)
+       VALUES (?, ?, ?, 'adjust', ?, 'invoice', ?)`,
+      [tenantId, customerId, -reversed, description || `Reversed ${points} pts earned on a refunded invoice`, invoiceId]
+    );
+    return { success: true, message: `${reversed} points reversed`, points_reversed: reversed };
+  } catch (error) {
+    console.error('Loyalty reversal error:', error);
+    return { success: false, message: 'Failed to reverse loyalty points' };
+  }
+}
+
 export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { runWorkflows } from '../lib/workflows.js';
 
 const router = express.Router();
 
@@ -224,6 +225,8 @@ router.post('/subscribe', async (req, res) => {
       VALUES (?,?,?,?,?,?,?,?)
     `, [t, customer_id, plan_id, startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0], nextBilling.toISOString().split('T')[0], plan.sessions_included, auto_renew ? 1 : 0]);
 
+    runWorkflows(t, 'membership', result.insertId, { userId: req.user?.id || null });
+
     res.status(201).json({ success: true, data: { id: result.insertId }, message: 'Customer subscribed' });
   } catch (error) {
     console.error('Subscribe error:', error);
@@ -239,6 +242,7 @@ router.post('/cancel/:membershipId', async (req, res) => {
     if (!mem) return res.status(404).json({ success: false, message: 'Membership not found' });
 
     await execute("UPDATE customer_memberships SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = ? WHERE id = ?", [reason || null, mem.id]);
+    runWorkflows(req.tenantId, 'membership', mem.id, { before: mem, userId: req.user?.id || null });
     res.json({ success: true, message: 'Membership cancelled' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
@@ -252,6 +256,7 @@ router.post('/pause/:membershipId', async (req, res) => {
     if (!mem) return res.status(404).json({ success: false, message: 'Membership not found' });
     const newStatus = mem.status === 'paused' ? 'active' : 'paused';
     await execute("UPDATE customer_memberships SET status = ? WHERE id = ?", [newStatus, mem.id]);
+    runWorkflows(req.tenantId, 'membership', mem.id, { before: mem, userId: req.user?.id || null });
     res.json({ success: true, data: { status: newStatus }, message: `Membership ${newStatus}` });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
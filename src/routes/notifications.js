@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import { execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { getTenantTimezone, todayInTimezone, zonedDayRange } from '../lib/timezone.js';
 
 const router = Router();
 router.use(authMiddleware);
@@ -183,9 +184,12 @@ router.get('/stats', async (req, res) => {
       `SELECT category, COUNT(*) as count FROM notifications WHERE tenant_id = ? ${userFilter} AND is_archived = 0 GROUP BY category`, params
     );
 
-    // Today's notifications
+    // Today's notifications (the tenant's day)
+    const timeZone = await getTenantTimezone(tenantId);
+    const day = zonedDayRange(todayInTimezone(timeZone), timeZone);
     const [today] = await execute(
-      `SELECT COUNT(*) as c FROM notifications WHERE tenant_id = ? ${userFilter} AND is_archived = 0 AND DATE(created_at) = CURDATE()`, params
+      `SELECT COUNT(*) as c FROM notifications WHERE tenant_id = ? ${userFilter} AND is_archived = 0
+       AND created_at >= ? AND created_at < ?`, [...params, day.start, day.end]
     );
 
     res.json({
@@ -590,6 +594,9 @@ router.post('/generate-reminders', async (req, res) => {
   try {
     const tenantId = req.tenantId;
     let generated = 0;
+    // Alerts already raised today (the tenant's day) aren't raised again
+    const timeZone = await getTenantTimezone(tenantId);
+    const day = zonedDayRange(todayInTimezone(timeZone), timeZone);
 
     // 1. Upcoming appointments (next 24h that haven't been reminded)
     const settings = await execute(
@@ -652,10 +659,10 @@ router.post('/generate-reminders', async (req, res) => {
                SELECT JSON_UNQUOTE(JSON_EXTRACT(data, '$.invoice_id'))
                FROM notifications
                WHERE tenant_id = ? AND type = 'payment'
-               AND DATE(created_at) = CURDATE()
+               AND created_at >= ? AND created_at < ?
              )
            LIMIT 50`,
-          [tenantId, tenantId]
+          [tenantId, tenantId, day.start, day.end]
         );
 
         for (const inv of unpaid) {
@@ -691,10 +698,10 @@ router.post('/generate-reminders', async (req, res) => {
                SELECT JSON_UNQUOTE(JSON_EXTRACT(data, '$.inventory_id'))
                FROM notifications
                WHERE tenant_id = ? AND type = 'inventory'
-               AND DATE(created_at) = CURDATE()
+               AND created_at >= ? AND created_at < ?
              )
            LIMIT 50`,
-          [tenantId, tenantId]
+          [tenantId, tenantId, day.start, day.end]
         );
 
         for (const item of lowStock) {
@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { runWorkflows, loadWorkflowRecord } from '../lib/workflows.js';
 
 const router = express.Router();
 
@@ -262,6 +263,8 @@ router.post('/:id/sell', async (req, res) => {
       VALUES (?,?,?,?,?)
     `, [req.tenantId, customer_id, pkg.id, expiresAt.toISOString().split('T')[0], invoice_id || null]);
 
+    runWorkflows(req.tenantId, 'package', result.insertId, { userId: req.user?.id || null });
+
     res.status(201).json({ success: true, data: { id: result.insertId }, message: 'Package sold to customer' });
   } catch (error) {
     console.error('Sell package error:', error);
@@ -295,8 +298,11 @@ router.post('/usage', async (req, res) => {
       }
     }
 
+    // Snapshot the uses left before this one for the nearly_used trigger
+    const before = await loadWorkflowRecord(cp.tenant_id, 'package', cp.id);
     await execute('INSERT INTO customer_package_usage (customer_package_id, service_id, appointment_id) VALUES (?,?,?)',
       [customer_package_id, service_id, appointment_id || null]);
+    runWorkflows(cp.tenant_id, 'package', cp.id, { before, userId: req.user?.id || null });
 
     res.json({ success: true, message: 'Package usage recorded' });
   } catch (error) {
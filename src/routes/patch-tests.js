@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantToday } from '../lib/timezone.js';
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -44,7 +45,7 @@ router.get('/stats', async (req, res) => {
     const [pending] = await query('SELECT COUNT(*) as count FROM patch_tests WHERE tenant_id = ? AND result = ?', [req.tenantId, 'pending']);
     const [passed] = await query('SELECT COUNT(*) as count FROM patch_tests WHERE tenant_id = ? AND result = ?', [req.tenantId, 'pass']);
     const [failed] = await query('SELECT COUNT(*) as count FROM patch_tests WHERE tenant_id = ? AND result IN (?,?)', [req.tenantId, 'fail', 'reaction']);
-    const [valid] = await query('SELECT COUNT(*) as count FROM patch_tests WHERE tenant_id = ? AND is_valid = 1 AND (valid_until IS NULL OR valid_until >= CURDATE())', [req.tenantId]);
+    const [valid] = await query('SELECT COUNT(*) as count FROM patch_tests WHERE tenant_id = ? AND is_valid = 1 AND (valid_until IS NULL OR valid_until >= ?)', [req.tenantId, await tenantToday(req.tenantId)]);
 
     res.json({
       success: true,
@@ -75,9 +76,9 @@ router.get('/check/:customerId/:serviceId', async (req, res) => {
       SELECT id, test_date, result_date, result, valid_until
       FROM patch_tests 
       WHERE tenant_id = ? AND customer_id = ? AND service_id = ? 
-        AND is_valid = 1 AND (valid_until IS NULL OR valid_until >= CURDATE())
+        AND is_valid = 1 AND (valid_until IS NULL OR valid_until >= ?)
       ORDER BY test_date DESC LIMIT 1
-    `, [req.tenantId, req.params.customerId, req.params.serviceId]);
+    `, [req.tenantId, req.params.customerId, req.params.serviceId, await tenantToday(req.tenantId)]);
 
     res.json({
       success: true,
@@ -104,7 +105,10 @@ router.get('/', async (req, res) => {
     if (customer_id) { where += ' AND pt.customer_id = ?'; params.push(customer_id); }
     if (service_id) { where += ' AND pt.service_id = ?'; params.push(service_id); }
     if (result) { where += ' AND pt.result = ?'; params.push(result); }
-    if (valid_only === 'true') { where += ' AND pt.is_valid = 1 AND (pt.valid_until IS NULL OR pt.valid_until >= CURDATE())'; }
+    if (valid_only === 'true') {
+      where += ' AND pt.is_valid = 1 AND (pt.valid_until IS NULL OR pt.valid_until >= ?)';
+      params.push(await tenantToday(req.tenantId));
+    }
 
     const [cnt] = await query(`SELECT COUNT(*) as count FROM patch_tests pt ${where}`, params);
     const total = cnt?.count || 0;
@@ -0,0 +1,158 @@
+import express from 'express';
+import { query } from '../lib/database.js';
+import { authMiddleware, adminOnly } from '../middleware/auth.js';
+import { ensurePaymentTables, reversePayment } from '../lib/payments.js';
+import { notifyPayment } from '../lib/notify.js';
+import { runWorkflows } from '../lib/workflows.js';
+import { emitUpdateEvents } from '../lib/webhooks.js';
+
+const router = express.Router();
+router.use(authMiddleware);
+
+// Shared filters for the ledger list and summary
+function ledgerFilters(tenantId, q) {
+  let where = 'WHERE p.tenant_id = ?';
+  const params = [tenantId];
+  if (q.branch_id) { where += ' AND p.branch_id = ?'; params.push(q.branch_id); }
+  if (q.staff_id) { where += ' AND p.staff_id = ?'; params.push(q.staff_id); }
+  if (q.customer_id) { where += ' AND p.customer_id = ?'; params.push(q.customer_id); }
+  if (q.method) { where += ' AND p.method = ?'; params.push(q.method); }
+  if (q.type) { where += ' AND p.type = ?'; params.push(q.type); }
+  if (q.invoice_id) { where += ' AND p.invoice_id = ?'; params.push(q.invoice_id); }
+  if (q.pos_transaction_id) { where += ' AND p.pos_transaction_id = ?'; params.push(q.pos_transaction_id); }
+  if (q.from_date) { where += ' AND DATE(p.paid_at) >= ?'; params.push(q.from_date); }
+  if (q.to_date) { where += ' AND DATE(p.paid_at) <= ?'; params.push(q.to_date); }
+  return { where, params };
+}
+
+// ════════════════════════════════════════
+// Payment ledger
+// ════════════════════════════════════════
+router.get('/', async (req, res) => {
+  try {
+    await ensurePaymentTables();
+    const { page = 1, limit = 50 } = req.query;
+    const { where, params } = ledgerFilters(req.tenantId, req.query);
+
+    const [countRow] = await query(`SELECT COUNT(*) as cnt FROM payments p ${where}`, params);
+    const total = countRow?.cnt || 0;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const rows = await query(`
+      SELECT p.*,
+             s.full_name as staff_name,
+             c.first_name as customer_first_name, c.last_name as customer_last_name,
+             b.name as branch_name,
+             i.invoice_number,
+             t.transaction_number
+      FROM payments p
+      LEFT JOIN staff s ON p.staff_id = s.id
+      LEFT JOIN contacts c ON p.customer_id = c.id
+      LEFT JOIN branches b ON p.branch_id = b.id
+      LEFT JOIN invoices i ON p.invoice_id = i.id
+      LEFT JOIN pos_transactions t ON p.pos_transaction_id = t.id
+      ${where}
+      ORDER BY p.paid_at DESC, p.id DESC
+      LIMIT ${parseInt(limit)} OFFSET ${offset}
+    `, params);
+
+    const data = rows.map(r => ({
+      ...r,
+      details: typeof r.details === 'string' ? JSON.parse(r.details) : r.details
+    }));
+
+    res.json({
+      success: true,
+      data,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    console.error('Payments list error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payments' });
+  }
+});
+
+// ── Totals by method (net of reversals and refunds) ──
+router.get('/summary', async (req, res) => {
+  try {
+    await ensurePaymentTables();
+    const { where, params } = ledgerFilters(req.tenantId, req.query);
+
+    const byMethod = await query(`
+      SELECT p.method,
+             SUM(CASE WHEN p.type = 'payment' THEN 1 ELSE 0 END) as count,
+             COALESCE(SUM(CASE WHEN p.type = 'payment' THEN p.amount ELSE 0 END), 0) as taken,
+             COALESCE(SUM(CASE WHEN p.type = 'reversal' THEN -p.amount ELSE 0 END), 0) as reversed,
+             COALESCE(SUM(CASE WHEN p.type = 'refund' THEN -p.amount ELSE 0 END), 0) as refunded,
+             COALESCE(SUM(p.amount), 0) as net
+      FROM payments p ${where}
+      GROUP BY p.method
+      ORDER BY net DESC
+    `, params);
+
+    const methods = byMethod.map(m => ({
+      method: m.method,
+      count: Number(m.count),
+      taken: parseFloat(m.taken),
+      reversed: parseFloat(m.reversed),
+      refunded: parseFloat(m.refunded),
+      net: parseFloat(m.net),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        by_method: methods,
+        total_taken: methods.reduce((sum, m) => sum + m.taken, 0),
+        total_reversed: methods.reduce((sum, m) => sum + m.reversed, 0),
+        total_refunded: methods.reduce((sum, m) => sum + m.refunded, 0),
+        total_net: methods.reduce((sum, m) => sum + m.net, 0),
+      }
+    });
+  } catch (error) {
+    console.error('Payments summary error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payment summary' });
+  }
+});
+
+// ════════════════════════════════════════
+// Reverse a payment (managers only)
+// ════════════════════════════════════════
+router.post('/:id/reverse', adminOnly, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required to reverse a payment' });
+    }
+
+    const [before] = await query(
+      'SELECT i.* FROM payments p JOIN invoices i ON p.invoice_id = i.id WHERE p.id = ? AND p.tenant_id = ?',
+      [req.params.id, req.tenantId]
+    );
+    const result = await reversePayment(req.tenantId, req.params.id, { userId: req.user?.id || null, reason: String(reason).trim() });
+    if (result.error) return res.status(result.status || 400).json({ success: false, message: result.error });
+
+    if (before) {
+      runWorkflows(req.tenantId, 'invoice', before.id, { before, userId: req.user?.id || null });
+      emitUpdateEvents(req.tenantId, 'invoice', before.id, before.status);
+    }
+
+    notifyPayment(
+      req.tenantId,
+      before ? `Payment Reversed — ${before.invoice_number}` : 'Payment Reversed',
+      `${Math.abs(parseFloat(result.payment.amount)).toFixed(2)} via ${result.payment.method} — ${reason}`,
+      { payment_id: result.payment.id, reversal_id: result.reversal_id, invoice_id: result.payment.invoice_id }
+    ).catch(() => {});
+
+    res.json({
+      success: true,
+      message: 'Payment reversed',
+      data: { reversal_id: result.reversal_id, invoice: result.invoice }
+    });
+  } catch (error) {
+    console.error('Reverse payment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reverse payment' });
+  }
+});
+
+export default router;
@@ -1,8 +1,15 @@
 import express from 'express';
-import { query, execute } from '../lib/database.js';
-import { authMiddleware } from '../middleware/auth.js';
-import { redeemGiftCard } from './gift-cards.js';
+import { query, execute, withTransaction } from '../lib/database.js';
+import { authMiddleware, adminOnly } from '../middleware/auth.js';
 import { notifyPOS } from '../lib/notify.js';
+import { emitWebhookEvent } from '../lib/webhooks.js';
+import { normalizeTenders, settleTenders, takeTenders, openPosLedger, refundPayments } from '../lib/payments.js';
+import { restockInventory } from '../lib/credit-notes.js';
+import { validateTipSplit, allocateTip, reverseTipShares } from '../lib/tips.js';
+import {
+  ensureCashDrawerTables, getVarianceThreshold, addDrawerMovement, buildDrawerReport, closeDrawer, getZReport,
+} from '../lib/cash-drawer.js';
+import { generateZReportPDF, getTenantInfo } from '../lib/pdf.js';
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -44,27 +51,8 @@ async function ensureTable(tenantId) {
     )
   `);
 
-  // Daily cash drawer table
-  await execute(`
-    CREATE TABLE IF NOT EXISTS cash_drawer (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      tenant_id INT NOT NULL,
-      branch_id INT,
-      staff_id INT NOT NULL,
-      opening_amount DECIMAL(10,2) DEFAULT 0,
-      closing_amount DECIMAL(10,2),
-      expected_amount DECIMAL(10,2),
-      difference DECIMAL(10,2),
-      cash_in DECIMAL(10,2) DEFAULT 0,
-      cash_out DECIMAL(10,2) DEFAULT 0,
-      status ENUM('open','closed') DEFAULT 'open',
-      opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      closed_at DATETIME,
-      notes TEXT,
-      INDEX idx_tenant (tenant_id),
-      INDEX idx_branch (branch_id)
-    )
-  `);
+  // Cash drawers, pay-ins/pay-outs and Z-reports
+  await ensureCashDrawerTables();
 }
 
 // Auto-generate transaction number
@@ -79,6 +67,11 @@ async function nextTransactionNumber(tenantId) {
 
 // ════════════════════════════════════════
 // POS Checkout (main sale endpoint)
+// A split sale lists its tenders in payments (or payment_details.payments):
+// [{ method, amount, reference, gift_card_code }]. Each one is recorded in
+// the payment ledger; paying over the total is only allowed in cash (change).
+// The tip is shared out under the tenant's tip pooling, or by tip_split
+// ([{ staff_id, amount }] or [{ staff_id, percent }]); items may carry a staff_id.
 // ════════════════════════════════════════
 router.post('/checkout', async (req, res) => {
   try {
@@ -87,7 +80,7 @@ router.post('/checkout', async (req, res) => {
     const {
       branch_id, customer_id, items = [], 
       discount_amount = 0, discount_type = 'fixed',
-      tax_rate = 5, tip = 0,
+      tax_rate = 5, tip = 0, tip_split,
       payment_method = 'cash', payment_details = null,
       gift_card_code,
       amount_paid = 0, appointment_id = null, notes = ''
@@ -96,6 +89,8 @@ router.post('/checkout', async (req, res) => {
     if (!items || items.length === 0) {
       return res.status(400).json({ success: false, message: 'At least one item required' });
     }
+    const tipSplitError = await validateTipSplit(req.tenantId, tip_split, tip);
+    if (tipSplitError) return res.status(400).json({ success: false, message: tipSplitError });
 
     // Require gift card code when paying by gift card
     if (payment_method === 'gift_card' && !gift_card_code) {
@@ -113,7 +108,8 @@ router.post('/checkout', async (req, res) => {
         name: item.name,
         quantity: item.quantity || 1,
         price: parseFloat(item.price) || 0,
-        total: lineTotal
+        total: lineTotal,
+        staff_id: item.staff_id || null
       };
     });
 
@@ -126,8 +122,35 @@ router.post('/checkout', async (req, res) => {
     const afterDiscount = subtotal - discountAmt;
     const taxAmt = afterDiscount * (parseFloat(tax_rate) / 100);
     const total = afterDiscount + taxAmt;
-    const paidAmount = parseFloat(amount_paid) || total;
-    const changeGiven = Math.max(0, paidAmount - total);
+    const totalDue = parseFloat(total.toFixed(2));
+
+    // Work out the tenders
+    let tenders = [];
+    let changeGiven = 0;
+    if (payment_method === 'split') {
+      const normalized = normalizeTenders(req.body.payments || payment_details?.payments);
+      if (normalized.error) return res.status(400).json({ success: false, message: normalized.error });
+      const offered = normalized.tenders.reduce((sum, t) => sum + t.amount, 0);
+      if (offered + 0.005 < totalDue) {
+        return res.status(400).json({ success: false, message: `Payments of ${offered.toFixed(2)} don't cover the total of ${totalDue.toFixed(2)}` });
+      }
+      const settled = settleTenders(normalized.tenders, totalDue);
+      if (settled.error) return res.status(400).json({ success: false, message: settled.error });
+      tenders = settled.tenders;
+      changeGiven = settled.change;
+    } else if (totalDue > 0) {
+      // Cash can be handed over in excess of the total; the rest is change
+      const handed = payment_method === 'cash' ? Math.max(parseFloat(amount_paid) || 0, totalDue) : totalDue;
+      const normalized = normalizeTenders([{ method: payment_method, amount: handed, reference: payment_details?.reference, gift_card_code }]);
+      if (normalized.error) return res.status(400).json({ success: false, message: normalized.error });
+      tenders = normalized.tenders.map(t => ({ ...t, amount: totalDue }));
+      changeGiven = parseFloat((handed - totalDue).toFixed(2));
+    }
+    const paidAmount = totalDue + changeGiven;
+    const paymentDetails = {
+      ...(payment_details || {}),
+      payments: tenders.map(t => ({ method: t.method, amount: t.amount, reference: t.reference })),
+    };
 
     const txnNumber = await nextTransactionNumber(tenantId);
 
@@ -144,25 +167,41 @@ router.post('/checkout', async (req, res) => {
       subtotal.toFixed(2), discountAmt.toFixed(2), discount_type,
       tax_rate, taxAmt.toFixed(2), (parseFloat(tip) || 0).toFixed(2),
       total.toFixed(2), paidAmount.toFixed(2), changeGiven.toFixed(2),
-      payment_method, payment_details ? JSON.stringify(payment_details) : null,
+      payment_method, JSON.stringify(paymentDetails),
       null, appointment_id || null, notes || null
     ]);
 
-    // If paying with gift card, redeem now
-    let giftCardResult = null;
-    if (payment_method === 'gift_card' && gift_card_code) {
-      giftCardResult = await redeemGiftCard(tenantId, gift_card_code, parseFloat(total.toFixed(2)), {
-        created_by: req.user?.id
-      });
-      if (!giftCardResult.success) {
-        // Rollback: void the POS transaction
-        await execute("UPDATE pos_transactions SET status = 'voided' WHERE id = ?", [result.insertId]);
-        return res.status(400).json({ success: false, message: giftCardResult.message });
-      }
+    // Take the tenders (gift cards and loyalty points are redeemed here)
+    const taken = await takeTenders({
+      tenantId,
+      posTransactionId: result.insertId,
+      branchId: branch_id || null,
+      customerId: customer_id || null,
+    }, tenders, { userId: req.user?.id || null });
+    if (taken.error) {
+      // Rollback: void the POS transaction
+      await execute("UPDATE pos_transactions SET status = 'voided' WHERE id = ?", [result.insertId]);
+      return res.status(400).json({ success: false, message: taken.error });
+    }
+
+    // Share the tip out: the booking's provider, else whoever is on the lines, else the cashier
+    let tipShares = [];
+    if (parseFloat(tip) > 0) {
+      const [apt] = appointment_id
+        ? await query('SELECT staff_id FROM appointments WHERE id = ? AND tenant_id = ?', [appointment_id, tenantId])
+        : [];
+      const lines = processedItems.filter(i => i.staff_id).map(i => ({ staff_id: parseInt(i.staff_id), value: i.total }));
+      tipShares = (await allocateTip({ tenantId, branchId: branch_id || null, posTransactionId: result.insertId }, parseFloat(tip), {
+        split: tip_split,
+        providerId: apt?.staff_id || lines[0]?.staff_id || req.user.id,
+        lines,
+        userId: req.user?.id || null,
+      })).shares;
     }
 
     // Push notification
     notifyPOS(req.tenantId, `POS Sale — ${txnNumber}`, `Total: ${total.toFixed(2)} via ${payment_method}`, { pos_id: result.insertId, total: parseFloat(total.toFixed(2)), payment_method }).catch(() => {});
+    emitWebhookEvent(tenantId, 'pos.transaction.created', result.insertId);
 
     res.status(201).json({
       success: true,
@@ -178,8 +217,10 @@ router.post('/checkout', async (req, res) => {
         amount_paid: parseFloat(paidAmount.toFixed(2)),
         change: parseFloat(changeGiven.toFixed(2)),
         payment_method,
+        payments: taken.payments,
         items: processedItems,
-        gift_card: giftCardResult
+        gift_card: taken.gift_cards[0] || null,
+        tip_shares: tipShares
       }
     });
   } catch (error) {
@@ -282,47 +323,134 @@ router.get('/transactions/:id', async (req, res) => {
 router.post('/refund/:id', async (req, res) => {
   try {
     await ensureTable(req.tenantId);
-    const [txn] = await query(
-      'SELECT * FROM pos_transactions WHERE id = ? AND tenant_id = ?',
-      [req.params.id, req.tenantId]
-    );
-    if (!txn) return res.status(404).json({ success: false, message: 'Transaction not found' });
-    if (txn.status !== 'completed') {
-      return res.status(400).json({ success: false, message: 'Can only refund completed transactions' });
-    }
+    // restock: true puts every product line back (full refunds), or [{ id, quantity }] for chosen products
+    const { amount, reason = '', restock = false } = req.body;
+
+    // The sale stays locked until the refund is recorded, so two refunds can't both take what is left
+    let refunded;
+    try {
+      refunded = await withTransaction(async (tx) => {
+        const fail = (status, message) => Object.assign(new Error(message), { status });
+        const [txn] = await tx.query(
+          'SELECT * FROM pos_transactions WHERE id = ? AND tenant_id = ? FOR UPDATE',
+          [req.params.id, req.tenantId]
+        );
+        if (!txn) throw fail(404, 'Transaction not found');
+        if (txn.type !== 'sale' || txn.status !== 'completed') throw fail(400, 'Can only refund completed transactions');
+
+        await openPosLedger(txn);
+        const [refundedRow] = await query(
+          "SELECT COALESCE(-SUM(amount), 0) AS refunded FROM payments WHERE pos_transaction_id = ? AND type = 'refund'",
+          [txn.id]
+        );
+        const refundable = parseFloat((parseFloat(txn.total) - parseFloat(refundedRow.refunded)).toFixed(2));
+        if (refundable <= 0) throw fail(400, 'Transaction has already been fully refunded');
+        const refundAmount = amount !== undefined ? parseFloat(amount) : refundable;
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+          throw fail(400, `Refund amount must be between 0 and ${refundable.toFixed(2)}`);
+        }
+        const fullRefund = refundAmount >= refundable;
+
+        // Items going back into stock, up to what earlier refunds of the sale have not put back
+        const items = typeof txn.items === 'string' ? JSON.parse(txn.items) : (txn.items || []);
+        const products = items.filter(i => i.type === 'product' && i.id);
+        const returned = await query(`
+          SELECT sm.inventory_id, COALESCE(SUM(sm.quantity), 0) AS quantity
+          FROM stock_movements sm
+          JOIN pos_transactions r ON r.id = sm.reference_id AND r.tenant_id = sm.tenant_id AND r.type = 'refund'
+          WHERE sm.tenant_id = ? AND sm.reference_type = 'pos_refund'
+            AND CAST(JSON_EXTRACT(r.payment_details, '$.refund_of') AS UNSIGNED) = ?
+          GROUP BY sm.inventory_id
+        `, [req.tenantId, txn.id]);
+        const leftToReturn = (id) => {
+          const sold = products.filter(p => String(p.id) === String(id)).reduce((sum, p) => sum + (parseInt(p.quantity) || 1), 0);
+          const back = returned.find(m => String(m.inventory_id) === String(id));
+          return Math.max(0, sold - (back ? parseInt(back.quantity) : 0));
+        };
+        let restockLines = [];
+        if (Array.isArray(restock)) {
+          for (const r of restock) {
+            const left = leftToReturn(r.id);
+            const qty = parseInt(r.quantity) || 0;
+            if (!left || qty < 1 || qty > left) {
+              throw fail(400, `Cannot restock ${qty} of product ${r.id} (${left} left to return)`);
+            }
+            restockLines.push({ id: r.id, quantity: qty });
+          }
+        } else if (restock && fullRefund) {
+          const ids = [...new Set(products.map(p => String(p.id)))];
+          restockLines = ids.map(id => ({ id, quantity: leftToReturn(id) })).filter(line => line.quantity > 0);
+        }
 
-    const { amount, reason = '' } = req.body;
-    const refundAmount = parseFloat(amount) || parseFloat(txn.total);
+        // Create refund transaction
+        const txnNumber = await nextTransactionNumber(req.tenantId);
+        const result = await execute(`
+          INSERT INTO pos_transactions 
+          (tenant_id, branch_id, staff_id, customer_id, transaction_number, type,
+           items, subtotal, total, amount_paid, payment_method, notes, status)
+          VALUES (?, ?, ?, ?, ?, 'refund', ?, ?, ?, ?, ?, ?, 'completed')
+        `, [
+          req.tenantId, txn.branch_id, req.user.id, txn.customer_id,
+          txnNumber, JSON.stringify(items),
+          (-refundAmount).toFixed(2), (-refundAmount).toFixed(2), (-refundAmount).toFixed(2),
+          txn.payment_method, `Refund for ${txn.transaction_number}. ${reason}`.trim()
+        ]);
+
+        // Pay back to the original tenders (gift card value goes back on the card)
+        const refund = await refundPayments({ tenantId: req.tenantId, posTransactionId: txn.id }, refundAmount, {
+          userId: req.user?.id || null,
+          reason: `Refund ${txnNumber}${reason ? ': ' + reason : ''}`,
+        });
+        await execute('UPDATE pos_transactions SET payment_details = ? WHERE id = ?', [
+          JSON.stringify({ refund_of: txn.id, refunds: refund.refunds, unrefunded: refund.unallocated }), result.insertId
+        ]);
+
+        // Staff give back the same share of the sale's tip
+        const tipsReversed = parseFloat(txn.tip) > 0
+          ? await reverseTipShares({ posTransactionId: txn.id }, refundAmount / refundable, {
+            notes: `Refund ${txnNumber}`, userId: req.user?.id || null,
+          })
+          : [];
+
+        const restocked = [];
+        for (const line of restockLines) {
+          const ok = await restockInventory(req.tenantId, line.id, line.quantity, {
+            referenceType: 'pos_refund', referenceId: result.insertId,
+            notes: `Returned on ${txnNumber} (${txn.transaction_number})`, userId: req.user?.id || null,
+          });
+          if (ok) restocked.push(line);
+        }
 
-    // Create refund transaction
-    const txnNumber = await nextTransactionNumber(req.tenantId);
-    const result = await execute(`
-      INSERT INTO pos_transactions 
-      (tenant_id, branch_id, staff_id, customer_id, transaction_number, type,
-       items, subtotal, total, amount_paid, payment_method, notes, status)
-      VALUES (?, ?, ?, ?, ?, 'refund', ?, ?, ?, ?, ?, ?, 'completed')
-    `, [
-      req.tenantId, txn.branch_id, req.user.id, txn.customer_id,
-      txnNumber, txn.items,
-      (-refundAmount).toFixed(2), (-refundAmount).toFixed(2), (-refundAmount).toFixed(2),
-      txn.payment_method, `Refund for ${txn.transaction_number}. ${reason}`.trim()
-    ]);
+        // Mark original as refunded once nothing is left to refund
+        if (fullRefund) {
+          await tx.execute('UPDATE pos_transactions SET status = ? WHERE id = ?', ['refunded', txn.id]);
+        }
 
-    // Mark original as refunded
-    await execute(
-      'UPDATE pos_transactions SET status = ? WHERE id = ?',
-      ['refunded', req.params.id]
-    );
+        return {
+          fullRefund,
+          data: {
+            id: result.insertId,
+            transaction_number: txnNumber,
+            refund_amount: refundAmount,
+            refunds: refund.refunds,
+            unrefunded: refund.unallocated,
+            restocked,
+            tips_reversed: tipsReversed,
+            remaining_refundable: parseFloat((refundable - refundAmount).toFixed(2)),
+            original_transaction: txn.transaction_number
+          }
+        };
+      });
+    } catch (txError) {
+      if (txError.status) return res.status(txError.status).json({ success: false, message: txError.message });
+      throw txError;
+    }
+    emitWebhookEvent(req.tenantId, 'pos.transaction.refunded', refunded.data.id);
 
     res.json({
       success: true,
-      message: 'Refund processed',
-      data: {
-        id: result.insertId,
-        transaction_number: txnNumber,
-        refund_amount: refundAmount,
-        original_transaction: txn.transaction_number
-      }
+      message: refunded.fullRefund ? 'Refund processed' : 'Partial refund processed',
+      data: refunded.data
     });
   } catch (error) {
     console.error('POS refund error:', error);
@@ -406,11 +534,16 @@ router.get('/stats', async (req, res) => {
 
 // ════════════════════════════════════════
 // Cash Drawer
+// Tenders the staff member takes while their drawer is open are counted in
+// it (see lib/cash-drawer.js); closing it writes the Z-report.
 // ════════════════════════════════════════
 router.post('/cash-drawer/open', async (req, res) => {
   try {
     await ensureTable(req.tenantId);
     const { opening_amount = 0, branch_id } = req.body;
+    if (!(parseFloat(opening_amount) >= 0)) {
+      return res.status(400).json({ success: false, message: 'opening_amount must be 0 or more' });
+    }
 
     // Check if already open
     const [existing] = await query(
@@ -433,54 +566,47 @@ router.post('/cash-drawer/open', async (req, res) => {
   }
 });
 
+// The caller's open drawer
+async function openDrawerFor(req) {
+  const [drawer] = await query(
+    'SELECT * FROM cash_drawer WHERE tenant_id = ? AND staff_id = ? AND status = ? ORDER BY opened_at DESC LIMIT 1',
+    [req.tenantId, req.user.id, 'open']
+  );
+  return drawer || null;
+}
+
+// ── Close with a count and write the Z-report ──
+// Body: { denominations: [{ value, count }] and/or closing_amount, notes }
 router.post('/cash-drawer/close', async (req, res) => {
   try {
     await ensureTable(req.tenantId);
-    const { closing_amount = 0, notes = '' } = req.body;
+    const { denominations, closing_amount, notes = '' } = req.body;
 
-    const [drawer] = await query(
-      'SELECT * FROM cash_drawer WHERE tenant_id = ? AND staff_id = ? AND status = ?',
-      [req.tenantId, req.user.id, 'open']
-    );
+    const drawer = await openDrawerFor(req);
     if (!drawer) {
       return res.status(400).json({ success: false, message: 'No open cash drawer found' });
     }
 
-    // Calculate expected
-    const [cashSales] = await query(`
-      SELECT COALESCE(SUM(amount_paid), 0) as total
-      FROM pos_transactions 
-      WHERE tenant_id = ? AND payment_method = 'cash' AND type = 'sale' AND status = 'completed'
-      AND created_at >= ?
-    `, [req.tenantId, drawer.opened_at]);
-
-    const [cashRefunds] = await query(`
-      SELECT COALESCE(SUM(ABS(amount_paid)), 0) as total
-      FROM pos_transactions 
-      WHERE tenant_id = ? AND payment_method = 'cash' AND type = 'refund'
-      AND created_at >= ?
-    `, [req.tenantId, drawer.opened_at]);
-
-    const expectedAmount = parseFloat(drawer.opening_amount) + parseFloat(cashSales?.total || 0) - parseFloat(cashRefunds?.total || 0);
-    const difference = parseFloat(closing_amount) - expectedAmount;
-
-    await execute(`
-      UPDATE cash_drawer SET closing_amount = ?, expected_amount = ?, difference = ?,
-      cash_in = ?, cash_out = ?, status = 'closed', closed_at = NOW(), notes = ?
-      WHERE id = ?
-    `, [closing_amount, expectedAmount.toFixed(2), difference.toFixed(2),
-        (cashSales?.total || 0), (cashRefunds?.total || 0), notes, drawer.id]);
+    const result = await closeDrawer(drawer, {
+      denominations: denominations ?? null,
+      closingAmount: closing_amount ?? null,
+      notes: notes || null,
+      userId: req.user.id,
+    });
+    if (result.error) return res.status(result.status || 400).json({ success: false, message: result.error });
 
+    const { report } = result;
     res.json({
       success: true,
-      message: 'Cash drawer closed',
+      message: report.variance_flagged ? `Cash drawer closed with a variance of ${report.cash.variance.toFixed(2)}` : 'Cash drawer closed',
       data: {
-        opening_amount: parseFloat(drawer.opening_amount),
-        closing_amount: parseFloat(closing_amount),
-        expected_amount: expectedAmount,
-        difference,
-        cash_in: parseFloat(cashSales?.total || 0),
-        cash_out: parseFloat(cashRefunds?.total || 0)
+        opening_amount: report.cash.opening_float,
+        closing_amount: report.cash.counted,
+        expected_amount: report.cash.expected,
+        difference: report.cash.variance,
+        cash_in: report.cash.sales,
+        cash_out: report.cash.refunds + report.cash.reversals,
+        z_report: report,
       }
     });
   } catch (error) {
@@ -492,15 +618,170 @@ router.post('/cash-drawer/close', async (req, res) => {
 router.get('/cash-drawer/current', async (req, res) => {
   try {
     await ensureTable(req.tenantId);
-    const [drawer] = await query(
-      'SELECT * FROM cash_drawer WHERE tenant_id = ? AND staff_id = ? AND status = ? ORDER BY opened_at DESC LIMIT 1',
-      [req.tenantId, req.user.id, 'open']
-    );
-    res.json({ success: true, data: drawer || null });
+    const drawer = await openDrawerFor(req);
+    res.json({ success: true, data: drawer });
   } catch (error) {
     console.error('Cash drawer current error:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch cash drawer' });
   }
 });
 
+// ── Running totals of the open drawer (X-report, nothing is written) ──
+router.get('/cash-drawer/current/report', async (req, res) => {
+  try {
+    await ensureTable(req.tenantId);
+    const drawer = await openDrawerFor(req);
+    if (!drawer) {
+      return res.status(404).json({ success: false, message: 'No open cash drawer found' });
+    }
+    const report = await buildDrawerReport(drawer, { threshold: await getVarianceThreshold(req.tenantId) });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Cash drawer report error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build cash drawer report' });
+  }
+});
+
+// ── Pay-ins / pay-outs: cash put in or taken out that isn't a sale ──
+// Body: { amount, reason }
+function recordMovement(type) {
+  return async (req, res) => {
+    try {
+      await ensureTable(req.tenantId);
+      const drawer = await openDrawerFor(req);
+      if (!drawer) {
+        return res.status(400).json({ success: false, message: 'No open cash drawer found' });
+      }
+      const result = await addDrawerMovement(drawer, {
+        type, amount: req.body.amount, reason: req.body.reason, userId: req.user.id,
+      });
+      if (result.error) return res.status(result.status || 400).json({ success: false, message: result.error });
+      res.status(201).json({ success: true, message: type === 'pay_in' ? 'Pay-in recorded' : 'Pay-out recorded', data: result.movement });
+    } catch (error) {
+      console.error(`Cash drawer ${type} error:`, error);
+      res.status(500).json({ success: false, message: 'Failed to record cash movement' });
+    }
+  };
+}
+
+router.post('/cash-drawer/pay-in', recordMovement('pay_in'));
+router.post('/cash-drawer/pay-out', recordMovement('pay_out'));
+
+// ── Variance threshold (tenants.settings.cash_variance_threshold) ──
+router.get('/cash-drawer/settings', async (req, res) => {
+  try {
+    res.json({ success: true, data: { cash_variance_threshold: await getVarianceThreshold(req.tenantId) } });
+  } catch (error) {
+    console.error('Cash drawer settings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cash drawer settings' });
+  }
+});
+
+router.put('/cash-drawer/settings', adminOnly, async (req, res) => {
+  try {
+    const threshold = parseFloat(req.body.cash_variance_threshold);
+    if (!(threshold >= 0)) {
+      return res.status(400).json({ success: false, message: 'cash_variance_threshold must be 0 or more' });
+    }
+    const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [req.tenantId]);
+    let settings = {};
+    try {
+      settings = typeof tenant?.settings === 'string' ? JSON.parse(tenant.settings) : (tenant?.settings || {});
+    } catch (e) { settings = {}; }
+    const cash_variance_threshold = Math.round(threshold * 100) / 100;
+    await execute('UPDATE tenants SET settings = ? WHERE id = ?', [JSON.stringify({ ...settings, cash_variance_threshold }), req.tenantId]);
+    res.json({ success: true, message: 'Variance threshold updated', data: { cash_variance_threshold } });
+  } catch (error) {
+    console.error('Update cash drawer settings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update cash drawer settings' });
+  }
+});
+
+// ════════════════════════════════════════
+// Z-reports (closed drawers, read-only)
+// ════════════════════════════════════════
+
+// Staff may read the reports of their own drawers; anyone else's needs a manager
+async function ownReportOrManager(req, res, next) {
+  try {
+    await ensureCashDrawerTables();
+    const [row] = await query('SELECT staff_id FROM z_reports WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!row) return res.status(404).json({ success: false, message: 'Z-report not found' });
+    if (row.staff_id === req.user?.id) return next();
+    return adminOnly(req, res, next);
+  } catch (error) {
+    console.error('Z-report access error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch Z-report' });
+  }
+}
+
+// ?branch_id=&staff_id=&from_date=&to_date=&flagged=1
+router.get('/z-reports', adminOnly, async (req, res) => {
+  try {
+    await ensureCashDrawerTables();
+    const { branch_id, staff_id, from_date, to_date, flagged, page = 1, limit = 50 } = req.query;
+
+    let where = 'WHERE z.tenant_id = ?';
+    const params = [req.tenantId];
+    if (branch_id) { where += ' AND z.branch_id = ?'; params.push(branch_id); }
+    if (staff_id) { where += ' AND z.staff_id = ?'; params.push(staff_id); }
+    if (from_date) { where += ' AND DATE(z.closed_at) >= ?'; params.push(from_date); }
+    if (to_date) { where += ' AND DATE(z.closed_at) <= ?'; params.push(to_date); }
+    if (flagged === '1' || flagged === 'true') where += ' AND z.variance_flagged = 1';
+
+    const [countRow] = await query(`SELECT COUNT(*) as cnt FROM z_reports z ${where}`, params);
+    const total = countRow?.cnt || 0;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const rows = await query(`
+      SELECT z.id, z.report_number, z.drawer_id, z.branch_id, b.name AS branch_name, z.staff_id, s.full_name AS staff_name,
+        z.closed_by, z.opened_at, z.closed_at, z.currency, z.opening_float, z.cash_sales, z.cash_refunds, z.pay_ins,
+        z.pay_outs, z.expected_cash, z.counted_cash, z.variance, z.variance_flagged, z.card_total, z.gift_card_total, z.notes
+      FROM z_reports z
+      LEFT JOIN branches b ON z.branch_id = b.id
+      LEFT JOIN staff s ON z.staff_id = s.id
+      ${where}
+      ORDER BY z.closed_at DESC, z.id DESC
+      LIMIT ${parseInt(limit)} OFFSET ${offset}
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    console.error('Z-reports list error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch Z-reports' });
+  }
+});
+
+router.get('/z-reports/:id', ownReportOrManager, async (req, res) => {
+  try {
+    const report = await getZReport(req.tenantId, req.params.id);
+    if (!report) return res.status(404).json({ success: false, message: 'Z-report not found' });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Z-report error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch Z-report' });
+  }
+});
+
+router.get('/z-reports/:id/pdf', ownReportOrManager, async (req, res) => {
+  try {
+    const report = await getZReport(req.tenantId, req.params.id);
+    if (!report) return res.status(404).json({ success: false, message: 'Z-report not found' });
+    const tenantInfo = await getTenantInfo(req.tenantId);
+    const pdfBuffer = await generateZReportPDF(report, tenantInfo);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.report_number}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate Z-report PDF error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate PDF', error: error.message });
+  }
+});
+
 export default router;
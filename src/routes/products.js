@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { normalizeSegments } from '../lib/scheduling.js';
 
 const router = express.Router();
 
@@ -75,6 +76,7 @@ async function ensureTable() {
     'ALTER TABLE products ADD COLUMN finishing_time INT DEFAULT 0 AFTER processing_time',
     'ALTER TABLE products ADD COLUMN online_booking TINYINT(1) DEFAULT 1 AFTER is_active',
     'ALTER TABLE products ADD COLUMN requires_resources TINYINT(1) DEFAULT 0 AFTER online_booking',
+    'ALTER TABLE products ADD COLUMN segments JSON DEFAULT NULL AFTER finishing_time',
     'ALTER TABLE products ADD INDEX idx_branch (branch_id)',
   ];
   for (const sql of cols) {
@@ -178,18 +180,48 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Columns for a service's active / processing / finishing segments.
+ * The legacy timing columns are kept in step so the totals still add up:
+ * processing_time = everything before finishing, finishing_time = finishing.
+ */
+function segmentColumns(input) {
+  if (input === null) return { columns: { segments: null } };
+  const { segments, error } = normalizeSegments(input);
+  if (error) return { error };
+  const finishing = segments.filter(s => s.type === 'finishing').reduce((sum, s) => sum + s.minutes, 0);
+  const total = segments.reduce((sum, s) => sum + s.minutes, 0);
+  return {
+    columns: {
+      segments: JSON.stringify(segments),
+      duration: total,
+      processing_time: total - finishing,
+      finishing_time: finishing,
+    },
+  };
+}
+
 // POST create product/service
 router.post('/', authMiddleware, async (req, res) => {
   try {
     await ensureTable();
-    const { name, description, sku, unit_price, currency, price_type, duration, processing_time, finishing_time, category, category_id, branch_id, stock_quantity, is_active, online_booking, requires_resources } = req.body;
+    const { name, description, sku, unit_price, currency, price_type, category, category_id, branch_id, stock_quantity, is_active, online_booking, requires_resources } = req.body;
+    let { duration, processing_time, finishing_time } = req.body;
     if (!name) return res.status(400).json({ success: false, message: 'Service name is required' });
 
+    // Segments, when given, set the timing columns
+    let segments = null;
+    if (req.body.segments !== undefined && req.body.segments !== null) {
+      const timing = segmentColumns(req.body.segments);
+      if (timing.error) return res.status(400).json({ success: false, message: timing.error });
+      ({ segments, duration, processing_time, finishing_time } = timing.columns);
+    }
+
     const tenantId = req.tenantId;
     const result = await execute(
-      `INSERT INTO products (tenant_id, name, description, sku, unit_price, currency, price_type, duration, processing_time, finishing_time, category, category_id, branch_id, stock_quantity, is_active, online_booking, requires_resources, created_by) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [tenantId, name, description || null, sku || null, unit_price || 0, currency || 'AED', price_type || 'fixed', duration || 60, processing_time || 0, finishing_time || 0, category || null, category_id || null, branch_id || null, stock_quantity || 0, is_active !== false ? 1 : 0, online_booking !== false ? 1 : 0, requires_resources ? 1 : 0, req.user?.id || null]
+      `INSERT INTO products (tenant_id, name, description, sku, unit_price, currency, price_type, duration, processing_time, finishing_time, segments, category, category_id, branch_id, stock_quantity, is_active, online_booking, requires_resources, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [tenantId, name, description || null, sku || null, unit_price || 0, currency || 'AED', price_type || 'fixed', duration || 60, processing_time || 0, finishing_time || 0, segments, category || null, category_id || null, branch_id || null, stock_quantity || 0, is_active !== false ? 1 : 0, online_booking !== false ? 1 : 0, requires_resources ? 1 : 0, req.user?.id || null]
     );
 
     res.json({ success: true, message: 'Service created successfully', data: { id: result.insertId } });
@@ -206,13 +238,28 @@ router.patch('/:id', authMiddleware, async (req, res) => {
     const updates = [];
     const params = [];
 
+    // Segments override the timing columns; null goes back to plain processing + finishing time
+    let timing = null;
+    if (req.body.segments !== undefined) {
+      await ensureTable();
+      timing = segmentColumns(req.body.segments);
+      if (timing.error) return res.status(400).json({ success: false, message: timing.error });
+    }
+
     for (const f of fields) {
+      if (timing && f in timing.columns) continue;
       if (req.body[f] !== undefined) {
         updates.push(`${f} = ?`);
         const boolFields = ['is_active', 'online_booking', 'requires_resources'];
         params.push(boolFields.includes(f) ? (req.body[f] ? 1 : 0) : req.body[f]);
       }
     }
+    if (timing) {
+      for (const [col, value] of Object.entries(timing.columns)) {
+        updates.push(`${col} = ?`);
+        params.push(value);
+      }
+    }
     if (updates.length === 0) return res.status(400).json({ success: false, message: 'No fields to update' });
 
     let sql = `UPDATE products SET ${updates.join(', ')} WHERE id = ?`;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantToday } from '../lib/timezone.js';
 
 const router = express.Router();
 
@@ -73,14 +74,15 @@ router.get('/stats', async (req, res) => {
   try {
     await ensureTables();
     const t = req.tenantId;
+    const today = await tenantToday(t);
     const [stats] = await query(`
       SELECT
         COUNT(*) as total,
-        SUM(CASE WHEN is_active = 1 AND (end_date IS NULL OR end_date >= CURDATE()) THEN 1 ELSE 0 END) as active,
-        SUM(CASE WHEN end_date < CURDATE() THEN 1 ELSE 0 END) as expired,
+        SUM(CASE WHEN is_active = 1 AND (end_date IS NULL OR end_date >= ?) THEN 1 ELSE 0 END) as active,
+        SUM(CASE WHEN end_date < ? THEN 1 ELSE 0 END) as expired,
         SUM(used_count) as total_uses
       FROM promotions WHERE tenant_id = ?
-    `, [t]);
+    `, [today, today, t]);
     const [codeStats] = await query(`
       SELECT COUNT(*) as total_codes, SUM(used_count) as code_uses
       FROM discount_codes WHERE tenant_id = ?
@@ -221,18 +223,11 @@ router.delete('/:id', async (req, res) => {
 // ── Generate discount code ──
 router.post('/:id/codes', async (req, res) => {
   try {
-    await ensureTables();
     const { code, max_uses = 0 } = req.body;
+    const created = await createDiscountCode(req.tenantId, req.params.id, { code, maxUses: max_uses });
+    if (!created) return res.status(409).json({ success: false, message: 'Code already exists' });
 
-    const genCode = code || generateCode();
-    // Ensure unique
-    const [existing] = await query('SELECT id FROM discount_codes WHERE code = ? AND tenant_id = ?', [genCode, req.tenantId]);
-    if (existing) return res.status(409).json({ success: false, message: 'Code already exists' });
-
-    const result = await execute('INSERT INTO discount_codes (tenant_id, promotion_id, code, max_uses) VALUES (?,?,?,?)',
-      [req.tenantId, req.params.id, genCode, max_uses]);
-
-    res.status(201).json({ success: true, data: { id: result.insertId, code: genCode }, message: 'Discount code created' });
+    res.status(201).json({ success: true, data: created, message: 'Discount code created' });
   } catch (error) {
     console.error('Create discount code error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -320,11 +315,31 @@ router.post('/apply', async (req, res) => {
   }
 });
 
-function generateCode() {
+function generateCode(prefix = '') {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
   let code = '';
   for (let i = 0; i < 8; i++) code += chars[Math.floor(Math.random() * chars.length)];
-  return code;
+  return prefix ? `${prefix}-${code}` : code;
+}
+
+/**
+ * Create a discount code for a promotion. Without `code` a unique one is
+ * generated (optionally with a prefix, e.g. BDAY-7KQ2M9XA).
+ * Returns null when the given code is already taken.
+ */
+export async function createDiscountCode(tenantId, promotionId, { code = null, maxUses = 0, prefix = '' } = {}) {
+  await ensureTables();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = code || generateCode(prefix);
+    const [existing] = await query('SELECT id FROM discount_codes WHERE code = ? AND tenant_id = ?', [candidate, tenantId]);
+    if (!existing) {
+      const result = await execute('INSERT INTO discount_codes (tenant_id, promotion_id, code, max_uses) VALUES (?,?,?,?)',
+        [tenantId, promotionId, candidate, maxUses]);
+      return { id: result.insertId, code: candidate };
+    }
+    if (code) return null;
+  }
+  return null;
 }
 
 export default router;
@@ -1,20 +1,41 @@
 import express from 'express';
 import QRCode from 'qrcode';
-import { query, execute } from '../lib/database.js';
+import { query, execute, withTransaction, toMySQLDateTime } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { sendNotificationEmail } from '../lib/email.js';
+import { notify, notifyPayment } from '../lib/notify.js';
+import { ensureAppointmentHistoryTable, recordAppointmentChange } from '../lib/appointment-history.js';
+import {
+  findSequenceSlots, getServiceDuration, getQualifiedStaff, isStaffFree, chooseStaff, STAFF_ASSIGNMENT_STRATEGIES,
+  ensureSegmentColumns, getServiceSegments, getBookingSegments, findStaffClashes, lockStaffAndFindClashes,
+} from '../lib/scheduling.js';
+import { ensureVisitTables, planVisitLines, createVisit, getVisitLines } from '../lib/visits.js';
+import { allocateResources, reserveResources, getStaffBranchId } from '../lib/resources.js';
+import { getSchedulingTimezone, parseDateTimeInTimezone, formatInTimezone, utcToZoned } from '../lib/timezone.js';
+import {
+  ensureDepositTables, calculateDepositAmount, getHoldMinutes, createDepositHold, getAppointmentDeposit,
+  confirmDepositPayment, releaseDepositHold, expireCheckoutSession,
+} from '../lib/deposits.js';
+import { constructWebhookEvent } from '../lib/stripe.js';
+import { offerOpenedSlots, getOfferByToken, claimOffer, declineOffer } from '../lib/waitlist.js';
+import { runWorkflows } from '../lib/workflows.js';
+import { emitWebhookEvent, emitUpdateEvents } from '../lib/webhooks.js';
+import {
+  FEE_TYPES, NO_SHOW_LIMIT_ACTIONS, getAttendancePolicy, calculateAttendanceFee, isLateCancellation,
+  applyAttendancePolicy, getBookingRestriction,
+} from '../lib/attendance-policy.js';
 import crypto from 'crypto';
 
 const router = express.Router();
 
+// staff_id value meaning "any available professional"
+const ANY_STAFF = 'any';
+
 // ─── Helpers ────────────────────────────────────────────────────────
-const toMySQLDateTime = (isoStr) => {
-  const d = new Date(isoStr);
-  if (isNaN(d.getTime())) return null;
-  return d.toISOString().slice(0, 19).replace('T', ' ');
-};
+let _tablesReady = false;
 
 async function ensureBookingTables() {
+  if (_tablesReady) return;
   // booking_tokens – let customer cancel/reschedule via unique link
   await execute(`
     CREATE TABLE IF NOT EXISTS booking_tokens (
@@ -59,6 +80,34 @@ async function ensureBookingTables() {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
   `);
 
+  // Columns added after the settings table first shipped
+  const settingsColumns = [
+    ['staff_assignment_strategy', "VARCHAR(20) DEFAULT 'least_booked'"],
+    ['last_assigned_staff_id', 'INT DEFAULT NULL'],
+    ['deposit_hold_minutes', 'INT DEFAULT 30'],
+    ['stripe_publishable_key', 'VARCHAR(255) DEFAULT NULL'],
+    ['stripe_secret_key', 'VARCHAR(255) DEFAULT NULL'],
+    ['stripe_webhook_secret', 'VARCHAR(255) DEFAULT NULL'],
+    ['waitlist_auto_offer', 'TINYINT(1) DEFAULT 1'],
+    ['waitlist_offer_minutes', 'INT DEFAULT 60'],
+    ['no_show_fee_type', "VARCHAR(20) DEFAULT 'fixed'"],
+    ['no_show_fee_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['late_cancel_fee_type', "VARCHAR(20) DEFAULT 'fixed'"],
+    ['late_cancel_fee_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['late_cancel_hours', 'INT DEFAULT 24'],
+    ['no_show_limit', 'INT DEFAULT 0'],
+    ['no_show_limit_action', "VARCHAR(20) DEFAULT 'require_deposit'"],
+  ];
+  let ready = true;
+  for (const [col, def] of settingsColumns) {
+    try {
+      await execute(`ALTER TABLE online_booking_settings ADD COLUMN ${col} ${def}`);
+    } catch (e) {
+      // Column already exists – that's fine; anything else means retry next time
+      if (e.code !== 'ER_DUP_FIELDNAME') ready = false;
+    }
+  }
+
   // Ensure store tables
   await execute(`
     CREATE TABLE IF NOT EXISTS store_orders (
@@ -88,6 +137,7 @@ async function ensureBookingTables() {
       INDEX idx_status (status)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
   `);
+  _tablesReady = ready;
 }
 
 // ─── Resolve tenant from slug ──────────────────────────────────────
@@ -101,6 +151,80 @@ async function getTenantBySlug(slug) {
   return tenant || null;
 }
 
+// ─── Booking details + confirmation email ──────────────────────────
+async function getBookingDetails(appointmentId) {
+  const [appointment] = await query(
+    `SELECT a.*, p.name as service_name, s.full_name as staff_name,
+            b.name as branch_name, b.address as branch_address, b.phone as branch_phone
+     FROM appointments a
+     LEFT JOIN products p ON a.service_id = p.id
+     LEFT JOIN staff s ON a.staff_id = s.id
+     LEFT JOIN branches b ON b.tenant_id = a.tenant_id AND b.is_headquarters = 1
+     WHERE a.id = ?`,
+    [appointmentId]
+  );
+  return appointment || null;
+}
+
+function getTenantCurrency(tenant) {
+  try {
+    const settings = typeof tenant.settings === 'string' ? JSON.parse(tenant.settings) : (tenant.settings || {});
+    return settings.currency || 'AED';
+  } catch {
+    return 'AED';
+  }
+}
+
+/**
+ * Booking received / confirmed email with the check-in QR code (fire and forget)
+ */
+function sendBookingEmail({ tenantId, slug, appointment, status, timeZone, token, customerName, customerEmail, deposit = null }) {
+  const { dateStr, timeStr } = formatInTimezone(appointment.start_time, timeZone);
+  const manageLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/book/${slug}/manage/${token}`;
+
+  QRCode.toBuffer(`APPOINTMENT:${appointment.id}`, {
+    type: 'png', width: 200, margin: 2,
+    color: { dark: '#1a1a2e', light: '#ffffff' },
+  }).then(qrBuffer => sendNotificationEmail({
+    to: customerEmail,
+    subject: status === 'confirmed'
+      ? `Booking Confirmed — ${appointment.service_name} on ${dateStr}`
+      : `Booking Received — ${appointment.service_name} on ${dateStr}`,
+    title: status === 'confirmed' ? `Your Booking is Confirmed! ✅` : `Booking Received ⏳`,
+    body: `
+      <p>Dear ${customerName},</p>
+      ${status === 'confirmed'
+        ? `<p>Your appointment has been confirmed! Show the QR code below when you arrive — our staff will scan it to check you in instantly.</p>`
+        : `<p>Your booking request has been received and is awaiting confirmation. We'll notify you once it's confirmed.</p>`
+      }
+      <div style="background:#f8f9fa;padding:24px;border-radius:8px;margin:20px 0;text-align:center;">
+        <p style="margin:0 0 4px;font-size:18px;font-weight:600;color:#333;">${appointment.service_name}</p>
+        <p style="margin:0 0 16px;font-size:15px;color:#555;">${dateStr} &nbsp;·&nbsp; ${timeStr}</p>
+        ${status === 'confirmed' ? `
+        <img src="cid:appt_qr" alt="Check-in QR Code"
+          style="display:block;margin:0 auto 12px;width:160px;height:160px;border:4px solid #fff;border-radius:8px;box-shadow:0 2px 8px rgba(0,0,0,.12);" />
+        <p style="font-size:12px;color:#aaa;margin:0;">Show this at the counter to check in</p>` : ''}
+      </div>
+      <table style="width:100%;border-collapse:collapse;margin-bottom:16px;">
+        <tr><td style="padding:6px 0;color:#888;font-size:13px;width:90px;">Service</td><td style="padding:6px 0;font-weight:500;">${appointment.service_name}</td></tr>
+        <tr><td style="padding:6px 0;color:#888;font-size:13px;">Date</td><td style="padding:6px 0;font-weight:500;">${dateStr}</td></tr>
+        <tr><td style="padding:6px 0;color:#888;font-size:13px;">Time</td><td style="padding:6px 0;font-weight:500;">${timeStr}</td></tr>
+        <tr><td style="padding:6px 0;color:#888;font-size:13px;">Staff</td><td style="padding:6px 0;font-weight:500;">${appointment.staff_name || 'Our team'}</td></tr>
+        ${appointment.branch_name ? `<tr><td style="padding:6px 0;color:#888;font-size:13px;">Branch</td><td style="padding:6px 0;font-weight:500;">${appointment.branch_name}</td></tr>` : ''}
+      </table>
+      ${deposit ? `<p style="color:#555;">Deposit paid: <strong>${deposit.amount} ${deposit.currency}</strong> — it will be deducted from your bill.</p>` : ''}
+      <p style="color:#555;">Need to reschedule or cancel? <a href="${manageLink}" style="color:#f2421b;">Manage your booking here</a>.</p>
+    `,
+    tenantId,
+    attachments: status === 'confirmed' ? [{
+      filename: 'appointment-qr.png',
+      content: qrBuffer,
+      cid: 'appt_qr',
+      contentType: 'image/png',
+    }] : undefined,
+  })).catch(err => console.error('Public booking email error:', err.message));
+}
+
 // ═════════════════════════════════════════════════════════════════════
 // PUBLIC BOOKING ENDPOINTS  (no auth required)
 // ═════════════════════════════════════════════════════════════════════
@@ -154,7 +278,7 @@ router.get('/:slug', async (req, res) => {
         industry: tenant.industry,
         country: tenantSettings.country || null,
         currency: tenantSettings.currency || 'AED',
-        timezone: tenantSettings.timezone || 'Asia/Dubai',
+        timezone: tenantSettings.timezone || tenant.timezone || 'Asia/Dubai',
         social_links: tenantSettings.social_links || null,
         branches: branchCount?.count || 0,
         services: serviceCount?.count || 0,
@@ -170,6 +294,10 @@ router.get('/:slug', async (req, res) => {
           show_duration: !!settings.show_duration,
           allow_staff_selection: !!settings.allow_staff_selection,
           auto_confirm: !!settings.auto_confirm,
+          require_deposit: !!(settings.require_deposit && settings.stripe_secret_key),
+          deposit_amount: settings.deposit_amount,
+          deposit_type: settings.deposit_type,
+          stripe_publishable_key: settings.stripe_publishable_key || null,
           primary_color: settings.primary_color || '#f2421b',
           confirmation_message: settings.confirmation_message || null,
         } : {
@@ -184,6 +312,7 @@ router.get('/:slug', async (req, res) => {
           show_duration: true,
           allow_staff_selection: true,
           auto_confirm: false,
+          require_deposit: false,
           primary_color: '#f2421b',
           confirmation_message: null,
         }
@@ -270,7 +399,7 @@ router.get('/:slug/services', async (req, res) => {
     let sql = `SELECT p.id, p.name, p.description, p.category_id,
                       sc.name as category_name, sc.color as category_color,
                       p.unit_price as price, p.currency,
-                      p.processing_time, p.finishing_time
+                      p.processing_time, p.finishing_time, p.segments
                FROM products p
                LEFT JOIN service_categories sc ON p.category_id = sc.id
                WHERE p.tenant_id = ? AND p.is_active = 1`;
@@ -287,7 +416,12 @@ router.get('/:slug/services', async (req, res) => {
 
     sql += ` ORDER BY p.name`;
 
+    await ensureSegmentColumns();
     const services = await query(sql, params);
+    for (const svc of services) {
+      svc.segments = getServiceSegments(svc);
+      svc.duration = getServiceDuration(svc);
+    }
     res.json({ success: true, data: services });
   } catch (error) {
     console.error('Public services error:', error);
@@ -349,15 +483,27 @@ router.get('/:slug/staff', async (req, res) => {
 
 /**
  * GET /:slug/slots  –  Available time slots for a staff member on a date
+ *
+ * Multi-service visits: pass service_ids (comma separated, in order) and either
+ * staff_ids (one per service) or a single staff_id for all of them. Each slot
+ * then carries the chained per-service lines.
+ *
+ * staff_id=any (or no staff_id) searches every qualified staff member in the
+ * branch; each slot then lists the free staff_ids.
+ *
+ * time / end_time are wall-clock in the branch (or tenant) timezone; start / end
+ * are the same instants in UTC and can be posted to /book unchanged.
  */
 router.get('/:slug/slots', async (req, res) => {
   try {
     const tenant = await getTenantBySlug(req.params.slug);
     if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
 
-    const { staff_id, date, service_id, branch_id } = req.query;
-    if (!staff_id || !date || !service_id) {
-      return res.status(400).json({ success: false, message: 'staff_id, date, and service_id are required' });
+    const { staff_id, date, service_id, service_ids, staff_ids, branch_id } = req.query;
+    const serviceList = service_ids ? String(service_ids).split(',').filter(Boolean) : (service_id ? [service_id] : []);
+    const staffList = staff_ids ? String(staff_ids).split(',').filter(Boolean) : serviceList.map(() => staff_id || ANY_STAFF);
+    if (!date || serviceList.length === 0 || staffList.length !== serviceList.length || staffList.some(s => !s)) {
+      return res.status(400).json({ success: false, message: 'date and service_id are required' });
     }
 
     // Get booking settings for interval
@@ -377,113 +523,39 @@ router.get('/:slug/slots', async (req, res) => {
       return res.json({ success: true, data: [], message: 'Date is too far in the future' });
     }
 
-    // Get day of week (0=Sun, 1=Mon, ... 6=Sat)
-    const dayOfWeek = requestDate.getDay();
-
-    // Get staff schedule for this day
-    const [schedule] = await query(
-      `SELECT * FROM staff_schedule WHERE tenant_id = ? AND staff_id = ? AND day_of_week = ? AND is_working = 1`,
-      [tenant.id, staff_id, dayOfWeek]
-    );
-
-    if (!schedule) {
-      return res.json({ success: true, data: [], message: 'Staff not working on this day' });
-    }
-
-    // Check if staff has a day off
-    const [dayOff] = await query(
-      `SELECT id FROM staff_days_off WHERE tenant_id = ? AND staff_id = ? AND date = ?`,
-      [tenant.id, staff_id, date]
-    );
-    if (dayOff) {
-      return res.json({ success: true, data: [], message: 'Staff is on day off' });
-    }
-
-    // Get branch working hours as fallback
-    if (!schedule.start_time || !schedule.end_time) {
-      let branchHours = null;
-      if (branch_id) {
-        const [branch] = await query('SELECT working_hours FROM branches WHERE id = ? AND tenant_id = ?', [branch_id, tenant.id]);
-        try {
-          branchHours = typeof branch?.working_hours === 'string' ? JSON.parse(branch.working_hours) : branch?.working_hours;
-        } catch { branchHours = null; }
-      }
-      if (!branchHours) {
-        return res.json({ success: true, data: [], message: 'No schedule found' });
-      }
-    }
-
-    // Get service duration
-    const [service] = await query(
-      'SELECT processing_time, finishing_time FROM products WHERE id = ? AND tenant_id = ?',
-      [service_id, tenant.id]
-    );
-    const serviceDuration = (parseInt(service?.processing_time) || 30) + (parseInt(service?.finishing_time) || 0);
-    const totalSlotDuration = serviceDuration + bufferMinutes;
-
-    // Get existing appointments for this staff on this date
-    const existingAppts = await query(
-      `SELECT start_time, end_time FROM appointments
-       WHERE tenant_id = ? AND staff_id = ? AND DATE(start_time) = ?
-       AND status NOT IN ('cancelled', 'no_show')`,
-      [tenant.id, staff_id, date]
-    );
-
-    // Generate time slots
-    const slots = [];
-    const startParts = schedule.start_time.split(':');
-    const endParts = schedule.end_time.split(':');
-    const breakStartParts = schedule.break_start ? schedule.break_start.split(':') : null;
-    const breakEndParts = schedule.break_end ? schedule.break_end.split(':') : null;
-
-    let startMinutes = parseInt(startParts[0]) * 60 + parseInt(startParts[1]);
-    const endMinutes = parseInt(endParts[0]) * 60 + parseInt(endParts[1]);
-    const breakStart = breakStartParts ? parseInt(breakStartParts[0]) * 60 + parseInt(breakStartParts[1]) : null;
-    const breakEnd = breakEndParts ? parseInt(breakEndParts[0]) * 60 + parseInt(breakEndParts[1]) : null;
-
-    while (startMinutes + totalSlotDuration <= endMinutes) {
-      const slotStart = startMinutes;
-      const slotEnd = startMinutes + serviceDuration;
-
-      // Skip if in break time
-      if (breakStart !== null && breakEnd !== null) {
-        if (slotStart < breakEnd && slotEnd > breakStart) {
-          startMinutes += slotInterval;
-          continue;
+    // Get service durations and segments
+    await ensureSegmentColumns();
+    const lines = [];
+    for (let i = 0; i < serviceList.length; i++) {
+      const [service] = await query(
+        'SELECT processing_time, finishing_time, segments FROM products WHERE id = ? AND tenant_id = ?',
+        [serviceList[i], tenant.id]
+      );
+      const line = {
+        service_id: serviceList[i], staff_id: staffList[i],
+        duration: getServiceDuration(service), segments: getBookingSegments(service),
+      };
+      if (staffList[i] === ANY_STAFF) {
+        // Any available professional — merge availability across everyone qualified
+        const qualified = await getQualifiedStaff(tenant.id, serviceList[i], branch_id || null);
+        if (qualified.length === 0) {
+          return res.json({ success: true, data: [], message: 'No staff available for this service' });
         }
+        delete line.staff_id;
+        line.staff_ids = qualified.map(q => q.id);
       }
+      lines.push(line);
+    }
+    const serviceDuration = lines.reduce((sum, l) => sum + l.duration, 0);
 
-      // Check if slot is in the past
-      const slotDateTime = new Date(`${date}T${String(Math.floor(slotStart / 60)).padStart(2, '0')}:${String(slotStart % 60).padStart(2, '0')}:00`);
-      if (slotDateTime < minDate) {
-        startMinutes += slotInterval;
-        continue;
-      }
-
-      // Check conflicts with existing appointments
-      const slotStartStr = `${date} ${String(Math.floor(slotStart / 60)).padStart(2, '0')}:${String(slotStart % 60).padStart(2, '0')}:00`;
-      const slotEndStr = `${date} ${String(Math.floor(slotEnd / 60)).padStart(2, '0')}:${String(slotEnd % 60).padStart(2, '0')}:00`;
-
-      const hasConflict = existingAppts.some(appt => {
-        const apptStart = new Date(appt.start_time).getTime();
-        const apptEnd = new Date(appt.end_time).getTime();
-        const sStart = new Date(slotStartStr).getTime();
-        const sEnd = new Date(slotEndStr).getTime();
-        return (sStart < apptEnd && sEnd > apptStart);
-      });
-
-      if (!hasConflict) {
-        slots.push({
-          time: `${String(Math.floor(slotStart / 60)).padStart(2, '0')}:${String(slotStart % 60).padStart(2, '0')}`,
-          end_time: `${String(Math.floor(slotEnd / 60)).padStart(2, '0')}:${String(slotEnd % 60).padStart(2, '0')}`,
-          available: true,
-        });
-      }
-
-      startMinutes += slotInterval;
+    const { slots, reason, timezone } = await findSequenceSlots(tenant.id, date, lines, {
+      slotInterval, bufferMinutes, minDate, branchId: branch_id || null,
+    });
+    if (reason) {
+      return res.json({ success: true, data: [], message: reason, timezone });
     }
 
-    res.json({ success: true, data: slots, duration: serviceDuration });
+    res.json({ success: true, data: slots, duration: serviceDuration, timezone });
   } catch (error) {
     console.error('Public slots error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -492,6 +564,12 @@ router.get('/:slug/slots', async (req, res) => {
 
 /**
  * POST /:slug/book  –  Create a new booking
+ *
+ * A multi-service visit is booked by passing services: [{ service_id, staff_id }]
+ * (in order) with start_time instead of service_id / staff_id / end_time.
+ * Times without a UTC offset are taken as wall-clock in the branch / tenant timezone.
+ * staff_id 'any' lets the business pick a free qualified staff member using its
+ * staff_assignment_strategy (least_booked, round_robin or priority).
  */
 router.post('/:slug/book', async (req, res) => {
   try {
@@ -499,25 +577,102 @@ router.post('/:slug/book', async (req, res) => {
     const tenant = await getTenantBySlug(req.params.slug);
     if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
 
-    const { service_id, staff_id, branch_id, start_time, end_time, customer_name, customer_email, customer_phone, notes } = req.body;
+    const { service_id, branch_id, start_time, end_time, customer_name, customer_email, customer_phone, notes, services } = req.body;
+    let { staff_id } = req.body;
+    const isVisit = Array.isArray(services) && services.length > 0;
 
-    if (!service_id || !staff_id || !start_time || !end_time || !customer_name || (!customer_email && !customer_phone)) {
+    if (isVisit) {
+      if (!start_time || !customer_name || (!customer_email && !customer_phone) || services.some(l => !l.service_id || !l.staff_id)) {
+        return res.status(400).json({ success: false, message: 'services (service_id + staff_id each), start_time, customer_name, and email or phone are required' });
+      }
+    } else if (!service_id || !staff_id || !start_time || !end_time || !customer_name || (!customer_email && !customer_phone)) {
       return res.status(400).json({ success: false, message: 'service_id, staff_id, start_time, end_time, customer_name, and email or phone are required' });
     }
 
-    const mysqlStart = toMySQLDateTime(start_time);
-    const mysqlEnd = toMySQLDateTime(end_time);
+    // Bare wall-clock times are read in the branch / tenant timezone
+    const timeZone = await getSchedulingTimezone(tenant.id, {
+      branchId: branch_id || null, staffId: isVisit ? services[0].staff_id : staff_id,
+    });
+    const startAt = parseDateTimeInTimezone(start_time, timeZone);
+    const endAt = isVisit ? null : parseDateTimeInTimezone(end_time, timeZone);
+    if (Number.isNaN(startAt.getTime()) || (endAt && (Number.isNaN(endAt.getTime()) || endAt <= startAt))) {
+      return res.status(400).json({ success: false, message: 'Invalid start_time / end_time' });
+    }
 
-    // Check for conflicts
-    const conflicts = await query(
-      `SELECT id FROM appointments
-       WHERE tenant_id = ? AND staff_id = ?
-       AND status NOT IN ('cancelled', 'no_show')
-       AND ((start_time < ? AND end_time > ?) OR (start_time >= ? AND start_time < ?))`,
-      [tenant.id, staff_id, mysqlEnd, mysqlStart, mysqlStart, mysqlEnd]
+    // Resolve the service lines being booked (a single booking is one line)
+    let visitLines = null;
+    const visitPrices = {};
+    await ensureSegmentColumns();
+    if (isVisit) {
+      const durations = {};
+      const segments = {};
+      for (const line of services) {
+        const [svc] = await query(
+          'SELECT processing_time, finishing_time, segments, unit_price FROM products WHERE id = ? AND tenant_id = ?',
+          [line.service_id, tenant.id]
+        );
+        durations[line.service_id] = getServiceDuration(svc);
+        segments[line.service_id] = getBookingSegments(svc);
+        visitPrices[line.service_id] = svc?.unit_price || 0;
+      }
+      visitLines = planVisitLines(startAt, services.map(l => ({ service_id: l.service_id, staff_id: l.staff_id })), durations, segments);
+    }
+    const [singleTiming] = isVisit ? [null] : await query(
+      'SELECT processing_time, finishing_time, segments FROM products WHERE id = ? AND tenant_id = ?',
+      [service_id, tenant.id]
     );
+    const singleSegments = isVisit ? null : getBookingSegments(singleTiming);
+    // "Any available professional": pick a free, qualified staff member by the tenant's strategy
+    const assignLines = visitLines || [{ service_id, staff_id, start: startAt, end: endAt, segments: singleSegments }];
+    let assignSettings = null;
+    let lastAssignedId = null;
+    for (const line of assignLines) {
+      if (String(line.staff_id) !== ANY_STAFF) continue;
+      if (!assignSettings) {
+        [assignSettings] = await query(
+          'SELECT staff_assignment_strategy, last_assigned_staff_id FROM online_booking_settings WHERE tenant_id = ?',
+          [tenant.id]
+        );
+        assignSettings = assignSettings || {};
+      }
+      const qualified = await getQualifiedStaff(tenant.id, line.service_id, branch_id || null);
+      const free = [];
+      for (const member of qualified) {
+        if (await isStaffFree(tenant.id, member.id, line.start, line.end, timeZone, line.segments)) free.push(member);
+      }
+      if (free.length === 0) {
+        return res.status(409).json({ success: false, message: 'This time slot is no longer available. Please select another.' });
+      }
+      const chosen = await chooseStaff(tenant.id, free, {
+        strategy: assignSettings.staff_assignment_strategy || 'least_booked',
+        date: utcToZoned(line.start, timeZone).date,
+        timeZone,
+        lastAssignedId: lastAssignedId || assignSettings.last_assigned_staff_id,
+      });
+      line.staff_id = chosen.id;
+      lastAssignedId = chosen.id;
+    }
+    if (!visitLines) staff_id = assignLines[0].staff_id;
+
+    const bookedLines = visitLines || [{ staff_id, start: startAt, end: endAt, segments: singleSegments }];
+    const mysqlStart = toMySQLDateTime(bookedLines[0].start.toISOString());
+    const mysqlEnd = toMySQLDateTime(bookedLines[bookedLines.length - 1].end.toISOString());
+
+    // Check for conflicts (the staff member's processing gaps may be shared)
+    for (const line of bookedLines) {
+      const conflicts = await findStaffClashes(tenant.id, line.staff_id, line.start, line.end, { segments: line.segments });
 
-    if (conflicts.length > 0) {
+      if (conflicts.length > 0) {
+        return res.status(409).json({ success: false, message: 'This time slot is no longer available. Please select another.' });
+      }
+    }
+
+    // Rooms / equipment the services need must be free too
+    const resourceLines = visitLines || [{ service_id, start: startAt, end: endAt }];
+    const { allocations, unavailable } = await allocateResources(tenant.id, resourceLines, {
+      branchId: branch_id || await getStaffBranchId(tenant.id, bookedLines[0].staff_id),
+    });
+    if (unavailable.length > 0) {
       return res.status(409).json({ success: false, message: 'This time slot is no longer available. Please select another.' });
     }
 
@@ -555,12 +710,38 @@ router.post('/:slug/book', async (req, res) => {
     }
 
     // Get service price
-    const [svc] = await query('SELECT unit_price, name FROM products WHERE id = ?', [service_id]);
-    const servicePrice = parseFloat(svc?.unit_price || 0);
+    const [svc] = isVisit ? [null] : await query('SELECT unit_price, name FROM products WHERE id = ?', [service_id]);
+    const servicePrice = isVisit
+      ? visitLines.reduce((sum, l) => sum + parseFloat(visitPrices[l.service_id] || 0), 0)
+      : parseFloat(svc?.unit_price || 0);
+
+    // Check booking settings for auto_confirm and the deposit policy
+    const [settings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [tenant.id]);
+    let depositAmount = calculateDepositAmount(settings, servicePrice);
 
-    // Check booking settings for auto_confirm
-    const [settings] = await query('SELECT auto_confirm FROM online_booking_settings WHERE tenant_id = ?', [tenant.id]);
-    const status = settings?.auto_confirm ? 'confirmed' : 'scheduled';
+    // Clients over the tenant's no-show limit are blocked or must pay a deposit
+    const policy = await getAttendancePolicy(tenant.id);
+    const restriction = await getBookingRestriction(tenant.id, customerId, policy);
+    if (restriction?.action === 'block') {
+      return res.status(403).json({ success: false, message: 'Online booking is not available for your account. Please contact the business to book.' });
+    }
+    if (restriction?.action === 'require_deposit' && depositAmount <= 0) {
+      // The usual deposit if one is configured, else the no-show fee
+      depositAmount = calculateDepositAmount({ ...settings, require_deposit: 1 }, servicePrice) ||
+        calculateAttendanceFee(policy, 'no_show', servicePrice);
+      if (depositAmount <= 0 || !settings?.stripe_secret_key) {
+        return res.status(403).json({ success: false, message: 'A deposit is required to book online. Please contact the business to book.' });
+      }
+    }
+
+    if (depositAmount > 0 && !settings.stripe_secret_key) {
+      console.warn(`Tenant ${tenant.id} requires a deposit but has no Stripe keys — booking without deposit`);
+      depositAmount = 0;
+    }
+    if (depositAmount > 0) await ensureDepositTables();
+    // A booking with a deposit is only held until the payment comes through
+    const confirmedStatus = settings?.auto_confirm ? 'confirmed' : 'scheduled';
+    const status = depositAmount > 0 ? 'pending_payment' : confirmedStatus;
 
     // Ensure source column exists before insert
     try {
@@ -581,14 +762,58 @@ router.post('/:slug/book', async (req, res) => {
       try { await execute(`ALTER TABLE appointments ADD COLUMN ${col} ${def}`); } catch (e) { /* exists */ }
     }
 
-    // Create appointment
-    const result = await execute(
-      `INSERT INTO appointments (tenant_id, customer_id, service_id, staff_id, start_time, end_time,
-        notes, status, original_price, final_price, source)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'online')`,
-      [tenant.id, customerId, service_id, staff_id, mysqlStart, mysqlEnd,
-       notes || null, status, servicePrice, servicePrice]
-    );
+    // Create appointment (or the visit with one appointment per service line) in one
+    // transaction holding the staff rows: a concurrent booking or reschedule for the
+    // same staff waits, and whichever goes second sees the other's times
+    if (isVisit) await ensureVisitTables();
+    let result;
+    let visitId = null;
+    let appointmentIds;
+    try {
+      await withTransaction(async (tx) => {
+        const clashes = await lockStaffAndFindClashes(tx, tenant.id, bookedLines);
+        if (clashes.length > 0) throw Object.assign(new Error('This time slot is no longer available. Please select another.'), { status: 409 });
+
+        if (isVisit) {
+          const visit = await createVisit(tenant.id, {
+            customer_id: customerId, branch_id: branch_id || null, lines: visitLines,
+            notes: notes || null, status, source: 'online', prices: visitPrices, db: tx,
+          });
+          visitId = visit.visitId;
+          appointmentIds = visit.appointmentIds;
+          await tx.execute(`UPDATE appointments SET source = 'online' WHERE tenant_id = ? AND visit_id = ?`, [tenant.id, visitId]);
+        } else {
+          const insert = await tx.execute(
+            `INSERT INTO appointments (tenant_id, customer_id, service_id, staff_id, start_time, end_time,
+              notes, status, original_price, final_price, segments, source)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'online')`,
+            [tenant.id, customerId, service_id, staff_id, mysqlStart, mysqlEnd,
+             notes || null, status, servicePrice, servicePrice, singleSegments]
+          );
+          appointmentIds = [insert.insertId];
+        }
+      });
+    } catch (txError) {
+      if (txError.status === 409) return res.status(409).json({ success: false, message: txError.message });
+      throw txError;
+    }
+    result = { insertId: appointmentIds[0] };
+    for (let i = 0; i < appointmentIds.length; i++) {
+      await reserveResources(tenant.id, appointmentIds[i], allocations[i]);
+    }
+    if (visitId) {
+      // Reminders belong to the visit as a whole — schedule them once, from the first line
+      try {
+        const { scheduleAppointmentReminders } = await import('../lib/reminders.js');
+        await scheduleAppointmentReminders(tenant.id, appointmentIds[0], bookedLines[0].start.toISOString(), customerId);
+      } catch (reminderError) {
+        console.warn('Could not schedule visit reminders:', reminderError.message);
+      }
+    }
+
+    if (lastAssignedId) {
+      await execute('UPDATE online_booking_settings SET last_assigned_staff_id = ? WHERE tenant_id = ?', [lastAssignedId, tenant.id]);
+    }
 
     // Generate booking token for management link
     const token = crypto.randomBytes(32).toString('hex');
@@ -600,82 +825,88 @@ router.post('/:slug/book', async (req, res) => {
       [result.insertId, token, toMySQLDateTime(expires.toISOString())]
     );
 
-    // Get full appointment details
-    const [appointment] = await query(
-      `SELECT a.*, p.name as service_name, s.full_name as staff_name,
-              b.name as branch_name, b.address as branch_address, b.phone as branch_phone
-       FROM appointments a
-       LEFT JOIN products p ON a.service_id = p.id
-       LEFT JOIN staff s ON a.staff_id = s.id
-       LEFT JOIN branches b ON b.tenant_id = a.tenant_id AND b.is_headquarters = 1
-       WHERE a.id = ?`,
-      [result.insertId]
-    );
+    const appointment = await getBookingDetails(result.insertId);
+
+    // Deposit: hand the customer to Stripe Checkout; the webhook confirms the booking
+    let deposit = null;
+    if (depositAmount > 0) {
+      const manageUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/book/${req.params.slug}/manage/${token}`;
+      try {
+        deposit = await createDepositHold(tenant.id, {
+          appointmentId: result.insertId,
+          visitId,
+          customerId,
+          amount: depositAmount,
+          currency: getTenantCurrency(tenant),
+          description: `Deposit — ${appointment.service_name || 'Booking'}${visitId ? ' & more' : ''} at ${tenant.name}`,
+          customerEmail: customer_email || null,
+          successUrl: `${manageUrl}?deposit=success`,
+          cancelUrl: `${manageUrl}?deposit=cancelled`,
+          secretKey: settings.stripe_secret_key,
+          holdMinutes: getHoldMinutes(settings),
+        });
+      } catch (stripeError) {
+        console.error('Booking deposit checkout error:', stripeError.message);
+        const cancelIds = visitId
+          ? (await getVisitLines(tenant.id, visitId)).map(l => l.id)
+          : [result.insertId];
+        await execute(
+          `UPDATE appointments SET status = 'cancelled' WHERE tenant_id = ? AND id IN (${cancelIds.map(() => '?').join(',')})`,
+          [tenant.id, ...cancelIds]
+        );
+        if (visitId) await execute("UPDATE visits SET status = 'cancelled' WHERE id = ? AND tenant_id = ?", [visitId, tenant.id]);
+        return res.status(502).json({ success: false, message: 'Could not start the deposit payment. Please try again.' });
+      }
+    }
+
+    const bookedIds = visitId ? (await getVisitLines(tenant.id, visitId)).map(l => l.id) : [result.insertId];
+    for (const id of bookedIds) {
+      runWorkflows(tenant.id, 'appointment', id);
+      emitWebhookEvent(tenant.id, 'appointment.created', id);
+    }
 
     res.status(201).json({
       success: true,
-      message: status === 'confirmed' ? 'Booking confirmed!' : 'Booking submitted! Awaiting confirmation.',
+      message: deposit
+        ? 'Booking held — pay the deposit to confirm it.'
+        : status === 'confirmed' ? 'Booking confirmed!' : 'Booking submitted! Awaiting confirmation.',
       data: {
         id: appointment.id,
         service: appointment.service_name,
         staff: appointment.staff_name,
         date: appointment.start_time,
         end_time: appointment.end_time,
+        timezone: timeZone,
         status: appointment.status,
         branch: appointment.branch_name,
         price: servicePrice,
+        ...(visitId ? {
+          visit_id: visitId,
+          services: (await getVisitLines(tenant.id, visitId)).map(l => ({
+            appointment_id: l.id, service: l.service_name, staff: l.staff_name,
+            start_time: l.start_time, end_time: l.end_time,
+          })),
+        } : {}),
+        ...(deposit ? {
+          deposit: {
+            amount: deposit.amount,
+            currency: deposit.currency,
+            checkout_url: deposit.checkout_url,
+            expires_at: deposit.expires_at,
+          },
+        } : {}),
         manage_token: token,
         manage_url: `/book/${req.params.slug}/manage/${token}`,
       }
     });
 
-    // Send confirmation email with QR code (async — does not block response)
-    if (customer_email) {
-      const appointmentDate = new Date(appointment.start_time);
-      const dateStr = appointmentDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
-      const timeStr = appointmentDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-      const manageLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/book/${req.params.slug}/manage/${token}`;
-
-      QRCode.toBuffer(`APPOINTMENT:${appointment.id}`, {
-        type: 'png', width: 200, margin: 2,
-        color: { dark: '#1a1a2e', light: '#ffffff' },
-      }).then(qrBuffer => sendNotificationEmail({
-        to: customer_email,
-        subject: status === 'confirmed'
-          ? `Booking Confirmed — ${appointment.service_name} on ${dateStr}`
-          : `Booking Received — ${appointment.service_name} on ${dateStr}`,
-        title: status === 'confirmed' ? `Your Booking is Confirmed! ✅` : `Booking Received ⏳`,
-        body: `
-          <p>Dear ${customer_name},</p>
-          ${status === 'confirmed'
-            ? `<p>Your appointment has been confirmed! Show the QR code below when you arrive — our staff will scan it to check you in instantly.</p>`
-            : `<p>Your booking request has been received and is awaiting confirmation. We'll notify you once it's confirmed.</p>`
-          }
-          <div style="background:#f8f9fa;padding:24px;border-radius:8px;margin:20px 0;text-align:center;">
-            <p style="margin:0 0 4px;font-size:18px;font-weight:600;color:#333;">${appointment.service_name}</p>
-            <p style="margin:0 0 16px;font-size:15px;color:#555;">${dateStr} &nbsp;·&nbsp; ${timeStr}</p>
-            ${status === 'confirmed' ? `
-            <img src="cid:appt_qr" alt="Check-in QR Code"
-              style="display:block;margin:0 auto 12px;width:160px;height:160px;border:4px solid #fff;border-radius:8px;box-shadow:0 2px 8px rgba(0,0,0,.12);" />
-            <p style="font-size:12px;color:#aaa;margin:0;">Show this at the counter to check in</p>` : ''}
-          </div>
-          <table style="width:100%;border-collapse:collapse;margin-bottom:16px;">
-            <tr><td style="padding:6px 0;color:#888;font-size:13px;width:90px;">Service</td><td style="padding:6px 0;font-weight:500;">${appointment.service_name}</td></tr>
-            <tr><td style="padding:6px 0;color:#888;font-size:13px;">Date</td><td style="padding:6px 0;font-weight:500;">${dateStr}</td></tr>
-            <tr><td style="padding:6px 0;color:#888;font-size:13px;">Time</td><td style="padding:6px 0;font-weight:500;">${timeStr}</td></tr>
-            <tr><td style="padding:6px 0;color:#888;font-size:13px;">Staff</td><td style="padding:6px 0;font-weight:500;">${appointment.staff_name || 'Our team'}</td></tr>
-            ${appointment.branch_name ? `<tr><td style="padding:6px 0;color:#888;font-size:13px;">Branch</td><td style="padding:6px 0;font-weight:500;">${appointment.branch_name}</td></tr>` : ''}
-          </table>
-          <p style="color:#555;">Need to reschedule or cancel? <a href="${manageLink}" style="color:#f2421b;">Manage your booking here</a>.</p>
-        `,
-        tenantId: tenant.id,
-        attachments: status === 'confirmed' ? [{
-          filename: 'appointment-qr.png',
-          content: qrBuffer,
-          cid: 'appt_qr',
-          contentType: 'image/png',
-        }] : undefined,
-      })).catch(err => console.error('Public booking email error:', err.message));
+    // Send confirmation email with QR code (async — does not block response);
+    // a held booking gets it once the deposit is paid
+    if (customer_email && !deposit) {
+      sendBookingEmail({
+        tenantId: tenant.id, slug: req.params.slug, appointment, status, timeZone, token,
+        customerName: customer_name, customerEmail: customer_email,
+      });
     }
   } catch (error) {
     console.error('Public booking error:', error);
@@ -683,6 +914,227 @@ router.post('/:slug/book', async (req, res) => {
   }
 });
 
+/**
+ * POST /:slug/deposits/webhook  –  Stripe webhook for booking deposits.
+ * Registered on the tenant's own Stripe account and verified with its endpoint secret.
+ * checkout.session.completed / async_payment_succeeded confirm the held booking;
+ * checkout.session.expired / async_payment_failed release it.
+ */
+router.post('/:slug/deposits/webhook', async (req, res) => {
+  try {
+    await ensureBookingTables();
+    const tenant = await getTenantBySlug(req.params.slug);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
+
+    const [settings] = await query(
+      'SELECT stripe_secret_key, stripe_webhook_secret FROM online_booking_settings WHERE tenant_id = ?',
+      [tenant.id]
+    );
+    if (!settings?.stripe_secret_key || !settings?.stripe_webhook_secret) {
+      return res.status(400).json({ success: false, message: 'Stripe is not configured for this business' });
+    }
+
+    let event;
+    try {
+      event = constructWebhookEvent(
+        settings.stripe_secret_key, req.rawBody || '', req.headers['stripe-signature'], settings.stripe_webhook_secret
+      );
+    } catch (err) {
+      console.error('Deposit webhook signature error:', err.message);
+      return res.status(400).json({ success: false, message: `Webhook error: ${err.message}` });
+    }
+
+    const session = event.data?.object || {};
+    switch (event.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded': {
+        if (session.payment_status !== 'paid') break; // async methods settle later
+        const result = await confirmDepositPayment(tenant.id, session);
+        if (!result) break;
+        const { deposit } = result;
+
+        if (result.late) {
+          // Hold was already released — the slot may be gone, staff must rebook or refund
+          notifyPayment(
+            tenant.id,
+            'Deposit Paid After Hold Expired',
+            `A deposit of ${deposit.amount} ${deposit.currency} was paid after the booking hold was released. Rebook the client or refund the deposit in Stripe.`,
+            { appointment_id: deposit.appointment_id, deposit_id: deposit.id }
+          ).catch(() => {});
+          break;
+        }
+        if (!result.confirmed) break;
+
+        notifyPayment(
+          tenant.id,
+          'Booking Deposit Received',
+          `Deposit of ${deposit.amount} ${deposit.currency} paid — online booking confirmed`,
+          { appointment_id: deposit.appointment_id, deposit_id: deposit.id }
+        ).catch(() => {});
+
+        const appointment = await getBookingDetails(deposit.appointment_id);
+        const [customer] = await query('SELECT first_name, last_name, email FROM contacts WHERE id = ?', [appointment?.customer_id || 0]);
+        const [bt] = await query('SELECT token FROM booking_tokens WHERE appointment_id = ? ORDER BY id DESC LIMIT 1', [deposit.appointment_id]);
+        if (appointment && customer?.email && bt) {
+          sendBookingEmail({
+            tenantId: tenant.id,
+            slug: req.params.slug,
+            appointment,
+            status: result.status,
+            timeZone: await getSchedulingTimezone(tenant.id, { staffId: appointment.staff_id }),
+            token: bt.token,
+            customerName: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+            customerEmail: customer.email,
+            deposit,
+          });
+        }
+        break;
+      }
+      case 'checkout.session.expired':
+      case 'checkout.session.async_payment_failed': {
+        await ensureDepositTables();
+        const [deposit] = await query(
+          'SELECT * FROM booking_deposits WHERE tenant_id = ? AND stripe_session_id = ?',
+          [tenant.id, session.id]
+        );
+        if (!deposit) break;
+        const cancelledIds = await releaseDepositHold(deposit, {
+          status: event.type === 'checkout.session.expired' ? 'expired' : 'failed',
+          source: 'stripe',
+        });
+        if (cancelledIds.length > 0) {
+          const { cancelRemindersForAppointments } = await import('../lib/reminders.js');
+          await cancelRemindersForAppointments(cancelledIds);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Deposit webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ─── Waitlist slot offers ───────────────────────────────────────────
+
+/**
+ * GET /:slug/waitlist/:token  –  A slot offered to a waitlist customer
+ */
+router.get('/:slug/waitlist/:token', async (req, res) => {
+  try {
+    const tenant = await getTenantBySlug(req.params.slug);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
+
+    const offer = await getOfferByToken(tenant.id, req.params.token);
+    if (!offer) return res.status(404).json({ success: false, message: 'Offer not found' });
+
+    const open = offer.status === 'pending' && new Date(offer.expires_at) > new Date();
+    res.json({
+      success: true,
+      data: {
+        service: offer.service_name,
+        staff: offer.staff_name,
+        start_time: offer.start_time,
+        end_time: offer.end_time,
+        timezone: await getSchedulingTimezone(tenant.id, { branchId: offer.branch_id, staffId: offer.staff_id }),
+        expires_at: offer.expires_at,
+        status: open ? 'pending' : offer.status === 'pending' ? 'expired' : offer.status,
+        can_claim: open,
+        business: { name: tenant.name, logo_url: tenant.logo_url },
+      }
+    });
+  } catch (error) {
+    console.error('Waitlist offer error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /:slug/waitlist/:token/claim  –  Book the offered slot (first valid claim wins)
+ */
+router.post('/:slug/waitlist/:token/claim', async (req, res) => {
+  try {
+    await ensureBookingTables();
+    const tenant = await getTenantBySlug(req.params.slug);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
+
+    const result = await claimOffer(tenant.id, req.params.token);
+    if (result.error) {
+      const errors = {
+        not_found: [404, 'Offer not found'],
+        claimed: [409, 'This slot has already been claimed'],
+        expired: [410, 'This offer has expired'],
+        taken: [409, 'Sorry, this slot is no longer available'],
+      };
+      const [code, message] = errors[result.error];
+      return res.status(code).json({ success: false, message });
+    }
+
+    // Same manage link as an online booking
+    const token = crypto.randomBytes(32).toString('hex');
+    const expires = new Date();
+    expires.setDate(expires.getDate() + 30);
+    await execute(
+      `INSERT INTO booking_tokens (appointment_id, token, expires_at) VALUES (?, ?, ?)`,
+      [result.appointmentId, token, toMySQLDateTime(expires.toISOString())]
+    );
+
+    const appointment = await getBookingDetails(result.appointmentId);
+    const timeZone = await getSchedulingTimezone(tenant.id, { staffId: appointment.staff_id });
+    res.status(201).json({
+      success: true,
+      message: result.status === 'confirmed' ? 'Booking confirmed!' : 'Booking submitted! Awaiting confirmation.',
+      data: {
+        id: appointment.id,
+        service: appointment.service_name,
+        staff: appointment.staff_name,
+        date: appointment.start_time,
+        end_time: appointment.end_time,
+        timezone: timeZone,
+        status: appointment.status,
+        manage_token: token,
+        manage_url: `/book/${req.params.slug}/manage/${token}`,
+      }
+    });
+
+    const [customer] = await query('SELECT first_name, last_name, email FROM contacts WHERE id = ?', [appointment.customer_id || 0]);
+    if (customer?.email) {
+      sendBookingEmail({
+        tenantId: tenant.id, slug: req.params.slug, appointment, status: result.status, timeZone, token,
+        customerName: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+        customerEmail: customer.email,
+      });
+    }
+  } catch (error) {
+    console.error('Waitlist claim error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /:slug/waitlist/:token/decline  –  Pass the slot on to the next person
+ */
+router.post('/:slug/waitlist/:token/decline', async (req, res) => {
+  try {
+    const tenant = await getTenantBySlug(req.params.slug);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
+
+    const offer = await getOfferByToken(tenant.id, req.params.token);
+    if (!offer) return res.status(404).json({ success: false, message: 'Offer not found' });
+    if (offer.status !== 'pending') return res.status(400).json({ success: false, message: 'This offer is no longer open' });
+
+    await declineOffer(offer);
+    res.json({ success: true, message: 'Offer declined — you stay on the waitlist' });
+  } catch (error) {
+    console.error('Waitlist decline error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /**
  * GET /:slug/manage/:token  –  Get booking details via token
  */
@@ -708,6 +1160,12 @@ router.get('/:slug/manage/:token', async (req, res) => {
     // Get tenant info
     const tenant = await getTenantBySlug(req.params.slug);
     const [settings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [bt.tenant_id]);
+    const deposit = await getAppointmentDeposit(bt.tenant_id, bt.appointment_id, bt.visit_id);
+    const policy = await getAttendancePolicy(bt.tenant_id);
+    const visitLines = bt.visit_id ? await getVisitLines(bt.tenant_id, bt.visit_id) : null;
+    const bookingPrice = visitLines
+      ? visitLines.reduce((sum, l) => sum + parseFloat(l.final_price || l.unit_price || 0), 0)
+      : parseFloat(bt.final_price || bt.service_price || 0);
 
     res.json({
       success: true,
@@ -729,6 +1187,26 @@ router.get('/:slug/manage/:token', async (req, res) => {
         can_cancel: settings ? !!settings.allow_cancellation : true,
         can_reschedule: settings ? !!settings.allow_reschedule : true,
         cancellation_hours: settings?.cancellation_hours || 24,
+        late_cancellation: {
+          hours: policy.late_cancel_hours,
+          fee: calculateAttendanceFee(policy, 'late_cancel', bookingPrice),
+          applies_now: isLateCancellation(policy, bt.start_time),
+        },
+        ...(bt.visit_id ? {
+          visit_id: bt.visit_id,
+          services: visitLines.map(l => ({
+            appointment_id: l.id, service: l.service_name, staff: l.staff_name,
+            start_time: l.start_time, end_time: l.end_time, status: l.status,
+          })),
+        } : {}),
+        deposit: deposit ? {
+          amount: deposit.amount,
+          currency: deposit.currency,
+          status: deposit.status,
+          checkout_url: deposit.status === 'pending' ? deposit.checkout_url : null,
+          expires_at: deposit.expires_at,
+          paid_at: deposit.paid_at,
+        } : null,
         business: tenant ? { name: tenant.name, logo_url: tenant.logo_url } : null,
       }
     });
@@ -740,14 +1218,16 @@ router.get('/:slug/manage/:token', async (req, res) => {
 
 /**
  * POST /:slug/manage/:token/cancel  –  Cancel a booking via token
+ * (a cancellation inside the late-cancel window is charged the policy fee)
  */
 router.post('/:slug/manage/:token/cancel', async (req, res) => {
   try {
+    await ensureVisitTables();
     const { token } = req.params;
     const { reason } = req.body;
 
     const [bt] = await query(
-      `SELECT bt.*, a.start_time, a.status, a.tenant_id as appt_tenant_id FROM booking_tokens bt
+      `SELECT bt.*, a.start_time, a.status, a.visit_id, a.tenant_id as appt_tenant_id FROM booking_tokens bt
        INNER JOIN appointments a ON bt.appointment_id = a.id
        WHERE bt.token = ? AND (bt.expires_at IS NULL OR bt.expires_at > NOW())`,
       [token]
@@ -757,15 +1237,38 @@ router.post('/:slug/manage/:token/cancel', async (req, res) => {
     if (bt.status === 'cancelled') return res.status(400).json({ success: false, message: 'Booking is already cancelled' });
     if (bt.status === 'completed') return res.status(400).json({ success: false, message: 'Cannot cancel a completed booking' });
 
+    // An unpaid hold can always be dropped — close its checkout and free the slot
+    if (bt.status === 'pending_payment') {
+      const [settings] = await query('SELECT stripe_secret_key FROM online_booking_settings WHERE tenant_id = ?', [bt.appt_tenant_id]);
+      const deposit = await getAppointmentDeposit(bt.appt_tenant_id, bt.appointment_id, bt.visit_id);
+      if (deposit?.status === 'pending') {
+        const paidSession = await expireCheckoutSession(deposit, settings?.stripe_secret_key);
+        if (paidSession) {
+          await confirmDepositPayment(bt.appt_tenant_id, paidSession);
+          return res.status(409).json({ success: false, message: 'The deposit has just been paid — refresh to see your confirmed booking.' });
+        }
+        await releaseDepositHold(deposit, {
+          status: 'cancelled', source: 'manage_link', changedByType: 'customer',
+          note: `[Online Cancel] ${reason || 'Cancelled by customer'}`,
+        });
+      }
+      return res.json({ success: true, message: 'Booking cancelled successfully' });
+    }
+
     // Check cancellation policy
     const [settings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [bt.appt_tenant_id]);
     if (settings && !settings.allow_cancellation) {
       return res.status(403).json({ success: false, message: 'Cancellation is not allowed. Please contact the business.' });
     }
 
+    // Inside the late-cancel window a tenant that charges a fee takes the cancel and the fee;
+    // otherwise cancels must come before the booking settings' cutoff
+    const policy = await getAttendancePolicy(bt.appt_tenant_id);
+    const lateCancel = isLateCancellation(policy, bt.start_time);
+    const chargesLateFee = lateCancel && parseFloat(policy.late_cancel_fee_amount || 0) > 0;
     const hoursUntilAppt = (new Date(bt.start_time) - new Date()) / (1000 * 60 * 60);
     const minHours = settings?.cancellation_hours || 24;
-    if (hoursUntilAppt < minHours) {
+    if (hoursUntilAppt < minHours && !chargesLateFee) {
       return res.status(400).json({
         success: false,
         message: `Cancellation must be at least ${minHours} hours before the appointment.`
@@ -773,18 +1276,323 @@ router.post('/:slug/manage/:token/cancel', async (req, res) => {
     }
 
     const cancelNote = `[Online Cancel] ${reason || 'Cancelled by customer'}`;
-    await execute(
-      `UPDATE appointments SET status = 'cancelled', notes = ? WHERE id = ?`,
-      [cancelNote, bt.appointment_id]
-    );
+    const cancelledLines = bt.visit_id
+      ? (await getVisitLines(bt.appt_tenant_id, bt.visit_id)).filter(l => !['completed', 'cancelled'].includes(l.status))
+      : await query('SELECT * FROM appointments WHERE id = ?', [bt.appointment_id]);
+    if (bt.visit_id) {
+      // Cancelling a visit cancels every service line in it
+      await execute(
+        `UPDATE appointments SET status = 'cancelled', notes = ?
+         WHERE tenant_id = ? AND visit_id = ? AND status NOT IN ('completed', 'cancelled')`,
+        [cancelNote, bt.appt_tenant_id, bt.visit_id]
+      );
+      await execute(`UPDATE visits SET status = 'cancelled' WHERE id = ? AND tenant_id = ?`, [bt.visit_id, bt.appt_tenant_id]);
+    } else {
+      await execute(
+        `UPDATE appointments SET status = 'cancelled', notes = ? WHERE id = ?`,
+        [cancelNote, bt.appointment_id]
+      );
+    }
+
+    // Offer the freed time to the waitlist
+    const freedIds = bt.visit_id
+      ? (await getVisitLines(bt.appt_tenant_id, bt.visit_id)).map(l => l.id)
+      : [bt.appointment_id];
+    offerOpenedSlots(bt.appt_tenant_id, freedIds);
+    for (const line of cancelledLines) {
+      runWorkflows(bt.appt_tenant_id, 'appointment', line.id, { before: line });
+      emitUpdateEvents(bt.appt_tenant_id, 'appointment', line.id, line.status);
+    }
+
+    // Inside the late-cancel window the policy fee applies
+    let fee = 0;
+    if (lateCancel) {
+      try {
+        const charge = await applyAttendancePolicy(bt.appt_tenant_id, cancelledLines, 'late_cancel');
+        fee = charge?.fee || 0;
+      } catch (policyError) {
+        console.error('Could not apply late cancellation fee:', policyError);
+      }
+    }
 
-    res.json({ success: true, message: 'Booking cancelled successfully' });
+    res.json({
+      success: true,
+      message: fee > 0 ? `Booking cancelled. A late cancellation fee of ${fee} applies.` : 'Booking cancelled successfully',
+      ...(fee > 0 ? { data: { late_cancellation_fee: fee } } : {}),
+    });
   } catch (error) {
     console.error('Cancel booking error:', error);
     res.status(500).json({ success: false, message: 'Server error', debug: error.message });
   }
 });
 
+// ─── Self-service reschedule ────────────────────────────────────────
+
+/**
+ * Booking behind a manage token, with the active appointment lines it covers
+ * (one appointment, or every remaining line of a multi-service visit)
+ */
+async function getManagedBooking(tenantId, token) {
+  await ensureSegmentColumns();
+  const [bt] = await query(
+    `SELECT bt.appointment_id, a.tenant_id, a.customer_id, a.service_id, a.staff_id,
+            a.start_time, a.end_time, a.status, a.visit_id, a.segments
+     FROM booking_tokens bt
+     INNER JOIN appointments a ON bt.appointment_id = a.id
+     WHERE bt.token = ? AND a.tenant_id = ? AND (bt.expires_at IS NULL OR bt.expires_at > NOW())`,
+    [token, tenantId]
+  );
+  if (!bt) return null;
+
+  bt.lines = bt.visit_id
+    ? (await getVisitLines(tenantId, bt.visit_id)).filter(l => !['cancelled', 'no_show', 'completed'].includes(l.status))
+    : [{
+      id: bt.appointment_id, service_id: bt.service_id, staff_id: bt.staff_id,
+      start_time: bt.start_time, end_time: bt.end_time, status: bt.status, segments: bt.segments,
+    }];
+  if (bt.lines.length > 0) bt.start_time = bt.lines[0].start_time;
+  return bt;
+}
+
+/**
+ * Why the customer can't move this booking any more (null when they can)
+ */
+function getRescheduleBlock(booking, settings) {
+  if (settings && !settings.allow_reschedule) return 'Rescheduling is not allowed. Please contact the business.';
+  if (booking.lines.length === 0 || ['cancelled', 'completed', 'no_show', 'in_progress'].includes(booking.status)) {
+    return 'This booking can no longer be rescheduled';
+  }
+  if (booking.status === 'pending_payment') return 'Pay the deposit to confirm this booking before rescheduling it.';
+  const hoursUntilAppt = (new Date(booking.start_time) - new Date()) / (1000 * 60 * 60);
+  const minHours = settings?.cancellation_hours || 24;
+  if (hoursUntilAppt < minHours) return `Rescheduling must be at least ${minHours} hours before the appointment.`;
+  return null;
+}
+
+/**
+ * Alternative slots for a managed booking on a date — same services, same staff,
+ * ignoring the booking's own current time
+ */
+async function findRescheduleSlots(tenantId, booking, date, settings, timeZone) {
+  const minAdvanceHours = settings?.min_advance_hours || 1;
+  const lines = booking.lines.map(l => ({
+    service_id: l.service_id,
+    staff_id: l.staff_id,
+    duration: Math.round((new Date(l.end_time) - new Date(l.start_time)) / 60000),
+    segments: l.segments,
+  }));
+  return findSequenceSlots(tenantId, date, lines, {
+    slotInterval: settings?.slot_interval || 30,
+    bufferMinutes: settings?.buffer_minutes || 0,
+    minDate: new Date(Date.now() + minAdvanceHours * 60 * 60 * 1000),
+    timeZone,
+    excludeAppointmentIds: booking.lines.map(l => l.id),
+  });
+}
+
+/**
+ * GET /:slug/manage/:token/slots?date=YYYY-MM-DD  –  Times the booking can be moved to
+ */
+router.get('/:slug/manage/:token/slots', async (req, res) => {
+  try {
+    await ensureBookingTables();
+    await ensureVisitTables();
+    const tenant = await getTenantBySlug(req.params.slug);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
+
+    const { date } = req.query;
+    if (!date) return res.status(400).json({ success: false, message: 'date is required' });
+
+    const booking = await getManagedBooking(tenant.id, req.params.token);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found or link expired' });
+
+    const [settings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [tenant.id]);
+    const blocked = getRescheduleBlock(booking, settings);
+    if (blocked) return res.status(400).json({ success: false, message: blocked });
+
+    const maxAdvanceDays = settings?.max_advance_days || 30;
+    if (new Date(date) > new Date(Date.now() + maxAdvanceDays * 24 * 60 * 60 * 1000)) {
+      return res.json({ success: true, data: [], message: 'Date is too far in the future' });
+    }
+
+    const timeZone = await getSchedulingTimezone(tenant.id, { staffId: booking.lines[0].staff_id });
+    const { slots, reason } = await findRescheduleSlots(tenant.id, booking, date, settings, timeZone);
+    res.json({
+      success: true,
+      data: slots,
+      timezone: timeZone,
+      current: { start_time: booking.start_time, end_time: booking.lines[booking.lines.length - 1].end_time },
+      ...(reason ? { message: reason } : {}),
+    });
+  } catch (error) {
+    console.error('Reschedule slots error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /:slug/manage/:token/reschedule  –  Move the booking to one of the offered slots
+ *
+ * Body: { start_time } — a slot `start` from /manage/:token/slots (or wall-clock
+ * time in the business's timezone). A visit moves as a whole.
+ */
+router.post('/:slug/manage/:token/reschedule', async (req, res) => {
+  try {
+    await ensureBookingTables();
+    await ensureVisitTables();
+    const tenant = await getTenantBySlug(req.params.slug);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Business not found' });
+
+    const { start_time } = req.body;
+    if (!start_time) return res.status(400).json({ success: false, message: 'start_time is required' });
+
+    const booking = await getManagedBooking(tenant.id, req.params.token);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found or link expired' });
+
+    const [settings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [tenant.id]);
+    const blocked = getRescheduleBlock(booking, settings);
+    if (blocked) return res.status(400).json({ success: false, message: blocked });
+
+    const timeZone = await getSchedulingTimezone(tenant.id, { staffId: booking.lines[0].staff_id });
+    const newStart = parseDateTimeInTimezone(start_time, timeZone);
+    if (Number.isNaN(newStart.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid start_time' });
+    }
+    const maxAdvanceDays = settings?.max_advance_days || 30;
+    if (newStart > new Date(Date.now() + maxAdvanceDays * 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({ success: false, message: 'Date is too far in the future' });
+    }
+
+    // The new time must be one of the slots we'd offer (working hours, staff, rooms)
+    const { slots } = await findRescheduleSlots(tenant.id, booking, utcToZoned(newStart, timeZone).date, settings, timeZone);
+    if (!slots.some(s => s.start === newStart.toISOString())) {
+      return res.status(409).json({ success: false, message: 'The selected time is not available. Please choose another slot.' });
+    }
+
+    const shiftMs = newStart - new Date(booking.start_time);
+    const lineIds = booking.lines.map(l => l.id);
+    const moved = booking.lines.map(l => ({
+      ...l,
+      newStart: new Date(new Date(l.start_time).getTime() + shiftMs),
+      newEnd: new Date(new Date(l.end_time).getTime() + shiftMs),
+    }));
+
+    const { allocations, unavailable } = await allocateResources(
+      tenant.id,
+      moved.map(l => ({ service_id: l.service_id, start: l.newStart, end: l.newEnd })),
+      { branchId: await getStaffBranchId(tenant.id, moved[0].staff_id), excludeAppointmentIds: lineIds }
+    );
+    if (unavailable.length > 0) {
+      return res.status(409).json({ success: false, message: 'The selected time is not available. Please choose another slot.' });
+    }
+
+    await ensureAppointmentHistoryTable();
+
+    // Move every line in one transaction; locking the rows and the staff makes a
+    // concurrent booking or second reschedule wait and then see the new times
+    try {
+      await withTransaction(async (tx) => {
+        const current = await tx.query(
+          `SELECT id, start_time, status FROM appointments WHERE id IN (${lineIds.map(() => '?').join(',')}) FOR UPDATE`,
+          lineIds
+        );
+        const changed = current.some(row => {
+          const line = booking.lines.find(l => l.id === row.id);
+          return row.status !== line.status || new Date(row.start_time).getTime() !== new Date(line.start_time).getTime();
+        });
+        if (changed) throw Object.assign(new Error('Booking changed while rescheduling. Please reload and try again.'), { status: 409 });
+
+        const clashes = await lockStaffAndFindClashes(
+          tx, tenant.id, moved.map(l => ({ staff_id: l.staff_id, start: l.newStart, end: l.newEnd, segments: l.segments })),
+          { excludeIds: lineIds }
+        );
+        if (clashes.length > 0) throw Object.assign(new Error('The selected time is not available. Please choose another slot.'), { status: 409 });
+
+        for (const line of moved) {
+          await tx.execute(
+            'UPDATE appointments SET start_time = ?, end_time = ? WHERE id = ? AND tenant_id = ?',
+            [toMySQLDateTime(line.newStart.toISOString()), toMySQLDateTime(line.newEnd.toISOString()), line.id, tenant.id]
+          );
+          await recordAppointmentChange({
+            tenantId: tenant.id, appointmentId: line.id, action: 'rescheduled',
+            oldStart: line.start_time, oldEnd: line.end_time, newStart: line.newStart, newEnd: line.newEnd,
+            changedByType: 'customer', changedBy: booking.customer_id, source: 'manage_link',
+            note: req.body.reason || null,
+          }, tx);
+        }
+        if (booking.visit_id) {
+          await tx.execute(
+            `UPDATE visits SET start_time = DATE_ADD(start_time, INTERVAL ? SECOND), end_time = DATE_ADD(end_time, INTERVAL ? SECOND)
+             WHERE id = ? AND tenant_id = ?`,
+            [shiftMs / 1000, shiftMs / 1000, booking.visit_id, tenant.id]
+          );
+        }
+      });
+    } catch (txError) {
+      if (txError.status === 409) return res.status(409).json({ success: false, message: txError.message });
+      throw txError;
+    }
+
+    for (let i = 0; i < moved.length; i++) {
+      await reserveResources(tenant.id, moved[i].id, allocations[i]);
+    }
+
+    // Reminders hang off the first line
+    try {
+      const { rescheduleAppointmentReminders } = await import('../lib/reminders.js');
+      await rescheduleAppointmentReminders(tenant.id, moved[0].id, moved[0].newStart.toISOString());
+    } catch (reminderError) {
+      console.warn('Could not reschedule reminders:', reminderError.message);
+    }
+
+    // Let each staff member on the booking know
+    const [customer] = await query('SELECT first_name, last_name FROM contacts WHERE id = ?', [booking.customer_id]);
+    const customerName = `${customer?.first_name || ''} ${customer?.last_name || ''}`.trim() || 'A client';
+    for (const line of moved) {
+      const [staff] = await query('SELECT full_name, email FROM staff WHERE id = ?', [line.staff_id]);
+      const [service] = await query('SELECT name FROM products WHERE id = ?', [line.service_id]);
+      const from = formatInTimezone(line.start_time, timeZone);
+      const to = formatInTimezone(line.newStart, timeZone);
+      const message = `${customerName} moved ${service?.name || 'their appointment'} from ${from.dateStr} ${from.timeStr} to ${to.dateStr} ${to.timeStr}`;
+
+      notify({
+        tenantId: tenant.id, userId: line.staff_id, type: 'appointment', category: 'info',
+        title: 'Booking Rescheduled', message,
+        data: { appointment_id: line.id, visit_id: booking.visit_id || null, customer_id: booking.customer_id },
+        link: '/appointments', icon: 'calendar',
+      }).catch(() => {});
+
+      if (staff?.email) {
+        sendNotificationEmail({
+          to: staff.email,
+          subject: `Booking rescheduled — ${customerName}`,
+          title: 'Booking Rescheduled',
+          body: `<p>Hi ${staff.full_name || 'there'},</p><p>${message}.</p>`,
+          tenantId: tenant.id,
+        }).catch(err => console.error('Reschedule staff email error:', err.message));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: {
+        id: booking.appointment_id,
+        start_time: moved[0].newStart.toISOString(),
+        end_time: moved[moved.length - 1].newEnd.toISOString(),
+        timezone: timeZone,
+        ...(booking.visit_id ? {
+          visit_id: booking.visit_id,
+          services: moved.map(l => ({ appointment_id: l.id, start_time: l.newStart.toISOString(), end_time: l.newEnd.toISOString() })),
+        } : {}),
+      }
+    });
+  } catch (error) {
+    console.error('Reschedule booking error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ═════════════════════════════════════════════════════════════════════
 // ONLINE STORE ENDPOINTS
 // ═════════════════════════════════════════════════════════════════════
@@ -967,6 +1775,7 @@ router.post('/:slug/store/checkout', async (req, res) => {
         [item.quantity, item.product_id, tenant.id]
       );
     }
+    emitWebhookEvent(tenant.id, 'store_order.created', orderResult.insertId);
 
     res.status(201).json({
       success: true,
@@ -1016,6 +1825,17 @@ router.get('/:slug/store/order/:orderNumber', async (req, res) => {
 // BOOKING SETTINGS (authenticated, for admin)
 // ═════════════════════════════════════════════════════════════════════
 
+// Stripe secrets never leave the server in full
+const STRIPE_SECRET_FIELDS = ['stripe_secret_key', 'stripe_webhook_secret'];
+
+function maskStripeSecrets(settings) {
+  const masked = { ...settings, stripe_connected: !!(settings.stripe_secret_key && settings.stripe_webhook_secret) };
+  for (const f of STRIPE_SECRET_FIELDS) {
+    if (masked[f]) masked[f] = '****' + String(masked[f]).slice(-4);
+  }
+  return masked;
+}
+
 /**
  * GET /settings  –  Get booking settings (requires auth)
  */
@@ -1030,10 +1850,10 @@ router.get('/settings/current', authMiddleware, async (req, res) => {
       // Create default settings
       await execute('INSERT INTO online_booking_settings (tenant_id) VALUES (?)', [req.tenantId]);
       const [newSettings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [req.tenantId]);
-      return res.json({ success: true, data: newSettings });
+      return res.json({ success: true, data: maskStripeSecrets(newSettings) });
     }
 
-    res.json({ success: true, data: settings });
+    res.json({ success: true, data: maskStripeSecrets(settings) });
   } catch (error) {
     console.error('Get booking settings error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -1051,11 +1871,48 @@ router.patch('/settings/current', authMiddleware, async (req, res) => {
     const fields = ['is_enabled', 'allow_cancellation', 'allow_reschedule', 'cancellation_hours',
       'require_deposit', 'deposit_amount', 'deposit_type', 'max_advance_days', 'min_advance_hours',
       'slot_interval', 'buffer_minutes', 'confirmation_message', 'custom_css', 'primary_color',
-      'show_prices', 'show_duration', 'allow_staff_selection', 'auto_confirm'];
+      'show_prices', 'show_duration', 'allow_staff_selection', 'auto_confirm', 'staff_assignment_strategy',
+      'deposit_hold_minutes', 'stripe_publishable_key', 'stripe_secret_key', 'stripe_webhook_secret',
+      'waitlist_auto_offer', 'waitlist_offer_minutes', 'no_show_fee_type', 'no_show_fee_amount',
+      'late_cancel_fee_type', 'late_cancel_fee_amount', 'late_cancel_hours', 'no_show_limit', 'no_show_limit_action'];
+
+    if (req.body.staff_assignment_strategy !== undefined && !STAFF_ASSIGNMENT_STRATEGIES.includes(req.body.staff_assignment_strategy)) {
+      return res.status(400).json({ success: false, message: `staff_assignment_strategy must be one of: ${STAFF_ASSIGNMENT_STRATEGIES.join(', ')}` });
+    }
+
+    if (req.body.deposit_hold_minutes !== undefined) {
+      const minutes = parseInt(req.body.deposit_hold_minutes, 10);
+      if (!Number.isInteger(minutes) || minutes < 30 || minutes > 1380) {
+        return res.status(400).json({ success: false, message: 'deposit_hold_minutes must be between 30 and 1380' });
+      }
+    }
+
+    if (req.body.waitlist_offer_minutes !== undefined) {
+      const minutes = parseInt(req.body.waitlist_offer_minutes, 10);
+      if (!Number.isInteger(minutes) || minutes < 5 || minutes > 1440) {
+        return res.status(400).json({ success: false, message: 'waitlist_offer_minutes must be between 5 and 1440' });
+      }
+    }
+
+    for (const f of ['no_show_fee_type', 'late_cancel_fee_type']) {
+      if (req.body[f] !== undefined && !FEE_TYPES.includes(req.body[f])) {
+        return res.status(400).json({ success: false, message: `${f} must be one of: ${FEE_TYPES.join(', ')}` });
+      }
+    }
+    if (req.body.no_show_limit_action !== undefined && !NO_SHOW_LIMIT_ACTIONS.includes(req.body.no_show_limit_action)) {
+      return res.status(400).json({ success: false, message: `no_show_limit_action must be one of: ${NO_SHOW_LIMIT_ACTIONS.join(', ')}` });
+    }
+    for (const f of ['no_show_fee_amount', 'late_cancel_fee_amount', 'late_cancel_hours', 'no_show_limit']) {
+      if (req.body[f] !== undefined && !(parseFloat(req.body[f]) >= 0)) {
+        return res.status(400).json({ success: false, message: `${f} must be zero or more` });
+      }
+    }
 
     const updates = [];
     const params = [];
     for (const f of fields) {
+      // Masked secrets echoed back by the settings form mean "unchanged"
+      if (STRIPE_SECRET_FIELDS.includes(f) && String(req.body[f] || '').startsWith('****')) continue;
       if (req.body[f] !== undefined) {
         updates.push(`${f} = ?`);
         params.push(req.body[f]);
@@ -1076,7 +1933,7 @@ router.patch('/settings/current', authMiddleware, async (req, res) => {
     }
 
     const [settings] = await query('SELECT * FROM online_booking_settings WHERE tenant_id = ?', [req.tenantId]);
-    res.json({ success: true, data: settings, message: 'Settings updated' });
+    res.json({ success: true, data: maskStripeSecrets(settings), message: 'Settings updated' });
   } catch (error) {
     console.error('Update booking settings error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -1140,6 +1997,7 @@ router.patch('/store-orders/:id', authMiddleware, async (req, res) => {
 
     params.push(req.params.id, req.tenantId);
     await execute(`UPDATE store_orders SET ${fields.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    emitWebhookEvent(req.tenantId, 'store_order.updated', req.params.id);
 
     res.json({ success: true, message: 'Order updated' });
   } catch (error) {
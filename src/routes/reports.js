@@ -1,6 +1,7 @@
 import express from 'express';
 import { query } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantToday } from '../lib/timezone.js';
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -306,7 +307,7 @@ router.get('/', async (req, res) => {
       const [dealsWon] = await query(`SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as value FROM deals WHERE status = 'won' AND created_at >= DATE_SUB(NOW(), INTERVAL ${days} DAY)`);
       const [pipelineValue] = await query(`SELECT COALESCE(SUM(amount), 0) as value FROM deals WHERE status = 'open'`);
       const [activitiesCompleted] = await query(`SELECT COUNT(*) as count FROM activities WHERE status = 'completed' AND created_at >= DATE_SUB(NOW(), INTERVAL ${days} DAY)`);
-      const [activitiesOverdue] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date < CURDATE() AND status NOT IN ('completed', 'cancelled')`);
+      const [activitiesOverdue] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date < ? AND status NOT IN ('completed', 'cancelled')`, [await tenantToday(req.tenantId)]);
 
       data.overview = {
         leads: { total: leadsTotal?.count || 0, new: leadsNew?.count || 0, converted: leadsConverted?.count || 0 },
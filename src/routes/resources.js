@@ -1,6 +1,8 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { ensureResourceTables } from '../lib/resources.js';
+import { getSchedulingTimezone, zonedDayRange } from '../lib/timezone.js';
 
 const router = express.Router();
 
@@ -77,6 +79,61 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// ── Resource calendar ──
+
+/**
+ * GET /calendar/day?date=YYYY-MM-DD&branch_id=  –  Occupancy of every resource on a day
+ */
+router.get('/calendar/day', authMiddleware, async (req, res) => {
+  try {
+    await ensureTable();
+    await ensureResourceTables();
+    const tenantId = req.tenantId;
+    const { date, branch_id, type } = req.query;
+    if (!date) return res.status(400).json({ success: false, message: 'date is required' });
+
+    let sql = `
+      SELECT r.id, r.name, r.type, r.capacity, r.branch_id, b.name as branch_name
+      FROM resources r
+      LEFT JOIN branches b ON r.branch_id = b.id
+      WHERE r.is_active = 1
+    `;
+    const params = [];
+    if (tenantId) { sql += ' AND r.tenant_id = ?'; params.push(tenantId); }
+    if (branch_id) { sql += ' AND (r.branch_id = ? OR r.branch_id IS NULL)'; params.push(branch_id); }
+    if (type) { sql += ' AND r.type = ?'; params.push(type); }
+    sql += ' ORDER BY r.type, r.name';
+    const resources = await query(sql, params);
+
+    // The calendar day in the branch's (or tenant's) timezone
+    const day = zonedDayRange(date, await getSchedulingTimezone(tenantId, { branchId: branch_id || null }));
+    const bookings = resources.length === 0 ? [] : await query(`
+      SELECT ar.resource_id, a.id as appointment_id, a.start_time, a.end_time, a.status,
+        a.staff_id, s.full_name as staff_name, p.name as service_name,
+        c.first_name as customer_first_name, c.last_name as customer_last_name
+      FROM appointment_resources ar
+      INNER JOIN appointments a ON a.id = ar.appointment_id
+      LEFT JOIN staff s ON a.staff_id = s.id
+      LEFT JOIN products p ON a.service_id = p.id
+      LEFT JOIN contacts c ON a.customer_id = c.id
+      WHERE ar.resource_id IN (${resources.map(() => '?').join(',')})
+      AND a.start_time >= ? AND a.start_time < ? AND a.status NOT IN ('cancelled', 'no_show')
+      ORDER BY a.start_time
+    `, [...resources.map(r => r.id), day.start, day.end]);
+
+    const data = resources.map(r => {
+      const items = bookings.filter(b => b.resource_id === r.id);
+      const bookedMinutes = items.reduce((sum, b) => sum + (new Date(b.end_time) - new Date(b.start_time)) / 60000, 0);
+      return { ...r, booked_minutes: Math.round(bookedMinutes), bookings: items };
+    });
+
+    res.json({ success: true, data, date });
+  } catch (error) {
+    console.error('Get resource calendar error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch resource calendar' });
+  }
+});
+
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
     const tenantId = req.tenantId;
@@ -143,6 +200,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     await execute(sql, params);
     // Clean up service_resources
     await execute('DELETE FROM service_resources WHERE resource_id = ?', [req.params.id]);
+    try { await execute('DELETE FROM appointment_resources WHERE resource_id = ?', [req.params.id]); } catch (e) {}
     res.json({ success: true, message: 'Resource deleted' });
   } catch (error) {
     console.error('Delete resource error:', error);
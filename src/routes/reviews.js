@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { emitWebhookEvent } from '../lib/webhooks.js';
 
 const router = express.Router();
 
@@ -147,6 +148,8 @@ router.post('/', async (req, res) => {
       VALUES (?,?,?,?,?,?,?,?,?)
     `, [t, branch_id || null, appointment_id || null, customer_id, staff_id || null, service_id || null, rating, comment || null, is_public]);
 
+    emitWebhookEvent(t, 'review.created', result.insertId);
+
     res.status(201).json({ success: true, data: { id: result.insertId }, message: 'Review submitted' });
   } catch (error) {
     console.error('Create review error:', error);
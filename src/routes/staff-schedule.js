@@ -1,6 +1,7 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantToday } from '../lib/timezone.js';
 
 const router = express.Router();
 
@@ -258,7 +259,7 @@ router.get('/stats', async (req, res) => {
     
     const [staffCount] = await query('SELECT COUNT(*) as count FROM staff WHERE tenant_id = ?', [tenantId]);
     const [scheduleCount] = await query('SELECT COUNT(*) as count FROM staff_schedule WHERE tenant_id = ?', [tenantId]);
-    const [daysOffCount] = await query('SELECT COUNT(*) as count FROM staff_days_off WHERE tenant_id = ? AND date >= CURDATE()', [tenantId]);
+    const [daysOffCount] = await query('SELECT COUNT(*) as count FROM staff_days_off WHERE tenant_id = ? AND date >= ?', [tenantId, await tenantToday(tenantId)]);
     const [specCount] = await query('SELECT COUNT(DISTINCT service_id) as count FROM staff_specializations WHERE tenant_id = ?', [tenantId]);
 
     res.json({
@@ -35,6 +35,7 @@ async function ensureSchema() {
     { name: 'password_set', sql: "ALTER TABLE staff ADD COLUMN password_set TINYINT(1) DEFAULT 0" },
     { name: 'salary_currency', sql: "ALTER TABLE staff ADD COLUMN salary_currency VARCHAR(10) DEFAULT NULL" },
     { name: 'address', sql: "ALTER TABLE staff ADD COLUMN address TEXT DEFAULT NULL" },
+    { name: 'booking_priority', sql: "ALTER TABLE staff ADD COLUMN booking_priority INT DEFAULT 0" },
   ];
   for (const col of cols) {
     try { await execute(col.sql); } catch (e) { /* column already exists */ }
@@ -738,7 +739,7 @@ router.patch('/:id', authMiddleware, async (req, res) => {
       'avatar_url', 'job_title', 'bio', 'hire_date', 'commission_rate',
       'color', 'can_book_online', 'notes', 'emergency_contact',
       'salary', 'employment_type', 'salary_currency', 'tenant_id',
-      'nationality', 'national_id', 'date_of_birth', 'gender', 'address',
+      'nationality', 'national_id', 'date_of_birth', 'gender', 'address', 'booking_priority',
     ];
 
     const updates = [];
@@ -751,6 +752,8 @@ router.patch('/:id', authMiddleware, async (req, res) => {
         // Boolean fields
         if (field === 'is_active' || field === 'can_book_online') {
           params.push(val ? 1 : 0);
+        } else if (field === 'booking_priority') {
+          params.push(parseInt(val, 10) || 0);
         } else {
           params.push(val || null);
         }
@@ -1,6 +1,7 @@
 import express from 'express';
 import { query } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantToday } from '../lib/timezone.js';
 
 const router = express.Router();
 
@@ -9,6 +10,7 @@ router.get('/', authMiddleware, async (req, res) => {
     const tenantId = req.tenantId;
     const tenantFilter = tenantId ? ' AND tenant_id = ?' : '';
     const tenantParams = tenantId ? [tenantId] : [];
+    const today = await tenantToday(tenantId);
     
     // Leads
     const [leadsTotal] = await query(`SELECT COUNT(*) as count FROM leads WHERE 1=1${tenantFilter}`, tenantParams);
@@ -30,9 +32,9 @@ router.get('/', authMiddleware, async (req, res) => {
     const [contactsTotal] = await query(`SELECT COUNT(*) as count FROM contacts WHERE 1=1${tenantFilter}`, tenantParams);
     
     // Activities
-    const [activitiesOverdue] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date < CURDATE() AND status NOT IN ('completed', 'cancelled')${tenantFilter}`, tenantParams);
-    const [activitiesToday] = await query(`SELECT COUNT(*) as count FROM activities WHERE DATE(due_date) = CURDATE()${tenantFilter}`, tenantParams);
-    const [activitiesUpcoming] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date > CURDATE() AND due_date <= DATE_ADD(CURDATE(), INTERVAL 7 DAY) AND status NOT IN ('completed', 'cancelled')${tenantFilter}`, tenantParams);
+    const [activitiesOverdue] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date < ? AND status NOT IN ('completed', 'cancelled')${tenantFilter}`, [today, ...tenantParams]);
+    const [activitiesToday] = await query(`SELECT COUNT(*) as count FROM activities WHERE DATE(due_date) = ?${tenantFilter}`, [today, ...tenantParams]);
+    const [activitiesUpcoming] = await query(`SELECT COUNT(*) as count FROM activities WHERE due_date > ? AND due_date <= DATE_ADD(?, INTERVAL 7 DAY) AND status NOT IN ('completed', 'cancelled')${tenantFilter}`, [today, today, ...tenantParams]);
     
     // Pipeline stages with deal counts (for the current tenant's default pipeline)
     let pipelineStages = [];
@@ -67,14 +69,14 @@ router.get('/', authMiddleware, async (req, res) => {
         COALESCE(SUM(amount), 0) as revenue
       FROM deals 
       WHERE status = 'won' 
-        AND YEAR(updated_at) = YEAR(CURDATE())
+        AND YEAR(updated_at) = YEAR(?)
     `;
     if (tenantId) {
       monthlyRevenueSql += ' AND tenant_id = ?';
     }
     monthlyRevenueSql += ' GROUP BY MONTH(updated_at) ORDER BY month';
     
-    const monthlyRevenueData = await query(monthlyRevenueSql, tenantParams);
+    const monthlyRevenueData = await query(monthlyRevenueSql, [today, ...tenantParams]);
     
     // Convert to array of 12 months
     const monthlyRevenue = Array(12).fill(0);
@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import Stripe from 'stripe';
 import { query, execute } from '../lib/database.js';
+import { DEFAULT_TIMEZONE, getTenantTimezone, todayInTimezone, zonedDayRange } from '../lib/timezone.js';
 import { config } from '../config.js';
 import { sendNotificationEmail, sendEmail } from '../lib/email.js';
 
@@ -582,19 +583,21 @@ router.get('/tenants/:id/details', verifySuperAdmin, async (req, res) => {
     );
     if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
 
+    const timeZone = await getTenantTimezone(tenantId);
+    const day = zonedDayRange(todayInTimezone(timeZone), timeZone);
     const [kpi] = await query(`
       SELECT
         (SELECT COUNT(*) FROM contacts WHERE tenant_id = ?) AS total_customers,
         (SELECT COUNT(*) FROM contacts WHERE tenant_id = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)) AS new_customers_month,
         (SELECT COUNT(*) FROM appointments WHERE tenant_id = ?) AS total_appointments,
-        (SELECT COUNT(*) FROM appointments WHERE tenant_id = ? AND DATE(start_time) = CURDATE()) AS appointments_today,
+        (SELECT COUNT(*) FROM appointments WHERE tenant_id = ? AND start_time >= ? AND start_time < ?) AS appointments_today,
         (SELECT COUNT(*) FROM appointments WHERE tenant_id = ? AND status = 'completed') AS completed_appointments,
         (SELECT COUNT(*) FROM invoices WHERE tenant_id = ? AND status = 'paid') AS paid_invoices,
         (SELECT COALESCE(SUM(total), 0) FROM invoices WHERE tenant_id = ? AND status = 'paid') AS total_revenue,
         (SELECT COALESCE(SUM(total), 0) FROM invoices WHERE tenant_id = ? AND status = 'paid' AND MONTH(created_at) = MONTH(NOW()) AND YEAR(created_at) = YEAR(NOW())) AS revenue_this_month,
         (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE tenant_id = ?) AS avg_rating,
         (SELECT COUNT(*) FROM reviews WHERE tenant_id = ?) AS total_reviews
-    `, Array(10).fill(tenantId));
+    `, [...Array(4).fill(tenantId), day.start, day.end, ...Array(6).fill(tenantId)]);
 
     const staff = await query(
       `SELECT id, username, email, full_name, role, is_active, last_login, created_at
@@ -687,6 +690,9 @@ router.put('/tenants/:id/plan', verifySuperAdmin, async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.get('/platform-overview', verifySuperAdmin, async (req, res) => {
   try {
+    // "Today" across tenants is the platform's day
+    const today = todayInTimezone(DEFAULT_TIMEZONE);
+    const day = zonedDayRange(today, DEFAULT_TIMEZONE);
     const [overview] = await query(`
       SELECT
         (SELECT COUNT(*) FROM tenants WHERE status != 'deleted') AS total_tenants,
@@ -696,14 +702,14 @@ router.get('/platform-overview', verifySuperAdmin, async (req, res) => {
         (SELECT COUNT(*) FROM tenants WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)) AS new_tenants_month,
         (SELECT COUNT(*) FROM staff WHERE is_active = 1) AS total_users,
         (SELECT COUNT(*) FROM contacts) AS total_customers,
-        (SELECT COUNT(*) FROM appointments WHERE DATE(start_time) = CURDATE()) AS appointments_today,
+        (SELECT COUNT(*) FROM appointments WHERE start_time >= ? AND start_time < ?) AS appointments_today,
         (SELECT COALESCE(SUM(total), 0) FROM invoices WHERE status = 'paid') AS total_revenue,
         (SELECT COALESCE(SUM(total), 0) FROM invoices WHERE status = 'paid' AND MONTH(created_at) = MONTH(NOW()) AND YEAR(created_at) = YEAR(NOW())) AS revenue_this_month,
         (SELECT COALESCE(SUM(total), 0) FROM invoices WHERE status = 'paid' AND MONTH(created_at) = MONTH(DATE_SUB(NOW(), INTERVAL 1 MONTH)) AND YEAR(created_at) = YEAR(DATE_SUB(NOW(), INTERVAL 1 MONTH))) AS revenue_last_month,
         (SELECT COALESCE(SUM(monthly_price), 0) FROM tenants WHERE status = 'active') AS mrr,
-        (SELECT COUNT(*) FROM invoices WHERE status IN ('unpaid','sent') AND due_date < CURDATE()) AS overdue_invoices,
+        (SELECT COUNT(*) FROM invoices WHERE status IN ('unpaid','sent') AND due_date < ?) AS overdue_invoices,
         (SELECT COALESCE(AVG(rating), 0) FROM reviews) AS platform_avg_rating
-    `);
+    `, [day.start, day.end, today]);
 
     // Monthly growth (12 months)
     const tenantGrowth = await query(`
@@ -723,14 +729,14 @@ router.get('/platform-overview', verifySuperAdmin, async (req, res) => {
       SELECT t.id, t.name, t.plan, t.status,
              COALESCE(SUM(i.total), 0) AS month_revenue,
              (SELECT COUNT(*) FROM contacts WHERE tenant_id = t.id) AS customers,
-             (SELECT COUNT(*) FROM appointments WHERE tenant_id = t.id AND DATE(start_time) = CURDATE()) AS today_apts
+             (SELECT COUNT(*) FROM appointments WHERE tenant_id = t.id AND start_time >= ? AND start_time < ?) AS today_apts
       FROM tenants t
       LEFT JOIN invoices i ON i.tenant_id = t.id AND i.status = 'paid'
         AND MONTH(i.created_at) = MONTH(NOW()) AND YEAR(i.created_at) = YEAR(NOW())
       WHERE t.status != 'deleted'
       GROUP BY t.id, t.name, t.plan, t.status
       ORDER BY month_revenue DESC LIMIT 8
-    `);
+    `, [day.start, day.end]);
 
     res.json({
       overview: overview || {},
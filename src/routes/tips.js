@@ -0,0 +1,147 @@
+import express from 'express';
+import { query, execute } from '../lib/database.js';
+import { authMiddleware, adminOnly } from '../middleware/auth.js';
+import { TIP_POOLING_RULES, ensureTipTables, getTipPoolingRule, reallocateTip, getTipsReport } from '../lib/tips.js';
+import { reverseInvoiceCommission, recordInvoiceCommission } from '../lib/commissions.js';
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Staff may see their own tips; anyone else's needs a manager
+function ownOrManager(req, res, next) {
+  if (req.query.staff_id && parseInt(req.query.staff_id) === req.user?.id) return next();
+  return adminOnly(req, res, next);
+}
+
+// ════════════════════════════════════════
+// Tip pooling setting
+// ════════════════════════════════════════
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({ success: true, data: { tip_pooling: await getTipPoolingRule(req.tenantId), rules: TIP_POOLING_RULES } });
+  } catch (error) {
+    console.error('Tip settings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch tip settings' });
+  }
+});
+
+router.put('/settings', adminOnly, async (req, res) => {
+  try {
+    const { tip_pooling } = req.body;
+    if (!TIP_POOLING_RULES.includes(tip_pooling)) {
+      return res.status(400).json({ success: false, message: `tip_pooling must be one of: ${TIP_POOLING_RULES.join(', ')}` });
+    }
+    const [tenant] = await query('SELECT settings FROM tenants WHERE id = ?', [req.tenantId]);
+    let settings = {};
+    try {
+      settings = typeof tenant?.settings === 'string' ? JSON.parse(tenant.settings) : (tenant?.settings || {});
+    } catch (e) { settings = {}; }
+    await execute('UPDATE tenants SET settings = ? WHERE id = ?', [JSON.stringify({ ...settings, tip_pooling }), req.tenantId]);
+    res.json({ success: true, message: 'Tip pooling updated', data: { tip_pooling } });
+  } catch (error) {
+    console.error('Update tip settings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update tip settings' });
+  }
+});
+
+// ════════════════════════════════════════
+// Tips report per staff (?from_date=&to_date=&branch_id=&staff_id=)
+// ════════════════════════════════════════
+router.get('/report', ownOrManager, async (req, res) => {
+  try {
+    const { from_date, to_date, branch_id, staff_id } = req.query;
+    if (!DATE_RE.test(from_date || '') || !DATE_RE.test(to_date || '')) {
+      return res.status(400).json({ success: false, message: 'from_date and to_date (YYYY-MM-DD) are required' });
+    }
+    const report = await getTipsReport(req.tenantId, { from: from_date, to: to_date, branchId: branch_id || null, staffId: staff_id || null });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Tips report error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build tips report' });
+  }
+});
+
+// ── Allocation rows behind the report ──
+router.get('/allocations', ownOrManager, async (req, res) => {
+  try {
+    await ensureTipTables();
+    const { staff_id, branch_id, invoice_id, pos_transaction_id, from_date, to_date, page = 1, limit = 50 } = req.query;
+
+    let where = 'WHERE ta.tenant_id = ?';
+    const params = [req.tenantId];
+    if (staff_id) { where += ' AND ta.staff_id = ?'; params.push(staff_id); }
+    if (branch_id) { where += ' AND ta.branch_id = ?'; params.push(branch_id); }
+    if (invoice_id) { where += ' AND ta.invoice_id = ?'; params.push(invoice_id); }
+    if (pos_transaction_id) { where += ' AND ta.pos_transaction_id = ?'; params.push(pos_transaction_id); }
+    if (from_date) { where += ' AND DATE(ta.tip_date) >= ?'; params.push(from_date); }
+    if (to_date) { where += ' AND DATE(ta.tip_date) <= ?'; params.push(to_date); }
+
+    const [countRow] = await query(`SELECT COUNT(*) as cnt FROM tip_allocations ta ${where}`, params);
+    const total = countRow?.cnt || 0;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const rows = await query(`
+      SELECT ta.*, s.full_name AS staff_name, i.invoice_number, t.transaction_number
+      FROM tip_allocations ta
+      LEFT JOIN staff s ON ta.staff_id = s.id
+      LEFT JOIN invoices i ON ta.invoice_id = i.id
+      LEFT JOIN pos_transactions t ON ta.pos_transaction_id = t.id
+      ${where}
+      ORDER BY ta.tip_date DESC, ta.id DESC
+      LIMIT ${parseInt(limit)} OFFSET ${offset}
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    console.error('Tip allocations error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch tip allocations' });
+  }
+});
+
+// ════════════════════════════════════════
+// Share a tip out again (managers only)
+// Body: { invoice_id | pos_transaction_id, split: [{ staff_id, amount }] or [{ staff_id, percent }] }
+// ════════════════════════════════════════
+router.post('/reallocate', adminOnly, async (req, res) => {
+  try {
+    await ensureTipTables();
+    const { invoice_id, pos_transaction_id, split } = req.body;
+    if (!invoice_id && !pos_transaction_id) {
+      return res.status(400).json({ success: false, message: 'invoice_id or pos_transaction_id is required' });
+    }
+
+    let source;
+    if (invoice_id) {
+      const [tip] = await query(
+        'SELECT invoice_item_id FROM tip_allocations WHERE invoice_id = ? AND tenant_id = ? ORDER BY id LIMIT 1',
+        [invoice_id, req.tenantId]
+      );
+      if (!tip) return res.status(404).json({ success: false, message: 'No tip recorded on this invoice' });
+      source = { tenantId: req.tenantId, invoiceItemId: tip.invoice_item_id };
+    } else {
+      source = { tenantId: req.tenantId, posTransactionId: pos_transaction_id };
+    }
+
+    const result = await reallocateTip(source, split, { userId: req.user?.id || null });
+    if (result.error) return res.status(result.status || 400).json({ success: false, message: result.error });
+
+    // Commission already earned on the tip follows it to the new staff
+    if (result.tip.invoice_id) {
+      const moved = await reverseInvoiceCommission(result.tip.invoice_id, 'Tip reallocated', { invoiceItemId: result.tip.invoice_item_id });
+      if (moved) await recordInvoiceCommission(result.tip.invoice_id);
+    }
+
+    res.json({ success: true, message: 'Tip reallocated', data: { shares: result.shares } });
+  } catch (error) {
+    console.error('Reallocate tip error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reallocate tip' });
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import { getTenantBranding } from '../lib/email.js';
+import { parseUnsubscribeToken, processUnsubscribe } from '../lib/consent.js';
+
+/**
+ * Public unsubscribe endpoints — no auth, the token is signed.
+ * GET shows a confirmation page (so link scanners can't opt people out);
+ * POST unsubscribes, from that page or a mail client's one-click button.
+ */
+const router = express.Router();
+
+const CHANNEL_LABELS = { email: 'emails', sms: 'text messages', whatsapp: 'WhatsApp messages' };
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>body{font-family:-apple-system,Segoe UI,Roboto,sans-serif;background:#f5f5f7;color:#1c2f4e;margin:0;padding:48px 16px}
+.card{max-width:440px;margin:0 auto;background:#fff;border-radius:12px;padding:32px;text-align:center;box-shadow:0 2px 12px rgba(0,0,0,.06)}
+button{background:#1c2f4e;color:#fff;border:0;border-radius:8px;padding:12px 24px;font-size:15px;cursor:pointer}</style>
+</head><body><div class="card"><h2>${escapeHtml(title)}</h2>${body}</div></body></html>`;
+}
+
+// ── Confirmation page ──
+router.get('/:token', async (req, res) => {
+  try {
+    const data = parseUnsubscribeToken(req.params.token);
+    if (!data) return res.status(404).send(page('Link not valid', '<p>This unsubscribe link is not valid.</p>'));
+    const branding = await getTenantBranding(data.t);
+    res.send(page('Unsubscribe', `
+      <p>Stop receiving marketing ${CHANNEL_LABELS[data.ch]} from <strong>${escapeHtml(branding.name)}</strong>${data.a ? ` at ${escapeHtml(data.a)}` : ''}?</p>
+      <form method="post"><button type="submit">Unsubscribe</button></form>`));
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+// ── Unsubscribe (form post or RFC 8058 one-click) ──
+router.post('/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const data = parseUnsubscribeToken(req.params.token);
+    if (!data) return res.status(404).send(page('Link not valid', '<p>This unsubscribe link is not valid.</p>'));
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+    await processUnsubscribe(data, {
+      source: oneClick ? 'one_click' : 'unsubscribe_link',
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+    });
+    const branding = await getTenantBranding(data.t);
+    res.send(page('You are unsubscribed', `<p>You will no longer receive marketing ${CHANNEL_LABELS[data.ch]} from <strong>${escapeHtml(branding.name)}</strong>.</p>`));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+export default router;
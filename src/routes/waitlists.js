@@ -1,47 +1,16 @@
 import express from 'express';
-import { query, execute } from '../lib/database.js';
+import { query, execute, toMySQLDateTime } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { ensureWaitlistTables, cancelEntryOffers } from '../lib/waitlist.js';
 
 const router = express.Router();
 
-const toMySQLDateTime = (isoString) => {
-  const date = new Date(isoString);
-  return date.toISOString().slice(0, 19).replace('T', ' ');
-};
-
-async function ensureTables() {
-  await execute(`
-    CREATE TABLE IF NOT EXISTS waitlists (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      tenant_id INT NOT NULL,
-      branch_id INT,
-      customer_id INT NOT NULL,
-      service_id INT,
-      preferred_staff_id INT,
-      preferred_date DATE,
-      preferred_time_start TIME,
-      preferred_time_end TIME,
-      priority INT DEFAULT 0,
-      status ENUM('waiting','notified','booked','expired','cancelled') DEFAULT 'waiting',
-      notes TEXT,
-      notified_at DATETIME,
-      booked_appointment_id INT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      INDEX idx_tenant (tenant_id),
-      INDEX idx_customer (customer_id),
-      INDEX idx_status (status),
-      INDEX idx_date (preferred_date)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-}
-
 router.use(authMiddleware);
 
 // ── Stats ──
 router.get('/stats', async (req, res) => {
   try {
-    await ensureTables();
+    await ensureWaitlistTables();
     const t = req.tenantId;
     const [stats] = await query(`
       SELECT
@@ -63,7 +32,7 @@ router.get('/stats', async (req, res) => {
 // ── List ──
 router.get('/', async (req, res) => {
   try {
-    await ensureTables();
+    await ensureWaitlistTables();
     const t = req.tenantId;
     const { status, service_id, staff_id, from_date, to_date, page = 1, limit = 20 } = req.query;
     let where = 'WHERE w.tenant_id = ?';
@@ -104,7 +73,7 @@ router.get('/', async (req, res) => {
 // ── Get single ──
 router.get('/:id', async (req, res) => {
   try {
-    await ensureTables();
+    await ensureWaitlistTables();
     const [item] = await query(`
       SELECT w.*,
         c.first_name as customer_first_name, c.last_name as customer_last_name, c.phone as customer_phone, c.email as customer_email,
@@ -125,10 +94,33 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// ── Slot offers sent to an entry ──
+router.get('/:id/offers', async (req, res) => {
+  try {
+    await ensureWaitlistTables();
+    const [item] = await query('SELECT id FROM waitlists WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!item) return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    const offers = await query(`
+      SELECT o.id, o.opening_appointment_id, o.service_id, o.staff_id, o.start_time, o.end_time,
+        o.channel, o.status, o.expires_at, o.responded_at, o.booked_appointment_id, o.created_at,
+        p.name as service_name, s.full_name as staff_name
+      FROM waitlist_offers o
+      LEFT JOIN products p ON o.service_id = p.id
+      LEFT JOIN staff s ON o.staff_id = s.id
+      WHERE o.waitlist_id = ? AND o.tenant_id = ?
+      ORDER BY o.created_at DESC
+    `, [req.params.id, req.tenantId]);
+    res.json({ success: true, data: offers });
+  } catch (error) {
+    console.error('Waitlist offers error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ── Create ──
 router.post('/', async (req, res) => {
   try {
-    await ensureTables();
+    await ensureWaitlistTables();
     const t = req.tenantId;
     const { customer_id, service_id, branch_id, preferred_staff_id, preferred_date, preferred_time_start, preferred_time_end, priority = 0, notes } = req.body;
 
@@ -161,7 +153,10 @@ router.patch('/:id', async (req, res) => {
     if (!updates.length) return res.status(400).json({ success: false, message: 'No fields to update' });
 
     params.push(req.params.id, req.tenantId);
-    await execute(`UPDATE waitlists SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    const result = await execute(`UPDATE waitlists SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    if (result.affectedRows > 0 && ['booked', 'cancelled', 'expired'].includes(req.body.status)) {
+      await cancelEntryOffers(req.params.id);
+    }
     res.json({ success: true, message: 'Waitlist entry updated' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
@@ -173,6 +168,7 @@ router.delete('/:id', async (req, res) => {
   try {
     const [item] = await query('SELECT id FROM waitlists WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     if (!item) return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    await cancelEntryOffers(item.id);
     await execute('DELETE FROM waitlists WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
     res.json({ success: true, message: 'Waitlist entry removed' });
   } catch (error) {
@@ -200,6 +196,7 @@ router.post('/:id/book', async (req, res) => {
 
     // Update waitlist entry
     await execute(`UPDATE waitlists SET status = 'booked', booked_appointment_id = ? WHERE id = ?`, [aptResult.insertId, item.id]);
+    await cancelEntryOffers(item.id);
 
     res.json({ success: true, data: { appointment_id: aptResult.insertId, waitlist_id: item.id }, message: 'Appointment booked from waitlist' });
   } catch (error) {
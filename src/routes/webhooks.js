@@ -0,0 +1,212 @@
+import express from 'express';
+import { query, execute } from '../lib/database.js';
+import { authMiddleware, adminOnly } from '../middleware/auth.js';
+import {
+  ensureWebhookTables, generateWebhookSecret, validateSubscription, checkWebhookTarget, formatSubscription,
+  sendTestWebhook, redeliverWebhook, WEBHOOK_EVENTS, MAX_ATTEMPTS, DISABLE_AFTER_FAILURES,
+} from '../lib/webhooks.js';
+
+const router = express.Router();
+router.use(authMiddleware, adminOnly);
+
+async function ensureTable() {
+  await ensureWebhookTables();
+}
+
+// ── Events that can be subscribed to ──
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    data: { events: WEBHOOK_EVENTS, max_attempts: MAX_ATTEMPTS, disable_after_failures: DISABLE_AFTER_FAILURES },
+  });
+});
+
+// ── List subscriptions ──
+router.get('/', async (req, res) => {
+  try {
+    await ensureTable();
+    const subscriptions = await query('SELECT * FROM webhook_subscriptions WHERE tenant_id = ? ORDER BY created_at DESC', [req.tenantId]);
+    res.json({ success: true, data: subscriptions.map(s => formatSubscription(s)) });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch webhooks' });
+  }
+});
+
+// ── One delivery, with its payload and the endpoint's response ──
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    await ensureTable();
+    const [delivery] = await query('SELECT * FROM webhook_deliveries WHERE id = ? AND tenant_id = ?', [req.params.deliveryId, req.tenantId]);
+    if (!delivery) return res.status(404).json({ success: false, message: 'Delivery not found' });
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch delivery' });
+  }
+});
+
+// ── Send a delivery again ──
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    await ensureTable();
+    const [delivery] = await query(
+      `SELECT d.*, s.is_active FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.id = ? AND d.tenant_id = ?`,
+      [req.params.deliveryId, req.tenantId]
+    );
+    if (!delivery) return res.status(404).json({ success: false, message: 'Delivery not found' });
+    if (!delivery.is_active) return res.status(400).json({ success: false, message: 'Re-enable the webhook before redelivering' });
+
+    const redelivery = await redeliverWebhook(delivery);
+    res.json({
+      success: true,
+      data: redelivery,
+      message: redelivery.status === 'success' ? 'Delivered' : `Delivery failed: ${redelivery.error_message}`,
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to redeliver' });
+  }
+});
+
+// ── Get subscription ──
+router.get('/:id', async (req, res) => {
+  try {
+    await ensureTable();
+    const [subscription] = await query('SELECT * FROM webhook_subscriptions WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!subscription) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    res.json({ success: true, data: formatSubscription(subscription) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch webhook' });
+  }
+});
+
+// ── Create subscription (the secret is only shown in full here and on rotate) ──
+router.post('/', async (req, res) => {
+  try {
+    await ensureTable();
+    const { name, url, events, secret } = req.body;
+    if (!url || !events) return res.status(400).json({ success: false, message: 'url and events are required' });
+    const invalid = validateSubscription({ url, events }) || (url !== undefined ? await checkWebhookTarget(url) : null);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const result = await execute(
+      `INSERT INTO webhook_subscriptions (tenant_id, name, url, secret, events, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [req.tenantId, name || null, url, secret || generateWebhookSecret(), JSON.stringify(events), req.user.id]
+    );
+    const [subscription] = await query('SELECT * FROM webhook_subscriptions WHERE id = ?', [result.insertId]);
+    res.status(201).json({ success: true, data: formatSubscription(subscription, { revealSecret: true }), message: 'Webhook created' });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create webhook' });
+  }
+});
+
+// ── Update subscription (re-enabling clears the failure count) ──
+router.patch('/:id', async (req, res) => {
+  try {
+    await ensureTable();
+    const { name, url, events, is_active } = req.body;
+    const invalid = validateSubscription({ url, events }) || (url !== undefined ? await checkWebhookTarget(url) : null);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const updates = [];
+    const params = [];
+    if (name !== undefined) { updates.push('name = ?'); params.push(name); }
+    if (url !== undefined) { updates.push('url = ?'); params.push(url); }
+    if (events !== undefined) { updates.push('events = ?'); params.push(JSON.stringify(events)); }
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      params.push(is_active ? 1 : 0);
+      if (is_active) updates.push('consecutive_failures = 0', 'disabled_at = NULL', 'disabled_reason = NULL');
+    }
+    if (updates.length === 0) return res.status(400).json({ success: false, message: 'No updates' });
+
+    params.push(req.params.id, req.tenantId);
+    const result = await execute(`UPDATE webhook_subscriptions SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    res.json({ success: true, message: 'Webhook updated' });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update webhook' });
+  }
+});
+
+// ── Rotate signing secret ──
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    await ensureTable();
+    const secret = generateWebhookSecret();
+    const result = await execute('UPDATE webhook_subscriptions SET secret = ? WHERE id = ? AND tenant_id = ?', [secret, req.params.id, req.tenantId]);
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    res.json({ success: true, data: { secret }, message: 'Secret rotated' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to rotate secret' });
+  }
+});
+
+// ── Send a ping event ──
+router.post('/:id/test', async (req, res) => {
+  try {
+    await ensureTable();
+    const [subscription] = await query('SELECT * FROM webhook_subscriptions WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!subscription) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    if (!subscription.is_active) return res.status(400).json({ success: false, message: 'Webhook is disabled' });
+
+    const delivery = await sendTestWebhook(subscription);
+    res.json({
+      success: true,
+      data: delivery,
+      message: delivery.status === 'success' ? 'Test event delivered' : `Test event failed: ${delivery.error_message}`,
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send test event' });
+  }
+});
+
+// ── Delivery log ──
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    await ensureTable();
+    const { status, event, page = 1, limit = 50 } = req.query;
+    const pg = Math.max(1, parseInt(page) || 1);
+    const lm = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    let where = 'WHERE subscription_id = ? AND tenant_id = ?';
+    const params = [req.params.id, req.tenantId];
+    if (status) { where += ' AND status = ?'; params.push(status); }
+    if (event) { where += ' AND event = ?'; params.push(event); }
+
+    const [{ total }] = await query(`SELECT COUNT(*) as total FROM webhook_deliveries ${where}`, params);
+    const deliveries = await query(
+      `SELECT id, event, event_id, status, attempts, next_attempt_at, last_attempt_at, response_status,
+         error_message, duration_ms, delivered_at, redelivery_of, created_at
+       FROM webhook_deliveries ${where}
+       ORDER BY id DESC LIMIT ${lm} OFFSET ${(pg - 1) * lm}`,
+      params
+    );
+    res.json({ success: true, data: deliveries, pagination: { page: pg, limit: lm, total, totalPages: Math.ceil(total / lm) } });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch deliveries' });
+  }
+});
+
+// ── Delete subscription and its delivery log ──
+router.delete('/:id', async (req, res) => {
+  try {
+    await ensureTable();
+    const [subscription] = await query('SELECT id FROM webhook_subscriptions WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!subscription) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    await execute('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [subscription.id]);
+    await execute('DELETE FROM webhook_subscriptions WHERE id = ?', [subscription.id]);
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete webhook' });
+  }
+});
+
+export default router;
@@ -1,50 +1,23 @@
 import express from 'express';
 import { query, execute } from '../lib/database.js';
 import { authMiddleware } from '../middleware/auth.js';
+import {
+  ensureWorkflowTables, validateWorkflow, testWorkflow,
+  WORKFLOW_ENTITIES, ACTION_TYPES, CONDITION_OPERATORS, getEntityEvents,
+} from '../lib/workflows.js';
 
 const router = express.Router();
 
 async function ensureTable() {
-  await execute(`
-    CREATE TABLE IF NOT EXISTS workflows (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      name VARCHAR(255) NOT NULL,
-      description TEXT,
-      entity_type ENUM('lead', 'contact', 'account', 'deal', 'activity') NOT NULL,
-      trigger_event ENUM('created', 'updated', 'stage_changed', 'status_changed', 'field_changed', 'assigned') NOT NULL,
-      trigger_field VARCHAR(100),
-      conditions JSON,
-      actions JSON NOT NULL,
-      is_active TINYINT(1) DEFAULT 1,
-      execution_count INT DEFAULT 0,
-      last_executed_at TIMESTAMP NULL,
-      created_by INT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-  
-  await execute(`
-    CREATE TABLE IF NOT EXISTS workflow_logs (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      workflow_id INT NOT NULL,
-      entity_type VARCHAR(50),
-      entity_id INT,
-      trigger_event VARCHAR(50),
-      status ENUM('success', 'failed', 'skipped') DEFAULT 'success',
-      result JSON,
-      error_message TEXT,
-      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
+  await ensureWorkflowTables();
 }
 
 router.get('/', authMiddleware, async (req, res) => {
   try {
     await ensureTable();
     const { entity_type, active } = req.query;
-    let sql = 'SELECT * FROM workflows WHERE 1=1';
-    const params = [];
+    let sql = 'SELECT * FROM workflows WHERE tenant_id = ?';
+    const params = [req.tenantId];
     
     if (entity_type) { sql += ' AND entity_type = ?'; params.push(entity_type); }
     if (active !== undefined) { sql += ' AND is_active = ?'; params.push(active === 'true' ? 1 : 0); }
@@ -54,7 +27,8 @@ router.get('/', authMiddleware, async (req, res) => {
     const parsed = workflows.map(w => ({
       ...w,
       conditions: typeof w.conditions === 'string' ? JSON.parse(w.conditions) : (w.conditions || []),
-      actions: typeof w.actions === 'string' ? JSON.parse(w.actions) : (w.actions || [])
+      actions: typeof w.actions === 'string' ? JSON.parse(w.actions) : (w.actions || []),
+      trigger_config: typeof w.trigger_config === 'string' ? JSON.parse(w.trigger_config) : (w.trigger_config || null)
     }));
     
     res.json({ success: true, data: parsed });
@@ -64,6 +38,19 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * What a workflow can be built from: entities with their trigger events and
+ * updatable fields, action types and condition operators
+ */
+router.get('/options', authMiddleware, (req, res) => {
+  const entities = Object.entries(WORKFLOW_ENTITIES).map(([type, entity]) => ({
+    entity_type: type,
+    trigger_events: getEntityEvents(type),
+    updatable_fields: entity.fields,
+  }));
+  res.json({ success: true, data: { entities, action_types: ACTION_TYPES, operators: CONDITION_OPERATORS } });
+});
+
 router.get('/logs', authMiddleware, async (req, res) => {
   try {
     await ensureTable();
@@ -72,32 +59,84 @@ router.get('/logs', authMiddleware, async (req, res) => {
       SELECT wl.*, w.name as workflow_name
       FROM workflow_logs wl
       LEFT JOIN workflows w ON wl.workflow_id = w.id
-      WHERE 1=1
+      WHERE w.tenant_id = ?
     `;
-    const params = [];
+    const params = [req.tenantId];
     if (workflow_id) { sql += ' AND wl.workflow_id = ?'; params.push(workflow_id); }
     sql += ` ORDER BY wl.executed_at DESC LIMIT ${parseInt(limit)}`;
     
     const logs = await query(sql, params);
     res.json({ success: true, data: logs });
   } catch (error) {
+    console.error('Get workflow logs error:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch workflow logs' });
   }
 });
 
+/**
+ * Steps waiting behind a wait step, and what became of them
+ */
+router.get('/pending', authMiddleware, async (req, res) => {
+  try {
+    await ensureTable();
+    const { workflow_id, status, entity_type, entity_id, limit = 50 } = req.query;
+    let sql = `
+      SELECT ps.*, w.name as workflow_name
+      FROM workflow_pending_steps ps
+      LEFT JOIN workflows w ON ps.workflow_id = w.id
+      WHERE ps.tenant_id = ?
+    `;
+    const params = [req.tenantId];
+    if (workflow_id) { sql += ' AND ps.workflow_id = ?'; params.push(workflow_id); }
+    if (status) { sql += ' AND ps.status = ?'; params.push(status); }
+    if (entity_type) { sql += ' AND ps.entity_type = ?'; params.push(entity_type); }
+    if (entity_id) { sql += ' AND ps.entity_id = ?'; params.push(entity_id); }
+    sql += ` ORDER BY ps.run_at DESC LIMIT ${parseInt(limit) || 50}`;
+
+    const steps = await query(sql, params);
+    const parsed = steps.map(s => ({
+      ...s,
+      actions: typeof s.actions === 'string' ? JSON.parse(s.actions) : (s.actions || []),
+      context: undefined,
+    }));
+    res.json({ success: true, data: parsed });
+  } catch (error) {
+    console.error('Get pending workflow steps error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch pending steps' });
+  }
+});
+
+router.post('/pending/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    await ensureTable();
+    const result = await execute(
+      "UPDATE workflow_pending_steps SET status = 'cancelled', status_note = ? WHERE id = ? AND tenant_id = ? AND status = 'pending'",
+      ['Cancelled by staff', req.params.id, req.tenantId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Pending step not found' });
+    res.json({ success: true, message: 'Pending step cancelled' });
+  } catch (error) {
+    console.error('Cancel pending workflow step error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel pending step' });
+  }
+});
+
 router.post('/', authMiddleware, async (req, res) => {
   try {
     await ensureTable();
-    const { name, description, entity_type, trigger_event, trigger_field, conditions, actions, is_active } = req.body;
+    const { name, description, entity_type, trigger_event, trigger_field, trigger_config, conditions, actions, is_active } = req.body;
     
     if (!name || !entity_type || !trigger_event || !actions || actions.length === 0) {
       return res.status(400).json({ success: false, message: 'Name, entity type, trigger event, and at least one action required' });
     }
+    const invalid = validateWorkflow({ entity_type, trigger_event, trigger_config, conditions, actions });
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
     
     const result = await execute(
-      `INSERT INTO workflows (name, description, entity_type, trigger_event, trigger_field, conditions, actions, is_active, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [name, description || null, entity_type, trigger_event, trigger_field || null,
+      `INSERT INTO workflows (tenant_id, name, description, entity_type, trigger_event, trigger_field, trigger_config, conditions, actions, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [req.tenantId, name, description || null, entity_type, trigger_event, trigger_field || null,
+       trigger_config ? JSON.stringify(trigger_config) : null,
        conditions ? JSON.stringify(conditions) : null, JSON.stringify(actions), is_active !== false ? 1 : 0, req.user.id]
     );
     res.json({ success: true, message: 'Workflow created', data: { id: result.insertId } });
@@ -109,7 +148,10 @@ router.post('/', authMiddleware, async (req, res) => {
 
 router.patch('/:id', authMiddleware, async (req, res) => {
   try {
-    const fields = ['name', 'description', 'entity_type', 'trigger_event', 'trigger_field', 'conditions', 'actions', 'is_active'];
+    await ensureTable();
+    const invalid = validateWorkflow(req.body);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+    const fields = ['name', 'description', 'entity_type', 'trigger_event', 'trigger_field', 'trigger_config', 'conditions', 'actions', 'is_active'];
     const updates = [];
     const params = [];
     
@@ -118,24 +160,61 @@ router.patch('/:id', authMiddleware, async (req, res) => {
         updates.push(`${f} = ?`);
         let value = req.body[f];
         if (f === 'is_active') value = value ? 1 : 0;
-        if (f === 'conditions' || f === 'actions') value = JSON.stringify(value);
+        if (['conditions', 'actions', 'trigger_config'].includes(f)) value = value === null ? null : JSON.stringify(value);
         params.push(value);
       }
     }
     if (updates.length === 0) return res.status(400).json({ success: false, message: 'No updates' });
     
-    params.push(req.params.id);
-    await execute(`UPDATE workflows SET ${updates.join(', ')} WHERE id = ?`, params);
+    params.push(req.params.id, req.tenantId);
+    const result = await execute(`UPDATE workflows SET ${updates.join(', ')} WHERE id = ? AND tenant_id = ?`, params);
+    if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Workflow not found' });
     res.json({ success: true, message: 'Workflow updated' });
   } catch (error) {
+    console.error('Update workflow error:', error);
     res.status(500).json({ success: false, message: 'Failed to update workflow' });
   }
 });
 
+/**
+ * Try a workflow on one record. Dry run by default: reports whether the
+ * conditions match and what each action would do, without side effects.
+ * Body: { entity_id, previous?: { field: value }, dry_run?: boolean }
+ */
+router.post('/:id/test', authMiddleware, async (req, res) => {
+  try {
+    await ensureTable();
+    const { entity_id, previous, dry_run = true } = req.body;
+    if (!entity_id) return res.status(400).json({ success: false, message: 'entity_id is required' });
+    if (previous !== undefined && (typeof previous !== 'object' || Array.isArray(previous))) {
+      return res.status(400).json({ success: false, message: 'previous must be an object of field values' });
+    }
+
+    const [workflow] = await query('SELECT * FROM workflows WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!workflow) return res.status(404).json({ success: false, message: 'Workflow not found' });
+
+    const result = await testWorkflow(workflow, entity_id, {
+      previous: previous || null,
+      dryRun: dry_run !== false,
+      userId: req.user.id,
+    });
+    if (!result) return res.status(404).json({ success: false, message: `No ${workflow.entity_type} with id ${entity_id}` });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Test workflow error:', error);
+    res.status(500).json({ success: false, message: 'Failed to test workflow' });
+  }
+});
+
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
-    await execute('DELETE FROM workflow_logs WHERE workflow_id = ?', [req.params.id]);
-    await execute('DELETE FROM workflows WHERE id = ?', [req.params.id]);
+    await ensureTable();
+    const [workflow] = await query('SELECT id FROM workflows WHERE id = ? AND tenant_id = ?', [req.params.id, req.tenantId]);
+    if (!workflow) return res.status(404).json({ success: false, message: 'Workflow not found' });
+    await execute('DELETE FROM workflow_logs WHERE workflow_id = ?', [workflow.id]);
+    await execute('DELETE FROM workflow_pending_steps WHERE workflow_id = ?', [workflow.id]);
+    await execute('DELETE FROM workflows WHERE id = ?', [workflow.id]);
     res.json({ success: true, message: 'Workflow deleted' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to delete workflow' });